@@ -3,8 +3,9 @@
 SRF_ORIGIN="${X_PH_ORIGIN_SRF}"
 ASS_ORIGIN="${X_PH_ORIGIN_ASS}"
 API_ORIGIN="${X_PH_ORIGIN_API}"
+EVENT_ID="${X_PH_EVENT_ID}"
 
-TARGET_EXTENSIONS=("html" "css" "mjs" "js")
+TARGET_EXTENSIONS=("html" "css" "mjs" "js" "jsonc")
 
 EXCLUDE_DIRS=("node_modules")
 
@@ -14,6 +15,7 @@ echo "Starting placeholder replacement in: $CURRENT_DIR"
 echo "SRF_ORIGIN: $SRF_ORIGIN"
 echo "ASS_ORIGIN: $ASS_ORIGIN"
 echo "API_ORIGIN: $API_ORIGIN"
+echo "EVENT_ID: $EVENT_ID"
 echo ""
 
 processed_count=0
@@ -30,13 +32,14 @@ for ext in "${TARGET_EXTENSIONS[@]}"; do
     eval "find \"$CURRENT_DIR\" $FIND_PRUNE -type f -name '*.$ext' -not -name '.*' -print" | while read -r file; do
         echo "  Processing: $file"
 
-        if grep -q "{{SRF_ORIGIN}}\|{{ASS_ORIGIN}}\|{{API_ORIGIN}}" "$file"; then
+        if grep -q "{{SRF_ORIGIN}}\|{{ASS_ORIGIN}}\|{{API_ORIGIN}}\|{{EVENT_ID}}" "$file"; then
             temp_file=$(mktemp)
 
             sed \
                 -e "s|{{SRF_ORIGIN}}|$SRF_ORIGIN|g" \
                 -e "s|{{ASS_ORIGIN}}|$ASS_ORIGIN|g" \
                 -e "s|{{API_ORIGIN}}|$API_ORIGIN|g" \
+                -e "s|{{EVENT_ID}}|$EVENT_ID|g" \
                 "$file" > "$temp_file"
 
             mv "$temp_file" "$file"
@@ -50,7 +50,8 @@ const serveFile = async (filePath, res, origin) => {
             data = data
                 .replace(/\{\{ASS_ORIGIN\}\}/g, origin)
                 .replace(/\{\{SRF_ORIGIN\}\}/g, origin)
-                .replace(/\{\{API_ORIGIN\}\}/g, '');
+                .replace(/\{\{API_ORIGIN\}\}/g, '')
+                .replace(/\{\{EVENT_ID\}\}/g, '');
             res.writeHead(200, { 'Content-Type': type });
             res.end(data);
         } catch (err) {
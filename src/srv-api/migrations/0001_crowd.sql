@@ -0,0 +1,19 @@
+-- STORAGE_BACKEND=d1 の場合に使うテーブル
+-- 適用: npx wrangler d1 migrations apply <データベース名>
+
+CREATE TABLE IF NOT EXISTS crowd_status (
+    room_id TEXT PRIMARY KEY,
+    status INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS crowd_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    source TEXT
+);
+
+CREATE INDEX IF NOT EXISTS crowd_history_room_id_updated_at ON crowd_history (room_id, updated_at, id);
+CREATE INDEX IF NOT EXISTS crowd_history_updated_at ON crowd_history (updated_at, id);
@@ -0,0 +1,5 @@
+-- 投票の集計結果(src/cmn/aggregate.mjs)を現在の状態に保存する
+-- 集計前のデータはどちらもNULL
+
+ALTER TABLE crowd_status ADD COLUMN confidence REAL;
+ALTER TABLE crowd_status ADD COLUMN vote_count INTEGER;
@@ -0,0 +1,4 @@
+-- 人数計測モード(POST /crowd/:room_id/enter, exit)の在室人数を現在の状態に保存する
+-- 投票で更新している教室はNULL
+
+ALTER TABLE crowd_status ADD COLUMN occupancy INTEGER;
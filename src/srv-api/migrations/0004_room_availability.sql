@@ -0,0 +1,10 @@
+-- 教室の受付状況(PUT /crowd/:room_id/availability)
+-- 受付中(open)の教室は行を持たない
+
+CREATE TABLE IF NOT EXISTS room_availability (
+    room_id TEXT PRIMARY KEY,
+    state TEXT NOT NULL,
+    message TEXT,
+    reopen_at INTEGER,
+    updated_at INTEGER NOT NULL
+);
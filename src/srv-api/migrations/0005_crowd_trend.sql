@@ -0,0 +1,5 @@
+-- 待ち時間の目安(src/cmn/waittime.mjs)に使う直近の傾向と、混雑が続いている起点を現在の状態に保存する
+-- 集計前のデータと人数計測モードはどちらもNULL(busy_sinceは混雑していなければNULL)
+
+ALTER TABLE crowd_status ADD COLUMN trend INTEGER;
+ALTER TABLE crowd_status ADD COLUMN busy_since INTEGER;
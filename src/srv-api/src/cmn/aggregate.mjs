@@ -0,0 +1,85 @@
+import { ApiError } from './errors.mjs';
+import { CROWD_STATUS_MIN, CROWD_STATUS_MAX } from './crowdstatus.mjs';
+
+/*
+    来訪者の投票(履歴)から公開する混雑状況を決める
+    設定はwrangler.jsoncのvarsで行う
+        CROWD_AGGREGATOR          : latest(最後の投票) | median(重み付き中央値) | mean(重み付き平均)
+        CROWD_VOTE_WINDOW_SECONDS : 集計に使う直近の期間(秒)
+        CROWD_VOTE_MIN_COUNT      : 信頼度が最大になるのに必要な投票数
+    重みは新しい投票ほど大きく、期間の終わりでweight_minまで線形に下がる
+    信頼度(0～1)は 投票の一致度 × min(1, 投票数 / CROWD_VOTE_MIN_COUNT)
+        一致度は結果からの重み付き平均のずれを混雑状況の幅で割ったものを1から引いた値
+*/
+
+export const CROWD_VOTE_LIMIT = 100;
+
+const aggregate_defaults = {
+    aggregator: 'median',
+    window_seconds: 600,
+    min_count: 3
+};
+
+const weight_min = 0.1;
+
+const aggregators = {
+    latest: (votes) => votes.reduce((a, b) => (b.updated_at >= a.updated_at ? b : a)).status,
+    median: (votes) => {
+        const sorted = [...votes].sort((a, b) => a.status - b.status);
+        const total = sorted.reduce((sum, vote) => sum + vote.weight, 0);
+        let accumulated = 0;
+        for (const vote of sorted) {
+            accumulated += vote.weight;
+            if (accumulated >= total / 2) {
+                return vote.status;
+            }
+        }
+        return sorted.at(-1).status;
+    },
+    mean: (votes) => {
+        const total = votes.reduce((sum, vote) => sum + vote.weight, 0);
+        return Math.round(votes.reduce((sum, vote) => sum + vote.status * vote.weight, 0) / total);
+    }
+};
+
+function config_int(value, default_value, min) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(number) && number >= min ? number : default_value;
+}
+
+export function crowd_aggregate_config_get(env) {
+    const aggregator = env.CROWD_AGGREGATOR || aggregate_defaults.aggregator;
+    if (!Object.hasOwn(aggregators, aggregator)) {
+        throw new ApiError(500, 'AGGREGATOR_MISCONFIGURED', `Unknown CROWD_AGGREGATOR "${aggregator}"`);
+    }
+    return {
+        aggregator,
+        window_seconds: config_int(env.CROWD_VOTE_WINDOW_SECONDS, aggregate_defaults.window_seconds, 1),
+        min_count: config_int(env.CROWD_VOTE_MIN_COUNT, aggregate_defaults.min_count, 1)
+    };
+}
+
+/*
+    votes: 期間内の投票 [{ status, updated_at }, ...] (1件以上)
+    戻り値: { status, confidence, vote_count }
+*/
+export function crowd_votes_aggregate(config, votes, now) {
+    const window_ms = config.window_seconds * 1000;
+    const weighted = votes.map(vote => ({
+        ...vote,
+        weight: Math.max(weight_min, 1 - (now - vote.updated_at) / window_ms)
+    }));
+
+    const status = aggregators[config.aggregator](weighted);
+
+    const total = weighted.reduce((sum, vote) => sum + vote.weight, 0);
+    const deviation = weighted.reduce((sum, vote) => sum + vote.weight * Math.abs(vote.status - status), 0) / total;
+    const agreement = 1 - deviation / (CROWD_STATUS_MAX - CROWD_STATUS_MIN);
+    const confidence = agreement * Math.min(1, votes.length / config.min_count);
+
+    return {
+        status,
+        confidence: Math.round(confidence * 100) / 100,
+        vote_count: votes.length
+    };
+}
@@ -0,0 +1,47 @@
+import { AuthError, ForbiddenError } from './errors.mjs';
+
+// 長さや内容による処理時間の差が出ないようにハッシュ化してから比較する
+async function secret_equals(a, b) {
+    const encoder = new TextEncoder();
+    const [hash_a, hash_b] = await Promise.all([
+        crypto.subtle.digest('SHA-256', encoder.encode(a)),
+        crypto.subtle.digest('SHA-256', encoder.encode(b))
+    ]);
+    const bytes_a = new Uint8Array(hash_a);
+    const bytes_b = new Uint8Array(hash_b);
+    let diff = 0;
+    for (let i = 0; i < bytes_a.length; i++) {
+        diff |= bytes_a[i] ^ bytes_b[i];
+    }
+    return diff === 0;
+}
+
+function bearer_token_get(request) {
+    const authorization = request.headers.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// 管理者の認証情報が付いているか(他の認証方式の代わりに受け付ける場合用)
+export async function auth_admin_is(request, env) {
+    const token = bearer_token_get(request);
+    return !!env.ADMIN_TOKEN && !!token && await secret_equals(token, env.ADMIN_TOKEN);
+}
+
+/*
+    管理用APIの認証
+    Authorization: Bearer <ADMIN_TOKEN>
+    ADMIN_TOKENはwrangler secretで設定する(未設定なら管理用APIは全て拒否)
+*/
+export async function auth_admin_check(request, env) {
+    if (!env.ADMIN_TOKEN) {
+        throw new ForbiddenError('Admin API is disabled', 'ADMIN_DISABLED');
+    }
+    const token = bearer_token_get(request);
+    if (!token) {
+        throw new AuthError('Admin credential is required');
+    }
+    if (!await secret_equals(token, env.ADMIN_TOKEN)) {
+        throw new AuthError('Invalid admin credential', 'INVALID_CREDENTIAL');
+    }
+}
@@ -0,0 +1,74 @@
+import { crowd_storage_get } from './storage/index.mjs';
+import { ValidationError, ConflictError } from './errors.mjs';
+
+/*
+    教室の受付状況(混雑状況の数値とは別に係員が設定する)
+        open   : 受付中(既定)
+        paused : 一時停止中(上映の入れ替え中など) 投票は受け付ける
+        closed : 終了・中止(天候による閉鎖など) 投票と入室は受け付けない(退室は受け付ける)
+    受付状況は
+    {
+        "state": "open" | "paused" | "closed",
+        "message": "<来訪者向けの説明(100文字以内, 省略可)>",
+        "reopen_at": <再開予定日時(UNIXミリ秒, 省略可)>
+    }
+    再開予定日時を過ぎたら自動的に受付中として扱う
+*/
+
+export const AVAILABILITY_STATES = ['open', 'paused', 'closed'];
+export const AVAILABILITY_MESSAGE_MAX = 100;
+
+const availability_open = { state: 'open', message: null, reopen_at: null };
+
+// リクエストボディを検証し、保存する内容を返す(受付中に戻す場合はnull)
+export function availability_record_from_body(room_id, body, now) {
+    if (!AVAILABILITY_STATES.includes(body.state)) {
+        throw new ValidationError(`Field "state" must be one of ${AVAILABILITY_STATES.join(', ')}`, 'INVALID_AVAILABILITY');
+    }
+    const message = body.message ?? null;
+    if (message !== null && (typeof message !== 'string' || AVAILABILITY_MESSAGE_MAX < message.length)) {
+        throw new ValidationError(`Field "message" must be a string of at most ${AVAILABILITY_MESSAGE_MAX} characters`, 'INVALID_AVAILABILITY');
+    }
+    const reopen_at = body.reopen_at ?? null;
+    if (reopen_at !== null && (!Number.isSafeInteger(reopen_at) || reopen_at <= now)) {
+        throw new ValidationError('Field "reopen_at" must be a future UNIX time in milliseconds', 'INVALID_AVAILABILITY');
+    }
+
+    if (body.state === 'open') {
+        if (message !== null || reopen_at !== null) {
+            throw new ValidationError('Fields "message" and "reopen_at" are not allowed when "state" is "open"', 'INVALID_AVAILABILITY');
+        }
+        return null;
+    }
+    return { room_id, state: body.state, message: message || null, reopen_at, updated_at: now };
+}
+
+// 公開する受付状況(再開予定日時を過ぎていれば受付中)
+export function availability_view(record, now) {
+    if (!record || (record.reopen_at !== null && record.reopen_at <= now)) {
+        return { ...availability_open };
+    }
+    return { state: record.state, message: record.message, reopen_at: record.reopen_at };
+}
+
+// 全教室の受付状況を教室ID -> 保存内容の形で取得
+export async function availability_get_all(env) {
+    const records = await crowd_storage_get(env).availability_get_all();
+    return Object.fromEntries(records.map(record => [record.room_id, record]));
+}
+
+// 保存された受付状況が閉鎖中ならConflictErrorを投げる
+export function availability_record_assert_not_closed(room_id, record, now) {
+    const availability = availability_view(record, now);
+    if (availability.state === 'closed') {
+        const reason = availability.message ? `: ${availability.message}` : '';
+        throw new ConflictError(`Room "${room_id}" is closed${reason}`, 'ROOM_CLOSED');
+    }
+}
+
+// 閉鎖中の教室への投票・入室を拒否する(配信用に保存された受付状況を返す)
+export async function availability_assert_not_closed(env, room_id, now) {
+    const record = await crowd_storage_get(env).availability_get(room_id);
+    availability_record_assert_not_closed(room_id, record, now);
+    return record;
+}
@@ -0,0 +1,51 @@
+import { resp_json } from './response.mjs';
+
+/*
+    条件付きGET
+    ETagは内容(etag_sourceまたはレスポンスボディ)のSHA-256、Last-Modifiedは最終更新日時
+    If-None-Matchが一致するか、If-None-Matchが無くIf-Modified-Since以降に更新が無ければ304を返す
+    If-Modified-Sinceでは内容を比べられないので、last_modifiedはETagの元になる内容が変わるたびに進むもの
+    (時間の経過でstaleになるなど、保存された更新日時が変わらない変化も含む)を渡す
+    クライアントには毎回検証させる(Cache-Control: no-cache)
+*/
+
+async function etag_from_text(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    return `"${hex.slice(0, 32)}"`;
+}
+
+function if_none_match_matches(header, etag) {
+    // If-None-Matchは弱い比較なのでW/は無視する
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === '*' || tag === etag);
+}
+
+function is_not_modified(request, etag, last_modified) {
+    const if_none_match = request.headers.get('If-None-Match');
+    if (if_none_match !== null) {
+        return if_none_match_matches(if_none_match, etag);
+    }
+    const if_modified_since = Date.parse(request.headers.get('If-Modified-Since') ?? '');
+    if (last_modified === null || Number.isNaN(if_modified_since)) {
+        return false;
+    }
+    // HTTPの日時は秒単位
+    return Math.floor(last_modified / 1000) * 1000 <= if_modified_since;
+}
+
+export async function resp_json_conditional(request, body, { etag_source = null, last_modified = null, headers = {} } = {}) {
+    const etag = await etag_from_text(etag_source ?? JSON.stringify(body));
+    const validator_headers = {
+        'ETag': etag,
+        ...(last_modified !== null ? { 'Last-Modified': new Date(last_modified).toUTCString() } : {}),
+        'Cache-Control': 'no-cache',
+        ...headers
+    };
+
+    if (is_not_modified(request, etag, last_modified)) {
+        return new Response(null, { status: 304, headers: validator_headers });
+    }
+    return resp_json(body, 200, validator_headers);
+}
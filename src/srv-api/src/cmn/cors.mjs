@@ -0,0 +1,160 @@
+import { ForbiddenError } from './errors.mjs';
+import { DEVICE_TOKEN_HEADER } from './devicetoken.mjs';
+import { DEVICE_ID_HEADER } from './ratelimit.mjs';
+import { HOURS_OPEN_HEADER, HOURS_OPENS_AT_HEADER, HOURS_CLOSES_AT_HEADER } from './hours.mjs';
+
+/*
+    CORS(フロントエンドはAPIと別のオリジン(ASS_ORIGIN)から呼ぶ)
+    設定はwrangler.jsoncのvarsで行う
+        CORS_READ_ORIGINS      : GET/HEADを許すオリジンのカンマ区切り("*"なら全て, 既定値: *)
+        CORS_WRITE_ORIGINS     : PUT/POST/PATCH/DELETEも許すオリジンのカンマ区切り
+                                 (wrangler.jsoncの値はbin/ci/repl-ph.shがASS_ORIGINに置き換える 未設定ならCORS_READ_ORIGINSと同じ)
+        CORS_MAX_AGE_SECONDS   : プリフライトの結果をブラウザに残す秒数(既定値: 7200, Chromiumの上限)
+        CORS_ALLOW_CREDENTIALS : CORS_WRITE_ORIGINSのオリジンにCookieなどの送信を許すか(既定値: false)
+    APIと同じオリジンとOriginヘッダの無いリクエスト(curlなど)は常に許す
+    許されていないオリジンからの更新はハンドラを呼ばずに403で拒否する(プリフライトの無い送信でも更新させない)
+*/
+
+const cors_read_methods = ['GET', 'HEAD'];
+const cors_write_methods = ['PUT', 'POST', 'PATCH', 'DELETE'];
+
+const cors_defaults = {
+    read_origins: '*',
+    max_age_seconds: 7200
+};
+
+// ブラウザから送ってよいヘッダ(端末トークン・端末ID・条件付きGETの検証子など)
+export const CORS_ALLOWED_HEADERS = [
+    'Content-Type',
+    'Authorization',
+    DEVICE_TOKEN_HEADER,
+    DEVICE_ID_HEADER,
+    'If-None-Match',
+    'If-Modified-Since'
+];
+// ブラウザのJavaScriptから読めるようにするヘッダ
+export const CORS_EXPOSED_HEADERS = [
+    'ETag', 'Last-Modified', 'Retry-After', 'X-Request-Id',
+    HOURS_OPEN_HEADER, HOURS_OPENS_AT_HEADER, HOURS_CLOSES_AT_HEADER
+];
+
+// 置き換えられていないプレースホルダ("{{...}}", wrangler devで動かした場合)は設定されていないものとして扱う
+function cors_origins_parse(value) {
+    return (value ?? '').split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(origin => origin !== '' && !/^\{\{.*\}\}$/.test(origin));
+}
+
+function config_int(value, default_value) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(number) && number >= 0 ? number : default_value;
+}
+
+function cors_config_get(env) {
+    const read_origins = cors_origins_parse(env.CORS_READ_ORIGINS ?? cors_defaults.read_origins);
+    const write_origins = cors_origins_parse(env.CORS_WRITE_ORIGINS);
+    return {
+        read_origins,
+        write_origins: write_origins.length > 0 ? write_origins : read_origins,
+        // 認証情報は一覧で指定したオリジンにのみ許す("*"から引き継いだ場合は許さない)
+        credential_origins: write_origins,
+        max_age_seconds: config_int(env.CORS_MAX_AGE_SECONDS, cors_defaults.max_age_seconds),
+        allow_credentials: env.CORS_ALLOW_CREDENTIALS === 'true'
+    };
+}
+
+// 別のオリジンからのリクエストならそのOrigin(同じオリジンかOriginが無ければnull)
+function cors_request_origin(request) {
+    const origin = request.headers.get('Origin');
+    if (origin === null || origin === new URL(request.url).origin) {
+        return null;
+    }
+    return origin;
+}
+
+function cors_can_write(config, origin) {
+    return config.write_origins.includes('*') || config.write_origins.includes(origin);
+}
+
+function cors_can_read(config, origin) {
+    return config.read_origins.includes('*') || config.read_origins.includes(origin) || cors_can_write(config, origin);
+}
+
+function cors_method_allowed(config, origin, method) {
+    if (cors_read_methods.includes(method)) {
+        return cors_can_read(config, origin);
+    }
+    return cors_write_methods.includes(method) && cors_can_write(config, origin);
+}
+
+/*
+    Access-Control-Allow-Originなど、オリジンごとに決まるヘッダ
+    更新を許すオリジンと一覧で指定したオリジンにはOriginをそのまま返し、それ以外は"*"を返す
+    (Originによって内容が変わる場合はVary: Originを付けてキャッシュを分けさせる)
+    認証情報は"*"とは併用できないので、Originをそのまま返すオリジンにのみ許す
+*/
+function cors_origin_headers(config, origin) {
+    if (!cors_can_write(config, origin) && config.read_origins.includes('*')) {
+        return { 'Access-Control-Allow-Origin': '*' };
+    }
+    return {
+        'Access-Control-Allow-Origin': origin,
+        ...(config.allow_credentials && config.credential_origins.includes(origin) ? { 'Access-Control-Allow-Credentials': 'true' } : {}),
+        'Vary': 'Origin'
+    };
+}
+
+// プリフライト(OPTIONS)への応答 許されていないオリジン・メソッドは403
+export function cors_preflight_response(request, env) {
+    const origin = cors_request_origin(request);
+    const method = request.headers.get('Access-Control-Request-Method');
+    if (origin === null || method === null) {
+        // プリフライトでないOPTIONSは対応するメソッドのみ返す
+        return new Response(null, { status: 204, headers: { 'Allow': [...cors_read_methods, ...cors_write_methods, 'OPTIONS'].join(', ') } });
+    }
+    const config = cors_config_get(env);
+    if (!cors_method_allowed(config, origin, method.toUpperCase())) {
+        throw new ForbiddenError(`Origin ${origin} is not allowed to use ${method}`, 'CORS_NOT_ALLOWED');
+    }
+    const methods = cors_can_write(config, origin) ? [...cors_read_methods, ...cors_write_methods] : cors_read_methods;
+    return new Response(null, {
+        status: 204,
+        headers: {
+            ...cors_origin_headers(config, origin),
+            'Access-Control-Allow-Methods': methods.join(', '),
+            'Access-Control-Allow-Headers': CORS_ALLOWED_HEADERS.join(', '),
+            'Access-Control-Max-Age': String(config.max_age_seconds)
+        }
+    });
+}
+
+// 許されていないオリジンからのリクエストを拒否する(GET/HEADは公開しているオリジン以外でもレスポンスを読めないだけなので通す)
+export function cors_origin_assert(request, env) {
+    const origin = cors_request_origin(request);
+    if (origin === null || cors_read_methods.includes(request.method) || request.method === 'OPTIONS') {
+        return;
+    }
+    if (!cors_method_allowed(cors_config_get(env), origin, request.method)) {
+        throw new ForbiddenError(`Origin ${origin} is not allowed to use ${request.method}`, 'CORS_NOT_ALLOWED');
+    }
+}
+
+// 別のオリジンへのレスポンス(エラーを含む)にCORSのヘッダを付ける
+export function cors_headers_apply(response, request, env) {
+    const origin = cors_request_origin(request);
+    if (origin === null || request.method === 'OPTIONS') {
+        return;
+    }
+    const config = cors_config_get(env);
+    if (!cors_method_allowed(config, origin, request.method)) {
+        return;
+    }
+    for (const [name, value] of Object.entries(cors_origin_headers(config, origin))) {
+        if (name === 'Vary') {
+            response.headers.append(name, value);
+        } else {
+            response.headers.set(name, value);
+        }
+    }
+    response.headers.set('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+}
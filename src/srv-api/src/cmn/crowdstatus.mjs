@@ -0,0 +1,17 @@
+// 混雑状況の段階(1: 空 ～ 5: 満)
+export const CROWD_STATUS_MIN = 1;
+export const CROWD_STATUS_MAX = 5;
+
+export function crowd_status_is_valid(status) {
+    return Number.isInteger(status) && CROWD_STATUS_MIN <= status && status <= CROWD_STATUS_MAX;
+}
+
+/*
+    在室人数から混雑状況を求める(人数計測モードの教室用)
+    定員に対する割合で段階を等分し、定員以上なら最大(満)とする
+        25%未満: 1, 50%未満: 2, 75%未満: 3, 100%未満: 4, 100%以上: 5
+*/
+export function crowd_status_from_occupancy(occupancy, capacity) {
+    const steps = CROWD_STATUS_MAX - CROWD_STATUS_MIN;
+    return Math.min(CROWD_STATUS_MAX, CROWD_STATUS_MIN + Math.floor(occupancy * steps / capacity));
+}
@@ -0,0 +1,106 @@
+import { DurableObject } from 'cloudflare:workers';
+import { ApiError } from './errors.mjs';
+import { event_scoped_name } from './event.mjs';
+
+/*
+    混雑状況の変更をServer-Sent Eventsで配信する
+    接続はDurable Object(CrowdStreamHub)1つに集め、PUT /crowd/:room_idから通知して全接続に送る
+        event: crowd
+        data: { "room_id": "<教室ID>", ...GET /crowdの各教室と同じ内容 }
+    緊急放送の発令・解除(PUT /emergency)も同じ接続で送る
+        event: emergency
+        data: { ...GET /emergencyと同じ内容 }
+    接続直後と定期的に送るコメント行(": ...")は接続維持用で、クライアントは無視してよい
+    ※取りこぼしの再送はしないので、クライアントは(再)接続時に/crowdを取得し直す
+    開催(cmn/event.mjs)ごとに別のCrowdStreamHubにする
+*/
+
+const hub_name = 'crowd';
+// クライアントの再接続間隔(ミリ秒)
+const retry_ms = 5000;
+// 途中のプロキシに切断されないよう送るコメントの間隔(ミリ秒)
+const heartbeat_ms = 25000;
+
+const encoder = new TextEncoder();
+
+export class CrowdStreamHub extends DurableObject {
+    #writers = new Set();
+    #heartbeat_id = null;
+
+    // 購読(SSEのストリームを返す)
+    async fetch(request) {
+        const { readable, writable } = new TransformStream();
+        const writer = writable.getWriter();
+        this.#writers.add(writer);
+        this.#write(writer, `retry: ${retry_ms}\n: connected\n\n`);
+
+        request.signal?.addEventListener('abort', () => this.#remove(writer));
+        this.#heartbeat_id ??= setInterval(() => this.#broadcast(': ping\n\n'), heartbeat_ms);
+
+        return new Response(readable, {
+            headers: {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-store'
+            }
+        });
+    }
+
+    // RPCでWorkerから呼ばれる
+    async publish(event, name = 'crowd') {
+        this.#broadcast(`event: ${name}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+
+    #broadcast(text) {
+        for (const writer of this.#writers) {
+            this.#write(writer, text);
+        }
+    }
+
+    #write(writer, text) {
+        // 書き込みに失敗した(切断された)接続は外す
+        writer.write(encoder.encode(text)).catch(() => this.#remove(writer));
+    }
+
+    #remove(writer) {
+        if (!this.#writers.delete(writer)) {
+            return;
+        }
+        writer.abort().catch(() => { });
+        if (this.#writers.size === 0 && this.#heartbeat_id !== null) {
+            clearInterval(this.#heartbeat_id);
+            this.#heartbeat_id = null;
+        }
+    }
+}
+
+function crowd_stream_hub_get(env) {
+    if (!env.CROWD_STREAM) {
+        throw new ApiError(503, 'STREAM_UNAVAILABLE', 'Crowd stream is not configured');
+    }
+    return env.CROWD_STREAM.get(env.CROWD_STREAM.idFromName(event_scoped_name(env, hub_name)));
+}
+
+export async function crowd_stream_subscribe(request, env) {
+    // ルータが手を加えたRequestはそのまま渡せないので作り直す
+    return await crowd_stream_hub_get(env).fetch(new Request(request.url, { signal: request.signal }));
+}
+
+/*
+    変更を配信する(ctx.waitUntilに渡して使う)
+    配信の失敗で更新自体を失敗させないよう、エラーはログに残すだけにする
+*/
+export async function crowd_stream_publish(env, event) {
+    try {
+        await crowd_stream_hub_get(env).publish(event);
+    } catch (error) {
+        console.warn('[WARN] failed to publish crowd update', error);
+    }
+}
+
+export async function emergency_stream_publish(env, emergency) {
+    try {
+        await crowd_stream_hub_get(env).publish(emergency, 'emergency');
+    } catch (error) {
+        console.warn('[WARN] failed to publish emergency update', error);
+    }
+}
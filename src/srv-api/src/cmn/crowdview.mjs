@@ -0,0 +1,94 @@
+import { crowd_freshness_get, crowd_freshness_changed_at } from './freshness.mjs';
+import { crowd_wait_estimate, crowd_wait_changed_at } from './waittime.mjs';
+import { crowd_status_from_occupancy } from './crowdstatus.mjs';
+import { room_is_headcount } from './rooms.mjs';
+import { availability_view } from './availability.mjs';
+
+/*
+    GET /crowd, GET /crowd/:room_idで返す1教室分のデータ
+    age_secondsはレスポンスを作った時点のもの(条件付きGETのETagには含めない)
+    人数計測モードの教室は、定員の変更をすぐ反映するため在室人数から混雑状況を求め直す
+    受付状況(availability)は保存されたもの(無ければ受付中)をそのまま付ける
+    受付中でない教室は混雑状況がまだ無くても返す(item: null → statusとupdated_atはnull)
+    待ち時間の目安は受付中の教室のみ返す
+*/
+export function crowd_item_view(env, item, room, now, availability = null) {
+    const view_availability = availability_view(availability, now);
+    if (!item) {
+        return {
+            status: null,
+            updated_at: null,
+            confidence: null,
+            vote_count: null,
+            stale: false,
+            age_seconds: null,
+            estimated_wait_minutes: null,
+            occupancy: null,
+            capacity: null,
+            availability: view_availability
+        };
+    }
+    const headcount = room_is_headcount(room) && item.occupancy !== undefined;
+    if (headcount) {
+        item = { ...item, status: crowd_status_from_occupancy(item.occupancy, room.capacity) };
+    }
+    const freshness = crowd_freshness_get(env, item, room, now);
+    return {
+        status: freshness.status,
+        updated_at: item.updated_at,
+        confidence: item.confidence ?? null,
+        vote_count: item.vote_count ?? null,
+        stale: freshness.stale,
+        age_seconds: freshness.age_seconds,
+        estimated_wait_minutes: view_availability.state === 'open' ? crowd_wait_estimate(room, freshness.status, item, now) : null,
+        occupancy: headcount ? item.occupancy : null,
+        capacity: headcount ? room.capacity : null,
+        availability: view_availability
+    };
+}
+
+/*
+    crowd_item_viewの内容が最後に変わった日時(無ければnull) 条件付きGETのLast-Modifiedに使う
+    保存された更新日時に加え、時間の経過で変わるもの(stale・不明になった、再開予定日時を過ぎた、待ち時間の目安が増えた)も含める
+    (更新日時だけだと、If-Modified-Sinceのみで確かめるクライアントに変わった内容が届かない)
+*/
+export function crowd_item_view_changed_at(env, item, room, now, availability = null) {
+    const times = [item?.updated_at, availability?.updated_at];
+    if (availability?.reopen_at != null && availability.reopen_at <= now) {
+        times.push(availability.reopen_at);
+    }
+    if (item) {
+        times.push(crowd_freshness_changed_at(env, item, room, now), crowd_wait_changed_at(room, item, now));
+    }
+    const known = times.filter(time => time != null);
+    return known.length > 0 ? Math.max(...known) : null;
+}
+
+// 条件付きGETのETag用にage_secondsを除いた内容を返す
+export function crowd_item_view_without_age({ age_seconds, ...item }) {
+    return item;
+}
+
+/*
+    GET /crowdの教室ごとの内容(教室ID -> crowd_item_view, 閉場時の記録でも使う)
+    保存先によって順序が変わりうるのでETagが安定するよう教室ID順に並べる
+    混雑状況がまだ無くても受付中でない教室は含める
+    last_modifiedは含めた教室の内容が最後に変わった日時(crowd_item_view_changed_at, 無ければnull)
+*/
+export function crowd_views_build(env, rooms, crowd_items, availabilities, now) {
+    const views = {};
+    let last_modified = null;
+    const items = Object.fromEntries(crowd_items.map(item => [item.room_id, item]));
+    const room_ids = [...new Set([...Object.keys(items), ...Object.keys(availabilities)])].sort();
+    for (const room_id of room_ids) {
+        const item = items[room_id] ?? null;
+        const availability = availabilities[room_id] ?? null;
+        const view = crowd_item_view(env, item, rooms?.[room_id], now, availability);
+        if (!item && view.availability.state === 'open') {
+            continue;
+        }
+        views[room_id] = view;
+        last_modified = Math.max(last_modified ?? 0, crowd_item_view_changed_at(env, item, rooms?.[room_id], now, availability) ?? 0);
+    }
+    return { views, last_modified };
+}
@@ -0,0 +1,141 @@
+import { ApiError, AuthError, ForbiddenError } from './errors.mjs';
+import { auth_admin_is } from './auth.mjs';
+import { device_token_data_get } from './kvquery.mjs';
+
+/*
+    端末トークン(教室ごとの書き込み用トークン)
+        <ペイロード(base64url)>.<署名(base64url)>
+    ペイロードは { "tid": "<トークンID>", "room": "<教室ID>", "exp": <有効期限(UNIXミリ秒)> }
+    署名はDEVICE_TOKEN_SECRETをキーとしたペイロードのHMAC-SHA256
+    失効はKVに保存した発行記録(kvquery.mjs)で管理する
+*/
+
+export const DEVICE_TOKEN_HEADER = 'X-Device-Token';
+
+function base64url_encode(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64url_decode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+}
+
+async function hmac_key_get(env) {
+    if (!env.DEVICE_TOKEN_SECRET) {
+        throw new ApiError(500, 'DEVICE_TOKEN_MISCONFIGURED', 'DEVICE_TOKEN_SECRET is not configured');
+    }
+    return await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(env.DEVICE_TOKEN_SECRET),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+export async function device_token_sign(env, { token_id, room_id, expires_at }) {
+    const payload = new TextEncoder().encode(JSON.stringify({ tid: token_id, room: room_id, exp: expires_at }));
+    const signature = await crypto.subtle.sign('HMAC', await hmac_key_get(env), payload);
+    return `${base64url_encode(payload)}.${base64url_encode(new Uint8Array(signature))}`;
+}
+
+// 署名と有効期限のみを確認してペイロードを返す(失効の確認はしない)
+export async function device_token_verify(env, token) {
+    const parts = token.split('.');
+    if (parts.length !== 2) {
+        throw new AuthError('Malformed device token', 'DEVICE_TOKEN_INVALID');
+    }
+
+    let payload_bytes, signature_bytes, payload;
+    try {
+        payload_bytes = base64url_decode(parts[0]);
+        signature_bytes = base64url_decode(parts[1]);
+        payload = JSON.parse(new TextDecoder().decode(payload_bytes));
+    } catch (e) {
+        throw new AuthError('Malformed device token', 'DEVICE_TOKEN_INVALID');
+    }
+
+    if (!await crypto.subtle.verify('HMAC', await hmac_key_get(env), signature_bytes, payload_bytes)) {
+        throw new AuthError('Invalid device token signature', 'DEVICE_TOKEN_INVALID');
+    }
+    if (!Number.isInteger(payload.exp) || payload.exp <= Date.now()) {
+        throw new AuthError('Device token has expired', 'DEVICE_TOKEN_EXPIRED');
+    }
+    return { token_id: payload.tid, room_id: payload.room, expires_at: payload.exp };
+}
+
+export function device_token_is_required(env) {
+    return env.DEVICE_TOKEN_REQUIRED === 'true';
+}
+
+// 失効していないか確認する
+async function device_token_assert_not_revoked(env, payload) {
+    const record = await device_token_data_get(env, payload.room_id, payload.token_id);
+    if (!record || record.revoked_at) {
+        throw new AuthError('Device token has been revoked', 'DEVICE_TOKEN_REVOKED');
+    }
+}
+
+/*
+    混雑状況の書き込み権限の確認
+    DEVICE_TOKEN_REQUIREDが"true"のときのみ有効(係員のみの操作はrequired: trueで常に確認する)
+    その教室用の端末トークンか、管理者の認証情報があれば許可する
+*/
+export async function device_token_check(request, env, room_id, { required = device_token_is_required(env) } = {}) {
+    if (!required) {
+        return;
+    }
+    if (await auth_admin_is(request, env)) {
+        return;
+    }
+
+    const token = request.headers.get(DEVICE_TOKEN_HEADER);
+    if (!token) {
+        throw new AuthError('Device token is required', 'DEVICE_TOKEN_REQUIRED');
+    }
+
+    const payload = await device_token_verify(env, token);
+    if (payload.room_id !== room_id) {
+        throw new ForbiddenError('Device token is not for this room', 'DEVICE_TOKEN_ROOM_MISMATCH');
+    }
+    await device_token_assert_not_revoked(env, payload);
+}
+
+/*
+    複数教室の一括更新(PUT /crowd)用の書き込み権限の確認
+    X-Device-Tokenにはカンマ区切りで複数の教室のトークンを付けられる
+    教室ごとに確認し、教室ID -> 拒否したエラー(許可ならnull)を返す
+    (トークンの形式や署名が不正な場合は教室に関わらずリクエスト全体を拒否する)
+*/
+export async function device_token_check_rooms(request, env, room_ids) {
+    const denied = Object.fromEntries(room_ids.map(room_id => [room_id, null]));
+    if (!device_token_is_required(env) || await auth_admin_is(request, env)) {
+        return denied;
+    }
+
+    const tokens = (request.headers.get(DEVICE_TOKEN_HEADER) ?? '').split(',').map(token => token.trim()).filter(Boolean);
+    if (tokens.length === 0) {
+        throw new AuthError('Device token is required', 'DEVICE_TOKEN_REQUIRED');
+    }
+    const payloads = [];
+    for (const token of tokens) {
+        payloads.push(await device_token_verify(env, token));
+    }
+
+    for (const room_id of room_ids) {
+        const payload = payloads.find(payload => payload.room_id === room_id);
+        try {
+            if (!payload) {
+                throw new ForbiddenError('No device token for this room', 'DEVICE_TOKEN_ROOM_MISMATCH');
+            }
+            await device_token_assert_not_revoked(env, payload);
+        } catch (error) {
+            if (!(error instanceof AuthError || error instanceof ForbiddenError)) {
+                throw error;
+            }
+            denied[room_id] = error;
+        }
+    }
+    return denied;
+}
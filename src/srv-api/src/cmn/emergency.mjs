@@ -0,0 +1,41 @@
+import { ValidationError } from './errors.mjs';
+
+/*
+    緊急放送(避難誘導や全体への連絡)
+    発令中は全ての画面(ダッシュボード・入力ページ・来訪者の端末)が緊急放送の全画面表示に切り替わる
+    リクエストボディは
+    {
+        "active": true | false,
+        "message": "<表示する本文(1～500文字, 発令時のみ必須)>"
+    }
+    activeをfalseにすると解除される
+*/
+
+export const EMERGENCY_MESSAGE_MAX = 500;
+
+export const EMERGENCY_FIELDS = ['active', 'message'];
+
+// 一度も発令されていない場合の状態
+const emergency_inactive = { active: false, message: null, updated_at: null };
+
+// リクエストボディを検証し、保存する内容を返す
+export function emergency_record_from_body(body, now) {
+    if (typeof body.active !== 'boolean') {
+        throw new ValidationError('Field "active" must be a boolean', 'INVALID_EMERGENCY');
+    }
+    if (!body.active) {
+        if (body.message !== undefined && body.message !== null) {
+            throw new ValidationError('Field "message" is not allowed when "active" is false', 'INVALID_EMERGENCY');
+        }
+        return { active: false, message: null, updated_at: now };
+    }
+    if (typeof body.message !== 'string' || body.message.trim().length < 1 || EMERGENCY_MESSAGE_MAX < body.message.length) {
+        throw new ValidationError(`Field "message" must be 1 to ${EMERGENCY_MESSAGE_MAX} characters`, 'INVALID_EMERGENCY');
+    }
+    return { active: true, message: body.message.trim(), updated_at: now };
+}
+
+// 公開する状態(保存されていなければ解除中)
+export function emergency_view(record) {
+    return record ? { active: record.active, message: record.message, updated_at: record.updated_at } : { ...emergency_inactive };
+}
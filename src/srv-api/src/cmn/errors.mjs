@@ -0,0 +1,78 @@
+/*
+    ハンドラ内ではレスポンスを直接組み立てずにこれらのエラーを投げる
+    index.mjsのルータがまとめてエラーレスポンスに変換する
+*/
+
+export class ApiError extends Error {
+    constructor(status, code, message, options) {
+        super(message, options);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// リクエストの内容が不正
+export class ValidationError extends ApiError {
+    constructor(message, code = 'VALIDATION_FAILED') {
+        super(400, code, message);
+    }
+}
+
+// リクエストの形式(Content-Type)が不正
+export class UnsupportedMediaTypeError extends ApiError {
+    constructor(message, code = 'UNSUPPORTED_MEDIA_TYPE') {
+        super(415, code, message);
+    }
+}
+
+// 対象が存在しない
+export class NotFoundError extends ApiError {
+    constructor(message, code = 'NOT_FOUND') {
+        super(404, code, message);
+    }
+}
+
+// 認証情報が無いか不正
+export class AuthError extends ApiError {
+    constructor(message, code = 'UNAUTHORIZED') {
+        super(401, code, message);
+    }
+}
+
+// 認証はされたが権限が無い
+export class ForbiddenError extends ApiError {
+    constructor(message, code = 'FORBIDDEN') {
+        super(403, code, message);
+    }
+}
+
+// 対象の現在の状態では受け付けられない
+export class ConflictError extends ApiError {
+    constructor(message, code = 'CONFLICT') {
+        super(409, code, message);
+    }
+}
+
+// 短時間にリクエストが多すぎる(retry_after秒後に再試行できる)
+export class RateLimitError extends ApiError {
+    constructor(message, retry_after, code = 'RATE_LIMITED') {
+        super(429, code, message);
+        this.retry_after = retry_after;
+    }
+}
+
+// 一括更新の一部の項目を受け付けられない(何も更新せず、項目ごとの結果をresultsに入れて返す)
+export class BatchRejectedError extends ApiError {
+    constructor(message, results, code = 'BATCH_REJECTED') {
+        super(400, code, message);
+        this.results = results;
+    }
+}
+
+// DB(KV/DynamoDB)へのアクセスに失敗
+export class StorageError extends ApiError {
+    constructor(message, cause, code = 'STORAGE_UNAVAILABLE') {
+        super(502, code, message, { cause: cause });
+    }
+}
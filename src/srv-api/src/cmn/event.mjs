@@ -0,0 +1,84 @@
+import { NotFoundError } from './errors.mjs';
+
+/*
+    開催(文化祭・オープンキャンパスなど)ごとのデータの区切り
+    /events/:event_id/... のルートはその開催のデータを扱い、従来のルート(/rooms, /crowd, ...)は既定の開催の別名になる
+    開催はwrangler.jsoncのvarsで設定する
+        EVENT_IDS        : 開催IDのカンマ区切り(EVENT_DEFAULT_ID は書かなくても含める)
+        EVENT_DEFAULT_ID : 従来のルートで扱う開催(既定値: sf25)
+        EVENT_LEGACY_ID  : 区切りを入れる前のキーのまま読み書きする開催(既定値: sf25, sf25のデータをそのまま使うため)
+    ハンドラには開催ごとのenv(event_env_get)を渡し、各データは以下のように分ける
+        KV(db_mini, 保存先・レート制限のKV) : キーの頭に event:<event_id>: を付ける
+        混雑状況の保存先                    : 教室IDの頭に <event_id>/ を付ける(storage/scoped.mjs)
+        配信(CrowdStreamHub)                : 開催ごとに別のDurable Objectにする
+*/
+
+export const EVENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const event_default_id = 'sf25';
+
+export function event_config_get(env) {
+    const default_id = env.EVENT_DEFAULT_ID || event_default_id;
+    const ids = (env.EVENT_IDS ?? '').split(',').map(id => id.trim()).filter(id => EVENT_ID_PATTERN.test(id));
+    return {
+        ids: [...new Set([default_id, ...ids])],
+        default_id,
+        legacy_id: env.EVENT_LEGACY_ID || event_default_id
+    };
+}
+
+// 開催ごとに分ける名前(区切りを入れる前の開催とEVENT_IDの無いenvはそのまま)
+export function event_scoped_name(env, name) {
+    if (env.EVENT_ID === undefined || env.EVENT_ID === event_config_get(env).legacy_id) {
+        return name;
+    }
+    return `event:${env.EVENT_ID}:${name}`;
+}
+
+// 混雑状況の保存先で教室IDの頭に付けるもの(区切りを入れる前の開催は空文字列)
+export function event_storage_prefix(env) {
+    return event_scoped_name(env, '') === '' ? '' : `${env.EVENT_ID}/`;
+}
+
+// キーの頭に付けるものを付け外しするKVの包み(ハンドラが使うメソッドのみ)
+function event_kv_wrap(kv, prefix) {
+    return {
+        get: (key, options) => kv.get(prefix + key, options),
+        getWithMetadata: (key, options) => kv.getWithMetadata(prefix + key, options),
+        put: (key, value, options) => kv.put(prefix + key, value, options),
+        delete: key => kv.delete(prefix + key),
+        list: async (options = {}) => {
+            const res = await kv.list({ ...options, prefix: prefix + (options.prefix ?? '') });
+            return { ...res, keys: res.keys.map(key => ({ ...key, name: key.name.slice(prefix.length) })) };
+        }
+    };
+}
+
+/*
+    開催ごとのenvを返す(開催IDは/events/:event_idか、無ければ既定の開催)
+    登録されていない開催は404
+*/
+export function event_env_get(request, env) {
+    const config = event_config_get(env);
+    const event_id = request.params?.event_id ?? config.default_id;
+    if (!config.ids.includes(event_id)) {
+        throw new NotFoundError(`Event "${event_id}" not found`, 'EVENT_NOT_FOUND');
+    }
+
+    const scoped = { ...env, EVENT_ID: event_id };
+    const prefix = event_scoped_name(scoped, '');
+    if (prefix !== '') {
+        const kv_bindings = new Set(['db_mini', env.STORAGE_KV_BINDING ?? 'db_mini', env.RATE_LIMIT_KV_BINDING]);
+        for (const binding of kv_bindings) {
+            if (binding && env[binding]) {
+                scoped[binding] = event_kv_wrap(env[binding], prefix);
+            }
+        }
+    }
+    return scoped;
+}
+
+// ハンドラを開催ごとのenvで呼ぶよう包む(index.mjsで各ルートに使う)
+export function event_scoped_handler(handler) {
+    return (request, env, ctx) => handler(request, event_env_get(request, env), ctx);
+}
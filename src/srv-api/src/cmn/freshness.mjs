@@ -0,0 +1,69 @@
+import { room_is_headcount } from './rooms.mjs';
+
+/*
+    混雑状況の鮮度
+    設定はwrangler.jsoncのvarsで行い、教室データの同名の項目で教室ごとに上書きできる
+        CROWD_STALE_AFTER_SECONDS   (教室: stale_after_seconds)   : これより古い報告はstaleとする
+        CROWD_UNKNOWN_AFTER_SECONDS (教室: unknown_after_seconds) : これより古い報告は混雑状況を不明(null)にする(0ならしない)
+    人数計測モードの教室は入退室が無ければ人数も変わらないため、古さでは判定しない
+*/
+
+const freshness_defaults = {
+    stale_after_seconds: 1800,
+    unknown_after_seconds: 0
+};
+
+function config_int(value, default_value, min) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(number) && number >= min ? number : default_value;
+}
+
+function freshness_policy_get(env, room) {
+    return {
+        stale_after_seconds: room?.stale_after_seconds
+            ?? config_int(env.CROWD_STALE_AFTER_SECONDS, freshness_defaults.stale_after_seconds, 1),
+        unknown_after_seconds: room?.unknown_after_seconds
+            ?? config_int(env.CROWD_UNKNOWN_AFTER_SECONDS, freshness_defaults.unknown_after_seconds, 0)
+    };
+}
+
+// 報告の鮮度を判定する(古すぎる場合はstatusをnullにする)
+export function crowd_freshness_get(env, item, room, now) {
+    const age_seconds = Math.max(0, Math.floor((now - item.updated_at) / 1000));
+    if (room_is_headcount(room)) {
+        return { status: item.status, stale: false, age_seconds };
+    }
+    const policy = freshness_policy_get(env, room);
+    const unknown = policy.unknown_after_seconds > 0 && age_seconds >= policy.unknown_after_seconds;
+    return {
+        status: unknown ? null : item.status,
+        stale: age_seconds >= policy.stale_after_seconds,
+        age_seconds
+    };
+}
+
+// 報告がstaleか不明になった日時のうち、nowまでの最後のもの(まだ無ければnull) 条件付きGETのLast-Modifiedに使う
+export function crowd_freshness_changed_at(env, item, room, now) {
+    if (room_is_headcount(room)) {
+        return null;
+    }
+    const policy = freshness_policy_get(env, room);
+    const seconds = [policy.stale_after_seconds];
+    if (policy.unknown_after_seconds > 0) {
+        seconds.push(policy.unknown_after_seconds);
+    }
+    const passed = seconds.map(value => item.updated_at + value * 1000).filter(time => time <= now);
+    return passed.length > 0 ? Math.max(...passed) : null;
+}
+
+// 報告を現在の混雑状況として扱う長さ(ミリ秒, staleか不明になるまで, 人数計測モードはnull) 統計で使う
+export function crowd_freshness_limit_ms(env, room) {
+    if (room_is_headcount(room)) {
+        return null;
+    }
+    const policy = freshness_policy_get(env, room);
+    const seconds = policy.unknown_after_seconds > 0
+        ? Math.min(policy.stale_after_seconds, policy.unknown_after_seconds)
+        : policy.stale_after_seconds;
+    return seconds * 1000;
+}
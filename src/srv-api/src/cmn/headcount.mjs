@@ -0,0 +1,76 @@
+import { crowd_storage_get } from './storage/index.mjs';
+import { rooms_data_get_all } from './kvquery.mjs';
+import { room_is_headcount } from './rooms.mjs';
+import { history_source_is_valid } from './history.mjs';
+import { device_token_check } from './devicetoken.mjs';
+import { ratelimit_headcount_check } from './ratelimit.mjs';
+import { crowd_stream_publish } from './crowdstream.mjs';
+import { webhook_dispatch } from './webhook.mjs';
+import { crowd_item_view } from './crowdview.mjs';
+import { availability_assert_not_closed } from './availability.mjs';
+import { ValidationError, NotFoundError, ConflictError } from './errors.mjs';
+import { req_json_body, req_assert_known_keys } from './request.mjs';
+import { resp_json } from './response.mjs';
+
+/*
+    人数計測モードの入退室(POST /crowd/:room_id/enter, POST /crowd/:room_id/exit)
+    リクエストボディは
+    {
+        "count": <人数(省略時は1)>,
+        "source": "<更新元(省略可, 履歴に記録される)>"
+    }
+    という形式のみ受け付ける
+    在室人数を増減し、定員から求めた混雑状況を公開する(履歴には求めた混雑状況を残す)
+*/
+
+export const HEADCOUNT_COUNT_MAX = 100;
+
+// direction: 入室は1、退室は-1
+export async function crowd_headcount_handle(request, env, ctx, direction) {
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, ['count', 'source']);
+    const count = body.count ?? 1;
+    if (!Number.isInteger(count) || count < 1 || HEADCOUNT_COUNT_MAX < count) {
+        throw new ValidationError(`Field "count" must be an integer between 1 and ${HEADCOUNT_COUNT_MAX}`, 'INVALID_COUNT');
+    }
+    if ('source' in body && !history_source_is_valid(body.source)) {
+        throw new ValidationError('Field "source" must match /^[a-z0-9_-]{1,32}$/', 'INVALID_BODY');
+    }
+
+    const room_id = request.params.room_id;
+    const rooms = await rooms_data_get_all(env);
+    if (!rooms || !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    const room = rooms[room_id];
+    if (!room_is_headcount(room)) {
+        throw new ConflictError(`Room "${room_id}" is not in headcount mode`, 'ROOM_NOT_HEADCOUNT');
+    }
+    const updated_at = Date.now();
+    // 閉鎖後も残っている人の退室は記録できるようにする
+    const availability = direction > 0
+        ? await availability_assert_not_closed(env, room_id, updated_at)
+        : await crowd_storage_get(env).availability_get(room_id);
+    await device_token_check(request, env, room_id);
+    await ratelimit_headcount_check(request, env);
+
+    // 変化前の状態はWebhookのしきい値の判定に使う
+    const storage = crowd_storage_get(env);
+    const previous = await storage.get_by_roomid(room_id);
+    const record = await storage.occupancy_add(
+        room_id,
+        direction * count,
+        room.capacity,
+        updated_at,
+        body.source ?? 'headcount'
+    );
+
+    // GET /crowd/:room_idと同じ形で返し、配信する
+    const item = crowd_item_view(env, record, room, updated_at, availability);
+    const previous_status = crowd_item_view(env, previous, room, updated_at, availability).status;
+    ctx.waitUntil(crowd_stream_publish(env, { room_id, ...item }));
+    ctx.waitUntil(webhook_dispatch(env, room_id, room, previous_status, item));
+    return resp_json(item, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,33 @@
+import { ValidationError } from './errors.mjs';
+import { req_query_int, req_query_string } from './request.mjs';
+
+export const HISTORY_LIMIT_DEFAULT = 100;
+export const HISTORY_LIMIT_MAX = 1000;
+
+// 更新元として受け付ける文字列
+export const HISTORY_SOURCE_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+export function history_source_is_valid(source) {
+    return typeof source === 'string' && HISTORY_SOURCE_PATTERN.test(source);
+}
+
+/*
+    履歴取得のクエリパラメータ
+        from   : 開始時刻(UNIXミリ秒, 省略時は0)
+        to     : 終了時刻(UNIXミリ秒, 省略時は現在時刻)
+        limit  : 1ページあたりの件数(省略時は100, 最大1000)
+        cursor : 前のレスポンスのnext_cursor
+*/
+export function history_query_parse(request) {
+    const from = req_query_int(request, 'from', { min: 0, default_value: 0 });
+    const to = req_query_int(request, 'to', { min: 0, default_value: Date.now() });
+    if (from > to) {
+        throw new ValidationError('Query parameter "from" must not be after "to"', 'INVALID_QUERY');
+    }
+    return {
+        from: from,
+        to: to,
+        limit: req_query_int(request, 'limit', { min: 1, max: HISTORY_LIMIT_MAX, default_value: HISTORY_LIMIT_DEFAULT }),
+        cursor: req_query_string(request, 'cursor', null)
+    };
+}
@@ -0,0 +1,182 @@
+import { ValidationError } from './errors.mjs';
+import { local_day_range, local_date_string } from './localtime.mjs';
+
+/*
+    公開時間(開催ごとにPUT /hoursで設定する)
+    {
+        "days": [{ "date": "YYYY-MM-DD", "open": "HH:MM", "close": "HH:MM" }, ...],
+        "rooms": { "<room_id>": { "open": "HH:MM", "close": "HH:MM" }, ... },
+        "reset": "unknown" | "empty"
+    }
+        days  : 開催日ごとの公開時間(会場の現地時刻, closeは"24:00"まで) 空の配列なら設定を削除する
+        rooms : 教室ごとの公開時間(省略可) 毎日同じ時刻で、その日の公開時間の内側に切り詰める
+        reset : 公開開始時に混雑状況を戻す値(unknown: 報告無し, empty: 空, 既定値: unknown)
+    設定が無ければ常に公開中として扱い、定期実行(cmn/scheduled.mjs)でも何もしない
+*/
+
+export const HOURS_DAYS_MAX = 31;
+export const HOURS_RESET_MODES = ['unknown', 'empty'];
+export const HOURS_FIELDS = ['days', 'rooms', 'reset'];
+// GET /crowdで開催全体の公開状況を伝えるヘッダ(ボディは教室IDをキーとしたまま)
+export const HOURS_OPEN_HEADER = 'X-Festival-Open';
+export const HOURS_OPENS_AT_HEADER = 'X-Festival-Opens-At';
+export const HOURS_CLOSES_AT_HEADER = 'X-Festival-Closes-At';
+
+const hours_day_fields = ['date', 'open', 'close'];
+const hours_time_fields = ['open', 'close'];
+const hours_time_pattern = /^(\d{2}):(\d{2})$/;
+const hours_minute_ms = 60 * 1000;
+
+// "HH:MM"を0時からの分にする(closeのみ"24:00"を許す, 不正な形式ならnull)
+function hours_minutes_parse(text, allow_end_of_day) {
+    const match = typeof text === 'string' ? hours_time_pattern.exec(text) : null;
+    if (!match) {
+        return null;
+    }
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    if (Number(match[2]) > 59 || minutes > 24 * 60 || (minutes === 24 * 60 && !allow_end_of_day)) {
+        return null;
+    }
+    return minutes;
+}
+
+// { open, close } を検証する(whereはエラーメッセージ用)
+function hours_time_range_assert_valid(range, fields, where) {
+    if (typeof range !== 'object' || range === null || Array.isArray(range)) {
+        throw new ValidationError(`${where} must be a JSON object`, 'INVALID_HOURS');
+    }
+    const unknown_keys = Object.keys(range).filter(key => !fields.includes(key));
+    if (unknown_keys.length > 0) {
+        throw new ValidationError(`Unknown fields in ${where}: ${unknown_keys.join(', ')}`, 'INVALID_HOURS');
+    }
+    const open = hours_minutes_parse(range.open, false);
+    const close = hours_minutes_parse(range.close, true);
+    if (open === null || close === null) {
+        throw new ValidationError(`${where} fields "open" and "close" must be times in HH:MM format`, 'INVALID_HOURS');
+    }
+    if (close <= open) {
+        throw new ValidationError(`${where} field "close" must be after "open"`, 'INVALID_HOURS');
+    }
+}
+
+// リクエストボディを検証し、保存する内容を返す(設定を削除する場合はnull)
+export function hours_record_from_body(body, now) {
+    if (!Array.isArray(body.days)) {
+        throw new ValidationError('Field "days" must be an array', 'INVALID_HOURS');
+    }
+    if (body.days.length > HOURS_DAYS_MAX) {
+        throw new ValidationError(`Too many days (max ${HOURS_DAYS_MAX})`, 'INVALID_HOURS');
+    }
+    const dates = new Set();
+    for (const [index, day] of body.days.entries()) {
+        hours_time_range_assert_valid(day, hours_day_fields, `Day ${index}`);
+        try {
+            local_day_range({}, day.date);
+        } catch (e) {
+            throw new ValidationError(`Day ${index} field "date" must be a valid date in YYYY-MM-DD format`, 'INVALID_HOURS');
+        }
+        if (dates.has(day.date)) {
+            throw new ValidationError(`Day "${day.date}" is listed more than once`, 'INVALID_HOURS');
+        }
+        dates.add(day.date);
+    }
+
+    const rooms = body.rooms ?? {};
+    if (typeof rooms !== 'object' || Array.isArray(rooms)) {
+        throw new ValidationError('Field "rooms" must be a JSON object', 'INVALID_HOURS');
+    }
+    for (const [room_id, range] of Object.entries(rooms)) {
+        hours_time_range_assert_valid(range, hours_time_fields, `Room "${room_id}"`);
+    }
+    const reset = body.reset ?? 'unknown';
+    if (!HOURS_RESET_MODES.includes(reset)) {
+        throw new ValidationError(`Field "reset" must be one of ${HOURS_RESET_MODES.join(', ')}`, 'INVALID_HOURS');
+    }
+    if (body.days.length === 0) {
+        return null;
+    }
+    return {
+        days: body.days
+            .map(({ date, open, close }) => ({ date, open, close }))
+            .sort((a, b) => a.date.localeCompare(b.date)),
+        rooms: Object.fromEntries(Object.keys(rooms).sort().map(room_id => [room_id, { open: rooms[room_id].open, close: rooms[room_id].close }])),
+        reset,
+        updated_at: now
+    };
+}
+
+// 公開する設定(保存されていなければ空)
+export function hours_view(record) {
+    if (!record) {
+        return { days: [], rooms: {}, reset: 'unknown', updated_at: null };
+    }
+    return { days: record.days, rooms: record.rooms, reset: record.reset, updated_at: record.updated_at };
+}
+
+/*
+    公開している期間 [{ date, from, to }, ...] (UNIXミリ秒, fromは含みtoは含まない, 開始順)
+    room_idを渡すとその教室の公開時間で切り詰める(その日に重ならなければ含めない)
+*/
+export function hours_periods(env, record, room_id = null) {
+    const room_range = room_id !== null ? record.rooms[room_id] ?? null : null;
+    const periods = [];
+    for (const day of record.days) {
+        const start = local_day_range(env, day.date).from;
+        let from = start + hours_minutes_parse(day.open, false) * hours_minute_ms;
+        let to = start + hours_minutes_parse(day.close, true) * hours_minute_ms;
+        if (room_range) {
+            from = Math.max(from, start + hours_minutes_parse(room_range.open, false) * hours_minute_ms);
+            to = Math.min(to, start + hours_minutes_parse(room_range.close, true) * hours_minute_ms);
+        }
+        if (from < to) {
+            periods.push({ date: day.date, from, to });
+        }
+    }
+    return periods;
+}
+
+// nowを含む期間(無ければnull)
+export function hours_period_current(periods, now) {
+    return periods.find(period => period.from <= now && now < period.to) ?? null;
+}
+
+// nowより後に始まる最初の期間(無ければnull)
+export function hours_period_next(periods, now) {
+    return periods.find(period => now < period.from) ?? null;
+}
+
+// 現地時刻でnowと同じ日の期間(無ければnull)
+export function hours_period_today(env, periods, now) {
+    const today = local_date_string(env, now);
+    return periods.find(period => period.date === today) ?? null;
+}
+
+/*
+    開催全体が公開中か(GET /hours/state)
+        open      : 公開中か(設定が無ければ常にtrue)
+        opens_at  : 公開中ならその日の公開開始、それ以外は次の公開開始(無ければnull)
+        closes_at : opens_atの日の公開終了(無ければnull)
+    changed_atはopenが最後に切り替わった日時(条件付きGETのLast-Modified用, 公開しない)
+*/
+export function hours_event_state(env, record, now) {
+    if (!record) {
+        return { view: { open: true, opens_at: null, closes_at: null }, changed_at: null };
+    }
+    const periods = hours_periods(env, record);
+    const current = hours_period_current(periods, now);
+    const period = current ?? hours_period_next(periods, now);
+    const previous = periods.filter(p => p.to <= now).at(-1) ?? null;
+    return {
+        view: { open: current !== null, opens_at: period?.from ?? null, closes_at: period?.to ?? null },
+        changed_at: current ? current.from : previous?.to ?? null
+    };
+}
+
+// hours_event_stateのviewをGET /crowdのヘッダにする(日時が無ければ付けない)
+export function hours_event_headers(view) {
+    return {
+        [HOURS_OPEN_HEADER]: String(view.open),
+        ...(view.opens_at !== null ? { [HOURS_OPENS_AT_HEADER]: String(view.opens_at) } : {}),
+        ...(view.closes_at !== null ? { [HOURS_CLOSES_AT_HEADER]: String(view.closes_at) } : {})
+    };
+}
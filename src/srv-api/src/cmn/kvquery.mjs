@@ -0,0 +1,414 @@
+import { StorageError } from './errors.mjs';
+
+const rooms_key = 'rooms';
+
+/*
+    KVの教室データは
+    {
+        ":room_id": {
+            "name": "<教室名>",
+            "desc": "<教室の説明>",
+            "floor": "<教室の階数>",
+            "sort_priority": <ソート優先度>
+        },
+        ...
+    }
+    という形式になっている
+    メタデータには最終更新日時 { "updated_at": <UNIXミリ秒> } を入れる(条件付きGET用)
+*/
+
+export async function rooms_data_get_raw(env) {
+    if (!env.db_mini) {
+        throw new StorageError('KV binding not found');
+    }
+    try {
+        return await env.db_mini.get(rooms_key);
+    } catch (error) {
+        throw new StorageError('Failed to access rooms data', error);
+    }
+}
+
+function rooms_data_parse(rooms_data) {
+    try {
+        return JSON.parse(rooms_data);
+    } catch (e) {
+        throw new StorageError('Invalid rooms data (not JSON)', e, 'STORAGE_DATA_INVALID');
+    }
+}
+
+export async function rooms_data_get_all(env) {
+    const rooms_data = await rooms_data_get_raw(env);
+    if (!rooms_data) {
+        return null;
+    }
+    return rooms_data_parse(rooms_data);
+}
+
+// 教室データに加えて、元の文字列と最終更新日時(KVを直接編集した場合はnull)を返す
+export async function rooms_data_get_all_with_meta(env) {
+    if (!env.db_mini) {
+        throw new StorageError('KV binding not found');
+    }
+    let res;
+    try {
+        res = await env.db_mini.getWithMetadata(rooms_key);
+    } catch (error) {
+        throw new StorageError('Failed to access rooms data', error);
+    }
+    if (!res.value) {
+        return null;
+    }
+    return {
+        rooms: rooms_data_parse(res.value),
+        raw: res.value,
+        updated_at: Number.isInteger(res.metadata?.updated_at) ? res.metadata.updated_at : null
+    };
+}
+
+// 教室データ全体を書き換える(KVには排他制御が無いため同時に編集すると後勝ちになる)
+export async function rooms_data_put_all(env, rooms) {
+    if (!env.db_mini) {
+        throw new StorageError('KV binding not found');
+    }
+    try {
+        await env.db_mini.put(rooms_key, JSON.stringify(rooms, null, 4), {
+            metadata: { updated_at: Date.now() }
+        });
+    } catch (error) {
+        throw new StorageError('Failed to write rooms data', error);
+    }
+}
+
+export async function rooms_data_exists(env, roomid) {
+    const rooms = await rooms_data_get_all(env);
+    return !!rooms && Object.prototype.hasOwnProperty.call(rooms, roomid);
+}
+
+/*
+    発行済みの端末トークンは
+    device_token:<room_id>:<token_id> : {
+        "token_id": "<トークンID>",
+        "room_id": "<教室ID>",
+        "label": "<用途のメモ>",
+        "issued_at": <発行日時>,
+        "expires_at": <有効期限>,
+        "revoked_at": <失効日時(有効ならnull)>
+    }
+    という形式で保存する(有効期限の1日後にKVから自動で消える)
+*/
+const device_token_prefix = 'device_token:';
+
+function device_token_key(room_id, token_id) {
+    return `${device_token_prefix}${room_id}:${token_id}`;
+}
+
+async function kv_access(env, fn) {
+    if (!env.db_mini) {
+        throw new StorageError('KV binding not found');
+    }
+    try {
+        return await fn(env.db_mini);
+    } catch (error) {
+        throw new StorageError('Failed to access KV', error);
+    }
+}
+
+export async function device_token_data_put(env, record) {
+    await kv_access(env, async kv => {
+        await kv.put(device_token_key(record.room_id, record.token_id), JSON.stringify(record), {
+            expiration: Math.floor(record.expires_at / 1000) + 24 * 60 * 60
+        });
+    });
+}
+
+export async function device_token_data_get(env, room_id, token_id) {
+    return await kv_access(env, async kv =>
+        await kv.get(device_token_key(room_id, token_id), { type: 'json' })
+    );
+}
+
+export async function device_token_data_list(env, room_id) {
+    return await kv_access(env, async kv => {
+        const records = [];
+        let cursor = undefined;
+        do {
+            const res = await kv.list({ prefix: device_token_key(room_id, ''), cursor });
+            for (const key of res.keys) {
+                records.push(await kv.get(key.name, { type: 'json' }));
+            }
+            cursor = res.list_complete ? undefined : res.cursor;
+        } while (cursor);
+        return records.filter(record => record !== null);
+    });
+}
+
+// 教室の端末トークンの記録を全て消す(記録が無いトークンは失効したものとして扱われる)
+export async function device_token_data_delete_all(env, room_id) {
+    await kv_access(env, async kv => {
+        let cursor = undefined;
+        do {
+            const res = await kv.list({ prefix: device_token_key(room_id, ''), cursor });
+            for (const key of res.keys) {
+                await kv.delete(key.name);
+            }
+            cursor = res.list_complete ? undefined : res.cursor;
+        } while (cursor);
+    });
+}
+
+/*
+    教室ごとの上映・講義の予定は
+    schedule:<room_id> : {
+        "sessions": [ { "start_at": <開始日時>, "end_at": <終了日時>, "title": "<題名>" }, ... ],
+        "updated_at": <最終更新日時>
+    }
+    という形式で保存する(sessionsは開始日時順)
+*/
+const schedule_prefix = 'schedule:';
+
+export async function schedule_data_get(env, room_id) {
+    return await kv_access(env, async kv =>
+        await kv.get(schedule_prefix + room_id, { type: 'json' })
+    );
+}
+
+export async function schedule_data_put(env, room_id, sessions) {
+    await kv_access(env, async kv => {
+        await kv.put(schedule_prefix + room_id, JSON.stringify({ sessions, updated_at: Date.now() }));
+    });
+}
+
+export async function schedule_data_delete(env, room_id) {
+    await kv_access(env, async kv => {
+        await kv.delete(schedule_prefix + room_id);
+    });
+}
+
+/*
+    お知らせは
+    notice:<notice_id> : {
+        "notice_id": "<お知らせID>",
+        "message": "<本文>",
+        "priority": "low" | "normal" | "high",
+        "starts_at": <掲示開始日時>,
+        "ends_at": <掲示終了日時(無期限ならnull)>,
+        "rooms": [ "<対象の教室ID>", ... ],
+        "floors": [ "<対象の階数>", ... ],
+        "created_at": <作成日時>
+    }
+    という形式で保存する(掲示終了の1日後にKVから自動で消える)
+*/
+const notice_prefix = 'notice:';
+
+export async function notice_data_put(env, record) {
+    await kv_access(env, async kv => {
+        await kv.put(notice_prefix + record.notice_id, JSON.stringify(record),
+            record.ends_at !== null ? { expiration: Math.floor(record.ends_at / 1000) + 24 * 60 * 60 } : {}
+        );
+    });
+}
+
+export async function notice_data_get(env, notice_id) {
+    return await kv_access(env, async kv =>
+        await kv.get(notice_prefix + notice_id, { type: 'json' })
+    );
+}
+
+export async function notice_data_delete(env, notice_id) {
+    await kv_access(env, async kv => {
+        await kv.delete(notice_prefix + notice_id);
+    });
+}
+
+export async function notice_data_list(env) {
+    return await kv_access(env, async kv => {
+        const records = [];
+        let cursor = undefined;
+        do {
+            const res = await kv.list({ prefix: notice_prefix, cursor });
+            for (const key of res.keys) {
+                records.push(await kv.get(key.name, { type: 'json' }));
+            }
+            cursor = res.list_complete ? undefined : res.cursor;
+        } while (cursor);
+        return records.filter(record => record !== null);
+    });
+}
+
+/*
+    緊急放送の状態は
+    emergency : {
+        "active": true | false,
+        "message": "<本文(解除中はnull)>",
+        "updated_at": <最終更新日時>
+    }
+    という形式で保存する(解除しても消さずに解除した日時を残す)
+*/
+const emergency_key = 'emergency';
+
+export async function emergency_data_get(env) {
+    return await kv_access(env, async kv =>
+        await kv.get(emergency_key, { type: 'json' })
+    );
+}
+
+export async function emergency_data_put(env, record) {
+    await kv_access(env, async kv => {
+        await kv.put(emergency_key, JSON.stringify(record));
+    });
+}
+
+/*
+    公開時間は
+    hours : {
+        "days": [{ "date": "YYYY-MM-DD", "open": "HH:MM", "close": "HH:MM" }, ...],
+        "rooms": { "<room_id>": { "open": "HH:MM", "close": "HH:MM" } },
+        "reset": "unknown" | "empty",
+        "updated_at": <最終更新日時>
+    }
+    定期実行(cmn/scheduled.mjs)がその日に済ませた処理は
+    hours_state : {
+        "reset_date": "<混雑状況を戻した日付>",
+        "archived_date": "<記録を残した日付>"
+    }
+    閉場時の記録は archive:<YYYY-MM-DD> に保存する(形式はcmn/scheduled.mjsを参照)
+*/
+const hours_key = 'hours';
+const hours_state_key = 'hours_state';
+const archive_prefix = 'archive:';
+
+export async function hours_data_get(env) {
+    return await kv_access(env, async kv =>
+        await kv.get(hours_key, { type: 'json' })
+    );
+}
+
+export async function hours_data_put(env, record) {
+    await kv_access(env, async kv => {
+        await kv.put(hours_key, JSON.stringify(record));
+    });
+}
+
+export async function hours_data_delete(env) {
+    await kv_access(env, async kv => {
+        await kv.delete(hours_key);
+    });
+}
+
+export async function hours_state_get(env) {
+    return await kv_access(env, async kv =>
+        await kv.get(hours_state_key, { type: 'json' })
+    );
+}
+
+export async function hours_state_put(env, state) {
+    await kv_access(env, async kv => {
+        await kv.put(hours_state_key, JSON.stringify(state));
+    });
+}
+
+export async function archive_data_put(env, record) {
+    await kv_access(env, async kv => {
+        await kv.put(archive_prefix + record.date, JSON.stringify(record));
+    });
+}
+
+export async function archive_data_get(env, date) {
+    return await kv_access(env, async kv =>
+        await kv.get(archive_prefix + date, { type: 'json' })
+    );
+}
+
+// 記録のある日付(古い順)
+export async function archive_data_list_dates(env) {
+    return await kv_access(env, async kv => {
+        const dates = [];
+        let cursor = undefined;
+        do {
+            const res = await kv.list({ prefix: archive_prefix, cursor });
+            dates.push(...res.keys.map(key => key.name.slice(archive_prefix.length)));
+            cursor = res.list_complete ? undefined : res.cursor;
+        } while (cursor);
+        return dates.sort();
+    });
+}
+
+/*
+    Webhookは
+    webhook:<webhook_id> : {
+        "webhook_id": "<WebhookのID>",
+        "url": "<通知先のURL>",
+        "label": "<用途のメモ>",
+        "rules": [ { "room_id": "<教室ID(全教室ならnull)>", "direction": "rise" | "fall", "status": <しきい値> }, ... ],
+        "secret": "<署名用のシークレット>",
+        "created_at": <登録日時>
+    }
+    配信記録は
+    webhook_delivery:<webhook_id>:<新しい順に並ぶ番号>:<delivery_id> : {
+        "delivery_id": "<配信ID>",
+        "webhook_id": "<WebhookのID>",
+        "event": "crowd.threshold",
+        "room_id": "<教室ID>",
+        "crowd_status": <通知した混雑状況>,
+        "result": "delivered" | "failed",
+        "attempts": [ { "at": <送信日時>, "response_status": <HTTPステータス(通信エラーならnull)>, "error": "<通信エラーの内容(無ければnull)>" }, ... ],
+        "created_at": <混雑状況の更新日時>,
+        "completed_at": <最後の送信が終わった日時>
+    }
+    という形式で保存する(配信記録は7日後にKVから自動で消える)
+    キーの番号は(10^13 - created_at)を0埋めしたもので、KVのキー順(昇順)で新しいものから並ぶ
+*/
+const webhook_prefix = 'webhook:';
+const webhook_delivery_prefix = 'webhook_delivery:';
+const webhook_delivery_ttl_seconds = 7 * 24 * 60 * 60;
+
+export async function webhook_data_put(env, record) {
+    await kv_access(env, async kv => {
+        await kv.put(webhook_prefix + record.webhook_id, JSON.stringify(record));
+    });
+}
+
+export async function webhook_data_get(env, webhook_id) {
+    return await kv_access(env, async kv =>
+        await kv.get(webhook_prefix + webhook_id, { type: 'json' })
+    );
+}
+
+export async function webhook_data_delete(env, webhook_id) {
+    await kv_access(env, async kv => {
+        await kv.delete(webhook_prefix + webhook_id);
+    });
+}
+
+export async function webhook_data_list(env) {
+    return await kv_access(env, async kv => {
+        const records = [];
+        let cursor = undefined;
+        do {
+            const res = await kv.list({ prefix: webhook_prefix, cursor });
+            for (const key of res.keys) {
+                records.push(await kv.get(key.name, { type: 'json' }));
+            }
+            cursor = res.list_complete ? undefined : res.cursor;
+        } while (cursor);
+        return records.filter(record => record !== null);
+    });
+}
+
+export async function webhook_delivery_put(env, record) {
+    const order = String(1e13 - record.created_at).padStart(13, '0');
+    await kv_access(env, async kv => {
+        await kv.put(`${webhook_delivery_prefix}${record.webhook_id}:${order}:${record.delivery_id}`, JSON.stringify(record), {
+            expirationTtl: webhook_delivery_ttl_seconds
+        });
+    });
+}
+
+// 新しい順にlimit件まで
+export async function webhook_delivery_list(env, webhook_id, limit) {
+    return await kv_access(env, async kv => {
+        const res = await kv.list({ prefix: `${webhook_delivery_prefix}${webhook_id}:`, limit });
+        const records = await Promise.all(res.keys.map(key => kv.get(key.name, { type: 'json' })));
+        return records.filter(record => record !== null);
+    });
+}
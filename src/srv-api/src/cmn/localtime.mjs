@@ -0,0 +1,72 @@
+import { ValidationError } from './errors.mjs';
+
+/*
+    会場の現地時刻(日付の区切りに使う)
+    設定はwrangler.jsoncのvarsで行う
+        EVENT_UTC_OFFSET_MINUTES : UTCとの時差(分, 既定値は540 = 日本時間)
+    夏時間は考えない
+*/
+
+const utc_offset_minutes_default = 540;
+
+const date_pattern = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function utc_offset_ms_get(env) {
+    const value = env.EVENT_UTC_OFFSET_MINUTES;
+    const number = Number(value);
+    const minutes = value !== undefined && value !== '' && Number.isInteger(number) && Math.abs(number) <= 14 * 60
+        ? number
+        : utc_offset_minutes_default;
+    return minutes * 60 * 1000;
+}
+
+// 現地時刻での日付("YYYY-MM-DD")
+export function local_date_string(env, time) {
+    return new Date(time + utc_offset_ms_get(env)).toISOString().slice(0, 10);
+}
+
+// 現地時刻での時刻("HH:MM")
+export function local_time_string(env, time) {
+    return new Date(time + utc_offset_ms_get(env)).toISOString().slice(11, 16);
+}
+
+/*
+    現地時刻での1日の範囲(UNIXミリ秒, fromは含みtoは含まない)
+    date: "YYYY-MM-DD"(不正な形式ならValidationError)
+*/
+export function local_day_range(env, date) {
+    const match = date_pattern.exec(date);
+    const start = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+    if (Number.isNaN(start) || new Date(start).toISOString().slice(0, 10) !== date) {
+        throw new ValidationError('Date must be a valid date in YYYY-MM-DD format', 'INVALID_QUERY');
+    }
+    const from = start - utc_offset_ms_get(env);
+    return { from, to: from + 24 * 60 * 60 * 1000 };
+}
+
+// 現地時刻で1時間ごとに区切ったときの、timeを含む区切りの開始時刻(UNIXミリ秒)
+export function local_hour_start(env, time) {
+    const offset = utc_offset_ms_get(env);
+    const hour = 60 * 60 * 1000;
+    return Math.floor((time + offset) / hour) * hour - offset;
+}
+
+// 現地時刻での日時("YYYY-MM-DD HH:MM:SS", 表計算ソフトが日時として読める形式)
+export function local_datetime_string(env, time) {
+    return new Date(time + utc_offset_ms_get(env)).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// 現地時刻の日時("YYYY-MM-DD HH:MM" または "YYYY-MM-DD HH:MM:SS")をUNIXミリ秒にする(不正な形式ならnull)
+export function local_datetime_parse(env, text) {
+    const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+    if (!match || Number(match[2]) > 23 || Number(match[3]) > 59 || Number(match[4] ?? 0) > 59) {
+        return null;
+    }
+    let from;
+    try {
+        from = local_day_range(env, match[1]).from;
+    } catch (e) {
+        return null;
+    }
+    return from + ((Number(match[2]) * 60 + Number(match[3])) * 60 + Number(match[4] ?? 0)) * 1000;
+}
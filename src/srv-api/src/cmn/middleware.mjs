@@ -0,0 +1,57 @@
+import { ApiError, NotFoundError } from './errors.mjs';
+import { resp_error } from './response.mjs';
+import { auth_admin_check } from './auth.mjs';
+import { cors_preflight_response, cors_origin_assert, cors_headers_apply } from './cors.mjs';
+
+// リクエストIDを付与する(Cloudflareが付けるcf-rayがあればそれを使う)
+export function mw_request_id(request) {
+    request.request_id = request.headers.get('cf-ray') ?? crypto.randomUUID();
+}
+
+// 許されていないオリジンからの更新をハンドラの前に拒否する(cors.mjs)
+export function mw_cors_origin(request, env) {
+    cors_origin_assert(request, env);
+}
+
+// 全てのパスのOPTIONS(プリフライト)に応答する
+export function mw_cors_preflight(request, env) {
+    return cors_preflight_response(request, env);
+}
+
+// どのルートにも一致しなかった場合
+// (finallyの中で呼ばれるためthrowせずにレスポンスを返す)
+export function mw_missing(request) {
+    return resp_error(
+        new NotFoundError(`Route ${request.method} ${new URL(request.url).pathname} not found`, 'ROUTE_NOT_FOUND'),
+        request.request_id
+    );
+}
+
+// 管理用APIのルートの先頭に置く
+export async function mw_require_admin(request, env) {
+    await auth_admin_check(request, env);
+}
+
+// 投げられたエラーを共通形式のレスポンスに変換する
+export function mw_catch(error, request) {
+    if (!(error instanceof ApiError) || error.status >= 500) {
+        console.error("[ERROR]", request.request_id, error, error?.cause ?? '');
+    }
+    return resp_error(error, request.request_id);
+}
+
+// 全レスポンスにリクエストIDを付与する
+export function mw_response_request_id(response, request) {
+    if (response instanceof Response && request.request_id) {
+        response.headers.set('X-Request-Id', request.request_id);
+    }
+    return response;
+}
+
+// 別のオリジンへのレスポンスにCORSのヘッダを付与する
+export function mw_response_cors(response, request, env) {
+    if (response instanceof Response) {
+        cors_headers_apply(response, request, env);
+    }
+    return response;
+}
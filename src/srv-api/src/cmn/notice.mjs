@@ -0,0 +1,86 @@
+import { ValidationError } from './errors.mjs';
+
+/*
+    お知らせ(全画面への連絡)
+    作成時のリクエストボディは
+    {
+        "message": "<本文(1～200文字)>",
+        "priority": "low" | "normal" | "high" (省略時はnormal),
+        "starts_at": <掲示開始日時(UNIXミリ秒, 省略時は作成時)>,
+        "ends_at": <掲示終了日時(UNIXミリ秒, 省略時は無期限)>,
+        "rooms": [ "<対象の教室ID>", ... ] (省略可),
+        "floors": [ "<対象の階数>", ... ] (省略可)
+    }
+    roomsとfloorsがどちらも空なら全体向け、どちらかがあればそれに当てはまる教室向け
+*/
+
+export const NOTICE_MESSAGE_MAX = 200;
+export const NOTICE_TARGETS_MAX = 50;
+export const NOTICE_PRIORITIES = ['low', 'normal', 'high'];
+
+export const NOTICE_FIELDS = ['message', 'priority', 'starts_at', 'ends_at', 'rooms', 'floors'];
+
+function notice_targets_get(body, name, is_valid) {
+    const targets = body[name] ?? [];
+    if (!Array.isArray(targets) || targets.length > NOTICE_TARGETS_MAX) {
+        throw new ValidationError(`Field "${name}" must be an array of at most ${NOTICE_TARGETS_MAX} items`, 'INVALID_NOTICE');
+    }
+    for (const target of targets) {
+        if (!is_valid(target)) {
+            throw new ValidationError(`Field "${name}" contains an unknown value "${target}"`, 'INVALID_NOTICE');
+        }
+    }
+    // 重複を除く
+    return [...new Set(targets)];
+}
+
+// リクエストボディを検証し、保存する内容を返す(roomsは登録済みの教室データ)
+export function notice_record_from_body(body, rooms, now) {
+    if (typeof body.message !== 'string' || body.message.trim().length < 1 || NOTICE_MESSAGE_MAX < body.message.length) {
+        throw new ValidationError(`Field "message" must be 1 to ${NOTICE_MESSAGE_MAX} characters`, 'INVALID_NOTICE');
+    }
+    const priority = body.priority ?? 'normal';
+    if (!NOTICE_PRIORITIES.includes(priority)) {
+        throw new ValidationError(`Field "priority" must be one of ${NOTICE_PRIORITIES.join(', ')}`, 'INVALID_NOTICE');
+    }
+    const starts_at = body.starts_at ?? now;
+    if (!Number.isSafeInteger(starts_at) || starts_at < 0) {
+        throw new ValidationError('Field "starts_at" must be a UNIX time in milliseconds', 'INVALID_NOTICE');
+    }
+    const ends_at = body.ends_at ?? null;
+    if (ends_at !== null && (!Number.isSafeInteger(ends_at) || ends_at <= Math.max(starts_at, now))) {
+        throw new ValidationError('Field "ends_at" must be a future UNIX time after "starts_at"', 'INVALID_NOTICE');
+    }
+
+    const floors = new Set(Object.values(rooms).map(room => room.floor));
+    return {
+        notice_id: crypto.randomUUID(),
+        message: body.message.trim(),
+        priority,
+        starts_at,
+        ends_at,
+        rooms: notice_targets_get(body, 'rooms', room_id => Object.prototype.hasOwnProperty.call(rooms, room_id)),
+        floors: notice_targets_get(body, 'floors', floor => floors.has(floor)),
+        created_at: now
+    };
+}
+
+// 掲示期間中か
+export function notice_is_active(notice, now) {
+    return notice.starts_at <= now && (notice.ends_at === null || now < notice.ends_at);
+}
+
+// その教室で表示するお知らせか(全体向けも含む)
+export function notice_targets_room(notice, room_id, room) {
+    if (notice.rooms.length === 0 && notice.floors.length === 0) {
+        return true;
+    }
+    return notice.rooms.includes(room_id) || notice.floors.includes(room.floor);
+}
+
+// 優先度の高い順、同じ優先度なら掲示開始の新しい順に並べる
+export function notice_compare(a, b) {
+    return NOTICE_PRIORITIES.indexOf(b.priority) - NOTICE_PRIORITIES.indexOf(a.priority)
+        || b.starts_at - a.starts_at
+        || a.notice_id.localeCompare(b.notice_id);
+}
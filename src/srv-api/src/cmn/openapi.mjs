@@ -0,0 +1,516 @@
+import { ApiError, ValidationError } from './errors.mjs';
+import { schema_violation_find } from './schema.mjs';
+import { ROOM_ID_PATTERN, ROOM_ID_RESERVED, CROWD_MODES } from './rooms.mjs';
+import { CROWD_STATUS_MIN, CROWD_STATUS_MAX } from './crowdstatus.mjs';
+import { HISTORY_SOURCE_PATTERN } from './history.mjs';
+import { AVAILABILITY_STATES, AVAILABILITY_MESSAGE_MAX } from './availability.mjs';
+import { STORAGE_BATCH_MAX } from './storage/interface.mjs';
+import { DEVICE_TOKEN_HEADER } from './devicetoken.mjs';
+import { DEVICE_ID_HEADER } from './ratelimit.mjs';
+import { HOURS_OPEN_HEADER, HOURS_OPENS_AT_HEADER, HOURS_CLOSES_AT_HEADER } from './hours.mjs';
+
+/*
+    APIの機械判読用の仕様(OpenAPI 3.1) GET /openapi.jsonでそのまま返す
+    ここに書いたルートは、index.mjsでopenapi_validatedを通して
+        リクエストボディ : ハンドラの前に検証し、違反は400(x-error-codeのコード)
+        レスポンス       : ハンドラの後に検証し、違反はvars.OPENAPI_RESPONSE_VALIDATIONに従う
+                           off: 検証しない / warn: ログに残す(既定) / strict: 500 RESPONSE_SCHEMA_MISMATCHにする
+    ハンドラが投げたエラーは共通形式(response.mjs)なのでここでは検証しない(テストで確かめる)
+    値の細かい検証(予約された教室IDなど)はハンドラに残し、ここでは形と範囲を書く
+    ルートを追加・変更したらここも直す(テストで仕様とのずれを検出する)
+*/
+
+const nullable = type => [type, 'null'];
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+
+const room_properties = {
+    name: { type: 'string', minLength: 1, maxLength: 64, description: '教室名' },
+    desc: { type: 'string', maxLength: 128, description: '教室の説明' },
+    floor: { type: 'string', minLength: 1, maxLength: 8, description: '教室の階数("3"や"R"など)' },
+    sort_priority: { type: 'integer', description: 'ソート優先度' },
+    stale_after_seconds: { type: nullable('integer'), minimum: 1, description: '報告が古いとみなすまでの秒数' },
+    unknown_after_seconds: { type: nullable('integer'), minimum: 0, description: '混雑状況を不明にするまでの秒数(0なら不明にしない)' },
+    capacity: { type: nullable('integer'), minimum: 1, description: '定員(人)' },
+    session_minutes: { type: nullable('integer'), minimum: 1, description: '1回の上映・解説の長さ(分)' },
+    throughput_per_hour: { type: nullable('integer'), minimum: 1, description: '1時間あたりに入れる人数' },
+    crowd_mode: { type: nullable('string'), enum: [...CROWD_MODES, null], description: '混雑状況の入力方法(省略時はvote)' }
+};
+
+const crowd_item_properties = {
+    status: { type: nullable('integer'), minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX, description: '混雑状況(不明ならnull)' },
+    updated_at: { type: nullable('integer'), description: '更新日時(UNIXミリ秒)' },
+    confidence: { type: nullable('number'), minimum: 0, maximum: 1, description: '集計の確からしさ' },
+    vote_count: { type: nullable('integer'), minimum: 1, description: '集計に使った投票数' },
+    stale: { type: 'boolean', description: '報告が古いか' },
+    age_seconds: { type: nullable('integer'), minimum: 0, description: '最後の更新からの秒数' },
+    estimated_wait_minutes: { type: nullable('integer'), minimum: 0, description: '待ち時間の目安(分)' },
+    occupancy: { type: nullable('integer'), minimum: 0, description: '在室人数(人数計測モードのみ)' },
+    capacity: { type: nullable('integer'), minimum: 1, description: '定員(人数計測モードのみ)' },
+    availability: ref('Availability')
+};
+
+const stats_hour_schema = {
+    type: 'object',
+    required: ['start', 'end', 'average_status', 'update_count'],
+    additionalProperties: false,
+    properties: {
+        start: { type: 'integer', description: '時間帯の開始(UNIXミリ秒, 会場の現地時刻で1時間ごと)' },
+        end: { type: 'integer', description: '時間帯の終了(UNIXミリ秒)' },
+        average_status: { type: nullable('number'), minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX, description: '時間で重み付けした平均' },
+        update_count: { type: 'integer', minimum: 0, description: '更新回数' }
+    }
+};
+
+const stats_room_properties = {
+    update_count: { type: 'integer', minimum: 0, description: '期間内の更新回数' },
+    observed_seconds: { type: 'integer', minimum: 0, description: '混雑状況が分かっていた秒数' },
+    average_status: { type: nullable('number'), minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX, description: '時間で重み付けした平均' },
+    max_status: { type: nullable('integer'), minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX, description: '最も混雑した段階' },
+    seconds_by_status: {
+        type: 'object',
+        description: '段階ごとの秒数',
+        propertyNames: { type: 'string', enum: Array.from({ length: CROWD_STATUS_MAX - CROWD_STATUS_MIN + 1 }, (_, i) => String(CROWD_STATUS_MIN + i)) },
+        additionalProperties: { type: 'integer', minimum: 0 }
+    },
+    peak_seconds: { type: 'integer', minimum: 0, description: 'peak_status以上だった秒数' },
+    peaks: {
+        type: 'array',
+        description: 'peak_status以上だった期間(時刻順)',
+        items: {
+            type: 'object',
+            required: ['from', 'to', 'max_status'],
+            additionalProperties: false,
+            properties: {
+                from: { type: 'integer' },
+                to: { type: 'integer' },
+                max_status: { type: 'integer', minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX }
+            }
+        }
+    },
+    busiest_hours: { type: 'array', description: '平均が高い時間帯(上位3件)', items: ref('StatsHour') }
+};
+
+const stats_period_properties = {
+    from: { type: 'integer', description: '集計した期間の開始(UNIXミリ秒)' },
+    to: { type: 'integer', description: '集計した期間の終了(UNIXミリ秒)' },
+    peak_status: { type: 'integer', minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX }
+};
+
+const stats_parameters = [
+    { name: 'date', in: 'query', required: false, description: '日付(YYYY-MM-DD, 会場の現地時刻) from, toとは併用できない', schema: { type: 'string' } },
+    { name: 'from', in: 'query', required: false, description: '開始時刻(UNIXミリ秒, 省略時は今日の0時)', schema: { type: 'integer', minimum: 0 } },
+    { name: 'to', in: 'query', required: false, description: '終了時刻(UNIXミリ秒, 省略時は現在時刻)', schema: { type: 'integer', minimum: 0 } },
+    { name: 'peak_status', in: 'query', required: false, description: '混雑しているとみなす段階(省略時は4)', schema: { type: 'integer', minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX } },
+    { $ref: '#/components/parameters/IfNoneMatch' }
+];
+
+const responses_not_modified = {
+    description: '変更なし(条件付きGET)'
+};
+// GET /crowdで開催全体の公開状況を伝えるヘッダ(cmn/hours.mjs)
+const crowd_event_headers = {
+    [HOURS_OPEN_HEADER]: {
+        required: true,
+        description: '公開時間内か(公開時間が設定されていなければ常にtrue)',
+        schema: { type: 'string', enum: ['true', 'false'] }
+    },
+    [HOURS_OPENS_AT_HEADER]: {
+        description: '公開中ならその日の、それ以外は次の公開開始(UNIXミリ秒, 無ければ付けない)',
+        schema: { type: 'string', pattern: '^[0-9]+$' }
+    },
+    [HOURS_CLOSES_AT_HEADER]: {
+        description: 'X-Festival-Opens-Atの日の公開終了(UNIXミリ秒, 無ければ付けない)',
+        schema: { type: 'string', pattern: '^[0-9]+$' }
+    }
+};
+const responses_error = {
+    description: 'エラー(共通形式)',
+    content: json(ref('Error'))
+};
+
+export const OPENAPI_DOCUMENT = {
+    openapi: '3.1.0',
+    info: {
+        title: '文化祭 天文部 混雑状況API',
+        version: '1.0.0',
+        description: '詳しくはdocs/plan-be.mdを参照'
+    },
+    servers: [
+        { url: '/', description: '既定の開催(vars.EVENT_DEFAULT_ID)' },
+        {
+            url: '/events/{event_id}',
+            description: '開催を指定する',
+            variables: { event_id: { default: 'sf25' } }
+        }
+    ],
+    paths: {
+        '/rooms': {
+            get: {
+                operationId: 'rooms_get',
+                summary: '教室の一覧',
+                parameters: [{ $ref: '#/components/parameters/IfNoneMatch' }],
+                responses: {
+                    200: { description: '教室の一覧', content: json(ref('Rooms')) },
+                    304: responses_not_modified,
+                    default: responses_error
+                }
+            },
+            put: {
+                operationId: 'rooms_put',
+                summary: '教室データ全体を一括で置き換える',
+                security: [{ admin: [] }],
+                requestBody: {
+                    required: true,
+                    content: json({ ...ref('Rooms'), 'x-error-code': 'INVALID_BODY' })
+                },
+                responses: {
+                    200: { description: '登録した教室データ', content: json(ref('Rooms')) },
+                    default: responses_error
+                }
+            }
+        },
+        '/crowd': {
+            get: {
+                operationId: 'crowd_get',
+                summary: '全教室の混雑状況(開催全体の公開状況はヘッダで返す)',
+                parameters: [{ $ref: '#/components/parameters/IfNoneMatch' }],
+                responses: {
+                    200: { description: '教室IDをキーとした混雑状況', headers: crowd_event_headers, content: json(ref('Crowd')) },
+                    304: { ...responses_not_modified, headers: crowd_event_headers },
+                    default: responses_error
+                }
+            },
+            put: {
+                operationId: 'crowd_put',
+                summary: '複数の教室の混雑状況をまとめて更新する(1教室でも受け付けられなければ何も更新しない)',
+                security: [{ device_token: [] }, {}],
+                parameters: [
+                    { $ref: '#/components/parameters/DeviceToken' },
+                    { $ref: '#/components/parameters/DeviceId' }
+                ],
+                requestBody: {
+                    required: true,
+                    content: json({ ...ref('CrowdBatchUpdate'), 'x-error-code': 'INVALID_BODY' })
+                },
+                responses: {
+                    200: {
+                        description: '教室ごとの更新後の混雑状況',
+                        content: json({
+                            type: 'object',
+                            required: ['results'],
+                            additionalProperties: false,
+                            properties: {
+                                results: { type: 'object', additionalProperties: ref('CrowdBatchResult') }
+                            }
+                        })
+                    },
+                    default: responses_error
+                }
+            }
+        },
+        '/crowd/{room_id}': {
+            parameters: [{ $ref: '#/components/parameters/RoomId' }],
+            get: {
+                operationId: 'crowd_with_roomid_get',
+                summary: '特定教室の混雑状況',
+                parameters: [{ $ref: '#/components/parameters/IfNoneMatch' }],
+                responses: {
+                    200: { description: '混雑状況', content: json(ref('CrowdItem')) },
+                    304: responses_not_modified,
+                    default: responses_error
+                }
+            },
+            put: {
+                operationId: 'crowd_with_roomid_put',
+                summary: '混雑状況を投票する',
+                security: [{ device_token: [] }, {}],
+                parameters: [
+                    { $ref: '#/components/parameters/DeviceToken' },
+                    { $ref: '#/components/parameters/DeviceId' }
+                ],
+                requestBody: {
+                    required: true,
+                    content: json({ ...ref('CrowdUpdate'), 'x-error-code': 'INVALID_BODY' })
+                },
+                responses: {
+                    201: { description: '受け付けた(ボディ無し)' },
+                    default: responses_error
+                }
+            }
+        },
+        '/stats': {
+            get: {
+                operationId: 'stats_get',
+                summary: '全教室の混雑状況の統計',
+                parameters: stats_parameters,
+                responses: {
+                    200: {
+                        description: '教室IDをキーとした統計と、全教室を合わせて混雑していた時間帯',
+                        content: json({
+                            type: 'object',
+                            required: [...Object.keys(stats_period_properties), 'rooms', 'busiest_hours'],
+                            additionalProperties: false,
+                            properties: {
+                                ...stats_period_properties,
+                                rooms: { type: 'object', additionalProperties: ref('StatsRoom') },
+                                busiest_hours: { type: 'array', items: ref('StatsHour') }
+                            }
+                        })
+                    },
+                    304: responses_not_modified,
+                    default: responses_error
+                }
+            }
+        },
+        '/stats/{room_id}': {
+            parameters: [{ $ref: '#/components/parameters/RoomId' }],
+            get: {
+                operationId: 'stats_with_roomid_get',
+                summary: '特定教室の混雑状況の統計(時間帯ごとの内訳を含む)',
+                parameters: stats_parameters,
+                responses: {
+                    200: {
+                        description: '統計',
+                        content: json({
+                            type: 'object',
+                            required: [...Object.keys(stats_period_properties), 'room_id', ...Object.keys(stats_room_properties), 'hours'],
+                            additionalProperties: false,
+                            properties: {
+                                ...stats_period_properties,
+                                room_id: { type: 'string' },
+                                ...stats_room_properties,
+                                hours: { type: 'array', description: '1時間ごとの内訳(時刻順)', items: ref('StatsHour') }
+                            }
+                        })
+                    },
+                    304: responses_not_modified,
+                    default: responses_error
+                }
+            }
+        }
+    },
+    components: {
+        parameters: {
+            RoomId: {
+                name: 'room_id',
+                in: 'path',
+                required: true,
+                schema: { type: 'string', pattern: ROOM_ID_PATTERN.source }
+            },
+            IfNoneMatch: {
+                name: 'If-None-Match',
+                in: 'header',
+                required: false,
+                schema: { type: 'string' }
+            },
+            DeviceToken: {
+                name: DEVICE_TOKEN_HEADER,
+                in: 'header',
+                required: false,
+                description: '教室ごとの端末トークン(PUT /crowdはカンマ区切りで複数)',
+                schema: { type: 'string' }
+            },
+            DeviceId: {
+                name: DEVICE_ID_HEADER,
+                in: 'header',
+                required: false,
+                description: 'レート制限に使う端末ID',
+                schema: { type: 'string' }
+            }
+        },
+        securitySchemes: {
+            admin: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' },
+            device_token: { type: 'apiKey', in: 'header', name: DEVICE_TOKEN_HEADER }
+        },
+        schemas: {
+            Room: {
+                type: 'object',
+                required: ['name', 'desc', 'floor', 'sort_priority'],
+                additionalProperties: false,
+                properties: room_properties
+            },
+            Rooms: {
+                type: 'object',
+                description: `教室IDをキーとした教室データ(${ROOM_ID_RESERVED.join(', ')}は教室IDに使えない)`,
+                propertyNames: { type: 'string', pattern: ROOM_ID_PATTERN.source, 'x-error-code': 'INVALID_ROOM_ID' },
+                additionalProperties: { ...ref('Room'), 'x-error-code': 'INVALID_ROOM' }
+            },
+            Availability: {
+                type: 'object',
+                required: ['state', 'message', 'reopen_at'],
+                additionalProperties: false,
+                properties: {
+                    state: { type: 'string', enum: AVAILABILITY_STATES },
+                    message: { type: nullable('string'), maxLength: AVAILABILITY_MESSAGE_MAX },
+                    reopen_at: { type: nullable('integer'), description: '再開予定日時(UNIXミリ秒)' }
+                }
+            },
+            CrowdItem: {
+                type: 'object',
+                required: Object.keys(crowd_item_properties),
+                additionalProperties: false,
+                properties: crowd_item_properties
+            },
+            Crowd: {
+                type: 'object',
+                description: '教室IDをキーとした混雑状況(まだ報告が無い受付中の教室は含まない)',
+                propertyNames: { type: 'string', pattern: ROOM_ID_PATTERN.source },
+                additionalProperties: ref('CrowdItem')
+            },
+            CrowdUpdate: {
+                type: 'object',
+                required: ['status'],
+                additionalProperties: false,
+                properties: {
+                    status: { type: 'integer', minimum: CROWD_STATUS_MIN, maximum: CROWD_STATUS_MAX, 'x-error-code': 'INVALID_STATUS' },
+                    source: { type: 'string', pattern: HISTORY_SOURCE_PATTERN.source, description: '更新元(履歴に記録される)' }
+                }
+            },
+            CrowdBatchUpdate: {
+                type: 'object',
+                required: ['rooms'],
+                additionalProperties: false,
+                properties: {
+                    rooms: {
+                        type: 'object',
+                        minProperties: 1,
+                        maxProperties: STORAGE_BATCH_MAX,
+                        description: '教室IDをキーとした混雑状況 各教室の値は教室ごとに確かめ、400 BATCH_REJECTEDのresultsで返す'
+                    },
+                    source: { type: 'string', pattern: HISTORY_SOURCE_PATTERN.source, description: '更新元(履歴に記録される)' }
+                }
+            },
+            CrowdBatchResult: {
+                type: 'object',
+                required: ['result', ...Object.keys(crowd_item_properties)],
+                additionalProperties: false,
+                properties: {
+                    result: { type: 'string', enum: ['updated'] },
+                    ...crowd_item_properties
+                }
+            },
+            StatsRoom: {
+                type: 'object',
+                required: Object.keys(stats_room_properties),
+                additionalProperties: false,
+                properties: stats_room_properties
+            },
+            StatsHour: stats_hour_schema,
+            Error: {
+                type: 'object',
+                required: ['error'],
+                additionalProperties: false,
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message', 'request_id'],
+                        additionalProperties: false,
+                        properties: {
+                            code: { type: 'string' },
+                            message: { type: 'string' },
+                            request_id: { type: nullable('string') }
+                        }
+                    },
+                    results: {
+                        type: 'object',
+                        description: '一括更新の拒否(BATCH_REJECTED)の教室ごとの結果',
+                        additionalProperties: {
+                            type: 'object',
+                            required: ['result'],
+                            additionalProperties: false,
+                            properties: {
+                                result: { type: 'string', enum: ['rejected', 'skipped'] },
+                                error: {
+                                    type: 'object',
+                                    required: ['code', 'message'],
+                                    additionalProperties: false,
+                                    properties: {
+                                        code: { type: 'string' },
+                                        message: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// itty-routerのパス(/crowd/:room_id)からOpenAPIの操作を探す(書かれていなければundefined)
+export function openapi_operation_get(method, path) {
+    return OPENAPI_DOCUMENT.paths[path.replace(/:(\w+)/g, '{$1}')]?.[method.toLowerCase()];
+}
+
+function openapi_response_validation_mode(env) {
+    const mode = env.OPENAPI_RESPONSE_VALIDATION;
+    return ['off', 'warn', 'strict'].includes(mode) ? mode : 'warn';
+}
+
+async function openapi_request_assert(operation, request) {
+    const schema = operation.requestBody?.content['application/json'].schema;
+    const content_type = request.headers.get('Content-Type') ?? '';
+    if (!schema || !content_type.toLowerCase().startsWith('application/json')) {
+        // Content-Typeの誤りはハンドラが415にする
+        return;
+    }
+    let body;
+    try {
+        body = await request.clone().json();
+    } catch (_) {
+        // JSONとして読めないボディはハンドラがINVALID_JSONにする
+        return;
+    }
+    const violation = schema_violation_find(OPENAPI_DOCUMENT, schema, body, 'body');
+    if (violation) {
+        throw new ValidationError(violation.message, violation.code ?? 'VALIDATION_FAILED');
+    }
+}
+
+/*
+    レスポンスが仕様に合っているか確かめ、最初に見つかった違反を返す(無ければnull)
+    ボディを読むのは複製なので、渡したレスポンスはそのまま返せる
+*/
+export async function openapi_response_violation_find(operation, response) {
+    const spec = operation.responses[response.status] ?? operation.responses.default;
+    if (!spec) {
+        return { message: `status ${response.status} is not described` };
+    }
+    const schema = spec.content?.['application/json'].schema;
+    if (!schema) {
+        // 通信を経たレスポンスは空でもbodyがnullにならないので中身で判断する
+        const text = response.body === null ? '' : await response.clone().text();
+        return text === '' ? null : { message: `status ${response.status} must not have a body` };
+    }
+    if (!(response.headers.get('Content-Type') ?? '').startsWith('application/json')) {
+        return { message: `status ${response.status} must be application/json` };
+    }
+    return schema_violation_find(OPENAPI_DOCUMENT, schema, await response.clone().json(), 'body');
+}
+
+// 仕様に書かれたルートのハンドラを、リクエストとレスポンスを検証するよう包む(書かれていなければそのまま)
+export function openapi_validated(method, path, handler) {
+    const operation = openapi_operation_get(method, path);
+    if (!operation) {
+        return handler;
+    }
+    return async (request, env, ctx) => {
+        await openapi_request_assert(operation, request);
+        const response = await handler(request, env, ctx);
+        const mode = openapi_response_validation_mode(env);
+        if (mode === 'off' || !(response instanceof Response)) {
+            return response;
+        }
+        const violation = await openapi_response_violation_find(operation, response);
+        if (violation) {
+            const message = `Response of ${method.toUpperCase()} ${path} does not match the OpenAPI description: ${violation.message}`;
+            if (mode === 'strict') {
+                throw new ApiError(500, 'RESPONSE_SCHEMA_MISMATCH', message);
+            }
+            console.warn('[WARN]', message);
+        }
+        return response;
+    };
+}
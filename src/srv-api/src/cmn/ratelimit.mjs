@@ -0,0 +1,155 @@
+import { DurableObject } from 'cloudflare:workers';
+import { RateLimitError } from './errors.mjs';
+import { event_scoped_name } from './event.mjs';
+
+/*
+    混雑状況の書き込みのレート制限(固定ウィンドウ方式)
+        クライアントごと : IPアドレス(CF-Connecting-IP) + 端末ID(X-Device-Id)
+        教室ごと         : 全クライアントの合計
+        入退室           : クライアントごと(人数計測モードは係員が連続して押すため別の枠にする)
+    上限とウィンドウの長さはwrangler.jsoncのvarsで設定する(上限を0にするとその制限は無効)
+        RATE_LIMIT_CLIENT_MAX, RATE_LIMIT_CLIENT_WINDOW_SECONDS
+        RATE_LIMIT_ROOM_MAX,   RATE_LIMIT_ROOM_WINDOW_SECONDS
+        RATE_LIMIT_HEADCOUNT_MAX, RATE_LIMIT_HEADCOUNT_WINDOW_SECONDS
+    クライアントごと・入退室のカウンタはRATE_LIMIT_KV_BINDINGのKVに置く
+    ※KVは結果整合なので上限は目安(多少超えることはある)
+    教室ごとのカウンタは全クライアントが同時に進めるので、教室ごとのDurable Object(RateLimitCounter)で数える
+    KV・Durable Objectが無いか失敗した場合はWorkerのインスタンス内のカウンタで代用する
+*/
+
+export const DEVICE_ID_HEADER = 'X-Device-Id';
+
+const ratelimit_defaults = {
+    client: { max: 10, window_seconds: 60 },
+    room: { max: 120, window_seconds: 60 },
+    headcount: { max: 120, window_seconds: 60 }
+};
+
+const kv_prefix = 'ratelimit:';
+// KVのexpirationTtlの最小値
+const kv_ttl_min = 60;
+
+// キー -> { count, reset_at }
+const local_counters = new Map();
+
+function config_int(value, default_value) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(number) && number >= 0 ? number : default_value;
+}
+
+function ratelimit_config_get(env, scope) {
+    const name = scope.toUpperCase();
+    return {
+        max: config_int(env[`RATE_LIMIT_${name}_MAX`], ratelimit_defaults[scope].max),
+        window_seconds: config_int(env[`RATE_LIMIT_${name}_WINDOW_SECONDS`], ratelimit_defaults[scope].window_seconds) || 1
+    };
+}
+
+function local_hit(key, reset_at) {
+    const now = Date.now();
+    // 期限切れのカウンタを掃除する
+    for (const [k, counter] of local_counters) {
+        if (counter.reset_at <= now) {
+            local_counters.delete(k);
+        }
+    }
+    const counter = local_counters.get(key) ?? { count: 0, reset_at };
+    counter.count++;
+    local_counters.set(key, counter);
+    return counter.count;
+}
+
+async function kv_hit(kv, key, reset_at) {
+    const count = Number(await kv.get(kv_prefix + key) ?? 0) + 1;
+    await kv.put(kv_prefix + key, String(count), {
+        expirationTtl: Math.max(kv_ttl_min, Math.ceil((reset_at - Date.now()) / 1000))
+    });
+    return count;
+}
+
+/*
+    教室ごとのカウンタ(RATE_LIMIT_ROOMのDurable Object, 1教室につき1つ)
+    1つのオブジェクトの処理は順に行われるので、同時に進めても数え漏れない
+    保存するのは今のウィンドウの分だけ(新しいウィンドウになったら上書きする)
+*/
+export class RateLimitCounter extends DurableObject {
+    // RPCでWorkerから呼ばれる(進めた後の回数を返す)
+    async hit(window_start) {
+        const counter = await this.ctx.storage.get('counter');
+        const count = counter?.window_start === window_start ? counter.count + 1 : 1;
+        await this.ctx.storage.put('counter', { window_start, count });
+        return count;
+    }
+}
+
+async function room_hit(namespace, env, room_id, window_start) {
+    const stub = namespace.get(namespace.idFromName(event_scoped_name(env, `ratelimit:${room_id}`)));
+    return await stub.hit(window_start);
+}
+
+// カウンタを1つ進め、上限を超えていればRateLimitErrorを投げる
+async function ratelimit_hit(env, scope, id) {
+    const { max, window_seconds } = ratelimit_config_get(env, scope);
+    if (max === 0) {
+        return;
+    }
+
+    const window_ms = window_seconds * 1000;
+    const window_start = Math.floor(Date.now() / window_ms) * window_ms;
+    const reset_at = window_start + window_ms;
+    const key = `${scope}:${id}:${window_start}`;
+
+    const kv = env[env.RATE_LIMIT_KV_BINDING];
+    let count;
+    if (scope === 'room' && env.RATE_LIMIT_ROOM) {
+        try {
+            count = await room_hit(env.RATE_LIMIT_ROOM, env, id, window_start);
+        } catch (error) {
+            console.warn('[WARN] rate limit counter on Durable Object unavailable, using local counter', error);
+        }
+    } else if (scope !== 'room' && kv) {
+        try {
+            count = await kv_hit(kv, key, reset_at);
+        } catch (error) {
+            console.warn('[WARN] rate limit counter on KV unavailable, using local counter', error);
+        }
+    }
+    count ??= local_hit(key, reset_at);
+
+    if (count > max) {
+        throw new RateLimitError(
+            `Too many updates (${scope} limit: ${max} per ${window_seconds}s)`,
+            Math.max(1, Math.ceil((reset_at - Date.now()) / 1000))
+        );
+    }
+}
+
+function ratelimit_client_id(request) {
+    const ip = request.headers.get('CF-Connecting-IP') ?? 'unknown';
+    const device_id = request.headers.get(DEVICE_ID_HEADER);
+    // 端末IDは入力ページがlocalStorageに保存する乱数 形式が不正なら無いものとして扱う
+    return `${ip}:${/^[A-Za-z0-9_-]{8,64}$/.test(device_id ?? '') ? device_id : '-'}`;
+}
+
+/*
+    混雑状況の書き込み前に呼ぶ
+    クライアントの上限を超えた場合は教室のカウンタを進めない
+    (1人の連打で教室全体の枠を使い切らないようにする)
+*/
+export async function ratelimit_crowd_update_check(request, env, room_id) {
+    await ratelimit_hit(env, 'client', ratelimit_client_id(request));
+    await ratelimit_hit(env, 'room', room_id);
+}
+
+// 複数教室の一括更新の前に呼ぶ(クライアントは1回、教室はそれぞれ1回と数える)
+export async function ratelimit_crowd_batch_check(request, env, room_ids) {
+    await ratelimit_hit(env, 'client', ratelimit_client_id(request));
+    for (const room_id of room_ids) {
+        await ratelimit_hit(env, 'room', room_id);
+    }
+}
+
+// 入退室の記録前に呼ぶ
+export async function ratelimit_headcount_check(request, env) {
+    await ratelimit_hit(env, 'headcount', ratelimit_client_id(request));
+}
@@ -0,0 +1,54 @@
+import { ValidationError, UnsupportedMediaTypeError } from './errors.mjs';
+
+// JSONオブジェクトのリクエストボディを取得する
+export async function req_json_body(request) {
+    const content_type = request.headers.get('Content-Type') || '';
+    if (!content_type.toLowerCase().startsWith('application/json')) {
+        throw new UnsupportedMediaTypeError('Content-Type must be application/json');
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        throw new ValidationError('Request body is not valid JSON', 'INVALID_JSON');
+    }
+
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        throw new ValidationError('Request body must be a JSON object', 'INVALID_BODY');
+    }
+    return body;
+}
+
+// 許可されていない項目が含まれていないか確認する
+export function req_assert_known_keys(body, known_keys) {
+    const unknown_keys = Object.keys(body).filter(key => !known_keys.includes(key));
+    if (unknown_keys.length > 0) {
+        throw new ValidationError('Unknown fields: ' + unknown_keys.join(', '), 'INVALID_BODY');
+    }
+}
+
+// クエリパラメータを整数として取得する(未指定ならdefault_value)
+export function req_query_int(request, name, { min = -Infinity, max = Infinity, default_value = undefined } = {}) {
+    const raw = request.query?.[name];
+    if (raw === undefined || raw === '') {
+        return default_value;
+    }
+    const value = Number(raw);
+    if (Array.isArray(raw) || !Number.isInteger(value) || value < min || max < value) {
+        throw new ValidationError(`Query parameter "${name}" must be an integer between ${min} and ${max}`, 'INVALID_QUERY');
+    }
+    return value;
+}
+
+// クエリパラメータを文字列として取得する(未指定ならdefault_value)
+export function req_query_string(request, name, default_value = undefined) {
+    const raw = request.query?.[name];
+    if (raw === undefined || raw === '') {
+        return default_value;
+    }
+    if (Array.isArray(raw)) {
+        throw new ValidationError(`Query parameter "${name}" must be specified only once`, 'INVALID_QUERY');
+    }
+    return raw;
+}
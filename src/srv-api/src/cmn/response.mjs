@@ -0,0 +1,40 @@
+import { ApiError } from './errors.mjs';
+
+export function resp_json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status: status,
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        }
+    });
+}
+
+/*
+    エラーレスポンスは
+    {
+        "error": {
+            "code": "<機械判読用のコード>",
+            "message": "<人間向けのメッセージ>",
+            "request_id": "<リクエストID>"
+        }
+    }
+    という形式で返す(一括更新の拒否(BatchRejectedError)は項目ごとの結果をresultsに付ける)
+*/
+export function resp_error(error, request_id) {
+    if (!(error instanceof ApiError)) {
+        // 想定外のエラーは内容を返さない
+        error = new ApiError(500, 'INTERNAL_ERROR', 'Internal Server Error');
+    }
+    return resp_json({
+        error: {
+            code: error.code,
+            message: error.message,
+            request_id: request_id ?? null
+        },
+        ...(error.results ? { results: error.results } : {})
+    }, error.status, {
+        'Cache-Control': 'no-store',
+        ...(error.retry_after ? { 'Retry-After': String(error.retry_after) } : {})
+    });
+}
@@ -0,0 +1,101 @@
+import { ValidationError } from './errors.mjs';
+
+// 教室IDとして受け付ける文字列(URLにそのまま使うため英小文字・数字・-_のみ)
+export const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// ルートと衝突するため教室IDに使えないもの
+export const ROOM_ID_RESERVED = ['history', 'stream'];
+/*
+    混雑状況の入力方法
+        vote      : 1～5の段階を投票する(PUT /crowd/:room_id)
+        headcount : 入退室を数え、在室人数と定員から段階を求める(POST /crowd/:room_id/enter, exit)
+*/
+export const CROWD_MODES = ['vote', 'headcount'];
+
+/*
+    教室データの各項目
+        name          : 教室名(必須, 1～64文字)
+        desc          : 教室の説明(必須, 0～128文字)
+        floor         : 教室の階数(必須, "3"や"R"など1～8文字)
+        sort_priority : ソート優先度(必須, 整数)
+    以下は省略可(nullを指定すると削除)
+        stale_after_seconds   : 報告が古いとみなすまでの秒数(freshness.mjs)
+        unknown_after_seconds : 混雑状況を不明にするまでの秒数(0なら不明にしない)
+        capacity              : 定員(人, waittime.mjs)
+        session_minutes       : 1回の上映・解説の長さ(分)
+        throughput_per_hour   : 1時間あたりに入れる人数
+        crowd_mode            : 混雑状況の入力方法(省略時はvote, headcountの場合はcapacityが必須)
+*/
+const room_fields = {
+    name: value => typeof value === 'string' && 1 <= value.length && value.length <= 64,
+    desc: value => typeof value === 'string' && value.length <= 128,
+    floor: value => typeof value === 'string' && 1 <= value.length && value.length <= 8,
+    sort_priority: value => Number.isInteger(value)
+};
+const room_fields_optional = {
+    stale_after_seconds: value => Number.isInteger(value) && value >= 1,
+    unknown_after_seconds: value => Number.isInteger(value) && value >= 0,
+    capacity: value => Number.isInteger(value) && value >= 1,
+    session_minutes: value => Number.isInteger(value) && value >= 1,
+    throughput_per_hour: value => Number.isInteger(value) && value >= 1,
+    crowd_mode: value => CROWD_MODES.includes(value)
+};
+
+export function room_id_assert_valid(room_id) {
+    if (!ROOM_ID_PATTERN.test(room_id) || ROOM_ID_RESERVED.includes(room_id)) {
+        throw new ValidationError(
+            `Room id "${room_id}" must match ${ROOM_ID_PATTERN} and must not be one of: ${ROOM_ID_RESERVED.join(', ')}`,
+            'INVALID_ROOM_ID'
+        );
+    }
+}
+
+// partialがtrueなら指定された項目のみ検証する(PATCH用)
+export function room_assert_valid(room, { partial = false } = {}) {
+    if (typeof room !== 'object' || room === null || Array.isArray(room)) {
+        throw new ValidationError('Room must be a JSON object', 'INVALID_ROOM');
+    }
+    const unknown_keys = Object.keys(room).filter(key => !(key in room_fields) && !(key in room_fields_optional));
+    if (unknown_keys.length > 0) {
+        throw new ValidationError('Unknown room fields: ' + unknown_keys.join(', '), 'INVALID_ROOM');
+    }
+    for (const [key, is_valid] of Object.entries(room_fields)) {
+        if (!(key in room)) {
+            if (!partial) {
+                throw new ValidationError(`Room field "${key}" is required`, 'INVALID_ROOM');
+            }
+            continue;
+        }
+        if (!is_valid(room[key])) {
+            throw new ValidationError(`Room field "${key}" is invalid`, 'INVALID_ROOM');
+        }
+    }
+    for (const [key, is_valid] of Object.entries(room_fields_optional)) {
+        if (key in room && room[key] !== null && !is_valid(room[key])) {
+            throw new ValidationError(`Room field "${key}" is invalid`, 'INVALID_ROOM');
+        }
+    }
+    // 人数計測モードは定員が無いと段階を求められない
+    if (!partial && room_is_headcount(room) && (room.capacity ?? null) === null) {
+        throw new ValidationError('Room field "capacity" is required when "crowd_mode" is "headcount"', 'INVALID_ROOM');
+    }
+}
+
+export function room_is_headcount(room) {
+    return room?.crowd_mode === 'headcount';
+}
+
+// 教室データを項目の順序を揃えた形に整える(省略可の項目は値があるもののみ残す)
+export function room_normalize(room) {
+    const normalized = {
+        name: room.name,
+        desc: room.desc,
+        floor: room.floor,
+        sort_priority: room.sort_priority
+    };
+    for (const key of Object.keys(room_fields_optional)) {
+        if (room[key] !== undefined && room[key] !== null) {
+            normalized[key] = room[key];
+        }
+    }
+    return normalized;
+}
@@ -0,0 +1,146 @@
+import { ValidationError } from './errors.mjs';
+import { rooms_data_get_all, schedule_data_get } from './kvquery.mjs';
+import { local_date_string } from './localtime.mjs';
+
+/*
+    上映・講義の予定
+    1回分(セッション)は
+    {
+        "start_at": <開始日時(UNIXミリ秒)>,
+        "end_at": <終了日時(UNIXミリ秒, 開始より後)>,
+        "title": "<題名(1～64文字)>"
+    }
+    同じ教室のセッションは時間が重なってはいけない
+*/
+
+export const SCHEDULE_SESSIONS_MAX = 200;
+
+const session_fields = ['start_at', 'end_at', 'title'];
+
+function session_assert_valid(session, index) {
+    if (typeof session !== 'object' || session === null || Array.isArray(session)) {
+        throw new ValidationError(`Session ${index} must be a JSON object`, 'INVALID_SCHEDULE');
+    }
+    const unknown_keys = Object.keys(session).filter(key => !session_fields.includes(key));
+    if (unknown_keys.length > 0) {
+        throw new ValidationError(`Unknown fields in session ${index}: ${unknown_keys.join(', ')}`, 'INVALID_SCHEDULE');
+    }
+    if (!Number.isSafeInteger(session.start_at) || session.start_at < 0) {
+        throw new ValidationError(`Session ${index} field "start_at" must be a UNIX time in milliseconds`, 'INVALID_SCHEDULE');
+    }
+    if (!Number.isSafeInteger(session.end_at) || session.end_at <= session.start_at) {
+        throw new ValidationError(`Session ${index} field "end_at" must be a UNIX time after "start_at"`, 'INVALID_SCHEDULE');
+    }
+    if (typeof session.title !== 'string' || session.title.length < 1 || 64 < session.title.length) {
+        throw new ValidationError(`Session ${index} field "title" must be 1 to 64 characters`, 'INVALID_SCHEDULE');
+    }
+}
+
+// セッションの配列を検証し、項目の順序を揃えて開始日時順に並べたものを返す
+export function schedule_sessions_normalize(sessions) {
+    if (!Array.isArray(sessions)) {
+        throw new ValidationError('Field "sessions" must be an array', 'INVALID_SCHEDULE');
+    }
+    if (sessions.length > SCHEDULE_SESSIONS_MAX) {
+        throw new ValidationError(`Too many sessions (max ${SCHEDULE_SESSIONS_MAX})`, 'INVALID_SCHEDULE');
+    }
+    sessions.forEach(session_assert_valid);
+
+    const sorted = sessions
+        .map(({ start_at, end_at, title }) => ({ start_at, end_at, title }))
+        .sort((a, b) => a.start_at - b.start_at);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start_at < sorted[i - 1].end_at) {
+            throw new ValidationError(
+                `Sessions "${sorted[i - 1].title}" and "${sorted[i].title}" overlap`,
+                'SCHEDULE_OVERLAP'
+            );
+        }
+    }
+    return sorted;
+}
+
+// 教室データに登録されている全教室の予定 { room_id: { room, sessions, updated_at } }
+export async function schedule_all_get(env) {
+    const rooms = await rooms_data_get_all(env) ?? {};
+    const entries = await Promise.all(Object.entries(rooms).map(async ([room_id, room]) => {
+        const data = await schedule_data_get(env, room_id);
+        return [room_id, { room, sessions: data?.sessions ?? [], updated_at: data?.updated_at ?? null }];
+    }));
+    return Object.fromEntries(entries);
+}
+
+// 今日(会場の現地時刻)の開始前のうち最も早いセッション(無ければnull)
+export function schedule_next_get(env, sessions, now) {
+    const today = local_date_string(env, now);
+    const next = sessions.find(session => session.start_at > now) ?? null;
+    return next && local_date_string(env, next.start_at) === today ? next : null;
+}
+
+/*
+    iCalendar(RFC 5545)
+    時刻はUTCで書き、行はCRLFで区切って75オクテットで折り返す
+*/
+
+function ics_text_escape(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function ics_time(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 75オクテットを超える行は、続きの行頭に空白を入れて折り返す(UTF-8の文字の途中では切らない)
+function ics_line_fold(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let current_bytes = 0;
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        // 2行目以降は先頭の空白の1オクテットを含めて75まで
+        const limit = lines.length === 0 ? 75 : 74;
+        if (current_bytes + bytes > limit) {
+            lines.push(current);
+            current = '';
+            current_bytes = 0;
+        }
+        current += char;
+        current_bytes += bytes;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+/*
+    events: [{ room_id, room, session }, ...]
+    host: UIDに使うホスト名(UIDはセッションごとに一意で、予定を入れ直しても変わらないようにする)
+*/
+export function schedule_ics_build(events, { host, now }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//astroclub-sf25//schedule//JA',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    for (const { room_id, room, session } of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${room_id}-${session.start_at}@${host}`,
+            `DTSTAMP:${ics_time(now)}`,
+            `DTSTART:${ics_time(session.start_at)}`,
+            `DTEND:${ics_time(session.end_at)}`,
+            `SUMMARY:${ics_text_escape(session.title)}`,
+            `LOCATION:${ics_text_escape(`${room.name} (${room.floor}F)`)}`,
+            ...(room.desc ? [`DESCRIPTION:${ics_text_escape(room.desc)}`] : []),
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(ics_line_fold).join('\r\n') + '\r\n';
+}
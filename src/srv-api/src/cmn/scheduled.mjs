@@ -0,0 +1,167 @@
+import { crowd_storage_get } from './storage/index.mjs';
+import { STORAGE_BATCH_MAX, STORAGE_RESET_SOURCE } from './storage/interface.mjs';
+import {
+    rooms_data_get_all, hours_data_get, hours_state_get, hours_state_put, archive_data_put
+} from './kvquery.mjs';
+import { event_config_get, event_env_get } from './event.mjs';
+import { hours_periods, hours_period_current, hours_period_next, hours_period_today } from './hours.mjs';
+import { availability_get_all, availability_view } from './availability.mjs';
+import { crowd_views_build, crowd_item_view } from './crowdview.mjs';
+import { crowd_stream_publish } from './crowdstream.mjs';
+import { CROWD_STATUS_MIN } from './crowdstatus.mjs';
+import { room_is_headcount } from './rooms.mjs';
+import { stats_all_compute, STATS_PEAK_STATUS_DEFAULT } from './stats.mjs';
+import { local_date_string, local_time_string } from './localtime.mjs';
+
+/*
+    公開時間(cmn/hours.mjs)に合わせた定期処理(Cron Triggers, wrangler.jsoncのtriggers.crons)
+    開催ごとに以下を行う(公開時間が設定されていない開催は何もしない)
+        公開開始後の最初の実行 : 前日までの混雑状況を消す(reset: unknown)か、全教室を空にする(reset: empty)
+        公開終了後の最初の実行 : その日の混雑状況と統計を記録に残す(GET /archives/:date)
+        公開時間外             : 受付中の教室を閉鎖にし、再開予定日時をその教室の次の公開開始にする
+    開始・終了の処理はその日に済ませたかをKV(hours_state)に残し、1日1回だけ行う
+    閉鎖は再開予定日時を過ぎると自動的に受付中に戻るので、公開開始時には何もしない
+    係員が閉鎖した教室(再開予定日時が無いか、次の公開開始より後)はそのままにする
+    記録は
+    archive:<YYYY-MM-DD> : {
+        "date": "<日付>",
+        "opens_at": <公開開始>,
+        "closes_at": <公開終了>,
+        "archived_at": <記録した日時>,
+        "crowd": { "<room_id>": <GET /crowdの教室ごとの内容>, ... },
+        "stats": <公開時間内のGET /statsの内容>
+    }
+*/
+
+async function scheduled_rooms_reset(env, storage, rooms, mode, now) {
+    const items = await storage.get_all();
+    if (mode === 'unknown') {
+        for (const item of items) {
+            await storage.delete(item.room_id);
+        }
+        return;
+    }
+
+    const occupancies = Object.fromEntries(items.map(item => [item.room_id, item.occupancy ?? 0]));
+    const updates = [];
+    for (const [room_id, room] of Object.entries(rooms)) {
+        if (room_is_headcount(room)) {
+            await storage.occupancy_add(room_id, -(occupancies[room_id] ?? 0), room.capacity, now, STORAGE_RESET_SOURCE);
+        } else {
+            updates.push({ room_id, status: CROWD_STATUS_MIN, updated_at: now, source: STORAGE_RESET_SOURCE, summary: null });
+        }
+    }
+    for (let i = 0; i < updates.length; i += STORAGE_BATCH_MAX) {
+        await storage.update_many(updates.slice(i, i + STORAGE_BATCH_MAX));
+    }
+}
+
+async function scheduled_archive_build(env, storage, record, rooms, period, now) {
+    const [crowd_items, availabilities] = await Promise.all([storage.get_all(), availability_get_all(env)]);
+    return {
+        date: period.date,
+        opens_at: period.from,
+        closes_at: period.to,
+        archived_at: now,
+        crowd: crowd_views_build(env, rooms, crowd_items, availabilities, now).views,
+        stats: await stats_all_compute(env, storage, rooms, { from: period.from, to: period.to, peak_status: STATS_PEAK_STATUS_DEFAULT }, record)
+    };
+}
+
+// 公開時間外の教室の閉鎖の説明
+function scheduled_closed_message(env, today, next, now) {
+    if (today && today.to <= now) {
+        return '本日の公開は終了しました';
+    }
+    if (next && next.date === local_date_string(env, now)) {
+        return `${local_time_string(env, next.from)}から公開します`;
+    }
+    return next ? '本日は公開していません' : '公開は終了しました';
+}
+
+// 公開時間外の教室を閉鎖にする(閉鎖にした教室を返す)
+async function scheduled_rooms_close(env, storage, record, rooms, now) {
+    const availabilities = await availability_get_all(env);
+    const closed = [];
+    for (const room_id of Object.keys(rooms)) {
+        const periods = hours_periods(env, record, room_id);
+        if (hours_period_current(periods, now)) {
+            continue;
+        }
+        const next = hours_period_next(periods, now);
+        const current = availability_view(availabilities[room_id] ?? null, now);
+        if (current.state === 'closed' && (current.reopen_at === null || next === null || next.from <= current.reopen_at)) {
+            continue;
+        }
+        const availability = {
+            room_id,
+            state: 'closed',
+            message: scheduled_closed_message(env, hours_period_today(env, periods, now), next, now),
+            reopen_at: next?.from ?? null,
+            updated_at: now
+        };
+        await storage.availability_set(room_id, availability);
+        closed.push([room_id, availability]);
+    }
+    return closed;
+}
+
+// 変わった教室を/crowd/streamで配信する
+async function scheduled_publish(env, storage, rooms, room_ids, now) {
+    if (room_ids.length === 0) {
+        return;
+    }
+    const [crowd_items, availabilities] = await Promise.all([storage.get_all(), availability_get_all(env)]);
+    const items = Object.fromEntries(crowd_items.map(item => [item.room_id, item]));
+    for (const room_id of room_ids) {
+        const view = crowd_item_view(env, items[room_id] ?? null, rooms[room_id], now, availabilities[room_id] ?? null);
+        await crowd_stream_publish(env, { room_id, ...view });
+    }
+}
+
+// 1つの開催の定期処理(envは開催ごとのenv)
+export async function scheduled_event_run(env, now) {
+    const record = await hours_data_get(env);
+    if (!record) {
+        return;
+    }
+    const storage = crowd_storage_get(env);
+    const rooms = await rooms_data_get_all(env) ?? {};
+    const state = await hours_state_get(env) ?? { reset_date: null, archived_date: null };
+    const next_state = { ...state };
+    const today = hours_period_today(env, hours_periods(env, record), now);
+    const changed = new Set();
+
+    if (today && today.from <= now && now < today.to && state.reset_date !== today.date) {
+        await scheduled_rooms_reset(env, storage, rooms, record.reset, now);
+        next_state.reset_date = today.date;
+        Object.keys(rooms).forEach(room_id => changed.add(room_id));
+    }
+    // 閉鎖にする前の状態を残す
+    if (today && today.to <= now && state.archived_date !== today.date) {
+        await archive_data_put(env, await scheduled_archive_build(env, storage, record, rooms, today, now));
+        next_state.archived_date = today.date;
+    }
+    for (const [room_id] of await scheduled_rooms_close(env, storage, record, rooms, now)) {
+        changed.add(room_id);
+    }
+
+    if (next_state.reset_date !== state.reset_date || next_state.archived_date !== state.archived_date) {
+        await hours_state_put(env, next_state);
+    }
+    await scheduled_publish(env, storage, rooms, [...changed].sort(), now);
+}
+
+/*
+    全ての開催の定期処理(index.mjsのscheduledから呼ぶ)
+    1つの開催の失敗で他の開催を止めないよう、エラーはログに残して続ける
+*/
+export async function scheduled_run(env, now) {
+    for (const event_id of event_config_get(env).ids) {
+        try {
+            await scheduled_event_run(event_env_get({ params: { event_id } }, env), now);
+        } catch (error) {
+            console.error(`[ERROR] scheduled run failed for event "${event_id}"`, error);
+        }
+    }
+}
@@ -0,0 +1,132 @@
+/*
+    OpenAPI(openapi.mjs)のスキーマでJSONの値を検証する
+    対応するキーワードはopenapi.mjsで使っているもののみ
+        $ref(#/components/schemas/...), type(配列でnullを許す), enum,
+        minimum, maximum, minLength, maxLength, pattern,
+        properties, required, additionalProperties, propertyNames, minProperties, maxProperties, items
+    x-error-code は違反したときのエラーコード(最も内側で指定されたものを使う)
+    文字列の長さはハンドラの検証と揃えるためString.lengthで数える
+*/
+
+function schema_type_of(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function schema_type_matches(type, value) {
+    const actual = schema_type_of(value);
+    return [type].flat().some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+function schema_resolve(document, schema) {
+    while (schema.$ref !== undefined) {
+        const name = schema.$ref.replace(/^#\/components\/schemas\//, '');
+        schema = document.components.schemas[name];
+        if (!schema) {
+            throw new Error(`Unknown schema reference: ${name}`);
+        }
+    }
+    return schema;
+}
+
+/*
+    最初に見つかった違反を返す(無ければnull)
+    戻り値: { path: "<値の場所(例: body.rooms.s33)>", message: "<内容>", code: "<x-error-code(無ければnull)>" }
+*/
+export function schema_violation_find(document, schema, value, path = '', code = null) {
+    if (schema.$ref !== undefined) {
+        code = schema['x-error-code'] ?? code;
+        schema = schema_resolve(document, schema);
+    }
+    code = schema['x-error-code'] ?? code;
+    const violation = message => ({ path, message: `${path || 'value'} ${message}`, code });
+
+    if (schema.type !== undefined && !schema_type_matches(schema.type, value)) {
+        return violation(`must be of type ${[schema.type].flat().join(' or ')}`);
+    }
+    if (schema.enum !== undefined && !schema.enum.includes(value)) {
+        return violation(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return violation(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && schema.maximum < value) {
+            return violation(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return violation(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && schema.maxLength < value.length) {
+            return violation(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            return violation(`must match /${schema.pattern}/`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items !== undefined) {
+        for (const [i, item] of value.entries()) {
+            const found = schema_violation_find(document, schema.items, item, `${path}[${i}]`, code);
+            if (found) {
+                return found;
+            }
+        }
+    }
+
+    if (schema_type_of(value) === 'object') {
+        const keys = Object.keys(value);
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            return violation(`must have at least ${schema.minProperties} properties`);
+        }
+        if (schema.maxProperties !== undefined && schema.maxProperties < keys.length) {
+            return violation(`must have at most ${schema.maxProperties} properties`);
+        }
+        for (const key of schema.required ?? []) {
+            if (!(key in value)) {
+                return violation(`must have property "${key}"`);
+            }
+        }
+        const properties = schema.properties ?? {};
+        const unknown = keys.filter(key => !Object.prototype.hasOwnProperty.call(properties, key));
+        if (schema.additionalProperties === false && unknown.length > 0) {
+            return violation(`must not have unknown properties: ${unknown.join(', ')}`);
+        }
+        // キーごとに名前 → 値の順で確かめる(ハンドラの検証と同じ順)
+        for (const key of keys) {
+            const key_path = path ? `${path}.${key}` : key;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                const found = schema_violation_find(document, properties[key], value[key], key_path, code);
+                if (found) {
+                    return found;
+                }
+                continue;
+            }
+            if (schema.propertyNames !== undefined) {
+                const found = schema_violation_find(document, schema.propertyNames, key, `${key_path} (name)`, code);
+                if (found) {
+                    return found;
+                }
+            }
+            if (typeof schema.additionalProperties === 'object') {
+                const found = schema_violation_find(document, schema.additionalProperties, value[key], key_path, code);
+                if (found) {
+                    return found;
+                }
+            }
+        }
+    }
+    return null;
+}
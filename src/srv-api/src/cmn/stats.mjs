@@ -0,0 +1,293 @@
+import { ValidationError } from './errors.mjs';
+import { req_query_int, req_query_string } from './request.mjs';
+import { resp_json_conditional } from './conditional.mjs';
+import { CROWD_STATUS_MIN, CROWD_STATUS_MAX } from './crowdstatus.mjs';
+import { CROWD_VOTE_LIMIT, crowd_aggregate_config_get, crowd_votes_aggregate } from './aggregate.mjs';
+import { HISTORY_LIMIT_MAX } from './history.mjs';
+import { room_is_headcount } from './rooms.mjs';
+import { crowd_freshness_limit_ms } from './freshness.mjs';
+import { hours_periods, hours_period_current } from './hours.mjs';
+import { STORAGE_RESET_SOURCE } from './storage/interface.mjs';
+import { local_date_string, local_day_range, local_hour_start } from './localtime.mjs';
+
+/*
+    混雑状況の統計(GET /stats, GET /stats/:room_id)
+    保存された更新履歴から公開していた混雑状況の推移を求め直して集計する
+        投票の教室         : 各更新の時点で直近の投票を集計した値(PUT /crowd/:room_idと同じ, aggregate.mjs)
+        人数計測モードの教室 : 履歴の値(在室人数から求めた段階)
+    混雑状況は次の更新まで続くものとし、期間の開始より前の状態は開始前CROWD_VOTE_WINDOW_SECONDS以内の更新から求める
+    (それより前にしか更新が無い教室は、期間内の最初の更新までを数えない)
+    ただし次の更新が無くても以下で打ち切り、その後は数えない
+        報告が古くなるまで(投票の教室のみ, cmn/freshness.mjsのstaleか不明になる早い方)
+        公開時間が設定されていればその日の公開終了まで(公開時間外の更新は数えない, cmn/hours.mjs)
+    クエリ
+        date        : 日付("YYYY-MM-DD", 会場の現地時刻) from, toとは併用できない
+        from        : 開始時刻(UNIXミリ秒, 省略時は今日の0時)
+        to          : 終了時刻(UNIXミリ秒, 省略時は現在時刻を分単位に切り捨てたもの)
+        peak_status : 混雑しているとみなす混雑状況(省略時は4)
+    1回に読む履歴はSTATS_HISTORY_MAX件(wrangler.jsoncのvars, 既定値: 50000)まで 超える期間は400で断る
+*/
+
+// 一度に集計できる期間(7日)
+export const STATS_WINDOW_MAX_MS = 7 * 24 * 60 * 60 * 1000;
+// 混雑していた時間帯として返す数
+export const STATS_BUSIEST_HOURS = 3;
+
+// 混雑しているとみなす混雑状況の既定値
+export const STATS_PEAK_STATUS_DEFAULT = 4;
+// 1回の集計で読む履歴の件数の上限の既定値
+export const STATS_HISTORY_MAX_DEFAULT = 50000;
+const stats_minute_ms = 60 * 1000;
+const stats_hour_ms = 60 * stats_minute_ms;
+
+const stats_cache_seconds = {
+    // 期間が現在を含む場合(同じ分の間は同じ結果になる)
+    current: 60,
+    // 期間が終わっている場合(後から履歴が増えることは無い)
+    past: 3600
+};
+
+export function stats_query_parse(request, env, now) {
+    const date = req_query_string(request, 'date', null);
+    if (date !== null && (request.query?.from !== undefined || request.query?.to !== undefined)) {
+        throw new ValidationError('Query parameter "date" cannot be combined with "from" or "to"', 'INVALID_QUERY');
+    }
+    // 既定の終了時刻は分単位に切り捨てる(同じ分の間は同じ結果になり、キャッシュが効く)
+    const now_minute = Math.floor(now / stats_minute_ms) * stats_minute_ms;
+    let from;
+    let to;
+    if (date !== null) {
+        const range = local_day_range(env, date);
+        from = range.from;
+        to = Math.max(from, Math.min(range.to, now_minute));
+    } else {
+        from = req_query_int(request, 'from', { min: 0, default_value: local_day_range(env, local_date_string(env, now)).from });
+        to = req_query_int(request, 'to', { min: 0, default_value: Math.max(from, now_minute) });
+    }
+    if (from > to) {
+        throw new ValidationError('Query parameter "from" must not be after "to"', 'INVALID_QUERY');
+    }
+    if (to - from > STATS_WINDOW_MAX_MS) {
+        throw new ValidationError('The period must not be longer than 7 days', 'INVALID_QUERY');
+    }
+    return {
+        from,
+        to,
+        peak_status: req_query_int(request, 'peak_status', {
+            min: CROWD_STATUS_MIN,
+            max: CROWD_STATUS_MAX,
+            default_value: STATS_PEAK_STATUS_DEFAULT
+        })
+    };
+}
+
+function stats_history_max_get(env) {
+    const value = Number(env.STATS_HISTORY_MAX);
+    return Number.isInteger(value) && value >= 1 ? value : STATS_HISTORY_MAX_DEFAULT;
+}
+
+// 期間の履歴を全てのページから読む(room_idがnullなら全教室) 上限を超えたら読むのをやめて400にする
+export async function stats_history_load(env, storage, room_id, query) {
+    const lookback_ms = crowd_aggregate_config_get(env).window_seconds * 1000;
+    const history_max = stats_history_max_get(env);
+    const records = [];
+    let cursor = null;
+    do {
+        const page_query = { from: Math.max(0, query.from - lookback_ms), to: query.to, limit: HISTORY_LIMIT_MAX, cursor };
+        const page = room_id === null
+            ? await storage.history_get_all(page_query)
+            : await storage.history_get_by_roomid(room_id, page_query);
+        records.push(...page.items);
+        if (records.length > history_max) {
+            throw new ValidationError(`Too many updates in the period (max ${history_max}), use a shorter period`, 'STATS_TOO_MANY_UPDATES');
+        }
+        cursor = page.next_cursor;
+    } while (cursor !== null);
+    return records;
+}
+
+// 各更新の時点で公開していた混雑状況 [{ at, status }, ...] (recordsは1教室分)
+function stats_series_build(config, room, records) {
+    const sorted = [...records].sort((a, b) => a.updated_at - b.updated_at);
+    if (room_is_headcount(room)) {
+        return sorted.map(record => ({ at: record.updated_at, status: record.status }));
+    }
+    const window_ms = config.window_seconds * 1000;
+    return sorted.map((record, i) => {
+        // 公開開始時に戻した履歴はその値を公開し、投票としては数えない
+        if (record.source === STORAGE_RESET_SOURCE) {
+            return { at: record.updated_at, status: record.status };
+        }
+        const votes = [];
+        for (let j = i; j >= 0 && votes.length < CROWD_VOTE_LIMIT && record.updated_at - sorted[j].updated_at <= window_ms; j--) {
+            if (sorted[j].source !== STORAGE_RESET_SOURCE) {
+                votes.push(sorted[j]);
+            }
+        }
+        return { at: record.updated_at, status: crowd_votes_aggregate(config, votes, record.updated_at).status };
+    });
+}
+
+function stats_round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function stats_hour_get(env, hours, time) {
+    const start = local_hour_start(env, time);
+    if (!hours.has(start)) {
+        hours.set(start, { start, end: start + stats_hour_ms, seconds: 0, weighted: 0, update_count: 0 });
+    }
+    return hours.get(start);
+}
+
+function stats_hours_view(hours) {
+    return Array.from(hours.values())
+        .sort((a, b) => a.start - b.start)
+        .map(hour => ({
+            start: hour.start,
+            end: hour.end,
+            average_status: hour.seconds > 0 ? stats_round(hour.weighted / hour.seconds) : null,
+            update_count: hour.update_count
+        }));
+}
+
+// 平均が高い順(同じなら更新が多い順)に上位の時間帯
+function stats_hours_busiest(hours) {
+    return hours
+        .filter(hour => hour.average_status !== null)
+        .sort((a, b) => b.average_status - a.average_status || b.update_count - a.update_count || a.start - b.start)
+        .slice(0, STATS_BUSIEST_HOURS);
+}
+
+// 教室の公開時間(公開時間の設定が無ければnull)
+export function stats_room_periods(env, hours_record, room_id) {
+    return hours_record ? hours_periods(env, hours_record, room_id) : null;
+}
+
+// 各更新の状態を数える終わり(次の更新・期間の終了・報告が古くなる時刻・公開終了のうち早いもの)
+function stats_point_end(point, next_at, query, limit_ms, periods) {
+    let end = Math.min(next_at ?? query.to, query.to);
+    if (limit_ms !== null) {
+        end = Math.min(end, point.at + limit_ms);
+    }
+    if (periods !== null) {
+        end = Math.min(end, hours_period_current(periods, point.at)?.to ?? point.at);
+    }
+    return end;
+}
+
+/*
+    1教室分の統計
+    periods     は教室の公開時間(stats_room_periods, 設定が無ければnull)
+    hours_total は全教室の集計用(時間帯の開始 -> 合計)で、渡せばこの教室の分を足す
+    戻り値の hours は期間内の1時間ごとの内訳(GET /stats/:room_idでのみ返す)
+*/
+export function stats_room_compute(env, room, records, query, { periods = null, hours_total = null } = {}) {
+    const config = crowd_aggregate_config_get(env);
+    const series = stats_series_build(config, room, records);
+    const limit_ms = crowd_freshness_limit_ms(env, room);
+    const seconds_by_status = Object.fromEntries(
+        Array.from({ length: CROWD_STATUS_MAX - CROWD_STATUS_MIN + 1 }, (_, i) => [String(CROWD_STATUS_MIN + i), 0])
+    );
+    const hours = new Map();
+    const peaks = [];
+    let observed_ms = 0;
+    let weighted = 0;
+    let max_status = null;
+
+    for (const [i, point] of series.entries()) {
+        if (query.from <= point.at && point.at <= query.to) {
+            stats_hour_get(env, hours, point.at).update_count++;
+            if (hours_total) {
+                stats_hour_get(env, hours_total, point.at).update_count++;
+            }
+        }
+        const start = Math.max(point.at, query.from);
+        const end = stats_point_end(point, series[i + 1]?.at ?? null, query, limit_ms, periods);
+        if (end <= start) {
+            continue;
+        }
+        observed_ms += end - start;
+        weighted += point.status * (end - start);
+        seconds_by_status[point.status] += (end - start) / 1000;
+        max_status = Math.max(max_status ?? point.status, point.status);
+
+        // 時間帯ごとに分けて足す
+        for (let t = start; t < end; t = local_hour_start(env, t) + stats_hour_ms) {
+            const part = Math.min(end, local_hour_start(env, t) + stats_hour_ms) - t;
+            for (const target of hours_total ? [hours, hours_total] : [hours]) {
+                const hour = stats_hour_get(env, target, t);
+                hour.seconds += part / 1000;
+                hour.weighted += point.status * part / 1000;
+            }
+        }
+
+        // 混雑していた期間(続いている間はつなげる)
+        if (point.status >= query.peak_status) {
+            const last = peaks.at(-1);
+            if (last && last.to === start) {
+                last.to = end;
+                last.max_status = Math.max(last.max_status, point.status);
+            } else {
+                peaks.push({ from: start, to: end, max_status: point.status });
+            }
+        }
+    }
+
+    const hours_view = stats_hours_view(hours);
+    return {
+        update_count: series.filter(point => query.from <= point.at && point.at <= query.to).length,
+        observed_seconds: Math.round(observed_ms / 1000),
+        average_status: observed_ms > 0 ? stats_round(weighted / observed_ms) : null,
+        max_status,
+        seconds_by_status: Object.fromEntries(Object.entries(seconds_by_status).map(([status, seconds]) => [status, Math.round(seconds)])),
+        peak_seconds: Math.round(peaks.reduce((sum, peak) => sum + peak.to - peak.from, 0) / 1000),
+        peaks,
+        busiest_hours: stats_hours_busiest(hours_view),
+        hours: hours_view
+    };
+}
+
+// 全教室を合わせた時間帯ごとの内訳から上位の時間帯
+export function stats_total_busiest_hours(hours_total) {
+    return stats_hours_busiest(stats_hours_view(hours_total));
+}
+
+/*
+    全教室の統計(GET /stats, 閉場時の記録で使う)
+    hours_recordは開催の公開時間(cmn/hours.mjs, 設定が無ければnull)
+    削除された教室の履歴は含めない
+    一覧では時間帯ごとの内訳は返さない(GET /stats/:room_idで返す)
+*/
+export async function stats_all_compute(env, storage, rooms, query, hours_record) {
+    const records = await stats_history_load(env, storage, null, query);
+    const records_by_room = new Map(Object.keys(rooms ?? {}).map(room_id => [room_id, []]));
+    for (const record of records) {
+        records_by_room.get(record.room_id)?.push(record);
+    }
+
+    const hours_total = new Map();
+    const stats = {};
+    for (const [room_id, room_records] of records_by_room) {
+        const { hours, ...summary } = stats_room_compute(env, rooms[room_id], room_records, query, {
+            periods: stats_room_periods(env, hours_record, room_id),
+            hours_total
+        });
+        stats[room_id] = summary;
+    }
+    return {
+        from: query.from,
+        to: query.to,
+        peak_status: query.peak_status,
+        rooms: stats,
+        busiest_hours: stats_total_busiest_hours(hours_total)
+    };
+}
+
+// 統計のレスポンス(期間が終わっていれば長くキャッシュさせる)
+export async function stats_resp(request, body, query, now) {
+    const max_age = query.to < now - stats_minute_ms ? stats_cache_seconds.past : stats_cache_seconds.current;
+    return await resp_json_conditional(request, body, {
+        headers: { 'Cache-Control': `public, max-age=${max_age}` }
+    });
+}
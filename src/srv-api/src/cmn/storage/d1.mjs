@@ -0,0 +1,203 @@
+import { StorageError } from '../errors.mjs';
+import { CrowdStorageInterface, STORAGE_RESET_SOURCE, crowd_record_build, crowd_occupancy_record_build, storage_cursor_encode, storage_cursor_decode } from './interface.mjs';
+
+/*
+    テーブル定義はmigrations/を参照
+    ページングは(updated_at, id)の組で前のページの続きから読む
+*/
+
+const crowd_columns = 'room_id, status, updated_at, confidence, vote_count, trend, busy_since, occupancy';
+const availability_columns = 'room_id, state, message, reopen_at, updated_at';
+
+function crowd_row_convert(row) {
+    const { room_id, status, updated_at, confidence, vote_count, trend, busy_since, occupancy } = row;
+    if (occupancy !== null) {
+        return { room_id, status, updated_at, occupancy };
+    }
+    return crowd_record_build(room_id, status, updated_at,
+        vote_count === null ? null : { status, confidence, vote_count, ...(trend !== null ? { trend, busy_since } : {}) });
+}
+
+export class CrowdStorageD1 extends CrowdStorageInterface {
+    #db;
+
+    constructor(db) {
+        super();
+        if (!db) {
+            throw new StorageError('D1 binding for crowd storage not found');
+        }
+        this.#db = db;
+    }
+
+    async #access(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw new StorageError('Failed to access crowd data', error);
+        }
+    }
+
+    async get_all() {
+        return await this.#access(async () =>
+            (await this.#db.prepare(`SELECT ${crowd_columns} FROM crowd_status`).all()).results.map(crowd_row_convert)
+        );
+    }
+
+    async get_by_roomid(room_id) {
+        const row = await this.#access(async () =>
+            await this.#db
+                .prepare(`SELECT ${crowd_columns} FROM crowd_status WHERE room_id = ?`)
+                .bind(room_id)
+                .first()
+        );
+        return row ? crowd_row_convert(row) : null;
+    }
+
+    // 現在の状態の上書きと履歴への追記の文
+    #update_statements(room_id, status, updated_at, source, summary) {
+        const item = crowd_record_build(room_id, status, updated_at, summary);
+        return [
+            this.#db
+                .prepare(`INSERT INTO crowd_status (room_id, status, updated_at, confidence, vote_count, trend, busy_since)
+                    VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7)
+                    ON CONFLICT (room_id) DO UPDATE SET status = ?2, updated_at = ?3, confidence = ?4, vote_count = ?5,
+                        trend = ?6, busy_since = ?7, occupancy = NULL`)
+                .bind(room_id, item.status, updated_at, item.confidence ?? null, item.vote_count ?? null, item.trend ?? null, item.busy_since ?? null),
+            this.#db
+                .prepare('INSERT INTO crowd_history (room_id, status, updated_at, source) VALUES (?, ?, ?, ?)')
+                .bind(room_id, status, updated_at, source)
+        ];
+    }
+
+    async update(room_id, status, updated_at, source, summary = null) {
+        // batchは1トランザクションとして実行される
+        await this.#access(async () => {
+            await this.#db.batch(this.#update_statements(room_id, status, updated_at, source, summary));
+        });
+    }
+
+    async update_many(updates) {
+        await this.#access(async () => {
+            await this.#db.batch(updates.flatMap(({ room_id, status, updated_at, source, summary }) =>
+                this.#update_statements(room_id, status, updated_at, source, summary)
+            ));
+        });
+    }
+
+    async history_add_many(records) {
+        await this.#access(async () => {
+            await this.#db.batch(records.map(({ room_id, status, updated_at, source }) =>
+                this.#db
+                    .prepare('INSERT INTO crowd_history (room_id, status, updated_at, source) VALUES (?, ?, ?, ?)')
+                    .bind(room_id, status, updated_at, source)
+            ));
+        });
+    }
+
+    async occupancy_add(room_id, delta, capacity, updated_at, source) {
+        // 人数の増減はSQLで行い、同時に更新されても失われないようにする
+        const initial = crowd_occupancy_record_build(room_id, Math.max(0, delta), capacity, updated_at);
+        const row = await this.#access(async () =>
+            await this.#db
+                .prepare(`INSERT INTO crowd_status (room_id, status, updated_at, occupancy) VALUES (?1, ?2, ?3, ?4)
+                    ON CONFLICT (room_id) DO UPDATE SET updated_at = ?3, confidence = NULL, vote_count = NULL, trend = NULL, busy_since = NULL,
+                        occupancy = MAX(0, COALESCE(occupancy, 0) + ?5)
+                    RETURNING occupancy`)
+                .bind(room_id, initial.status, updated_at, initial.occupancy, delta)
+                .first()
+        );
+        const item = crowd_occupancy_record_build(room_id, row.occupancy, capacity, updated_at);
+        // 混雑状況はその間に人数が変わっていない場合のみ書く(最後に増減した人数に対応する値が残る)
+        await this.#access(async () => {
+            await this.#db.batch([
+                this.#db
+                    .prepare('UPDATE crowd_status SET status = ? WHERE room_id = ? AND occupancy = ?')
+                    .bind(item.status, room_id, item.occupancy),
+                this.#db
+                    .prepare('INSERT INTO crowd_history (room_id, status, updated_at, source) VALUES (?, ?, ?, ?)')
+                    .bind(room_id, item.status, updated_at, source)
+            ]);
+        });
+        return item;
+    }
+
+    async delete(room_id) {
+        await this.#access(async () => {
+            await this.#db.prepare('DELETE FROM crowd_status WHERE room_id = ?').bind(room_id).run();
+        });
+    }
+
+    async #history_page(room_id, { from, to, limit, cursor }) {
+        const position = storage_cursor_decode(cursor, position =>
+            typeof position === 'object' && position !== null && Number.isSafeInteger(position.updated_at) && Number.isSafeInteger(position.id)
+        ) ?? { updated_at: from, id: 0 };
+        // 1件多く読んで次のページがあるかを判定する
+        const rows = await this.#access(async () =>
+            (await this.#db
+                .prepare(`SELECT id, room_id, status, updated_at, source FROM crowd_history
+                    WHERE (?1 IS NULL OR room_id = ?1)
+                      AND updated_at <= ?2
+                      AND (updated_at > ?3 OR (updated_at = ?3 AND id > ?4))
+                    ORDER BY updated_at, id
+                    LIMIT ?5`)
+                .bind(room_id, to, position.updated_at, position.id, limit + 1)
+                .all()).results
+        );
+
+        const items = rows.slice(0, limit);
+        const last = items.at(-1);
+        return {
+            items: items.map(({ id, ...item }) => item),
+            next_cursor: rows.length > limit ? storage_cursor_encode({ updated_at: last.updated_at, id: last.id }) : null
+        };
+    }
+
+    async history_get_by_roomid(room_id, query) {
+        return await this.#history_page(room_id, query);
+    }
+
+    async history_get_recent(room_id, since, limit) {
+        return await this.#access(async () =>
+            (await this.#db
+                .prepare(`SELECT room_id, status, updated_at, source FROM crowd_history
+                    WHERE room_id = ? AND updated_at >= ? AND (source IS NULL OR source <> ?)
+                    ORDER BY updated_at DESC, id DESC
+                    LIMIT ?`)
+                .bind(room_id, since, STORAGE_RESET_SOURCE, limit)
+                .all()).results
+        );
+    }
+
+    async history_get_all(query) {
+        return await this.#history_page(null, query);
+    }
+
+    async availability_get_all() {
+        return await this.#access(async () =>
+            (await this.#db.prepare(`SELECT ${availability_columns} FROM room_availability`).all()).results
+        );
+    }
+
+    async availability_get(room_id) {
+        return await this.#access(async () =>
+            await this.#db
+                .prepare(`SELECT ${availability_columns} FROM room_availability WHERE room_id = ?`)
+                .bind(room_id)
+                .first()
+        );
+    }
+
+    async availability_set(room_id, record) {
+        await this.#access(async () => {
+            if (record) {
+                await this.#db
+                    .prepare(`INSERT INTO room_availability (${availability_columns}) VALUES (?1, ?2, ?3, ?4, ?5)
+                        ON CONFLICT (room_id) DO UPDATE SET state = ?2, message = ?3, reopen_at = ?4, updated_at = ?5`)
+                    .bind(room_id, record.state, record.message, record.reopen_at, record.updated_at)
+                    .run();
+            } else {
+                await this.#db.prepare('DELETE FROM room_availability WHERE room_id = ?').bind(room_id).run();
+            }
+        });
+    }
+}
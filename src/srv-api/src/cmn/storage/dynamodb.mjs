@@ -0,0 +1,380 @@
+import { DynamoDBClient, ScanCommand, GetItemCommand, DeleteItemCommand, QueryCommand, PutItemCommand, UpdateItemCommand, TransactWriteItemsCommand } from "@aws-sdk/client-dynamodb";
+import { StorageError } from "../errors.mjs";
+import { CrowdStorageInterface, STORAGE_RESET_SOURCE, crowd_record_build, crowd_occupancy_record_build, storage_cursor_encode, storage_cursor_decode } from "./interface.mjs";
+
+/*
+    テーブル構成
+        現在の状態 : パーティションキー roomid
+        更新履歴   : パーティションキー roomid, ソートキー updated_key (文字列, <updated_at(15桁0埋め)>#<乱数>)
+        受付状況   : パーティションキー roomid
+    履歴のソートキーに乱数を付け、同じ教室・日時の履歴も上書きせずに残す(時刻順は桁を揃えた文字列の順で保つ)
+    全教室の履歴は更新履歴テーブルのグローバルセカンダリインデックス(射影は全属性)をQueryで時刻順に読む
+        パーティションキー history_group (教室IDの開催の区切り "<event_id>/" まで, 区切りが無ければ "/")
+        ソートキー         updated_key
+*/
+
+// クライアントはリージョンごとに使い回す
+const dynamocls = new Map();
+
+function dynamocl_get(env, region) {
+    if (!dynamocls.has(region)) {
+        dynamocls.set(region, new DynamoDBClient({
+            region: region,
+            credentials: {
+                accessKeyId: env.AWS_ACCESS_KEY_ID,
+                secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+            }
+        }));
+    }
+    return dynamocls.get(region);
+}
+
+function history_key_time(updated_at) {
+    return String(Number(updated_at)).padStart(15, "0");
+}
+
+// 全教室の履歴のインデックスのパーティションキー(開催ごとに分け、開催の中では全教室を1つにまとめる)
+function history_group(room_id_prefix) {
+    return room_id_prefix || "/";
+}
+
+// 履歴の項目(updated_atは数値のまま別に持つ)
+function history_item_build(room_id, status, updated_at, source) {
+    return {
+        "roomid": { S: room_id },
+        "history_group": { S: history_group(room_id.slice(0, room_id.indexOf("/") + 1)) },
+        "updated_key": { S: `${history_key_time(updated_at)}#${crypto.randomUUID()}` },
+        "status": { N: String(status) },
+        "updated_at": { N: String(Number(updated_at)) },
+        "source": { S: source }
+    };
+}
+
+// 更新日時の範囲をソートキーの範囲にする(toの日時の履歴も含める)
+function history_key_range(from, to) {
+    return { ":from": { S: history_key_time(from) }, ":to": { S: `${history_key_time(to)}#~` } };
+}
+
+/*
+    カーソルが履歴のQueryの再開位置(ExclusiveStartKey)の形か
+    attributesは属性名 -> 値(nullなら文字列であればよい) 別の教室・開催のキーは受け付けない
+*/
+function history_start_key_is_valid(key, attributes) {
+    return typeof key === "object" && key !== null && !Array.isArray(key)
+        && Object.keys(key).length === Object.keys(attributes).length
+        && Object.entries(attributes).every(([name, value]) =>
+            typeof key[name]?.S === "string" && (value === null || key[name].S === value));
+}
+
+function crowd_item_convert(item) {
+    const status = Number(item.status.N);
+    if (item.occupancy) {
+        return { room_id: item.roomid.S, status, updated_at: Number(item.updated_at.N), occupancy: Number(item.occupancy.N) };
+    }
+    return crowd_record_build(
+        item.roomid.S,
+        status,
+        Number(item.updated_at.N),
+        item.vote_count ? {
+            status,
+            confidence: Number(item.confidence.N),
+            vote_count: Number(item.vote_count.N),
+            ...(item.trend ? { trend: Number(item.trend.N), busy_since: item.busy_since ? Number(item.busy_since.N) : null } : {})
+        } : null
+    );
+}
+
+function history_item_convert(item) {
+    return {
+        room_id: item.roomid.S,
+        status: Number(item.status.N),
+        updated_at: Number(item.updated_at.N),
+        source: item.source?.S ?? null
+    };
+}
+
+function availability_item_convert(item) {
+    return {
+        room_id: item.roomid.S,
+        state: item.state.S,
+        message: item.message?.S ?? null,
+        reopen_at: item.reopen_at ? Number(item.reopen_at.N) : null,
+        updated_at: Number(item.updated_at.N)
+    };
+}
+
+export class CrowdStorageDynamoDB extends CrowdStorageInterface {
+    #dynamocl;
+    #tablename;
+    #tablename_history;
+    #tablename_availability;
+    #indexname_history_time;
+
+    constructor(env, { region, tablename, tablename_history, tablename_availability, indexname_history_time }) {
+        super();
+        this.#dynamocl = dynamocl_get(env, region);
+        this.#tablename = tablename;
+        this.#tablename_history = tablename_history;
+        this.#tablename_availability = tablename_availability;
+        this.#indexname_history_time = indexname_history_time;
+    }
+
+    async #send(command) {
+        try {
+            return await this.#dynamocl.send(command);
+        } catch (error) {
+            throw new StorageError("Failed to access crowd data", error);
+        }
+    }
+
+    // 条件付きの書き込み(条件を満たさなければnullを返す)
+    async #send_conditional(command) {
+        try {
+            return await this.#dynamocl.send(command);
+        } catch (error) {
+            if (error.name === "ConditionalCheckFailedException") {
+                return null;
+            }
+            throw new StorageError("Failed to access crowd data", error);
+        }
+    }
+
+    async get_all() {
+        return (await this.#send(new ScanCommand({ TableName: this.#tablename }))).Items.map(crowd_item_convert);
+    }
+
+    async get_by_roomid(room_id) {
+        const item = (await this.#send(new GetItemCommand({
+            TableName: this.#tablename,
+            Key: {
+                "roomid": { S: room_id }
+            }
+        }))).Item;
+        return item ? crowd_item_convert(item) : null;
+    }
+
+    // 現在の状態の上書きと履歴への追記(TransactWriteItemsの2件分)
+    #update_transact_items(room_id, status, updated_at, source, summary) {
+        const record = crowd_record_build(room_id, status, updated_at, summary);
+        const item = {
+            "roomid": { S: room_id },
+            "status": { N: String(record.status) },
+            "updated_at": { N: String(Number(updated_at)) }
+        };
+        if (summary) {
+            item["confidence"] = { N: String(record.confidence) };
+            item["vote_count"] = { N: String(record.vote_count) };
+        }
+        if (record.trend !== undefined) {
+            item["trend"] = { N: String(record.trend) };
+            if (record.busy_since !== null) {
+                item["busy_since"] = { N: String(record.busy_since) };
+            }
+        }
+
+        return [
+            { Put: { TableName: this.#tablename, Item: item } },
+            { Put: { TableName: this.#tablename_history, Item: history_item_build(room_id, status, updated_at, source) } }
+        ];
+    }
+
+    async update(room_id, status, updated_at, source, summary = null) {
+        // 現在の状態の上書きと履歴への追記を同時に行う
+        await this.#send(new TransactWriteItemsCommand({
+            TransactItems: this.#update_transact_items(room_id, status, updated_at, source, summary)
+        }));
+    }
+
+    async update_many(updates) {
+        // 全教室分を1つのトランザクションで書く(1件でも失敗すれば全て書かれない)
+        await this.#send(new TransactWriteItemsCommand({
+            TransactItems: updates.flatMap(({ room_id, status, updated_at, source, summary }) =>
+                this.#update_transact_items(room_id, status, updated_at, source, summary)
+            )
+        }));
+    }
+
+    async history_add_many(records) {
+        await this.#send(new TransactWriteItemsCommand({
+            TransactItems: records.map(({ room_id, status, updated_at, source }) => ({
+                Put: { TableName: this.#tablename_history, Item: history_item_build(room_id, status, updated_at, source) }
+            }))
+        }));
+    }
+
+    async occupancy_add(room_id, delta, capacity, updated_at, source) {
+        const key = { "roomid": { S: room_id } };
+        const initial = crowd_occupancy_record_build(room_id, Math.max(0, delta), capacity, updated_at);
+        const values = {
+            ":zero": { N: "0" },
+            ":updated_at": { N: String(Number(updated_at)) },
+            ":initial_status": { N: String(initial.status) }
+        };
+        // statusは予約語なので名前を置き換える(投票の集計結果は人数計測では使わないので消す)
+        const common = {
+            TableName: this.#tablename,
+            Key: key,
+            ExpressionAttributeNames: { "#status": "status" },
+            ReturnValues: "ALL_NEW"
+        };
+        const set_common = "updated_at = :updated_at, #status = if_not_exists(#status, :initial_status) REMOVE confidence, vote_count, trend, busy_since";
+
+        // 人数の増減はDynamoDB側で行い、同時に更新されても失われないようにする
+        // 退室で0未満になる場合は0にする(その間に入室があればやり直す)
+        let res = null;
+        for (let i = 0; i < 3 && !res; i++) {
+            res = await this.#send_conditional(new UpdateItemCommand({
+                ...common,
+                UpdateExpression: `SET occupancy = if_not_exists(occupancy, :zero) + :delta, ${set_common}`,
+                ConditionExpression: delta < 0 ? "occupancy >= :needed" : undefined,
+                ExpressionAttributeValues: {
+                    ...values,
+                    ":delta": { N: String(delta) },
+                    ...(delta < 0 ? { ":needed": { N: String(-delta) } } : {})
+                }
+            }));
+            res ??= await this.#send_conditional(new UpdateItemCommand({
+                ...common,
+                UpdateExpression: `SET occupancy = :zero, ${set_common}`,
+                ConditionExpression: "attribute_not_exists(occupancy) OR occupancy < :needed",
+                ExpressionAttributeValues: { ...values, ":needed": { N: String(-delta) } }
+            }));
+        }
+        if (!res) {
+            throw new StorageError("Failed to update occupancy due to concurrent updates");
+        }
+
+        const item = crowd_occupancy_record_build(room_id, Number(res.Attributes.occupancy.N), capacity, updated_at);
+        // 混雑状況はその間に人数が変わっていない場合のみ書く(最後に増減した人数に対応する値が残る)
+        await this.#send_conditional(new UpdateItemCommand({
+            TableName: this.#tablename,
+            Key: key,
+            UpdateExpression: "SET #status = :status",
+            ConditionExpression: "occupancy = :occupancy",
+            ExpressionAttributeNames: { "#status": "status" },
+            ExpressionAttributeValues: {
+                ":status": { N: String(item.status) },
+                ":occupancy": { N: String(item.occupancy) }
+            }
+        }));
+        await this.#send(new PutItemCommand({
+            TableName: this.#tablename_history,
+            Item: history_item_build(room_id, item.status, updated_at, source)
+        }));
+        return item;
+    }
+
+    async delete(room_id) {
+        await this.#send(new DeleteItemCommand({
+            TableName: this.#tablename,
+            Key: {
+                "roomid": { S: room_id }
+            }
+        }));
+    }
+
+    async history_get_by_roomid(room_id, { from, to, limit, cursor }) {
+        const res = await this.#send(new QueryCommand({
+            TableName: this.#tablename_history,
+            KeyConditionExpression: "roomid = :roomid AND updated_key BETWEEN :from AND :to",
+            ExpressionAttributeValues: {
+                ":roomid": { S: room_id },
+                ...history_key_range(from, to)
+            },
+            Limit: limit,
+            ExclusiveStartKey: storage_cursor_decode(cursor, key =>
+                history_start_key_is_valid(key, { roomid: room_id, updated_key: null })
+            ) ?? undefined
+        }));
+
+        return {
+            items: res.Items.map(history_item_convert),
+            next_cursor: storage_cursor_encode(res.LastEvaluatedKey)
+        };
+    }
+
+    async history_get_recent(room_id, since, limit) {
+        // Limitはフィルタ前の件数に掛かるので、戻した履歴を除いてlimit件になるか最後まで読むまでページを続ける
+        const items = [];
+        let start_key = undefined;
+        do {
+            const res = await this.#send(new QueryCommand({
+                TableName: this.#tablename_history,
+                KeyConditionExpression: "roomid = :roomid AND updated_key >= :since",
+                FilterExpression: "attribute_not_exists(#source) OR #source <> :reset",
+                ExpressionAttributeNames: { "#source": "source" },
+                ExpressionAttributeValues: {
+                    ":roomid": { S: room_id },
+                    ":since": { S: history_key_time(since) },
+                    ":reset": { S: STORAGE_RESET_SOURCE }
+                },
+                ScanIndexForward: false,
+                Limit: limit - items.length,
+                ExclusiveStartKey: start_key
+            }));
+            items.push(...res.Items);
+            start_key = res.LastEvaluatedKey;
+        } while (start_key && items.length < limit);
+        return items.slice(0, limit).map(history_item_convert);
+    }
+
+    async history_get_all({ from, to, limit, cursor, prefix = "" }) {
+        // 開催の全教室の履歴をインデックスから時刻順に読む(ページをまたいでも時刻順)
+        const res = await this.#send(new QueryCommand({
+            TableName: this.#tablename_history,
+            IndexName: this.#indexname_history_time,
+            KeyConditionExpression: "history_group = :group AND updated_key BETWEEN :from AND :to",
+            ExpressionAttributeValues: {
+                ":group": { S: history_group(prefix) },
+                ...history_key_range(from, to)
+            },
+            Limit: limit,
+            ExclusiveStartKey: storage_cursor_decode(cursor, key =>
+                history_start_key_is_valid(key, { roomid: null, updated_key: null, history_group: history_group(prefix) })
+            ) ?? undefined
+        }));
+
+        return {
+            items: res.Items.map(history_item_convert),
+            next_cursor: storage_cursor_encode(res.LastEvaluatedKey)
+        };
+    }
+
+    async availability_get_all() {
+        return (await this.#send(new ScanCommand({ TableName: this.#tablename_availability }))).Items.map(availability_item_convert);
+    }
+
+    async availability_get(room_id) {
+        const item = (await this.#send(new GetItemCommand({
+            TableName: this.#tablename_availability,
+            Key: {
+                "roomid": { S: room_id }
+            }
+        }))).Item;
+        return item ? availability_item_convert(item) : null;
+    }
+
+    async availability_set(room_id, record) {
+        if (!record) {
+            await this.#send(new DeleteItemCommand({
+                TableName: this.#tablename_availability,
+                Key: {
+                    "roomid": { S: room_id }
+                }
+            }));
+            return;
+        }
+        const item = {
+            "roomid": { S: room_id },
+            "state": { S: record.state },
+            "updated_at": { N: String(record.updated_at) }
+        };
+        if (record.message !== null) {
+            item["message"] = { S: record.message };
+        }
+        if (record.reopen_at !== null) {
+            item["reopen_at"] = { N: String(record.reopen_at) };
+        }
+        await this.#send(new PutItemCommand({ TableName: this.#tablename_availability, Item: item }));
+    }
+}
@@ -0,0 +1,45 @@
+import { StorageError } from '../errors.mjs';
+import { CrowdStorageDynamoDB } from './dynamodb.mjs';
+import { CrowdStorageKV } from './kv.mjs';
+import { CrowdStorageD1 } from './d1.mjs';
+import { CrowdStorageMemory } from './memory.mjs';
+import { CrowdStorageEventScoped } from './scoped.mjs';
+import { event_storage_prefix } from '../event.mjs';
+
+/*
+    混雑状況の保存先はwrangler.jsoncのvarsで切り替える
+        STORAGE_BACKEND                 : dynamodb | kv | d1 | memory (既定値: dynamodb)
+        STORAGE_DYNAMODB_REGION         : DynamoDBのリージョン
+        STORAGE_DYNAMODB_TABLE          : 現在の状態のテーブル名
+        STORAGE_DYNAMODB_TABLE_HISTORY  : 更新履歴のテーブル名
+        STORAGE_DYNAMODB_TABLE_AVAILABILITY : 受付状況のテーブル名
+        STORAGE_DYNAMODB_INDEX_HISTORY_TIME : 全教室の履歴を時刻順に読むインデックス名(更新履歴のテーブルのGSI)
+        STORAGE_KV_BINDING              : 使用するKVのバインディング名 (既定値: db_mini)
+        STORAGE_D1_BINDING              : 使用するD1のバインディング名 (既定値: db_crowd)
+    開催ごとの区切り(cmn/event.mjs)はKVならキーの頭で、それ以外は教室IDの頭で付ける
+*/
+const storage_factories = {
+    dynamodb: env => new CrowdStorageDynamoDB(env, {
+        region: env.STORAGE_DYNAMODB_REGION ?? 'ap-northeast-1',
+        tablename: env.STORAGE_DYNAMODB_TABLE ?? 'crowd-status',
+        tablename_history: env.STORAGE_DYNAMODB_TABLE_HISTORY ?? 'crowd-history',
+        tablename_availability: env.STORAGE_DYNAMODB_TABLE_AVAILABILITY ?? 'crowd-availability',
+        indexname_history_time: env.STORAGE_DYNAMODB_INDEX_HISTORY_TIME ?? 'crowd-history-by-time'
+    }),
+    kv: env => new CrowdStorageKV(env[env.STORAGE_KV_BINDING ?? 'db_mini']),
+    d1: env => new CrowdStorageD1(env[env.STORAGE_D1_BINDING ?? 'db_crowd']),
+    memory: env => new CrowdStorageMemory()
+};
+
+/** 設定に応じた混雑状況の保存先を取得
+ * @returns {import('./interface.mjs').CrowdStorageInterface}
+ */
+export function crowd_storage_get(env) {
+    const backend = env.STORAGE_BACKEND ?? 'dynamodb';
+    const factory = storage_factories[backend];
+    if (!factory) {
+        throw new StorageError(`Unknown storage backend "${backend}"`, undefined, 'STORAGE_MISCONFIGURED');
+    }
+    // KVはenvのKV自体が開催ごとに区切られている
+    return backend === 'kv' ? factory(env) : new CrowdStorageEventScoped(factory(env), event_storage_prefix(env));
+}
@@ -0,0 +1,254 @@
+import { ValidationError } from '../errors.mjs';
+import { crowd_status_from_occupancy } from '../crowdstatus.mjs';
+
+/** 現在の混雑状況
+ * confidenceとvote_countは集計結果を保存した場合のみ、occupancyは人数計測モードの場合のみ
+ * @typedef {Object} CrowdRecord
+ * @property {string} room_id - 教室ID
+ * @property {number} status - 混雑状況(公開する値)
+ * @property {number} updated_at - 更新日時(UNIXミリ秒)
+ * @property {number} [confidence] - 信頼度(0～1)
+ * @property {number} [vote_count] - 集計した投票数
+ * @property {number} [trend] - 直近の傾向(1, 0, -1, 集計時に求めた場合のみ, waittime.mjs)
+ * @property {number|null} [busy_since] - 混雑が続いている起点(trendと一緒に保存する)
+ * @property {number} [occupancy] - 在室人数
+ */
+
+/** 投票の集計結果(aggregate.mjs)
+ * @typedef {Object} CrowdSummary
+ * @property {number} status - 公開する混雑状況
+ * @property {number} confidence - 信頼度(0～1)
+ * @property {number} vote_count - 集計した投票数
+ * @property {number} [trend] - 直近の傾向(waittime.mjsのcrowd_wait_history_get)
+ * @property {number|null} [busy_since] - 混雑が続いている起点(同上)
+ */
+
+/** まとめて更新する1教室分の内容(update_many)
+ * @typedef {Object} CrowdUpdate
+ * @property {string} room_id - 教室ID
+ * @property {number} status - 混雑状況(投票された値)
+ * @property {number} updated_at - 更新日時(UNIXミリ秒)
+ * @property {string} source - 更新元
+ * @property {CrowdSummary|null} summary - 集計結果
+ */
+
+/** 混雑状況の更新履歴1件
+ * @typedef {Object} CrowdHistoryRecord
+ * @property {string} room_id - 教室ID
+ * @property {number} status - 混雑状況
+ * @property {number} updated_at - 更新日時(UNIXミリ秒)
+ * @property {string|null} source - 更新元
+ */
+
+/** 教室の受付状況(混雑状況とは別に係員が設定する)
+ * 受付中(open)の教室は保存しない
+ * @typedef {Object} RoomAvailabilityRecord
+ * @property {string} room_id - 教室ID
+ * @property {'paused'|'closed'} state - 一時停止中 | 終了・中止
+ * @property {string|null} message - 来訪者向けの説明
+ * @property {number|null} reopen_at - 再開予定日時(UNIXミリ秒)
+ * @property {number} updated_at - 設定日時(UNIXミリ秒)
+ */
+
+/** 更新履歴の取得条件
+ * @typedef {Object} CrowdHistoryQuery
+ * @property {number} from - 開始時刻(UNIXミリ秒, 含む)
+ * @property {number} to - 終了時刻(UNIXミリ秒, 含む)
+ * @property {number} limit - 1ページあたりの最大件数
+ * @property {string|null} cursor - 前のページのnext_cursor
+ * @property {string} [prefix] - 教室IDの頭(開催の区切り, history_get_allのみ 保存先が開催ごとに読めるなら使う)
+ */
+
+/** 更新履歴の1ページ
+ * @typedef {Object} CrowdHistoryPage
+ * @property {CrowdHistoryRecord[]} items - 履歴(ページ内は時刻順)
+ * @property {string|null} next_cursor - 次のページのカーソル(最後のページならnull)
+ */
+
+// まとめて更新できる教室数(DynamoDBのTransactWriteItemsは100件までで、1教室につき状態と履歴の2件を書く)
+export const STORAGE_BATCH_MAX = 50;
+// まとめて履歴に追記できる件数(DynamoDBのTransactWriteItemsの上限)
+export const STORAGE_HISTORY_BATCH_MAX = 100;
+
+// 公開開始時に混雑状況を戻したときの履歴の更新元(投票ではないので集計に使わない)
+export const STORAGE_RESET_SOURCE = 'reset';
+
+/** 混雑状況の保存先のインターフェース
+ * 実装はstorage/index.mjsでwrangler.jsoncのSTORAGE_BACKENDに応じて選択される
+ */
+export class CrowdStorageInterface {
+    /** 全教室の現在の混雑状況を取得
+     * @returns {Promise<CrowdRecord[]>}
+     */
+    async get_all() {
+        throw new Error('get_all must be implemented');
+    }
+
+    /** 特定教室の現在の混雑状況を取得
+     * @param {string} room_id - 教室ID
+     * @returns {Promise<CrowdRecord|null>} - 一度も更新されていなければnull
+     */
+    async get_by_roomid(room_id) {
+        throw new Error('get_by_roomid must be implemented');
+    }
+
+    /** 混雑状況を更新し履歴に追記
+     * 履歴には投票された値を、現在の状態には集計結果(省略時は投票された値)を保存する
+     * @param {string} room_id - 教室ID
+     * @param {number} status - 混雑状況(投票された値)
+     * @param {number} updated_at - 更新日時(UNIXミリ秒)
+     * @param {string} source - 更新元
+     * @param {CrowdSummary|null} [summary] - 集計結果
+     * @returns {Promise<void>}
+     */
+    async update(room_id, status, updated_at, source, summary = null) {
+        throw new Error('update must be implemented');
+    }
+
+    /** 複数教室の混雑状況をまとめて更新し履歴に追記
+     * DynamoDBとD1は1つのトランザクションで書き込み(全て成功するか全て失敗する)、それ以外は順に書き込む
+     * @param {CrowdUpdate[]} updates - 更新内容(1教室につき1件, STORAGE_BATCH_MAX件まで)
+     * @returns {Promise<void>}
+     */
+    async update_many(updates) {
+        throw new Error('update_many must be implemented');
+    }
+
+    /** 更新履歴にまとめて追記(現在の状態は変えない, POST /import用)
+     * 全て書かれるか何も書かれない DynamoDBとD1は1つのトランザクションで書き込み、
+     * KVは順に書き込んで途中で失敗したらそれまでに書いた分を消す
+     * @param {CrowdHistoryRecord[]} records - 追記する履歴(STORAGE_HISTORY_BATCH_MAX件まで)
+     * @returns {Promise<void>}
+     */
+    async history_add_many(records) {
+        throw new Error('history_add_many must be implemented');
+    }
+
+    /** 在室人数を増減し、定員から求めた混雑状況を保存して履歴に追記(人数計測モード)
+     * 人数は0未満にならない
+     * 同時に呼ばれても増減が失われないようにする(KVは読んでから書くため保証しない)
+     * @param {string} room_id - 教室ID
+     * @param {number} delta - 増減する人数(入室は正、退室は負)
+     * @param {number} capacity - 定員
+     * @param {number} updated_at - 更新日時(UNIXミリ秒)
+     * @param {string} source - 更新元
+     * @returns {Promise<CrowdRecord>} - 更新後の状態
+     */
+    async occupancy_add(room_id, delta, capacity, updated_at, source) {
+        throw new Error('occupancy_add must be implemented');
+    }
+
+    /** 特定教室の現在の混雑状況を削除(履歴は残す)
+     * @param {string} room_id - 教室ID
+     * @returns {Promise<void>}
+     */
+    async delete(room_id) {
+        throw new Error('delete must be implemented');
+    }
+
+    /** 特定教室の更新履歴を取得
+     * @param {string} room_id - 教室ID
+     * @param {CrowdHistoryQuery} query - 取得条件
+     * @returns {Promise<CrowdHistoryPage>}
+     */
+    async history_get_by_roomid(room_id, query) {
+        throw new Error('history_get_by_roomid must be implemented');
+    }
+
+    /** 特定教室の直近の更新履歴を新しい順に取得(投票の集計用)
+     * 公開開始時に戻した履歴(更新元がSTORAGE_RESET_SOURCE)は含めない
+     * @param {string} room_id - 教室ID
+     * @param {number} since - この時刻(UNIXミリ秒, 含む)以降のもののみ
+     * @param {number} limit - 最大件数
+     * @returns {Promise<CrowdHistoryRecord[]>}
+     */
+    async history_get_recent(room_id, since, limit) {
+        throw new Error('history_get_recent must be implemented');
+    }
+
+    /** 全教室の受付状況を取得(受付中の教室は含まない)
+     * @returns {Promise<RoomAvailabilityRecord[]>}
+     */
+    async availability_get_all() {
+        throw new Error('availability_get_all must be implemented');
+    }
+
+    /** 特定教室の受付状況を取得
+     * @param {string} room_id - 教室ID
+     * @returns {Promise<RoomAvailabilityRecord|null>} - 受付中ならnull
+     */
+    async availability_get(room_id) {
+        throw new Error('availability_get must be implemented');
+    }
+
+    /** 特定教室の受付状況を設定
+     * @param {string} room_id - 教室ID
+     * @param {RoomAvailabilityRecord|null} record - 受付中に戻す場合はnull
+     * @returns {Promise<void>}
+     */
+    async availability_set(room_id, record) {
+        throw new Error('availability_set must be implemented');
+    }
+
+    /** 全教室の更新履歴を取得
+     * ページをまたいだ順序は実装依存(KV以外は時刻順)
+     * @param {CrowdHistoryQuery} query - 取得条件
+     * @returns {Promise<CrowdHistoryPage>}
+     */
+    async history_get_all(query) {
+        throw new Error('history_get_all must be implemented');
+    }
+}
+
+// 現在の状態のレコードを組み立てる(集計結果が無ければconfidenceとvote_countは、傾向が無ければtrendとbusy_sinceは付けない)
+export function crowd_record_build(room_id, status, updated_at, summary) {
+    if (!summary) {
+        return { room_id, status, updated_at };
+    }
+    return {
+        room_id,
+        status: summary.status,
+        updated_at,
+        confidence: summary.confidence,
+        vote_count: summary.vote_count,
+        ...(summary.trend !== undefined ? { trend: summary.trend, busy_since: summary.busy_since ?? null } : {})
+    };
+}
+
+// 人数計測モードの現在の状態のレコードを組み立てる
+export function crowd_occupancy_record_build(room_id, occupancy, capacity, updated_at) {
+    return {
+        room_id,
+        status: crowd_status_from_occupancy(occupancy, capacity),
+        updated_at,
+        occupancy
+    };
+}
+
+/*
+    ページングのカーソルは実装ごとの再開位置をJSON化してbase64化したもの
+    クライアントからは不透明な文字列として扱う
+    クライアントが書き換えたカーソルをそのまま使わないよう、復元時にis_validで実装ごとの形を確かめる(不正なら400)
+*/
+export function storage_cursor_encode(position) {
+    if (position === null || position === undefined) {
+        return null;
+    }
+    return btoa(JSON.stringify(position));
+}
+
+export function storage_cursor_decode(cursor, is_valid = () => true) {
+    if (!cursor) {
+        return null;
+    }
+    let position;
+    try {
+        position = JSON.parse(atob(cursor));
+    } catch (e) {
+        throw new ValidationError('Invalid cursor', 'INVALID_CURSOR');
+    }
+    if (!is_valid(position)) {
+        throw new ValidationError('Invalid cursor', 'INVALID_CURSOR');
+    }
+    return position;
+}
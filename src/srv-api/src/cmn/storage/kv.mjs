@@ -0,0 +1,177 @@
+import { StorageError } from '../errors.mjs';
+import { CrowdStorageInterface, STORAGE_RESET_SOURCE, crowd_record_build, crowd_occupancy_record_build } from './interface.mjs';
+
+/*
+    キー構成
+        crowd:<room_id>                                  : 現在の状態
+        history:<room_id>:<updated_at(15桁0埋め)>:<乱数> : 更新履歴
+        availability:<room_id>                           : 受付状況(受付中なら無し)
+    一覧取得時に値を個別に読まなくて済むよう、値と同じ内容をメタデータにも入れる
+    KVのlistは古い順にしか読めないため、直近の履歴(集計用)は現在の状態の値のrecentにも持たせる
+    (メタデータの容量制限があるのでrecentは値にのみ入れる)
+    ※Workers KVは書き込み回数の制限が厳しい(1000回/日)ので小規模な運用向け
+*/
+const crowd_prefix = 'crowd:';
+const history_prefix = 'history:';
+const availability_prefix = 'availability:';
+// 現在の状態に持たせる直近の履歴の件数
+const recent_limit = 50;
+
+function history_key(room_id, updated_at) {
+    return `${history_prefix}${room_id}:${String(updated_at).padStart(15, '0')}:${crypto.randomUUID()}`;
+}
+
+export class CrowdStorageKV extends CrowdStorageInterface {
+    #kv;
+
+    constructor(kv) {
+        super();
+        if (!kv) {
+            throw new StorageError('KV binding for crowd storage not found');
+        }
+        this.#kv = kv;
+    }
+
+    async #access(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw new StorageError('Failed to access crowd data', error);
+        }
+    }
+
+    async #list_all(prefix) {
+        const keys = [];
+        let cursor = undefined;
+        do {
+            const res = await this.#kv.list({ prefix, cursor });
+            keys.push(...res.keys);
+            cursor = res.list_complete ? undefined : res.cursor;
+        } while (cursor);
+        return keys;
+    }
+
+    async get_all() {
+        return await this.#access(async () =>
+            (await this.#list_all(crowd_prefix)).map(key => ({ ...key.metadata }))
+        );
+    }
+
+    async #get_value(room_id) {
+        return await this.#access(async () =>
+            await this.#kv.get(crowd_prefix + room_id, { type: 'json' })
+        );
+    }
+
+    async get_by_roomid(room_id) {
+        const value = await this.#get_value(room_id);
+        if (!value) {
+            return null;
+        }
+        const { recent, ...item } = value;
+        return item;
+    }
+
+    async #put(item, history_item, previous) {
+        const recent = [history_item, ...(previous?.recent ?? [])].slice(0, recent_limit);
+        // KVにはトランザクションが無いので履歴を先に書く(状態だけ更新されて履歴が欠けることを防ぐ)
+        await this.#access(async () => {
+            await this.#kv.put(history_key(item.room_id, item.updated_at), JSON.stringify(history_item), { metadata: history_item });
+            await this.#kv.put(crowd_prefix + item.room_id, JSON.stringify({ ...item, recent }), { metadata: item });
+        });
+    }
+
+    async update(room_id, status, updated_at, source, summary = null) {
+        const item = crowd_record_build(room_id, status, updated_at, summary);
+        await this.#put(item, { room_id, status, updated_at, source }, await this.#get_value(room_id));
+    }
+
+    async update_many(updates) {
+        // トランザクションが無いので1教室ずつ書く(途中で失敗するとそれより前の教室だけ更新される)
+        for (const { room_id, status, updated_at, source, summary } of updates) {
+            await this.update(room_id, status, updated_at, source, summary);
+        }
+    }
+
+    async history_add_many(records) {
+        // 直近の履歴(recent)には入れない(集計には取り込んだ過去の履歴を使わない)
+        // トランザクションが無いので、途中で失敗したらそれまでに書いた分を消して何も残さない
+        const written = [];
+        await this.#access(async () => {
+            try {
+                for (const { room_id, status, updated_at, source } of records) {
+                    const history_item = { room_id, status, updated_at, source };
+                    const key = history_key(room_id, updated_at);
+                    await this.#kv.put(key, JSON.stringify(history_item), { metadata: history_item });
+                    written.push(key);
+                }
+            } catch (error) {
+                await Promise.allSettled(written.map(key => this.#kv.delete(key)));
+                throw error;
+            }
+        });
+    }
+
+    async occupancy_add(room_id, delta, capacity, updated_at, source) {
+        // 読んでから書くため、同時に更新されると片方の増減が失われることがある
+        const previous = await this.#get_value(room_id);
+        const item = crowd_occupancy_record_build(room_id, Math.max(0, (previous?.occupancy ?? 0) + delta), capacity, updated_at);
+        await this.#put(item, { room_id, status: item.status, updated_at, source }, previous);
+        return item;
+    }
+
+    async delete(room_id) {
+        await this.#access(async () => await this.#kv.delete(crowd_prefix + room_id));
+    }
+
+    async #history_page(prefix, { from, to, limit, cursor }) {
+        // KVのlistは範囲指定ができないため、1ページ分を読んでから絞り込む(件数がlimit未満のページもありうる)
+        const res = await this.#access(async () =>
+            await this.#kv.list({ prefix, limit, cursor: cursor ?? undefined })
+        );
+        return {
+            items: res.keys
+                .map(key => ({ ...key.metadata }))
+                .filter(item => from <= item.updated_at && item.updated_at <= to)
+                .sort((a, b) => a.updated_at - b.updated_at),
+            next_cursor: res.list_complete ? null : res.cursor
+        };
+    }
+
+    async history_get_by_roomid(room_id, query) {
+        return await this.#history_page(`${history_prefix}${room_id}:`, query);
+    }
+
+    async history_get_recent(room_id, since, limit) {
+        return ((await this.#get_value(room_id))?.recent ?? [])
+            .filter(item => since <= item.updated_at && item.source !== STORAGE_RESET_SOURCE)
+            .sort((a, b) => b.updated_at - a.updated_at)
+            .slice(0, limit);
+    }
+
+    async history_get_all(query) {
+        return await this.#history_page(history_prefix, query);
+    }
+
+    async availability_get_all() {
+        return await this.#access(async () =>
+            (await this.#list_all(availability_prefix)).map(key => ({ ...key.metadata }))
+        );
+    }
+
+    async availability_get(room_id) {
+        return await this.#access(async () =>
+            await this.#kv.get(availability_prefix + room_id, { type: 'json' })
+        );
+    }
+
+    async availability_set(room_id, record) {
+        await this.#access(async () => {
+            if (record) {
+                await this.#kv.put(availability_prefix + room_id, JSON.stringify(record), { metadata: record });
+            } else {
+                await this.#kv.delete(availability_prefix + room_id);
+            }
+        });
+    }
+}
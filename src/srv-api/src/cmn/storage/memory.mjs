@@ -0,0 +1,100 @@
+import { CrowdStorageInterface, STORAGE_RESET_SOURCE, crowd_record_build, crowd_occupancy_record_build, storage_cursor_encode, storage_cursor_decode } from './interface.mjs';
+
+/*
+    Workerのインスタンス内にのみ保持する(再起動で消える)
+    ローカル実行とテスト用
+*/
+const memory_crowd = new Map();
+const memory_history = [];
+const memory_availability = new Map();
+
+// 履歴から条件に合うものを時刻順に抜き出してページングする
+function history_page(filter, { from, to, limit, cursor }) {
+    const offset = storage_cursor_decode(cursor, offset => Number.isSafeInteger(offset) && offset >= 0) ?? 0;
+    const matched = memory_history
+        .filter(item => filter(item) && from <= item.updated_at && item.updated_at <= to)
+        .sort((a, b) => a.updated_at - b.updated_at);
+    const items = matched.slice(offset, offset + limit);
+    return {
+        items: items.map(item => ({ ...item })),
+        next_cursor: offset + limit < matched.length ? storage_cursor_encode(offset + limit) : null
+    };
+}
+
+export class CrowdStorageMemory extends CrowdStorageInterface {
+    async get_all() {
+        return Array.from(memory_crowd.values(), item => ({ ...item }));
+    }
+
+    async get_by_roomid(room_id) {
+        const item = memory_crowd.get(room_id);
+        return item ? { ...item } : null;
+    }
+
+    async update(room_id, status, updated_at, source, summary = null) {
+        memory_crowd.set(room_id, crowd_record_build(room_id, status, updated_at, summary));
+        memory_history.push({ room_id, status, updated_at, source });
+    }
+
+    async update_many(updates) {
+        for (const { room_id, status, updated_at, source, summary } of updates) {
+            await this.update(room_id, status, updated_at, source, summary);
+        }
+    }
+
+    async history_add_many(records) {
+        memory_history.push(...records.map(({ room_id, status, updated_at, source }) => ({ room_id, status, updated_at, source })));
+    }
+
+    async occupancy_add(room_id, delta, capacity, updated_at, source) {
+        const occupancy = Math.max(0, (memory_crowd.get(room_id)?.occupancy ?? 0) + delta);
+        const item = crowd_occupancy_record_build(room_id, occupancy, capacity, updated_at);
+        memory_crowd.set(room_id, item);
+        memory_history.push({ room_id, status: item.status, updated_at, source });
+        return { ...item };
+    }
+
+    async delete(room_id) {
+        memory_crowd.delete(room_id);
+    }
+
+    async history_get_by_roomid(room_id, query) {
+        return history_page(item => item.room_id === room_id, query);
+    }
+
+    async history_get_recent(room_id, since, limit) {
+        return memory_history
+            .filter(item => item.room_id === room_id && since <= item.updated_at && item.source !== STORAGE_RESET_SOURCE)
+            .sort((a, b) => b.updated_at - a.updated_at)
+            .slice(0, limit)
+            .map(item => ({ ...item }));
+    }
+
+    async history_get_all(query) {
+        return history_page(() => true, query);
+    }
+
+    async availability_get_all() {
+        return Array.from(memory_availability.values(), record => ({ ...record }));
+    }
+
+    async availability_get(room_id) {
+        const record = memory_availability.get(room_id);
+        return record ? { ...record } : null;
+    }
+
+    async availability_set(room_id, record) {
+        if (record) {
+            memory_availability.set(room_id, { ...record });
+        } else {
+            memory_availability.delete(room_id);
+        }
+    }
+}
+
+// テスト用に保持しているデータを消去する
+export function crowd_storage_memory_clear() {
+    memory_crowd.clear();
+    memory_history.length = 0;
+    memory_availability.clear();
+}
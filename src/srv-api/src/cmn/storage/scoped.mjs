@@ -0,0 +1,91 @@
+import { CrowdStorageInterface } from './interface.mjs';
+
+/*
+    開催ごとに混雑状況を分ける包み(cmn/event.mjs)
+    保存先には教室IDの頭に "<event_id>/" を付けて書き、読むときに外す
+    prefixが空文字列の開催(区切りを入れる前の開催)は、"/"を含む教室ID(他の開催のもの)を除いて読む
+    全教室の履歴は保存先にprefixを渡す(DynamoDBは開催ごとに読む)
+    ※それ以外の保存先はページごとに絞り込むため、1ページの件数がlimitより少ないこともある
+*/
+export class CrowdStorageEventScoped extends CrowdStorageInterface {
+    #inner;
+    #prefix;
+
+    constructor(inner, prefix) {
+        super();
+        this.#inner = inner;
+        this.#prefix = prefix;
+    }
+
+    #key(room_id) {
+        return this.#prefix + room_id;
+    }
+
+    #owns(record) {
+        return this.#prefix === '' ? !record.room_id.includes('/') : record.room_id.startsWith(this.#prefix);
+    }
+
+    #unwrap(record) {
+        return record ? { ...record, room_id: record.room_id.slice(this.#prefix.length) } : record;
+    }
+
+    #unwrap_all(records) {
+        return records.filter(record => this.#owns(record)).map(record => this.#unwrap(record));
+    }
+
+    #unwrap_page(page) {
+        return { ...page, items: this.#unwrap_all(page.items) };
+    }
+
+    async get_all() {
+        return this.#unwrap_all(await this.#inner.get_all());
+    }
+
+    async get_by_roomid(room_id) {
+        return this.#unwrap(await this.#inner.get_by_roomid(this.#key(room_id)));
+    }
+
+    async update(room_id, status, updated_at, source, summary = null) {
+        await this.#inner.update(this.#key(room_id), status, updated_at, source, summary);
+    }
+
+    async update_many(updates) {
+        await this.#inner.update_many(updates.map(update => ({ ...update, room_id: this.#key(update.room_id) })));
+    }
+
+    async history_add_many(records) {
+        await this.#inner.history_add_many(records.map(record => ({ ...record, room_id: this.#key(record.room_id) })));
+    }
+
+    async occupancy_add(room_id, delta, capacity, updated_at, source) {
+        return this.#unwrap(await this.#inner.occupancy_add(this.#key(room_id), delta, capacity, updated_at, source));
+    }
+
+    async delete(room_id) {
+        await this.#inner.delete(this.#key(room_id));
+    }
+
+    async history_get_by_roomid(room_id, query) {
+        return this.#unwrap_page(await this.#inner.history_get_by_roomid(this.#key(room_id), query));
+    }
+
+    async history_get_recent(room_id, since, limit) {
+        return this.#unwrap_all(await this.#inner.history_get_recent(this.#key(room_id), since, limit));
+    }
+
+    async history_get_all(query) {
+        return this.#unwrap_page(await this.#inner.history_get_all({ ...query, prefix: this.#prefix }));
+    }
+
+    async availability_get_all() {
+        return this.#unwrap_all(await this.#inner.availability_get_all());
+    }
+
+    async availability_get(room_id) {
+        return this.#unwrap(await this.#inner.availability_get(this.#key(room_id)));
+    }
+
+    async availability_set(room_id, record) {
+        await this.#inner.availability_set(this.#key(room_id), record && { ...record, room_id: this.#key(room_id) });
+    }
+}
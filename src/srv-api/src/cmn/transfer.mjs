@@ -0,0 +1,359 @@
+import { ValidationError, NotFoundError, UnsupportedMediaTypeError } from './errors.mjs';
+import { crowd_status_is_valid, CROWD_STATUS_MIN, CROWD_STATUS_MAX } from './crowdstatus.mjs';
+import { HISTORY_LIMIT_MAX, history_source_is_valid } from './history.mjs';
+import { room_id_assert_valid, room_assert_valid, room_normalize } from './rooms.mjs';
+import { local_datetime_string, local_datetime_parse } from './localtime.mjs';
+import { STORAGE_HISTORY_BATCH_MAX } from './storage/interface.mjs';
+
+/*
+    混雑状況の書き出し(GET /export)と取り込み(POST /import)
+    形式(format)
+        csv    : 表計算ソフト用 1行に1件の更新(Excelで文字化けしないようBOMを付ける)
+                 列は datetime(現地時刻), updated_at, room_id, status, source と教室ごとの列
+                 教室ごとの列は列名が教室名で、更新された教室の列にのみ混雑状況が入る(教室名が重複する場合は "<教室名> (<教室ID>)")
+        json   : { "exported_at", "from", "to", "rooms": <GET /roomsと同じ>, "items": [<更新>, ...] }
+        ndjson : 1行目が {"type": "rooms", "rooms": <GET /roomsと同じ>}、以降は1行に1件 {"type": "update", <更新>}
+    更新は { room_id, room_name, status, updated_at, source } (room_nameは教室データに無い教室ならnull)
+*/
+
+export const TRANSFER_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json',
+    ndjson: 'application/x-ndjson'
+};
+// 一度に取り込める更新の件数(1回の書き込み(history_add_many)で全て書かれるか何も書かれない件数)
+export const TRANSFER_IMPORT_MAX = STORAGE_HISTORY_BATCH_MAX;
+
+const transfer_source_default = 'import';
+const csv_bom = '\uFEFF';
+const csv_fixed_columns = ['datetime', 'updated_at', 'room_id', 'status', 'source'];
+
+// 教室データをsort_priority順の [教室ID, 教室データ] の配列にする
+function transfer_rooms_sorted(rooms) {
+    return Object.entries(rooms).sort((a, b) => (a[1].sort_priority ?? 0) - (b[1].sort_priority ?? 0));
+}
+
+// CSVの教室ごとの列 [教室ID, 列名] (教室名が重複する場合は教室IDを付けて区別する)
+function transfer_csv_room_columns(rooms) {
+    const sorted = transfer_rooms_sorted(rooms);
+    const counts = new Map();
+    for (const [, room] of sorted) {
+        counts.set(room.name, (counts.get(room.name) ?? 0) + 1);
+    }
+    return sorted.map(([room_id, room]) => [room_id, counts.get(room.name) > 1 ? `${room.name} (${room_id})` : room.name]);
+}
+
+function csv_field(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function csv_line(fields) {
+    return fields.map(csv_field).join(',') + '\r\n';
+}
+
+function transfer_item_view(rooms, record) {
+    return {
+        room_id: record.room_id,
+        room_name: Object.prototype.hasOwnProperty.call(rooms, record.room_id) ? rooms[record.room_id].name : null,
+        status: record.status,
+        updated_at: record.updated_at,
+        source: record.source ?? null
+    };
+}
+
+/*
+    書き出す内容を少しずつ返す(履歴は1ページずつ読み、ページごとに返す)
+    KVではページをまたいだ時刻順は保証しない(GET /crowd/historyと同じ)
+*/
+export async function* transfer_export_chunks(env, storage, rooms, format, { from, to, now }) {
+    const columns = transfer_csv_room_columns(rooms);
+    switch (format) {
+        case 'csv':
+            yield csv_bom + csv_line([...csv_fixed_columns, ...columns.map(([, name]) => name)]);
+            break;
+        case 'json':
+            yield `{"exported_at":${now},"from":${from},"to":${to},"rooms":${JSON.stringify(rooms)},"items":[`;
+            break;
+        case 'ndjson':
+            yield JSON.stringify({ type: 'rooms', rooms }) + '\n';
+            break;
+    }
+
+    let cursor = null;
+    let first = true;
+    do {
+        const page = await storage.history_get_all({ from, to, limit: HISTORY_LIMIT_MAX, cursor });
+        const items = page.items.map(record => transfer_item_view(rooms, record));
+        cursor = page.next_cursor;
+        if (items.length === 0) {
+            continue;
+        }
+        switch (format) {
+            case 'csv':
+                yield items.map(item => csv_line([
+                    local_datetime_string(env, item.updated_at),
+                    item.updated_at,
+                    item.room_id,
+                    item.status,
+                    item.source,
+                    ...columns.map(([room_id]) => room_id === item.room_id ? item.status : null)
+                ])).join('');
+                break;
+            case 'json':
+                yield (first ? '' : ',') + items.map(item => JSON.stringify(item)).join(',');
+                break;
+            case 'ndjson':
+                yield items.map(item => JSON.stringify({ type: 'update', ...item }) + '\n').join('');
+                break;
+        }
+        first = false;
+    } while (cursor !== null);
+
+    if (format === 'json') {
+        yield ']}';
+    }
+}
+
+// 少しずつ返される文字列をレスポンスのボディにする(途中で失敗したらそこで切る)
+export function transfer_export_stream(chunks) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { value, done } = await chunks.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(encoder.encode(value));
+                }
+            } catch (error) {
+                console.error('[ERROR] Export failed while streaming', error);
+                controller.error(error);
+            }
+        },
+        async cancel() {
+            await chunks.return();
+        }
+    });
+}
+
+// RFC 4180のCSVを行ごとのフィールドの配列にする(引用符の中の改行も扱う)
+function csv_parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new ValidationError('CSV has an unterminated quoted field', 'INVALID_IMPORT');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // 空行は無視する
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+// CSVの列名から教室IDを求める(教室ID, 重複しない教室名, "<教室名> (<教室ID>)" の順に探す)
+function transfer_csv_room_resolve(rooms, column) {
+    if (Object.prototype.hasOwnProperty.call(rooms, column)) {
+        return column;
+    }
+    const named = Object.keys(rooms).filter(room_id => rooms[room_id].name === column);
+    if (named.length === 1) {
+        return named[0];
+    }
+    const suffix = /\(([^()]+)\)$/.exec(column);
+    if (suffix && Object.prototype.hasOwnProperty.call(rooms, suffix[1])) {
+        return suffix[1];
+    }
+    throw new NotFoundError(`CSV column "${column}" does not match any room`, 'ROOM_NOT_FOUND');
+}
+
+/*
+    CSVの更新
+    room_idとstatusの列があれば1行1件、無ければ教室ごとの列の空でない値を1件ずつ読む(手で作った表も取り込めるように)
+    日時はupdated_atの列、無ければdatetimeの列(現地時刻)から読む
+*/
+function transfer_csv_items(env, text, rooms) {
+    const [header, ...rows] = csv_parse(text.startsWith(csv_bom) ? text.slice(1) : text);
+    if (!header) {
+        throw new ValidationError('CSV must have a header line', 'INVALID_IMPORT');
+    }
+    const index = name => header.indexOf(name);
+    if (index('updated_at') < 0 && index('datetime') < 0) {
+        throw new ValidationError('CSV must have an "updated_at" or "datetime" column', 'INVALID_IMPORT');
+    }
+    const long = index('room_id') >= 0 && index('status') >= 0;
+    const room_columns = long
+        ? []
+        : header
+            .map((column, i) => [i, column])
+            .filter(([, column]) => !csv_fixed_columns.includes(column))
+            .map(([i, column]) => [i, transfer_csv_room_resolve(rooms, column)]);
+
+    const items = [];
+    for (const [i, fields] of rows.entries()) {
+        const where = `row ${i + 1}`;
+        const value = name => index(name) >= 0 && (fields[index(name)] ?? '') !== '' ? fields[index(name)] : null;
+        const updated_at = value('updated_at') !== null
+            ? Number(value('updated_at'))
+            : local_datetime_parse(env, value('datetime') ?? '');
+        const source = value('source');
+        if (long) {
+            items.push({ where, room_id: value('room_id'), status: Number(value('status')), updated_at, source });
+            continue;
+        }
+        for (const [column, room_id] of room_columns) {
+            if ((fields[column] ?? '') !== '') {
+                items.push({ where, room_id, status: Number(fields[column]), updated_at, source });
+            }
+        }
+    }
+    return items;
+}
+
+function transfer_ndjson_items(text) {
+    let rooms = null;
+    const items = [];
+    for (const [i, line] of text.split(/\r?\n/).entries()) {
+        if (line.trim() === '') {
+            continue;
+        }
+        const where = `line ${i + 1}`;
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (e) {
+            throw new ValidationError(`${where}: not valid JSON`, 'INVALID_IMPORT');
+        }
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new ValidationError(`${where}: must be a JSON object`, 'INVALID_IMPORT');
+        }
+        if (value.type === 'rooms') {
+            rooms = value.rooms;
+        } else {
+            items.push({ ...value, where });
+        }
+    }
+    return { rooms, items };
+}
+
+function transfer_json_items(text) {
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (e) {
+        throw new ValidationError('Request body is not valid JSON', 'INVALID_JSON');
+    }
+    if (typeof body !== 'object' || body === null || Array.isArray(body) || !Array.isArray(body.items)) {
+        throw new ValidationError('Request body must be a JSON object with an "items" array', 'INVALID_BODY');
+    }
+    return {
+        rooms: body.rooms ?? null,
+        items: body.items.map((item, i) => {
+            if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+                throw new ValidationError(`items[${i}]: must be a JSON object`, 'INVALID_IMPORT');
+            }
+            return { ...item, where: `items[${i}]` };
+        })
+    };
+}
+
+/*
+    取り込む内容を読む(形式はContent-Typeで決める, CSVは教室データを含まない)
+    rooms はCSVの列名から教室を求めるのに使う
+    戻り値: { rooms: <教室データ|null>, items: [{ where: "<場所(エラー用)>", room_id, status, updated_at, source }, ...] }
+*/
+export async function transfer_import_read(request, env, rooms) {
+    const content_type = (request.headers.get('Content-Type') || '').toLowerCase();
+    const format = Object.keys(TRANSFER_FORMATS).find(name => content_type.startsWith(TRANSFER_FORMATS[name].split(';')[0]));
+    if (!format) {
+        throw new UnsupportedMediaTypeError(`Content-Type must be one of ${Object.values(TRANSFER_FORMATS).map(type => type.split(';')[0]).join(', ')}`);
+    }
+    const text = await request.text();
+    switch (format) {
+        case 'csv':
+            return { rooms: null, items: transfer_csv_items(env, text, rooms) };
+        case 'ndjson':
+            return transfer_ndjson_items(text);
+        default:
+            return transfer_json_items(text);
+    }
+}
+
+// 取り込む教室データを確かめて整える(PUT /roomsと同じ検証)
+export function transfer_import_rooms(rooms) {
+    if (typeof rooms !== 'object' || rooms === null || Array.isArray(rooms)) {
+        throw new ValidationError('Field "rooms" must be an object of room ID to room', 'INVALID_BODY');
+    }
+    const normalized = {};
+    for (const [room_id, room] of Object.entries(rooms)) {
+        room_id_assert_valid(room_id);
+        room_assert_valid(room);
+        normalized[room_id] = room_normalize(room);
+    }
+    return normalized;
+}
+
+/*
+    取り込む更新を全て確かめてから履歴の形にする(1件でも不正なら何も取り込まない)
+    time_offset は更新日時に足すミリ秒(前年のデータを今年の日付に移すときなど)
+    before      は取り込める更新日時の上限(含まない) 投票の集計期間に入る更新を取り込むと、
+                集計に混ざる保存先と混ざらない保存先(KVは現在の状態のrecentのみ読む)があるので受け付けない
+    room_nameなど書き出しにのみある項目は無視する
+*/
+export function transfer_import_records(items, rooms, time_offset, before) {
+    if (items.length < 1 || TRANSFER_IMPORT_MAX < items.length) {
+        throw new ValidationError(`Import must contain 1 to ${TRANSFER_IMPORT_MAX} updates`, 'INVALID_IMPORT');
+    }
+    const records = items.map(({ where, room_id, status, updated_at, source }) => {
+        if (typeof room_id !== 'string' || !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+            throw new NotFoundError(`${where}: room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+        }
+        if (!crowd_status_is_valid(status)) {
+            throw new ValidationError(`${where}: status must be an integer between ${CROWD_STATUS_MIN} and ${CROWD_STATUS_MAX}`, 'INVALID_IMPORT');
+        }
+        const time = updated_at + time_offset;
+        if (!Number.isSafeInteger(updated_at) || !Number.isSafeInteger(time) || time < 0) {
+            throw new ValidationError(`${where}: updated_at must be a non-negative integer (UNIX milliseconds)`, 'INVALID_IMPORT');
+        }
+        if (time >= before) {
+            throw new ValidationError(`${where}: updated_at must be before ${before} (the vote aggregation window)`, 'INVALID_IMPORT');
+        }
+        if (source !== null && source !== undefined && !history_source_is_valid(source)) {
+            throw new ValidationError(`${where}: source must match /^[a-z0-9_-]{1,32}$/`, 'INVALID_IMPORT');
+        }
+        return { room_id, status, updated_at: time, source: source ?? transfer_source_default };
+    });
+    return records.sort((a, b) => a.updated_at - b.updated_at);
+}
@@ -0,0 +1,105 @@
+import { crowd_freshness_limit_ms } from './freshness.mjs';
+
+/*
+    待ち時間の目安
+    教室データの以下の項目(省略可)から1回あたりの所要時間(分)を求める
+        capacity            : 定員(人)
+        session_minutes     : 1回の上映・解説の長さ(分)
+        throughput_per_hour : 1時間あたりに入れる人数
+    capacityとthroughput_per_hourがあれば capacity / throughput_per_hour * 60、
+    無ければsession_minutesをそのまま使う
+    混雑状況(直近の投票を集計した値)ごとに、何回分待つかを掛けて求める
+    混雑状況2以上は少しでも待つ可能性があるので0にしない
+    さらに投票の集計時に保存した直近の履歴で補正する(crowd_wait_history_get)
+        trend      : 集計期間の前半と後半の投票の平均の差(1: 増えている, -1: 減っている, 0: どちらでもない)
+                     増えていれば待つ回数を1.5倍、減っていれば0.75倍にする
+        busy_since : 混雑状況がWAIT_BUSY_STATUS以上になった日時(報告が古くならないうちに続いた投票で引き継ぐ)
+                     1回分以上続いていれば列ができているので、待つ回数に0.5回分を足す
+*/
+
+// 混雑しているとみなす混雑状況(続いている時間を数える)
+export const WAIT_BUSY_STATUS = 4;
+
+// 混雑状況 -> 待つ回数
+const wait_cycles = {
+    1: 0,
+    2: 0.25,
+    3: 0.5,
+    4: 1,
+    5: 2
+};
+// 傾向 -> 待つ回数に掛ける値
+const wait_trend_factors = {
+    1: 1.5,
+    0: 1,
+    [-1]: 0.75
+};
+// 混雑が1回分以上続いているときに足す回数
+const wait_busy_cycles = 0.5;
+// 傾向とみなす前半と後半の平均の差
+const wait_trend_threshold = 0.5;
+
+function cycle_minutes_get(room) {
+    if (room.capacity && room.throughput_per_hour) {
+        return room.capacity / room.throughput_per_hour * 60;
+    }
+    return room.session_minutes ?? null;
+}
+
+function votes_mean(votes) {
+    return votes.reduce((sum, vote) => sum + vote.status, 0) / votes.length;
+}
+
+// 集計期間の前半と後半の投票の平均を比べる(どちらかに投票が無ければ0)
+function crowd_votes_trend(config, votes, now) {
+    const middle = now - config.window_seconds * 1000 / 2;
+    const older = votes.filter(vote => vote.updated_at < middle);
+    const newer = votes.filter(vote => vote.updated_at >= middle);
+    if (older.length === 0 || newer.length === 0) {
+        return 0;
+    }
+    const difference = votes_mean(newer) - votes_mean(older);
+    return difference >= wait_trend_threshold ? 1 : difference <= -wait_trend_threshold ? -1 : 0;
+}
+
+/*
+    投票の集計結果に足す直近の履歴 { trend, busy_since } (PUT /crowd, PUT /crowd/:room_id)
+    votesは集計に使った投票(今回の投票を含む)、previousは更新前の現在の状態(無ければnull)
+*/
+export function crowd_wait_history_get(env, config, room, votes, previous, status, updated_at) {
+    let busy_since = null;
+    if (status >= WAIT_BUSY_STATUS) {
+        const continued = previous?.busy_since != null && updated_at - previous.updated_at < crowd_freshness_limit_ms(env, room);
+        busy_since = continued ? previous.busy_since : updated_at;
+    }
+    return { trend: crowd_votes_trend(config, votes, updated_at), busy_since };
+}
+
+// 混雑が1回分続いて待ち時間の目安が増えた日時(まだならnull) 条件付きGETのLast-Modifiedに使う
+export function crowd_wait_changed_at(room, item, now) {
+    if (!room || item?.busy_since == null) {
+        return null;
+    }
+    const cycle_minutes = cycle_minutes_get(room);
+    if (cycle_minutes === null) {
+        return null;
+    }
+    const changed_at = item.busy_since + cycle_minutes * 60 * 1000;
+    return changed_at <= now ? changed_at : null;
+}
+
+// 待ち時間の目安(分) 教室データに設定が無いか混雑状況が不明ならnull itemは保存された現在の状態
+export function crowd_wait_estimate(room, status, item = null, now = null) {
+    if (!room || status === null || !(status in wait_cycles)) {
+        return null;
+    }
+    const cycle_minutes = cycle_minutes_get(room);
+    if (cycle_minutes === null) {
+        return null;
+    }
+    let cycles = wait_cycles[status] * (wait_trend_factors[item?.trend ?? 0] ?? 1);
+    if (item?.busy_since != null && now !== null && now - item.busy_since >= cycle_minutes * 60 * 1000) {
+        cycles += wait_busy_cycles;
+    }
+    return Math.ceil(cycles * cycle_minutes);
+}
@@ -0,0 +1,244 @@
+import { ValidationError } from './errors.mjs';
+import { CROWD_STATUS_MIN, CROWD_STATUS_MAX, crowd_status_is_valid } from './crowdstatus.mjs';
+import { webhook_data_list, webhook_delivery_put } from './kvquery.mjs';
+
+/*
+    Webhook(混雑状況がしきい値を越えたときに外部へ通知する)
+    登録時のリクエストボディは
+    {
+        "url": "<通知先のURL(http/https)>",
+        "label": "<用途のメモ(省略可)>",
+        "rules": [
+            {
+                "room_id": "<教室ID(省略かnullで全教室)>",
+                "direction": "rise" | "fall",
+                "status": <しきい値(1～5)>
+            },
+            ...
+        ]
+    }
+    rise: 混雑状況がしきい値未満からしきい値以上になったとき(例: 満員になった → status 5)
+    fall: 混雑状況がしきい値より上からしきい値以下になったとき(例: 空いた → status 1)
+    まだ混雑状況が無かった教室は、最初の報告がしきい値を満たせば通知する
+
+    通知はPUT /crowd/:room_id, PUT /crowd, 入退室の記録からctx.waitUntilで送る
+        POST <url>
+        Content-Type: application/json
+        X-Webhook-Id: <WebhookのID>
+        X-Webhook-Delivery: <配信ID>
+        X-Webhook-Timestamp: <送信日時(UNIXミリ秒)>
+        X-Webhook-Signature: sha256=<"<X-Webhook-Timestamp>.<ボディ>"の署名(hex)>
+    署名は登録時に発行するシークレットをキーとしたHMAC-SHA256
+    通信エラー・5xx・429は間隔を倍にしながら再送し(WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS)、結果を配信記録に残す
+    WEBHOOK_FETCH_BINDINGにService bindingの名前を指定すると、全ての通知をそのbinding経由で送る(テスト用の受信役など)
+*/
+
+export const WEBHOOK_RULES_MAX = 20;
+export const WEBHOOK_DIRECTIONS = ['rise', 'fall'];
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const WEBHOOK_TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+export const WEBHOOK_FIELDS = ['url', 'label', 'rules'];
+
+const webhook_defaults = {
+    max_attempts: 3,
+    retry_base_ms: 1000
+};
+// 1回の送信の待ち時間(ミリ秒)
+const webhook_timeout_ms = 5000;
+
+const encoder = new TextEncoder();
+
+function webhook_rule_from_body(rule, rooms) {
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+        throw new ValidationError('Each rule must be an object', 'INVALID_WEBHOOK');
+    }
+    const unknown = Object.keys(rule).filter(key => !['room_id', 'direction', 'status'].includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown rule field(s): ${unknown.join(', ')}`, 'INVALID_WEBHOOK');
+    }
+    const room_id = rule.room_id ?? null;
+    if (room_id !== null && !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+        throw new ValidationError(`Rule contains an unknown room "${room_id}"`, 'INVALID_WEBHOOK');
+    }
+    if (!WEBHOOK_DIRECTIONS.includes(rule.direction)) {
+        throw new ValidationError(`Rule field "direction" must be one of ${WEBHOOK_DIRECTIONS.join(', ')}`, 'INVALID_WEBHOOK');
+    }
+    if (!crowd_status_is_valid(rule.status)) {
+        throw new ValidationError(
+            `Rule field "status" must be an integer between ${CROWD_STATUS_MIN} and ${CROWD_STATUS_MAX}`,
+            'INVALID_WEBHOOK'
+        );
+    }
+    return { room_id, direction: rule.direction, status: rule.status };
+}
+
+function webhook_secret_generate() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// リクエストボディを検証し、保存する内容(シークレットを含む)を返す(roomsは登録済みの教室データ)
+export function webhook_record_from_body(body, rooms, now) {
+    let url;
+    try {
+        url = new URL(body.url);
+    } catch (_) {
+        throw new ValidationError('Field "url" must be an absolute URL', 'INVALID_WEBHOOK');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new ValidationError('Field "url" must be an http or https URL', 'INVALID_WEBHOOK');
+    }
+    const label = body.label ?? '';
+    if (typeof label !== 'string' || label.length > 64) {
+        throw new ValidationError('Field "label" must be a string up to 64 characters', 'INVALID_WEBHOOK');
+    }
+    if (!Array.isArray(body.rules) || body.rules.length < 1 || WEBHOOK_RULES_MAX < body.rules.length) {
+        throw new ValidationError(`Field "rules" must be an array of 1 to ${WEBHOOK_RULES_MAX} rules`, 'INVALID_WEBHOOK');
+    }
+
+    return {
+        webhook_id: crypto.randomUUID(),
+        url: url.href,
+        label,
+        rules: body.rules.map(rule => webhook_rule_from_body(rule, rooms)),
+        secret: webhook_secret_generate(),
+        created_at: now
+    };
+}
+
+// 公開する内容(シークレットは登録時のレスポンスでのみ返す)
+export function webhook_view({ secret, ...record }) {
+    return record;
+}
+
+// 混雑状況の変化で当てはまるルール(previousは変化前の混雑状況, まだ無ければnull)
+export function webhook_rules_matched(record, room_id, previous, status) {
+    if (status === null || previous === status) {
+        return [];
+    }
+    return record.rules.filter(rule => {
+        if (rule.room_id !== null && rule.room_id !== room_id) {
+            return false;
+        }
+        if (rule.direction === 'rise') {
+            return rule.status <= status && (previous === null || previous < rule.status);
+        }
+        return status <= rule.status && (previous === null || rule.status < previous);
+    });
+}
+
+// "<timestamp>.<body>"のHMAC-SHA256(hex)
+export async function webhook_sign(secret, timestamp, body) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function config_int(value, default_value) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(number) && number >= 0 ? number : default_value;
+}
+
+function webhook_config_get(env) {
+    return {
+        max_attempts: config_int(env.WEBHOOK_MAX_ATTEMPTS, webhook_defaults.max_attempts) || 1,
+        retry_base_ms: config_int(env.WEBHOOK_RETRY_BASE_MS, webhook_defaults.retry_base_ms)
+    };
+}
+
+// 再送すべき結果か(通信エラー・5xx・429)
+function webhook_should_retry(response_status) {
+    return response_status === null || response_status === 429 || 500 <= response_status;
+}
+
+// 1件の通知を再送込みで送り、配信記録を残す
+async function webhook_deliver(env, record, payload) {
+    const config = webhook_config_get(env);
+    const fetcher = env[env.WEBHOOK_FETCH_BINDING] ?? globalThis;
+    const body = JSON.stringify(payload);
+    const delivery = {
+        delivery_id: payload.delivery_id,
+        webhook_id: record.webhook_id,
+        event: payload.event,
+        room_id: payload.room_id,
+        crowd_status: payload.crowd.status,
+        result: 'failed',
+        attempts: [],
+        created_at: payload.occurred_at
+    };
+
+    for (let i = 0; i < config.max_attempts; i++) {
+        if (i > 0) {
+            await new Promise(resolve => setTimeout(resolve, config.retry_base_ms * 2 ** (i - 1)));
+        }
+        const timestamp = Date.now();
+        const attempt = { at: timestamp, response_status: null, error: null };
+        try {
+            const response = await fetcher.fetch(record.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': record.webhook_id,
+                    'X-Webhook-Delivery': payload.delivery_id,
+                    [WEBHOOK_TIMESTAMP_HEADER]: String(timestamp),
+                    [WEBHOOK_SIGNATURE_HEADER]: `sha256=${await webhook_sign(record.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(webhook_timeout_ms)
+            });
+            attempt.response_status = response.status;
+            // 接続を使い回せるよう本文は読み捨てる
+            await response.body?.cancel();
+        } catch (error) {
+            attempt.error = String(error?.message ?? error);
+        }
+        delivery.attempts.push(attempt);
+        if (attempt.response_status !== null && 200 <= attempt.response_status && attempt.response_status < 300) {
+            delivery.result = 'delivered';
+            break;
+        }
+        if (!webhook_should_retry(attempt.response_status)) {
+            break;
+        }
+    }
+
+    delivery.completed_at = Date.now();
+    await webhook_delivery_put(env, delivery);
+}
+
+/*
+    混雑状況の更新後にctx.waitUntilで呼ぶ
+    item はGET /crowd/:room_idと同じ形の更新後の混雑状況
+    通知の失敗は更新のレスポンスに影響させない(配信記録とログに残す)
+*/
+export async function webhook_dispatch(env, room_id, room, previous_status, item) {
+    try {
+        const records = await webhook_data_list(env);
+        await Promise.all(records.map(async record => {
+            const rules = webhook_rules_matched(record, room_id, previous_status, item.status);
+            if (rules.length === 0) {
+                return;
+            }
+            await webhook_deliver(env, record, {
+                event: 'crowd.threshold',
+                delivery_id: crypto.randomUUID(),
+                webhook_id: record.webhook_id,
+                room_id,
+                room_name: room.name,
+                previous_status,
+                rules,
+                crowd: item,
+                occurred_at: item.updated_at
+            });
+        }));
+    } catch (error) {
+        console.warn('[WARN] failed to dispatch webhooks', error);
+    }
+}
@@ -0,0 +1,9 @@
+import { archive_data_list_dates } from '../../cmn/kvquery.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+// 閉場時の記録がある日付の一覧(古い順, 内容はGET /archives/:date)
+export async function handler_archives_get(request, env, ctx) {
+    return resp_json({ dates: await archive_data_list_dates(env) }, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,18 @@
+import { archive_data_get } from '../../../cmn/kvquery.mjs';
+import { local_day_range } from '../../../cmn/localtime.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+import { resp_json_conditional } from '../../../cmn/conditional.mjs';
+
+// 閉場時の記録(形式はcmn/scheduled.mjsを参照) 一度残した記録は変わらないので長くキャッシュさせる
+export async function handler_archives_with_date_get(request, env, ctx) {
+    const date = request.params.date;
+    local_day_range(env, date);
+    const archive = await archive_data_get(env, date);
+    if (!archive) {
+        throw new NotFoundError(`No archive for ${date}`, 'ARCHIVE_NOT_FOUND');
+    }
+    return await resp_json_conditional(request, archive, {
+        last_modified: archive.archived_at,
+        headers: { 'Cache-Control': 'public, max-age=3600' }
+    });
+}
@@ -1,25 +1,36 @@
-import { crowd_data_get_all } from '../../cmn/dynamoquery.mjs';
+import { crowd_storage_get } from '../../cmn/storage/index.mjs';
+import { rooms_data_get_all_with_meta, hours_data_get } from '../../cmn/kvquery.mjs';
+import { crowd_views_build, crowd_item_view_without_age } from '../../cmn/crowdview.mjs';
+import { availability_get_all } from '../../cmn/availability.mjs';
+import { hours_event_state, hours_event_headers } from '../../cmn/hours.mjs';
+import { resp_json_conditional } from '../../cmn/conditional.mjs';
 
+/*
+    全教室の混雑状況(教室IDをキーとした内容はcmn/crowdview.mjsを参照)
+    開催全体が公開時間内か(cmn/hours.mjs)はヘッダ(X-Festival-*)で返す
+*/
 export async function handler_crowd_get(request, env, ctx) {
-    try {
-        let resp = {};
-        for (const item of await crowd_data_get_all(env)) {
-            console.log(JSON.stringify(item));
-            resp[item.roomid.S] = {
-                status: Number(item.status.N),
-                updated_at: Number(item.updated_at.N)
-            };
-        }
-        return new Response(JSON.stringify(resp), {
-            status: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Cache-Control': 'public, max-age=30' // 30秒間キャッシュ
-            }
-        });
-    }
-    catch (error) {
-        console.error("[ERROR]", error);
-        return new Response('Internal Server Error', { status: 500 });
-    }
+    const [rooms_data, crowd_items, availabilities, hours] = await Promise.all([
+        rooms_data_get_all_with_meta(env),
+        crowd_storage_get(env).get_all(),
+        availability_get_all(env),
+        hours_data_get(env)
+    ]);
+    const now = Date.now();
+
+    const { views, last_modified } = crowd_views_build(env, rooms_data?.rooms ?? null, crowd_items, availabilities, now);
+    const event_state = hours_event_state(env, hours, now);
+
+    // age_secondsは毎秒変わるので、それ以外が変わらなければ304を返せるようにする
+    const etag_source = JSON.stringify([
+        Object.entries(views).map(([room_id, item]) => [room_id, crowd_item_view_without_age(item)]),
+        event_state.view
+    ]);
+    // 教室データ(鮮度の設定や定員)の変更でも内容が変わる
+    const modified = [last_modified, event_state.changed_at, hours?.updated_at ?? null, rooms_data?.updated_at ?? null].filter(time => time !== null);
+    return await resp_json_conditional(request, views, {
+        etag_source,
+        last_modified: modified.length > 0 ? Math.max(...modified) : null,
+        headers: hours_event_headers(event_state.view)
+    });
 }
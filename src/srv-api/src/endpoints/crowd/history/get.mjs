@@ -0,0 +1,10 @@
+import { crowd_storage_get } from '../../../cmn/storage/index.mjs';
+import { history_query_parse } from '../../../cmn/history.mjs';
+import { resp_json } from '../../../cmn/response.mjs';
+
+export async function handler_crowd_history_get(request, env, ctx) {
+    const query = history_query_parse(request);
+    return resp_json(await crowd_storage_get(env).history_get_all(query), 200, {
+        'Cache-Control': 'public, max-age=30' // 30秒間キャッシュ
+    });
+}
@@ -0,0 +1,122 @@
+import { crowd_storage_get } from '../../cmn/storage/index.mjs';
+import { STORAGE_BATCH_MAX } from '../../cmn/storage/interface.mjs';
+import { rooms_data_get_all } from '../../cmn/kvquery.mjs';
+import { CROWD_STATUS_MIN, CROWD_STATUS_MAX, crowd_status_is_valid } from '../../cmn/crowdstatus.mjs';
+import { history_source_is_valid } from '../../cmn/history.mjs';
+import { device_token_check_rooms } from '../../cmn/devicetoken.mjs';
+import { ratelimit_crowd_batch_check } from '../../cmn/ratelimit.mjs';
+import { crowd_stream_publish } from '../../cmn/crowdstream.mjs';
+import { webhook_dispatch } from '../../cmn/webhook.mjs';
+import { CROWD_VOTE_LIMIT, crowd_aggregate_config_get, crowd_votes_aggregate } from '../../cmn/aggregate.mjs';
+import { crowd_item_view } from '../../cmn/crowdview.mjs';
+import { crowd_wait_history_get } from '../../cmn/waittime.mjs';
+import { room_is_headcount } from '../../cmn/rooms.mjs';
+import { availability_get_all, availability_record_assert_not_closed } from '../../cmn/availability.mjs';
+import { ValidationError, NotFoundError, ConflictError, BatchRejectedError } from '../../cmn/errors.mjs';
+import { req_json_body, req_assert_known_keys } from '../../cmn/request.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+// 1教室分をPUT /crowd/:room_idと同じ順で確認する
+function crowd_batch_room_assert(room_id, status, rooms, availabilities, denied, now) {
+    if (!crowd_status_is_valid(status)) {
+        throw new ValidationError(
+            `Status must be an integer between ${CROWD_STATUS_MIN} and ${CROWD_STATUS_MAX}`,
+            'INVALID_STATUS'
+        );
+    }
+    if (!Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    if (room_is_headcount(rooms[room_id])) {
+        throw new ConflictError(`Room "${room_id}" is in headcount mode`, 'ROOM_IN_HEADCOUNT_MODE');
+    }
+    availability_record_assert_not_closed(room_id, availabilities[room_id] ?? null, now);
+    if (denied) {
+        throw denied;
+    }
+}
+
+export async function handler_crowd_put(request, env, ctx) {
+    /*
+        リクエストボディは
+        {
+            "rooms": { "<教室ID>": <混雑状況(整数)>, ... },
+            "source": "<更新元(省略可, 履歴に記録される)>"
+        }
+        という形式のみ受け付ける
+        全ての教室を確認してから更新し、1教室でも受け付けられなければどの教室も更新しない
+    */
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, ['rooms', 'source']);
+    if (typeof body.rooms !== 'object' || body.rooms === null || Array.isArray(body.rooms)) {
+        throw new ValidationError('Field "rooms" must be an object of room ID to status', 'INVALID_BODY');
+    }
+    const room_ids = Object.keys(body.rooms);
+    if (room_ids.length < 1 || STORAGE_BATCH_MAX < room_ids.length) {
+        throw new ValidationError(`Field "rooms" must contain 1 to ${STORAGE_BATCH_MAX} rooms`, 'INVALID_BODY');
+    }
+    if ('source' in body && !history_source_is_valid(body.source)) {
+        throw new ValidationError('Field "source" must match /^[a-z0-9_-]{1,32}$/', 'INVALID_BODY');
+    }
+
+    const [rooms, availabilities] = await Promise.all([
+        rooms_data_get_all(env),
+        availability_get_all(env)
+    ]);
+    const updated_at = Date.now();
+    const denied = await device_token_check_rooms(request, env, room_ids);
+
+    const errors = new Map();
+    for (const room_id of room_ids) {
+        try {
+            crowd_batch_room_assert(room_id, body.rooms[room_id], rooms ?? {}, availabilities, denied[room_id], updated_at);
+        } catch (error) {
+            errors.set(room_id, { code: error.code, message: error.message });
+        }
+    }
+    if (errors.size > 0) {
+        throw new BatchRejectedError(
+            `${errors.size} of ${room_ids.length} rooms were rejected, nothing was updated`,
+            Object.fromEntries(room_ids.map(room_id => [room_id,
+                errors.has(room_id) ? { result: 'rejected', error: errors.get(room_id) } : { result: 'skipped' }
+            ]))
+        );
+    }
+    // 認証に失敗したリクエストで正規の端末の枠を消費しないよう、確認の後に数える
+    await ratelimit_crowd_batch_check(request, env, room_ids);
+
+    // 教室ごとに直近の投票と合わせて集計する(PUT /crowd/:room_idと同じ)
+    const storage = crowd_storage_get(env);
+    const config = crowd_aggregate_config_get(env);
+    const previous = {};
+    const updates = await Promise.all(room_ids.map(async room_id => {
+        const status = body.rooms[room_id];
+        const [recent, record] = await Promise.all([
+            storage.history_get_recent(room_id, updated_at - config.window_seconds * 1000, CROWD_VOTE_LIMIT - 1),
+            storage.get_by_roomid(room_id)
+        ]);
+        previous[room_id] = record;
+        const votes = [{ status, updated_at }, ...recent];
+        const aggregated = crowd_votes_aggregate(config, votes, updated_at);
+        const summary = {
+            ...aggregated,
+            ...crowd_wait_history_get(env, config, rooms[room_id], votes, record, aggregated.status, updated_at)
+        };
+        return { room_id, status, updated_at, source: body.source ?? 'api', summary };
+    }));
+    await storage.update_many(updates);
+
+    // GET /crowdと同じ形で配信し、教室ごとの結果として返す
+    const results = {};
+    for (const { room_id, summary } of updates) {
+        const availability = availabilities[room_id] ?? null;
+        const item = crowd_item_view(env, { room_id, updated_at, ...summary }, rooms[room_id], updated_at, availability);
+        const previous_status = crowd_item_view(env, previous[room_id], rooms[room_id], updated_at, availability).status;
+        ctx.waitUntil(crowd_stream_publish(env, { room_id, ...item }));
+        ctx.waitUntil(webhook_dispatch(env, room_id, rooms[room_id], previous_status, item));
+        results[room_id] = { result: 'updated', ...item };
+    }
+    return resp_json({ results }, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
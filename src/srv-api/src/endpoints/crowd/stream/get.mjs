@@ -0,0 +1,7 @@
+import { crowd_stream_subscribe } from '../../../cmn/crowdstream.mjs';
+
+export async function handler_crowd_stream_get(request, env, ctx) {
+    const response = await crowd_stream_subscribe(request, env);
+    // Durable Objectからのレスポンスはヘッダが変更できないので作り直す(X-Request-Idを付けるため)
+    return new Response(response.body, response);
+}
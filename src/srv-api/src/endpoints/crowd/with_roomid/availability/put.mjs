@@ -0,0 +1,43 @@
+import { crowd_storage_get } from '../../../../cmn/storage/index.mjs';
+import { rooms_data_get_all } from '../../../../cmn/kvquery.mjs';
+import { device_token_check } from '../../../../cmn/devicetoken.mjs';
+import { availability_record_from_body } from '../../../../cmn/availability.mjs';
+import { crowd_stream_publish } from '../../../../cmn/crowdstream.mjs';
+import { crowd_item_view } from '../../../../cmn/crowdview.mjs';
+import { NotFoundError } from '../../../../cmn/errors.mjs';
+import { req_json_body, req_assert_known_keys } from '../../../../cmn/request.mjs';
+import { resp_json } from '../../../../cmn/response.mjs';
+
+export async function handler_crowd_with_roomid_availability_put(request, env, ctx) {
+    /*
+        リクエストボディは
+        {
+            "state": "open" | "paused" | "closed",
+            "message": "<来訪者向けの説明(省略可)>",
+            "reopen_at": <再開予定日時(UNIXミリ秒, 省略可)>
+        }
+        という形式のみ受け付ける(openの場合はstateのみ)
+        係員の操作なので、DEVICE_TOKEN_REQUIREDに関わらず端末トークンか管理者の認証情報を必須とする
+    */
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, ['state', 'message', 'reopen_at']);
+    const room_id = request.params.room_id;
+    const now = Date.now();
+    const record = availability_record_from_body(room_id, body, now);
+
+    const rooms = await rooms_data_get_all(env);
+    if (!rooms || !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    await device_token_check(request, env, room_id, { required: true });
+
+    const storage = crowd_storage_get(env);
+    await storage.availability_set(room_id, record);
+
+    // GET /crowd/:room_idと同じ形で返し、配信する
+    const item = crowd_item_view(env, await storage.get_by_roomid(room_id), rooms[room_id], now, record);
+    ctx.waitUntil(crowd_stream_publish(env, { room_id, ...item }));
+    return resp_json(item, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,6 @@
+import { crowd_headcount_handle } from '../../../../cmn/headcount.mjs';
+
+// 入室(在室人数を増やす)
+export async function handler_crowd_with_roomid_enter_post(request, env, ctx) {
+    return await crowd_headcount_handle(request, env, ctx, 1);
+}
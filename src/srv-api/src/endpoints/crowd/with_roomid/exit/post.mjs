@@ -0,0 +1,6 @@
+import { crowd_headcount_handle } from '../../../../cmn/headcount.mjs';
+
+// 退室(在室人数を減らす)
+export async function handler_crowd_with_roomid_exit_post(request, env, ctx) {
+    return await crowd_headcount_handle(request, env, ctx, -1);
+}
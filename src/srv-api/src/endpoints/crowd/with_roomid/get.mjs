@@ -1,22 +1,32 @@
-import { crowd_data_get_by_roomid } from '../../../cmn/dynamoquery.mjs';
+import { crowd_storage_get } from '../../../cmn/storage/index.mjs';
+import { rooms_data_get_all_with_meta } from '../../../cmn/kvquery.mjs';
+import { crowd_item_view, crowd_item_view_without_age, crowd_item_view_changed_at } from '../../../cmn/crowdview.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+import { resp_json_conditional } from '../../../cmn/conditional.mjs';
 
 export async function handler_crowd_with_roomid_get(request, env, ctx) {
-    try {
-        const res = await crowd_data_get_by_roomid(env, request.params.room_id);
-        const resp = {
-            status: Number(res.status.N),
-            updated_at: Number(res.updated_at.N)
-        }
-        return new Response(JSON.stringify(resp), {
-            status: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Cache-Control': 'public, max-age=30' // 30秒間キャッシュ
-            }
-        });
+    const room_id = request.params.room_id;
+    const rooms_data = await rooms_data_get_all_with_meta(env);
+    const rooms = rooms_data?.rooms;
+    if (!rooms || !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
     }
-    catch (error) {
-        console.error("[ERROR]", error);
-        return new Response('Internal Server Error', { status: 500 });
+
+    const storage = crowd_storage_get(env);
+    const [res, availability] = await Promise.all([
+        storage.get_by_roomid(room_id),
+        storage.availability_get(room_id)
+    ]);
+    const now = Date.now();
+    const item = crowd_item_view(env, res, rooms[room_id], now, availability);
+    if (!res && item.availability.state === 'open') {
+        // 教室は存在するがまだ一度も更新されていない
+        throw new NotFoundError(`No crowd data for room "${room_id}"`, 'CROWD_NOT_FOUND');
     }
+
+    return await resp_json_conditional(request, item, {
+        etag_source: JSON.stringify(crowd_item_view_without_age(item)),
+        // 教室データ(鮮度の設定や定員)の変更でも内容が変わる
+        last_modified: Math.max(crowd_item_view_changed_at(env, res, rooms[room_id], now, availability) ?? 0, rooms_data.updated_at ?? 0) || null
+    });
 }
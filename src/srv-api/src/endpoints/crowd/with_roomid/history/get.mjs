@@ -0,0 +1,16 @@
+import { crowd_storage_get } from '../../../../cmn/storage/index.mjs';
+import { rooms_data_exists } from '../../../../cmn/kvquery.mjs';
+import { history_query_parse } from '../../../../cmn/history.mjs';
+import { NotFoundError } from '../../../../cmn/errors.mjs';
+import { resp_json } from '../../../../cmn/response.mjs';
+
+export async function handler_crowd_with_roomid_history_get(request, env, ctx) {
+    const room_id = request.params.room_id;
+    const query = history_query_parse(request);
+    if (!await rooms_data_exists(env, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    return resp_json(await crowd_storage_get(env).history_get_by_roomid(room_id, query), 200, {
+        'Cache-Control': 'public, max-age=30' // 30秒間キャッシュ
+    });
+}
@@ -1,18 +1,85 @@
-import { crowd_data_update } from '../../../cmn/dynamoquery.mjs';
+import { crowd_storage_get } from '../../../cmn/storage/index.mjs';
+import { rooms_data_get_all } from '../../../cmn/kvquery.mjs';
+import { CROWD_STATUS_MIN, CROWD_STATUS_MAX, crowd_status_is_valid } from '../../../cmn/crowdstatus.mjs';
+import { history_source_is_valid } from '../../../cmn/history.mjs';
+import { device_token_check } from '../../../cmn/devicetoken.mjs';
+import { ratelimit_crowd_update_check } from '../../../cmn/ratelimit.mjs';
+import { crowd_stream_publish } from '../../../cmn/crowdstream.mjs';
+import { webhook_dispatch } from '../../../cmn/webhook.mjs';
+import { CROWD_VOTE_LIMIT, crowd_aggregate_config_get, crowd_votes_aggregate } from '../../../cmn/aggregate.mjs';
+import { crowd_item_view } from '../../../cmn/crowdview.mjs';
+import { crowd_wait_history_get } from '../../../cmn/waittime.mjs';
+import { room_is_headcount } from '../../../cmn/rooms.mjs';
+import { availability_assert_not_closed } from '../../../cmn/availability.mjs';
+import { ValidationError, NotFoundError, ConflictError } from '../../../cmn/errors.mjs';
+import { req_json_body, req_assert_known_keys } from '../../../cmn/request.mjs';
 
 export async function handler_crowd_with_roomid_put(request, env, ctx) {
-    try {
-        const body = await request.json();
-        await crowd_data_update(
-            env,
-            request.params.room_id,
-            body.status,
-            Date.now()
+    /*
+        リクエストボディは
+        {
+            "status": <混雑状況(整数)>,
+            "source": "<更新元(省略可, 履歴に記録される)>"
+        }
+        という形式のみ受け付ける
+    */
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, ['status', 'source']);
+    if (!('status' in body)) {
+        throw new ValidationError('Field "status" is required', 'INVALID_BODY');
+    }
+    if (!crowd_status_is_valid(body.status)) {
+        throw new ValidationError(
+            `Field "status" must be an integer between ${CROWD_STATUS_MIN} and ${CROWD_STATUS_MAX}`,
+            'INVALID_STATUS'
         );
-        return new Response(null, { status: 201 });
     }
-    catch (error) {
-        console.error("[ERROR]", error);
-        return new Response('Internal Server Error', { status: 500 });
+    if ('source' in body && !history_source_is_valid(body.source)) {
+        throw new ValidationError('Field "source" must match /^[a-z0-9_-]{1,32}$/', 'INVALID_BODY');
+    }
+
+    const room_id = request.params.room_id;
+    const rooms = await rooms_data_get_all(env);
+    if (!rooms || !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    // 人数計測モードの教室は入退室の記録(POST /crowd/:room_id/enter, exit)のみで更新する
+    if (room_is_headcount(rooms[room_id])) {
+        throw new ConflictError(`Room "${room_id}" is in headcount mode`, 'ROOM_IN_HEADCOUNT_MODE');
     }
+    const updated_at = Date.now();
+    const availability = await availability_assert_not_closed(env, room_id, updated_at);
+    await device_token_check(request, env, room_id);
+    // 認証に失敗したリクエストで正規の端末の枠を消費しないよう、確認の後に数える
+    await ratelimit_crowd_update_check(request, env, room_id);
+
+    // 直近の投票と合わせて集計した値を公開する(履歴には投票された値をそのまま残す)
+    const storage = crowd_storage_get(env);
+    const config = crowd_aggregate_config_get(env);
+    // 変化前の状態はWebhookのしきい値の判定に使う
+    const [recent, previous] = await Promise.all([
+        storage.history_get_recent(room_id, updated_at - config.window_seconds * 1000, CROWD_VOTE_LIMIT - 1),
+        storage.get_by_roomid(room_id)
+    ]);
+    const votes = [{ status: body.status, updated_at }, ...recent];
+    const aggregated = crowd_votes_aggregate(config, votes, updated_at);
+    // 待ち時間の目安に使う直近の傾向と混雑が続いている起点も一緒に保存する
+    const summary = {
+        ...aggregated,
+        ...crowd_wait_history_get(env, config, rooms[room_id], votes, previous, aggregated.status, updated_at)
+    };
+
+    await storage.update(
+        room_id,
+        body.status,
+        updated_at,
+        body.source ?? 'api',
+        summary
+    );
+    // GET /crowdと同じ形で配信する
+    const item = crowd_item_view(env, { room_id, updated_at, ...summary }, rooms[room_id], updated_at, availability);
+    const previous_status = crowd_item_view(env, previous, rooms[room_id], updated_at, availability).status;
+    ctx.waitUntil(crowd_stream_publish(env, { room_id, ...item }));
+    ctx.waitUntil(webhook_dispatch(env, room_id, rooms[room_id], previous_status, item));
+    return new Response(null, { status: 201 });
 }
@@ -0,0 +1,11 @@
+import { emergency_data_get } from '../../cmn/kvquery.mjs';
+import { emergency_view } from '../../cmn/emergency.mjs';
+import { resp_json_conditional } from '../../cmn/conditional.mjs';
+
+// 緊急放送の状態(全ての画面が定期的に確認する)
+export async function handler_emergency_get(request, env, ctx) {
+    const emergency = emergency_view(await emergency_data_get(env));
+    return await resp_json_conditional(request, emergency, {
+        last_modified: emergency.updated_at
+    });
+}
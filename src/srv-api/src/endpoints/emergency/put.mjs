@@ -0,0 +1,23 @@
+import { emergency_data_put } from '../../cmn/kvquery.mjs';
+import { EMERGENCY_FIELDS, emergency_record_from_body, emergency_view } from '../../cmn/emergency.mjs';
+import { emergency_stream_publish } from '../../cmn/crowdstream.mjs';
+import { req_json_body, req_assert_known_keys } from '../../cmn/request.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+/*
+    緊急放送の発令・解除(形式はcmn/emergency.mjsを参照)
+    KVの反映を待たずに画面を切り替えられるよう、/crowd/streamでも配信する
+*/
+export async function handler_emergency_put(request, env, ctx) {
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, EMERGENCY_FIELDS);
+
+    const record = emergency_record_from_body(body, Date.now());
+    await emergency_data_put(env, record);
+
+    const emergency = emergency_view(record);
+    ctx.waitUntil(emergency_stream_publish(env, emergency));
+    return resp_json(emergency, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,10 @@
+import { event_config_get } from '../../cmn/event.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+// 開催の一覧(wrangler.jsoncのEVENT_IDSの順)
+export async function handler_events_get(request, env, ctx) {
+    const config = event_config_get(env);
+    return resp_json({
+        items: config.ids.map(event_id => ({ event_id, default: event_id === config.default_id }))
+    });
+}
@@ -0,0 +1,38 @@
+import { crowd_storage_get } from '../../cmn/storage/index.mjs';
+import { rooms_data_get_all } from '../../cmn/kvquery.mjs';
+import { TRANSFER_FORMATS, transfer_export_chunks, transfer_export_stream } from '../../cmn/transfer.mjs';
+import { local_date_string } from '../../cmn/localtime.mjs';
+import { ValidationError } from '../../cmn/errors.mjs';
+import { req_query_int, req_query_string } from '../../cmn/request.mjs';
+
+/*
+    保存されている全ての更新と教室データの書き出し(形式はcmn/transfer.mjsを参照)
+    履歴を1ページずつ読みながら返すので、件数が多くてもWorkerのメモリに全て載せない
+    クエリ
+        format : csv | json | ndjson (省略時はcsv)
+        from   : 開始時刻(UNIXミリ秒, 省略時は0)
+        to     : 終了時刻(UNIXミリ秒, 省略時は現在時刻)
+*/
+export async function handler_export_get(request, env, ctx) {
+    const now = Date.now();
+    const format = req_query_string(request, 'format', 'csv');
+    if (!Object.prototype.hasOwnProperty.call(TRANSFER_FORMATS, format)) {
+        throw new ValidationError(`Query parameter "format" must be one of: ${Object.keys(TRANSFER_FORMATS).join(', ')}`, 'INVALID_QUERY');
+    }
+    const from = req_query_int(request, 'from', { min: 0, default_value: 0 });
+    const to = req_query_int(request, 'to', { min: 0, default_value: now });
+    if (from > to) {
+        throw new ValidationError('Query parameter "from" must not be after "to"', 'INVALID_QUERY');
+    }
+
+    const rooms = await rooms_data_get_all(env) ?? {};
+    const chunks = transfer_export_chunks(env, crowd_storage_get(env), rooms, format, { from, to, now });
+    const filename = `crowd-${env.EVENT_ID ?? 'export'}-${local_date_string(env, now)}.${format}`;
+    return new Response(transfer_export_stream(chunks), {
+        headers: {
+            'Content-Type': TRANSFER_FORMATS[format],
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        }
+    });
+}
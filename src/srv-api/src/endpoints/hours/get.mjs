@@ -0,0 +1,11 @@
+import { hours_data_get } from '../../cmn/kvquery.mjs';
+import { hours_view } from '../../cmn/hours.mjs';
+import { resp_json_conditional } from '../../cmn/conditional.mjs';
+
+// 公開時間の設定(形式はcmn/hours.mjsを参照)
+export async function handler_hours_get(request, env, ctx) {
+    const hours = hours_view(await hours_data_get(env));
+    return await resp_json_conditional(request, hours, {
+        last_modified: hours.updated_at
+    });
+}
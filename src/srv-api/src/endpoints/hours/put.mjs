@@ -0,0 +1,31 @@
+import { rooms_data_get_all, hours_data_put, hours_data_delete } from '../../cmn/kvquery.mjs';
+import { HOURS_FIELDS, hours_record_from_body, hours_view } from '../../cmn/hours.mjs';
+import { NotFoundError } from '../../cmn/errors.mjs';
+import { req_json_body, req_assert_known_keys } from '../../cmn/request.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+/*
+    公開時間の設定を丸ごと置き換える(形式はcmn/hours.mjsを参照, daysが空の配列なら削除)
+    変更は次の定期実行(cmn/scheduled.mjs)から反映される
+    既に公開時間外として閉鎖した教室は、再開予定日時まで閉鎖のままになる(必要なら受付状況を戻す)
+*/
+export async function handler_hours_put(request, env, ctx) {
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, HOURS_FIELDS);
+    const record = hours_record_from_body(body, Date.now());
+
+    const rooms = await rooms_data_get_all(env) ?? {};
+    const unknown_room = Object.keys(record?.rooms ?? {}).find(room_id => !Object.prototype.hasOwnProperty.call(rooms, room_id));
+    if (unknown_room !== undefined) {
+        throw new NotFoundError(`Room "${unknown_room}" not found`, 'ROOM_NOT_FOUND');
+    }
+    if (record === null) {
+        await hours_data_delete(env);
+    } else {
+        await hours_data_put(env, record);
+    }
+
+    return resp_json(hours_view(record), 200, {
+        'Cache-Control': 'no-store'
+    });
+}
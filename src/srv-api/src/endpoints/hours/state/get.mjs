@@ -0,0 +1,13 @@
+import { hours_data_get } from '../../../cmn/kvquery.mjs';
+import { hours_event_state } from '../../../cmn/hours.mjs';
+import { resp_json_conditional } from '../../../cmn/conditional.mjs';
+
+// 開催全体が今公開時間内か(内容はcmn/hours.mjsのhours_event_stateを参照)
+export async function handler_hours_state_get(request, env, ctx) {
+    const hours = await hours_data_get(env);
+    const state = hours_event_state(env, hours, Date.now());
+    const modified = [state.changed_at, hours?.updated_at ?? null].filter(time => time !== null);
+    return await resp_json_conditional(request, { event_id: env.EVENT_ID, ...state.view }, {
+        last_modified: modified.length > 0 ? Math.max(...modified) : null
+    });
+}
@@ -0,0 +1,54 @@
+import { crowd_storage_get } from '../../cmn/storage/index.mjs';
+import { crowd_aggregate_config_get } from '../../cmn/aggregate.mjs';
+import { rooms_data_get_all, rooms_data_put_all } from '../../cmn/kvquery.mjs';
+import { transfer_import_read, transfer_import_rooms, transfer_import_records } from '../../cmn/transfer.mjs';
+import { ValidationError } from '../../cmn/errors.mjs';
+import { req_query_int, req_query_string } from '../../cmn/request.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+/*
+    更新履歴の取り込み(管理用, 本番データの復元やテスト環境への前年のデータの投入など)
+    ボディはGET /exportの書き出しと同じ形式(Content-Typeで形式を決める, cmn/transfer.mjsを参照)
+    全ての更新を確かめてから履歴に追記し、1件でも不正なら何も取り込まない
+    1回に取り込めるのは1回の書き込みで済む件数(TRANSFER_IMPORT_MAX)までで、書き込みに失敗しても一部だけ残ることはない
+    (それより多い書き出しは期間を分けて取り込む)
+    現在の状態・配信・Webhookには反映しない(取り込んだ履歴は統計と書き出しに使われる)
+    投票の集計に混ざらないよう、集計期間(CROWD_VOTE_WINDOW_SECONDS)内と未来の更新は受け付けない
+    クエリ
+        rooms       : keep | merge (mergeならボディの教室データを今の教室データに上書きで足す, CSVでは使えない, 省略時はkeep)
+        time_offset : 更新日時に足すミリ秒(負も可, 省略時は0)
+*/
+export async function handler_import_post(request, env, ctx) {
+    const rooms_mode = req_query_string(request, 'rooms', 'keep');
+    if (rooms_mode !== 'keep' && rooms_mode !== 'merge') {
+        throw new ValidationError('Query parameter "rooms" must be "keep" or "merge"', 'INVALID_QUERY');
+    }
+    const time_offset = req_query_int(request, 'time_offset', { default_value: 0 });
+
+    const current_rooms = await rooms_data_get_all(env) ?? {};
+    const body = await transfer_import_read(request, env, current_rooms);
+    let rooms = current_rooms;
+    if (rooms_mode === 'merge') {
+        if (body.rooms === null) {
+            throw new ValidationError('Query parameter "rooms=merge" requires rooms data in the body (JSON or NDJSON)', 'INVALID_QUERY');
+        }
+        rooms = { ...current_rooms, ...transfer_import_rooms(body.rooms) };
+    }
+    const before = Date.now() - crowd_aggregate_config_get(env).window_seconds * 1000;
+    const records = transfer_import_records(body.items, rooms, time_offset, before);
+
+    // 履歴の書き込みに失敗したら教室データも変えない
+    await crowd_storage_get(env).history_add_many(records);
+    if (rooms_mode === 'merge') {
+        await rooms_data_put_all(env, rooms);
+    }
+
+    return resp_json({
+        imported: records.length,
+        room_count: new Set(records.map(record => record.room_id)).size,
+        from: records[0].updated_at,
+        to: records.at(-1).updated_at
+    }, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
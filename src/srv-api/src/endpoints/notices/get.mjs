@@ -0,0 +1,37 @@
+import { rooms_data_get_all, notice_data_list } from '../../cmn/kvquery.mjs';
+import { notice_is_active, notice_targets_room, notice_compare } from '../../cmn/notice.mjs';
+import { NotFoundError, ValidationError } from '../../cmn/errors.mjs';
+import { req_query_string } from '../../cmn/request.mjs';
+import { resp_json_conditional } from '../../cmn/conditional.mjs';
+
+/*
+    お知らせの一覧(優先度の高い順)
+    クエリ
+        room_id : 教室ID(省略時は全てのお知らせ, 指定時は全体向けとその教室向けのみ)
+        all     : "true"なら掲示期間外のものも含める(管理用)
+*/
+export async function handler_notices_get(request, env, ctx) {
+    const room_id = req_query_string(request, 'room_id', null);
+    const all = req_query_string(request, 'all', 'false');
+    if (all !== 'true' && all !== 'false') {
+        throw new ValidationError('Query parameter "all" must be "true" or "false"', 'INVALID_QUERY');
+    }
+
+    let room = null;
+    if (room_id !== null) {
+        const rooms = await rooms_data_get_all(env);
+        if (!rooms || !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+            throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+        }
+        room = rooms[room_id];
+    }
+
+    const now = Date.now();
+    const items = (await notice_data_list(env))
+        .map(notice => ({ ...notice, active: notice_is_active(notice, now) }))
+        .filter(notice => all === 'true' || notice.active)
+        .filter(notice => room_id === null || notice_targets_room(notice, room_id, room))
+        .sort(notice_compare);
+
+    return await resp_json_conditional(request, { items });
+}
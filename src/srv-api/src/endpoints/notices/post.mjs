@@ -0,0 +1,18 @@
+import { rooms_data_get_all, notice_data_put } from '../../cmn/kvquery.mjs';
+import { NOTICE_FIELDS, notice_record_from_body, notice_is_active } from '../../cmn/notice.mjs';
+import { req_json_body, req_assert_known_keys } from '../../cmn/request.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+// お知らせの作成(形式はcmn/notice.mjsを参照)
+export async function handler_notices_post(request, env, ctx) {
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, NOTICE_FIELDS);
+
+    const now = Date.now();
+    const record = notice_record_from_body(body, await rooms_data_get_all(env) ?? {}, now);
+    await notice_data_put(env, record);
+
+    return resp_json({ ...record, active: notice_is_active(record, now) }, 201, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,12 @@
+import { notice_data_get, notice_data_delete } from '../../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+
+// お知らせの削除(掲示を途中で取り下げる)
+export async function handler_notices_with_noticeid_delete(request, env, ctx) {
+    const notice_id = request.params.notice_id;
+    if (!await notice_data_get(env, notice_id)) {
+        throw new NotFoundError(`Notice "${notice_id}" not found`, 'NOTICE_NOT_FOUND');
+    }
+    await notice_data_delete(env, notice_id);
+    return new Response(null, { status: 204 });
+}
@@ -0,0 +1,7 @@
+import { OPENAPI_DOCUMENT } from '../../../cmn/openapi.mjs';
+import { resp_json_conditional } from '../../../cmn/conditional.mjs';
+
+// APIの仕様(OpenAPI 3.1, 内容はcmn/openapi.mjs)
+export async function handler_openapi_json_get(request, env, ctx) {
+    return await resp_json_conditional(request, OPENAPI_DOCUMENT);
+}
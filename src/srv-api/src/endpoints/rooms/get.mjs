@@ -1,40 +1,19 @@
+import { rooms_data_get_all_with_meta } from '../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../cmn/errors.mjs';
+import { resp_json_conditional } from '../../cmn/conditional.mjs';
+
 export async function handler_rooms_get(request, env, ctx) {
-    try {
-        /*
-            DBのデータは
-            {
-                ":room_id": {
-                    "name": "<教室名>",
-                    "desc": "<教室の説明>",
-                    "floor": <教室の階数>
-                },
-                ...
-            }
-            という形式になっている
-            ※設定はAPI経由ではなく管理者がCloudflare Workers KVのコンソールから行う
-        */
-        if (!env.db_mini) {
-            return new Response('KV binding not found', { status: 500 });
-        }
-        let rooms_data = await env.db_mini.get('rooms');
-        if (!rooms_data) {
-            return new Response('No rooms data found', { status: 404 });
-        }
-        // rooms_dataがJSON文字列の場合、パースして再度stringifyして返す
-        let json;
-        try {
-            json = JSON.parse(rooms_data);
-        } catch (e) {
-            return new Response('Invalid rooms data (not JSON): ' + String(e), { status: 500 });
-        }
-        return new Response(JSON.stringify(json), {
-            headers: {
-                'Content-Type': 'application/json',
-                'Cache-Control': 'public, max-age=3600' // 1時間キャッシュ(更新がほぼありえないので)
-            }
-        });
-    } catch (error) {
-        console.error("[ERROR]", error);
-        return new Response('Internal Server Error', { status: 500 });
+    /*
+        データ形式はkvquery.mjsを参照
+        ※設定は管理用API(PUT/PATCH/DELETE /rooms)から行う
+    */
+    const data = await rooms_data_get_all_with_meta(env);
+    if (!data) {
+        throw new NotFoundError('No rooms data found', 'ROOMS_NOT_FOUND');
     }
-}
\ No newline at end of file
+    // 管理用APIで更新されたらすぐに反映されるよう、ETagは保存されている文字列から作る
+    return await resp_json_conditional(request, data.rooms, {
+        etag_source: data.raw,
+        last_modified: data.updated_at
+    });
+}
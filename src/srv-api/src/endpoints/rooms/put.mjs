@@ -0,0 +1,36 @@
+import { rooms_data_get_all, rooms_data_put_all } from '../../cmn/kvquery.mjs';
+import { room_id_assert_valid, room_assert_valid, room_normalize } from '../../cmn/rooms.mjs';
+import { crowd_storage_get } from '../../cmn/storage/index.mjs';
+import { req_json_body } from '../../cmn/request.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+// 教室データ全体の一括登録(既存の教室データは全て置き換える)
+export async function handler_rooms_put(request, env, ctx) {
+    /*
+        リクエストボディはGET /roomsのレスポンスと同じ形式
+        1件でも不正な教室があれば何も変更しない
+    */
+    const body = await req_json_body(request);
+    const rooms = {};
+    for (const [room_id, room] of Object.entries(body)) {
+        room_id_assert_valid(room_id);
+        room_assert_valid(room);
+        rooms[room_id] = room_normalize(room);
+    }
+
+    const old_rooms = await rooms_data_get_all(env) ?? {};
+    await rooms_data_put_all(env, rooms);
+
+    // 無くなった教室の混雑状況と受付状況を消しておく(/crowdに残らないように)
+    const storage = crowd_storage_get(env);
+    for (const room_id of Object.keys(old_rooms)) {
+        if (!(room_id in rooms)) {
+            await storage.delete(room_id);
+            await storage.availability_set(room_id, null);
+        }
+    }
+
+    return resp_json(rooms, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,23 @@
+import { rooms_data_get_all, rooms_data_put_all, schedule_data_delete, device_token_data_delete_all } from '../../../cmn/kvquery.mjs';
+import { crowd_storage_get } from '../../../cmn/storage/index.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+
+// 教室の削除(混雑状況・受付状況・予定と端末トークンも合わせて削除し、履歴は残す)
+// 端末トークンを残すと、同じIDで作り直した教室に以前のトークンで書き込めてしまう
+export async function handler_rooms_with_roomid_delete(request, env, ctx) {
+    const room_id = request.params.room_id;
+
+    const rooms = await rooms_data_get_all(env) ?? {};
+    if (!(room_id in rooms)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    delete rooms[room_id];
+    await rooms_data_put_all(env, rooms);
+    const storage = crowd_storage_get(env);
+    await storage.delete(room_id);
+    await storage.availability_set(room_id, null);
+    await schedule_data_delete(env, room_id);
+    await device_token_data_delete_all(env, room_id);
+
+    return new Response(null, { status: 204 });
+}
@@ -0,0 +1,27 @@
+import { rooms_data_get_all, rooms_data_put_all } from '../../../cmn/kvquery.mjs';
+import { room_assert_valid, room_normalize } from '../../../cmn/rooms.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+import { req_json_body } from '../../../cmn/request.mjs';
+import { resp_json } from '../../../cmn/response.mjs';
+
+// 教室の一部の項目のみ更新
+export async function handler_rooms_with_roomid_patch(request, env, ctx) {
+    const room_id = request.params.room_id;
+
+    const body = await req_json_body(request);
+    room_assert_valid(body, { partial: true });
+
+    const rooms = await rooms_data_get_all(env) ?? {};
+    if (!(room_id in rooms)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    const room = { ...rooms[room_id], ...body };
+    // 手作業で登録された既存データが不完全な場合もあるため、マージ後の全体を検証する
+    room_assert_valid(room);
+    rooms[room_id] = room_normalize(room);
+    await rooms_data_put_all(env, rooms);
+
+    return resp_json(rooms[room_id], 200, {
+        'Cache-Control': 'no-store'
+    });
+}
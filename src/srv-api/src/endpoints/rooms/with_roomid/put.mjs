@@ -0,0 +1,22 @@
+import { rooms_data_get_all, rooms_data_put_all } from '../../../cmn/kvquery.mjs';
+import { room_id_assert_valid, room_assert_valid, room_normalize } from '../../../cmn/rooms.mjs';
+import { req_json_body } from '../../../cmn/request.mjs';
+import { resp_json } from '../../../cmn/response.mjs';
+
+// 教室の登録(既に存在する場合は置き換える)
+export async function handler_rooms_with_roomid_put(request, env, ctx) {
+    const room_id = request.params.room_id;
+    room_id_assert_valid(room_id);
+
+    const body = await req_json_body(request);
+    room_assert_valid(body);
+
+    const rooms = await rooms_data_get_all(env) ?? {};
+    const created = !(room_id in rooms);
+    rooms[room_id] = room_normalize(body);
+    await rooms_data_put_all(env, rooms);
+
+    return resp_json(rooms[room_id], created ? 201 : 200, {
+        'Cache-Control': 'no-store'
+    });
+}
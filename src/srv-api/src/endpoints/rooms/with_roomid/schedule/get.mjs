@@ -0,0 +1,16 @@
+import { rooms_data_exists, schedule_data_get } from '../../../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../../../cmn/errors.mjs';
+import { resp_json_conditional } from '../../../../cmn/conditional.mjs';
+
+// 教室の上映・講義の予定(登録されていなければ空の配列)
+export async function handler_rooms_with_roomid_schedule_get(request, env, ctx) {
+    const room_id = request.params.room_id;
+    if (!await rooms_data_exists(env, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+
+    const data = await schedule_data_get(env, room_id);
+    return await resp_json_conditional(request, { sessions: data?.sessions ?? [] }, {
+        last_modified: data?.updated_at ?? null
+    });
+}
@@ -0,0 +1,30 @@
+import { rooms_data_exists, schedule_data_put, schedule_data_delete } from '../../../../cmn/kvquery.mjs';
+import { schedule_sessions_normalize } from '../../../../cmn/schedule.mjs';
+import { NotFoundError, ValidationError } from '../../../../cmn/errors.mjs';
+import { req_json_body, req_assert_known_keys } from '../../../../cmn/request.mjs';
+import { resp_json } from '../../../../cmn/response.mjs';
+
+// 教室の予定を丸ごと置き換える(空の配列なら削除)
+export async function handler_rooms_with_roomid_schedule_put(request, env, ctx) {
+    const room_id = request.params.room_id;
+
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, ['sessions']);
+    if (!('sessions' in body)) {
+        throw new ValidationError('Field "sessions" is required', 'INVALID_BODY');
+    }
+    const sessions = schedule_sessions_normalize(body.sessions);
+
+    if (!await rooms_data_exists(env, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+    if (sessions.length === 0) {
+        await schedule_data_delete(env, room_id);
+    } else {
+        await schedule_data_put(env, room_id, sessions);
+    }
+
+    return resp_json({ sessions }, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,17 @@
+import { rooms_data_exists, device_token_data_list } from '../../../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../../../cmn/errors.mjs';
+import { resp_json } from '../../../../cmn/response.mjs';
+
+// 発行済み端末トークンの一覧(トークン自体は返さない)
+export async function handler_rooms_with_roomid_tokens_get(request, env, ctx) {
+    const room_id = request.params.room_id;
+    if (!await rooms_data_exists(env, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+
+    const records = await device_token_data_list(env, room_id);
+    records.sort((a, b) => a.issued_at - b.issued_at);
+    return resp_json(records, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,58 @@
+import { rooms_data_exists, device_token_data_put } from '../../../../cmn/kvquery.mjs';
+import { device_token_sign } from '../../../../cmn/devicetoken.mjs';
+import { event_config_get } from '../../../../cmn/event.mjs';
+import { NotFoundError, ValidationError } from '../../../../cmn/errors.mjs';
+import { req_json_body, req_assert_known_keys } from '../../../../cmn/request.mjs';
+import { resp_json } from '../../../../cmn/response.mjs';
+
+const TTL_SECONDS_DEFAULT = 3 * 24 * 60 * 60; // 3日(文化祭の期間)
+const TTL_SECONDS_MAX = 30 * 24 * 60 * 60;
+
+// 端末トークンの発行
+export async function handler_rooms_with_roomid_tokens_post(request, env, ctx) {
+    /*
+        リクエストボディは
+        {
+            "ttl_seconds": <有効期間(秒, 省略可)>,
+            "label": "<用途のメモ(省略可)>"
+        }
+    */
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, ['ttl_seconds', 'label']);
+    const ttl_seconds = body.ttl_seconds ?? TTL_SECONDS_DEFAULT;
+    if (!Number.isInteger(ttl_seconds) || ttl_seconds < 60 || TTL_SECONDS_MAX < ttl_seconds) {
+        throw new ValidationError(`Field "ttl_seconds" must be an integer between 60 and ${TTL_SECONDS_MAX}`, 'INVALID_BODY');
+    }
+    const label = body.label ?? '';
+    if (typeof label !== 'string' || label.length > 64) {
+        throw new ValidationError('Field "label" must be a string up to 64 characters', 'INVALID_BODY');
+    }
+
+    const room_id = request.params.room_id;
+    if (!await rooms_data_exists(env, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+
+    const issued_at = Date.now();
+    const record = {
+        token_id: crypto.randomUUID(),
+        room_id: room_id,
+        label: label,
+        issued_at: issued_at,
+        expires_at: issued_at + ttl_seconds * 1000,
+        revoked_at: null
+    };
+    const token = await device_token_sign(env, record);
+    await device_token_data_put(env, record);
+
+    // 既定でない開催の端末はSPAに開催を選ばせる
+    const event_query = env.EVENT_ID !== event_config_get(env).default_id ? `&event=${encodeURIComponent(env.EVENT_ID)}` : '';
+    return resp_json({
+        ...record,
+        token: token,
+        // QRコードにするURLのパス部分(SPA側のオリジンに付けて使う)
+        enter_path: `/enter/${encodeURIComponent(room_id)}?token=${encodeURIComponent(token)}${event_query}`
+    }, 201, {
+        'Cache-Control': 'no-store'
+    });
+}
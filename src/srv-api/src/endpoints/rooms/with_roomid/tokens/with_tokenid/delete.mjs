@@ -0,0 +1,17 @@
+import { device_token_data_get, device_token_data_put } from '../../../../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../../../../cmn/errors.mjs';
+
+// 端末トークンの失効
+export async function handler_rooms_with_roomid_tokens_with_tokenid_delete(request, env, ctx) {
+    const { room_id, token_id } = request.params;
+    const record = await device_token_data_get(env, room_id, token_id);
+    if (!record) {
+        throw new NotFoundError(`Device token "${token_id}" not found`, 'DEVICE_TOKEN_NOT_FOUND');
+    }
+
+    if (!record.revoked_at) {
+        // 一覧で失効済みとわかるように記録は消さずに残す
+        await device_token_data_put(env, { ...record, revoked_at: Date.now() });
+    }
+    return new Response(null, { status: 204 });
+}
@@ -0,0 +1,44 @@
+import { schedule_all_get, schedule_ics_build } from '../../../cmn/schedule.mjs';
+import { local_date_string, local_day_range } from '../../../cmn/localtime.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+import { req_query_string } from '../../../cmn/request.mjs';
+
+/*
+    1日分の予定のiCalendar(.ics)
+    クエリ
+        date    : 日付("YYYY-MM-DD", 会場の現地時刻, 省略時は今日)
+        room_id : 教室ID(省略時は全教室)
+*/
+export async function handler_schedule_ics_get(request, env, ctx) {
+    const now = Date.now();
+    const date = req_query_string(request, 'date', local_date_string(env, now));
+    const { from, to } = local_day_range(env, date);
+    const room_id = req_query_string(request, 'room_id', null);
+
+    const schedules = await schedule_all_get(env);
+    if (room_id !== null && !Object.prototype.hasOwnProperty.call(schedules, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+
+    const events = [];
+    for (const [id, { room, sessions }] of Object.entries(schedules)) {
+        if (room_id !== null && id !== room_id) {
+            continue;
+        }
+        for (const session of sessions) {
+            if (from <= session.start_at && session.start_at < to) {
+                events.push({ room_id: id, room, session });
+            }
+        }
+    }
+    events.sort((a, b) => a.session.start_at - b.session.start_at);
+
+    const body = schedule_ics_build(events, { host: new URL(request.url).hostname, now });
+    return new Response(body, {
+        headers: {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `attachment; filename="schedule-${date}${room_id !== null ? `-${room_id}` : ''}.ics"`,
+            'Cache-Control': 'no-cache'
+        }
+    });
+}
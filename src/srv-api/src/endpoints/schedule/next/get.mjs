@@ -0,0 +1,21 @@
+import { schedule_all_get, schedule_next_get } from '../../../cmn/schedule.mjs';
+import { resp_json_conditional } from '../../../cmn/conditional.mjs';
+
+/*
+    教室ごとの今日の次の(開始前の)セッション
+    予定が無いか、今日の分が終わった教室は含めない(翌日以降のセッションは返さない)
+    残り時間はクライアントがstart_atから計算する(開始までは内容が変わらないので304で済む)
+*/
+export async function handler_schedule_next_get(request, env, ctx) {
+    const now = Date.now();
+    const schedules = await schedule_all_get(env);
+
+    const res = {};
+    for (const [room_id, { sessions }] of Object.entries(schedules).sort(([a], [b]) => a.localeCompare(b))) {
+        const next = schedule_next_get(env, sessions, now);
+        if (next) {
+            res[room_id] = next;
+        }
+    }
+    return await resp_json_conditional(request, res);
+}
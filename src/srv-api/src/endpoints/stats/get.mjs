@@ -0,0 +1,11 @@
+import { crowd_storage_get } from '../../cmn/storage/index.mjs';
+import { rooms_data_get_all, hours_data_get } from '../../cmn/kvquery.mjs';
+import { stats_query_parse, stats_all_compute, stats_resp } from '../../cmn/stats.mjs';
+
+// 全教室の統計(内容はcmn/stats.mjsを参照)
+export async function handler_stats_get(request, env, ctx) {
+    const now = Date.now();
+    const query = stats_query_parse(request, env, now);
+    const [rooms, hours] = await Promise.all([rooms_data_get_all(env), hours_data_get(env)]);
+    return await stats_resp(request, await stats_all_compute(env, crowd_storage_get(env), rooms, query, hours), query, now);
+}
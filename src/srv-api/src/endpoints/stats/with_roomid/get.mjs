@@ -0,0 +1,24 @@
+import { crowd_storage_get } from '../../../cmn/storage/index.mjs';
+import { rooms_data_get_all, hours_data_get } from '../../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+import { stats_query_parse, stats_history_load, stats_room_compute, stats_room_periods, stats_resp } from '../../../cmn/stats.mjs';
+
+// 特定教室の統計(時間帯ごとの内訳を含む, 内容はcmn/stats.mjsを参照)
+export async function handler_stats_with_roomid_get(request, env, ctx) {
+    const room_id = request.params.room_id;
+    const now = Date.now();
+    const query = stats_query_parse(request, env, now);
+    const [rooms, hours] = await Promise.all([rooms_data_get_all(env), hours_data_get(env)]);
+    if (!rooms || !Object.prototype.hasOwnProperty.call(rooms, room_id)) {
+        throw new NotFoundError(`Room "${room_id}" not found`, 'ROOM_NOT_FOUND');
+    }
+
+    const records = await stats_history_load(env, crowd_storage_get(env), room_id, query);
+    return await stats_resp(request, {
+        from: query.from,
+        to: query.to,
+        peak_status: query.peak_status,
+        room_id,
+        ...stats_room_compute(env, rooms[room_id], records, query, { periods: stats_room_periods(env, hours, room_id) })
+    }, query, now);
+}
@@ -0,0 +1,13 @@
+import { webhook_data_list } from '../../cmn/kvquery.mjs';
+import { webhook_view } from '../../cmn/webhook.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+// 登録済みのWebhookの一覧(登録の古い順, シークレットは含めない)
+export async function handler_webhooks_get(request, env, ctx) {
+    const items = (await webhook_data_list(env))
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(webhook_view);
+    return resp_json({ items }, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,17 @@
+import { rooms_data_get_all, webhook_data_put } from '../../cmn/kvquery.mjs';
+import { WEBHOOK_FIELDS, webhook_record_from_body } from '../../cmn/webhook.mjs';
+import { req_json_body, req_assert_known_keys } from '../../cmn/request.mjs';
+import { resp_json } from '../../cmn/response.mjs';
+
+// Webhookの登録(形式はcmn/webhook.mjsを参照) 署名用のシークレットはこのレスポンスでのみ返す
+export async function handler_webhooks_post(request, env, ctx) {
+    const body = await req_json_body(request);
+    req_assert_known_keys(body, WEBHOOK_FIELDS);
+
+    const record = webhook_record_from_body(body, await rooms_data_get_all(env) ?? {}, Date.now());
+    await webhook_data_put(env, record);
+
+    return resp_json(record, 201, {
+        'Cache-Control': 'no-store'
+    });
+}
@@ -0,0 +1,12 @@
+import { webhook_data_get, webhook_data_delete } from '../../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../../cmn/errors.mjs';
+
+// Webhookの削除(以降は通知せず、配信記録も取得できなくなる)
+export async function handler_webhooks_with_webhookid_delete(request, env, ctx) {
+    const webhook_id = request.params.webhook_id;
+    if (!await webhook_data_get(env, webhook_id)) {
+        throw new NotFoundError(`Webhook "${webhook_id}" not found`, 'WEBHOOK_NOT_FOUND');
+    }
+    await webhook_data_delete(env, webhook_id);
+    return new Response(null, { status: 204 });
+}
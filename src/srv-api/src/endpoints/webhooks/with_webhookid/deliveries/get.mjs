@@ -0,0 +1,22 @@
+import { webhook_data_get, webhook_delivery_list } from '../../../../cmn/kvquery.mjs';
+import { NotFoundError } from '../../../../cmn/errors.mjs';
+import { req_query_int } from '../../../../cmn/request.mjs';
+import { resp_json } from '../../../../cmn/response.mjs';
+
+/*
+    Webhookの配信記録(新しい順, 7日分)
+    クエリ
+        limit : 件数(省略時は50, 最大1000)
+    配信は更新の後に非同期で行うので、再送中のものは終わるまで載らない
+*/
+export async function handler_webhooks_with_webhookid_deliveries_get(request, env, ctx) {
+    const limit = req_query_int(request, 'limit', { min: 1, max: 1000, default_value: 50 });
+    const webhook_id = request.params.webhook_id;
+    if (!await webhook_data_get(env, webhook_id)) {
+        throw new NotFoundError(`Webhook "${webhook_id}" not found`, 'WEBHOOK_NOT_FOUND');
+    }
+    const items = await webhook_delivery_list(env, webhook_id, limit);
+    return resp_json({ items }, 200, {
+        'Cache-Control': 'no-store'
+    });
+}
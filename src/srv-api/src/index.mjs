@@ -1,16 +1,118 @@
 import { AutoRouter } from 'itty-router';
+import { mw_request_id, mw_missing, mw_catch, mw_response_request_id, mw_require_admin, mw_cors_origin, mw_cors_preflight, mw_response_cors } from './cmn/middleware.mjs';
+import { resp_error } from './cmn/response.mjs';
+import { event_scoped_handler } from './cmn/event.mjs';
+import { openapi_validated } from './cmn/openapi.mjs';
+import { scheduled_run } from './cmn/scheduled.mjs';
+import { handler_events_get } from './endpoints/events/get.mjs';
+import { handler_openapi_json_get } from './endpoints/openapi/json/get.mjs';
 import { handler_rooms_get } from './endpoints/rooms/get.mjs';
+import { handler_rooms_put } from './endpoints/rooms/put.mjs';
+import { handler_rooms_with_roomid_put } from './endpoints/rooms/with_roomid/put.mjs';
+import { handler_rooms_with_roomid_patch } from './endpoints/rooms/with_roomid/patch.mjs';
+import { handler_rooms_with_roomid_delete } from './endpoints/rooms/with_roomid/delete.mjs';
+import { handler_rooms_with_roomid_tokens_get } from './endpoints/rooms/with_roomid/tokens/get.mjs';
+import { handler_rooms_with_roomid_tokens_post } from './endpoints/rooms/with_roomid/tokens/post.mjs';
+import { handler_rooms_with_roomid_tokens_with_tokenid_delete } from './endpoints/rooms/with_roomid/tokens/with_tokenid/delete.mjs';
+import { handler_rooms_with_roomid_schedule_get } from './endpoints/rooms/with_roomid/schedule/get.mjs';
+import { handler_rooms_with_roomid_schedule_put } from './endpoints/rooms/with_roomid/schedule/put.mjs';
+import { handler_schedule_next_get } from './endpoints/schedule/next/get.mjs';
+import { handler_schedule_ics_get } from './endpoints/schedule/ics/get.mjs';
+import { handler_notices_get } from './endpoints/notices/get.mjs';
+import { handler_notices_post } from './endpoints/notices/post.mjs';
+import { handler_notices_with_noticeid_delete } from './endpoints/notices/with_noticeid/delete.mjs';
+import { handler_webhooks_get } from './endpoints/webhooks/get.mjs';
+import { handler_webhooks_post } from './endpoints/webhooks/post.mjs';
+import { handler_webhooks_with_webhookid_delete } from './endpoints/webhooks/with_webhookid/delete.mjs';
+import { handler_webhooks_with_webhookid_deliveries_get } from './endpoints/webhooks/with_webhookid/deliveries/get.mjs';
+import { handler_emergency_get } from './endpoints/emergency/get.mjs';
+import { handler_emergency_put } from './endpoints/emergency/put.mjs';
+import { handler_hours_get } from './endpoints/hours/get.mjs';
+import { handler_hours_put } from './endpoints/hours/put.mjs';
+import { handler_hours_state_get } from './endpoints/hours/state/get.mjs';
+import { handler_archives_get } from './endpoints/archives/get.mjs';
+import { handler_archives_with_date_get } from './endpoints/archives/with_date/get.mjs';
 import { handler_crowd_get } from './endpoints/crowd/get.mjs';
+import { handler_crowd_put } from './endpoints/crowd/put.mjs';
+import { handler_crowd_history_get } from './endpoints/crowd/history/get.mjs';
+import { handler_crowd_stream_get } from './endpoints/crowd/stream/get.mjs';
 import { handler_crowd_with_roomid_get } from './endpoints/crowd/with_roomid/get.mjs';
 import { handler_crowd_with_roomid_put } from './endpoints/crowd/with_roomid/put.mjs';
+import { handler_crowd_with_roomid_history_get } from './endpoints/crowd/with_roomid/history/get.mjs';
+import { handler_crowd_with_roomid_enter_post } from './endpoints/crowd/with_roomid/enter/post.mjs';
+import { handler_crowd_with_roomid_exit_post } from './endpoints/crowd/with_roomid/exit/post.mjs';
+import { handler_crowd_with_roomid_availability_put } from './endpoints/crowd/with_roomid/availability/put.mjs';
+import { handler_stats_get } from './endpoints/stats/get.mjs';
+import { handler_stats_with_roomid_get } from './endpoints/stats/with_roomid/get.mjs';
+import { handler_export_get } from './endpoints/export/get.mjs';
+import { handler_import_post } from './endpoints/import/post.mjs';
 
-const router = AutoRouter();
+const router = AutoRouter({
+	before: [mw_request_id, mw_cors_origin],
+	missing: mw_missing,
+	catch: mw_catch,
+	finally: [mw_response_request_id, mw_response_cors],
+});
 
-router.get('/rooms', handler_rooms_get);
-router.get('/crowd', handler_crowd_get);
-router.get('/crowd/:room_id', handler_crowd_with_roomid_get);
-router.put('/crowd/:room_id', handler_crowd_with_roomid_put);
-router.options('*', () => new Response(null, { status: 204 }));
+/*
+	開催(cmn/event.mjs)ごとのルート /events/:event_id/... と、既定の開催の従来のルートを両方登録する
+	[メソッド, パス, ...ミドルウェア, ハンドラ]
+	OpenAPI(cmn/openapi.mjs)に書かれたルートはリクエストとレスポンスを検証する
+*/
+const routes = [
+	['get', '/rooms', handler_rooms_get],
+	['put', '/rooms', mw_require_admin, handler_rooms_put],
+	['put', '/rooms/:room_id', mw_require_admin, handler_rooms_with_roomid_put],
+	['patch', '/rooms/:room_id', mw_require_admin, handler_rooms_with_roomid_patch],
+	['delete', '/rooms/:room_id', mw_require_admin, handler_rooms_with_roomid_delete],
+	['get', '/rooms/:room_id/tokens', mw_require_admin, handler_rooms_with_roomid_tokens_get],
+	['post', '/rooms/:room_id/tokens', mw_require_admin, handler_rooms_with_roomid_tokens_post],
+	['delete', '/rooms/:room_id/tokens/:token_id', mw_require_admin, handler_rooms_with_roomid_tokens_with_tokenid_delete],
+	['get', '/rooms/:room_id/schedule', handler_rooms_with_roomid_schedule_get],
+	['put', '/rooms/:room_id/schedule', mw_require_admin, handler_rooms_with_roomid_schedule_put],
+	['get', '/schedule/next', handler_schedule_next_get],
+	['get', '/schedule.ics', handler_schedule_ics_get],
+	['get', '/notices', handler_notices_get],
+	['post', '/notices', mw_require_admin, handler_notices_post],
+	['delete', '/notices/:notice_id', mw_require_admin, handler_notices_with_noticeid_delete],
+	['get', '/webhooks', mw_require_admin, handler_webhooks_get],
+	['post', '/webhooks', mw_require_admin, handler_webhooks_post],
+	['delete', '/webhooks/:webhook_id', mw_require_admin, handler_webhooks_with_webhookid_delete],
+	['get', '/webhooks/:webhook_id/deliveries', mw_require_admin, handler_webhooks_with_webhookid_deliveries_get],
+	['get', '/emergency', handler_emergency_get],
+	['put', '/emergency', mw_require_admin, handler_emergency_put],
+	['get', '/hours', handler_hours_get],
+	['put', '/hours', mw_require_admin, handler_hours_put],
+	['get', '/hours/state', handler_hours_state_get],
+	['get', '/archives', handler_archives_get],
+	['get', '/archives/:date', handler_archives_with_date_get],
+	['get', '/crowd', handler_crowd_get],
+	['put', '/crowd', handler_crowd_put],
+	['get', '/crowd/history', handler_crowd_history_get], // /crowd/:room_idより先に登録する
+	['get', '/crowd/stream', handler_crowd_stream_get], // 同上
+	['get', '/crowd/:room_id', handler_crowd_with_roomid_get],
+	['put', '/crowd/:room_id', handler_crowd_with_roomid_put],
+	['get', '/crowd/:room_id/history', handler_crowd_with_roomid_history_get],
+	['post', '/crowd/:room_id/enter', handler_crowd_with_roomid_enter_post],
+	['post', '/crowd/:room_id/exit', handler_crowd_with_roomid_exit_post],
+	['put', '/crowd/:room_id/availability', handler_crowd_with_roomid_availability_put],
+	['get', '/stats', handler_stats_get],
+	['get', '/stats/:room_id', handler_stats_with_roomid_get],
+	['get', '/export', handler_export_get],
+	['post', '/import', mw_require_admin, handler_import_post],
+];
+
+router.get('/openapi.json', handler_openapi_json_get);
+router.get('/events', handler_events_get);
+for (const [method, path, ...handlers] of routes) {
+	const handler = event_scoped_handler(openapi_validated(method, path, handlers.pop()));
+	router[method](path, ...handlers, handler);
+	router[method](`/events/:event_id${path}`, ...handlers, handler);
+}
+router.options('*', mw_cors_preflight);
+
+export { CrowdStreamHub } from './cmn/crowdstream.mjs';
+export { RateLimitCounter } from './cmn/ratelimit.mjs';
 
 export default {
 	async fetch(request, env, ctx) {
@@ -18,7 +120,11 @@ export default {
 			return await router.fetch(request, env, ctx);
 		} catch (error) {
 			console.error("[ERROR]", error);
-			return new Response('Internal Server Error', { status: 500 });
+			return resp_error(error, null);
 		}
 	},
+	// 公開時間に合わせた混雑状況の初期化・記録・閉鎖(cmn/scheduled.mjs, wrangler.jsoncのtriggers.crons)
+	async scheduled(controller, env, ctx) {
+		ctx.waitUntil(scheduled_run(env, controller.scheduledTime));
+	},
 };
@@ -0,0 +1,86 @@
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { cors_preflight_response } from '../src/cmn/cors.mjs';
+import { rooms_fixture_pick, rooms_fixture_reset } from './helpers.mjs';
+import wrangler_config from '../wrangler.jsonc?raw';
+
+describe('CORS', () => {
+	const ass = 'https://ass.example.com';
+	const other = 'https://other.example.com';
+	const preflight = (origin, method) =>
+		SELF.fetch('http://example.com/crowd/darkroom', {
+			method: 'OPTIONS',
+			headers: { Origin: origin, 'Access-Control-Request-Method': method, 'Access-Control-Request-Headers': 'content-type, x-device-token' },
+		});
+	const vote = (origin) =>
+		SELF.fetch('http://example.com/crowd/darkroom', {
+			method: 'PUT',
+			headers: { Origin: origin, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ status: 3 }),
+		});
+
+	beforeEach(async () => {
+		await rooms_fixture_reset(rooms_fixture_pick(['darkroom']));
+	});
+
+	it('lets the asset origin update and cache the preflight', async () => {
+		const allowed = await preflight(ass, 'PUT');
+		expect(allowed.status).toBe(204);
+		expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe(ass);
+		expect(allowed.headers.get('Access-Control-Allow-Methods')).toContain('PUT');
+		expect(allowed.headers.get('Access-Control-Allow-Headers')).toContain('X-Device-Token');
+		expect(allowed.headers.get('Access-Control-Max-Age')).toBe('7200');
+		expect(allowed.headers.get('Access-Control-Allow-Credentials')).toBeNull();
+		expect(allowed.headers.get('Vary')).toContain('Origin');
+
+		const put = await vote(ass);
+		expect(put.status).toBe(201);
+		expect(put.headers.get('Access-Control-Allow-Origin')).toBe(ass);
+		expect(put.headers.get('Access-Control-Expose-Headers')).toContain('X-Request-Id');
+	});
+
+	it('keeps GET public and refuses updates from other origins', async () => {
+		const read = await preflight(other, 'GET');
+		expect(read.status).toBe(204);
+		expect(read.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect(read.headers.get('Access-Control-Allow-Methods')).not.toContain('PUT');
+
+		const get = await SELF.fetch('http://example.com/rooms', { headers: { Origin: other } });
+		expect(get.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect(get.headers.get('Access-Control-Expose-Headers')).toContain('ETag');
+
+		expect((await preflight(other, 'PUT')).status).toBe(403);
+		const put = await vote(other);
+		expect(put.status).toBe(403);
+		expect((await put.json()).error.code).toBe('CORS_NOT_ALLOWED');
+		expect(put.headers.get('Access-Control-Allow-Origin')).toBeNull();
+		expect(await (await SELF.fetch('http://example.com/crowd')).json()).toEqual({});
+
+		// 同じオリジンとOriginの無いリクエストは常に許す
+		expect((await vote('http://example.com')).status).toBe(201);
+	});
+});
+
+describe('CORS defaults of wrangler.jsonc', () => {
+	// テストの設定(vitest.config.js)で上書きしていない、デプロイされる既定値
+	const vars = JSON.parse(wrangler_config.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string ?? '')).vars;
+	const preflight = (env, origin) =>
+		cors_preflight_response(new Request('https://api.example.com/crowd/darkroom', {
+			method: 'OPTIONS',
+			headers: { Origin: origin, 'Access-Control-Request-Method': 'PUT' },
+		}), env);
+
+	it('lets the asset origin update once the placeholder is replaced at deploy time', () => {
+		const deployed = { ...vars, CORS_WRITE_ORIGINS: vars.CORS_WRITE_ORIGINS.replace('{{ASS_ORIGIN}}', 'https://ass.example.org') };
+		const allowed = preflight(deployed, 'https://ass.example.org');
+		expect(allowed.status).toBe(204);
+		expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://ass.example.org');
+		expect(() => preflight(deployed, 'https://other.example.com')).toThrow(/not allowed/);
+	});
+
+	it('falls back to the read origins while the placeholder is left as is', () => {
+		expect(vars.CORS_WRITE_ORIGINS).toBe('{{ASS_ORIGIN}}');
+		expect(preflight(vars, 'http://localhost:8788').status).toBe(204);
+		expect(preflight({ ...vars, CORS_WRITE_ORIGINS: '' }, 'http://localhost:8788').status).toBe(204);
+	});
+});
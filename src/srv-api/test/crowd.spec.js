@@ -0,0 +1,212 @@
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CrowdStorageMemory } from '../src/cmn/storage/memory.mjs';
+import { admin, request, rooms_fixture_pick, rooms_fixture_reset } from './helpers.mjs';
+
+describe('crowd endpoints (memory storage)', () => {
+	beforeEach(async () => {
+		await rooms_fixture_reset(rooms_fixture_pick(['darkroom']));
+	});
+
+	it('stores an update and returns it from /crowd and /crowd/:room_id', async () => {
+		const put = await SELF.fetch('http://example.com/crowd/darkroom', {
+			method: 'PUT',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ status: 4 }),
+		});
+		expect(put.status).toBe(201);
+
+		const all = await (await SELF.fetch('http://example.com/crowd')).json();
+		expect(all.darkroom.status).toBe(4);
+
+		const one = await (await SELF.fetch('http://example.com/crowd/darkroom')).json();
+		expect(one.status).toBe(4);
+
+		const history = await (await SELF.fetch('http://example.com/crowd/darkroom/history')).json();
+		expect(history.items.map((item) => item.source)).toEqual(['api']);
+	});
+
+	it('publishes the aggregate of recent votes instead of the last one', async () => {
+		for (const status of [2, 2, 5]) {
+			const put = await SELF.fetch('http://example.com/crowd/darkroom', {
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ status }),
+			});
+			expect(put.status).toBe(201);
+		}
+
+		const one = await (await SELF.fetch('http://example.com/crowd/darkroom')).json();
+		expect(one.status).toBe(2);
+		expect(one.vote_count).toBe(3);
+		expect(one.confidence).toBeGreaterThan(0);
+		expect(one.confidence).toBeLessThan(1);
+
+		const history = await (await SELF.fetch('http://example.com/crowd/darkroom/history')).json();
+		expect(history.items.map((item) => item.status)).toEqual([2, 2, 5]);
+	});
+
+	it('updates several rooms at once and rejects the whole batch if any room is invalid', async () => {
+		await rooms_fixture_reset();
+		const put = (body) => SELF.fetch('http://example.com/crowd', {
+			method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+		});
+
+		const rejected = await put({ rooms: { darkroom: 2, s33: 9, dome: 3, nowhere: 1 } });
+		expect(rejected.status).toBe(400);
+		const { error, results } = await rejected.json();
+		expect(error.code).toBe('BATCH_REJECTED');
+		expect(results.darkroom).toEqual({ result: 'skipped' });
+		expect(results.s33.error.code).toBe('INVALID_STATUS');
+		expect(results.dome.error.code).toBe('ROOM_IN_HEADCOUNT_MODE');
+		expect(results.nowhere.error.code).toBe('ROOM_NOT_FOUND');
+		expect(await (await SELF.fetch('http://example.com/crowd')).json()).toEqual({});
+
+		const updated = await put({ rooms: { darkroom: 2, s33: 4 }, source: 'reception' });
+		expect(updated.status).toBe(200);
+		const body = await updated.json();
+		expect(body.results.darkroom).toMatchObject({ result: 'updated', status: 2 });
+		expect(body.results.s33).toMatchObject({ result: 'updated', status: 4 });
+
+		const all = await (await SELF.fetch('http://example.com/crowd')).json();
+		expect([all.darkroom.status, all.s33.status]).toEqual([2, 4]);
+		const history = await (await SELF.fetch('http://example.com/crowd/history')).json();
+		expect(history.items.map((item) => item.source)).toEqual(['reception', 'reception']);
+
+		expect((await (await put({ rooms: {} })).json()).error.code).toBe('INVALID_BODY');
+	});
+
+	it('moves Last-Modified forward when a report goes stale or the room data changes', async () => {
+		const updated_at = Date.now() - 2 * 60 * 60 * 1000;
+		await new CrowdStorageMemory().update('darkroom', 3, updated_at, 'api');
+		const since = (path, time) => request('GET', path, undefined, { 'If-Modified-Since': new Date(time).toUTCString() });
+
+		// 報告した時点で取得したクライアントにも、stale(30分後)になったことを返す
+		for (const path of ['/crowd', '/crowd/darkroom']) {
+			const response = await since(path, updated_at);
+			expect(response.status).toBe(200);
+			expect(Date.parse(response.headers.get('Last-Modified'))).toBe(Math.floor((updated_at + 30 * 60 * 1000) / 1000) * 1000);
+			expect((await since(path, Date.parse(response.headers.get('Last-Modified')))).status).toBe(304);
+		}
+
+		const stale_at = updated_at + 30 * 60 * 1000;
+		expect((await request('PATCH', '/rooms/darkroom', { stale_after_seconds: 3 * 60 * 60 }, admin)).status).toBe(200);
+		for (const path of ['/crowd', '/crowd/darkroom']) {
+			expect((await since(path, stale_at)).status).toBe(200);
+		}
+		expect((await (await request('GET', '/crowd/darkroom')).json()).stale).toBe(false);
+	});
+});
+
+describe('wait estimate', () => {
+	it('estimates the wait from the status and the session length', async () => {
+		const waits = [];
+		// 投票が集計で混ざらないよう、混雑状況ごとに消してから送る
+		for (const status of [1, 2, 4]) {
+			await rooms_fixture_reset();
+			await request('PUT', '/crowd/s33', { status });
+			waits.push((await (await SELF.fetch('http://example.com/crowd/s33')).json()).estimated_wait_minutes);
+		}
+		// s33は1回15分
+		expect(waits).toEqual([0, 4, 15]);
+	});
+
+	it('adjusts the wait by the recent trend and how long the room has been busy', async () => {
+		await rooms_fixture_reset();
+		const storage = new CrowdStorageMemory();
+		const wait = async () => (await (await SELF.fetch('http://example.com/crowd/s33')).json()).estimated_wait_minutes;
+
+		// 集計期間(10分)の前半の投票より後半が多ければ増えているとして保存する
+		const now = Date.now();
+		await storage.history_add_many([4, 4].map((status) => ({ room_id: 's33', status, updated_at: now - 8 * 60 * 1000, source: 'api' })));
+		expect((await request('PUT', '/crowd/s33', { status: 5 })).status).toBe(201);
+		expect(await storage.get_by_roomid('s33')).toMatchObject({ status: 5, trend: 1 });
+		// 2回分の1.5倍
+		expect(await wait()).toBe(45);
+
+		const summary = { status: 4, confidence: 1, vote_count: 3 };
+		await storage.update('s33', 4, now, 'api', { ...summary, trend: -1, busy_since: now });
+		expect(await wait()).toBe(12);
+		// 混雑が1回分(15分)以上続いていれば0.5回分足す
+		await storage.update('s33', 4, now, 'api', { ...summary, trend: 0, busy_since: now - 20 * 60 * 1000 });
+		expect(await wait()).toBe(23);
+	});
+});
+
+describe('headcount endpoints (memory storage)', () => {
+	const post = (path, body = {}) =>
+		SELF.fetch(`http://example.com${path}`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+		});
+
+	beforeEach(async () => {
+		await rooms_fixture_reset();
+	});
+
+	it('tracks entries and exits and derives the status from occupancy', async () => {
+		expect((await post('/crowd/dome/enter', { count: 12 })).status).toBe(200);
+		const exited = await (await post('/crowd/dome/exit')).json();
+		expect(exited).toMatchObject({ status: 3, occupancy: 11, capacity: 20, stale: false });
+
+		const one = await (await SELF.fetch('http://example.com/crowd/dome')).json();
+		expect(one.occupancy).toBe(11);
+
+		const history = await (await SELF.fetch('http://example.com/crowd/dome/history')).json();
+		expect(history.items.map((item) => item.source)).toEqual(['headcount', 'headcount']);
+	});
+
+	it('rejects votes for headcount rooms and headcount for voting rooms', async () => {
+		const put = await SELF.fetch('http://example.com/crowd/dome', {
+			method: 'PUT',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ status: 3 }),
+		});
+		expect(put.status).toBe(409);
+		expect((await put.json()).error.code).toBe('ROOM_IN_HEADCOUNT_MODE');
+
+		const enter = await post('/crowd/darkroom/enter');
+		expect(enter.status).toBe(409);
+		expect((await enter.json()).error.code).toBe('ROOM_NOT_HEADCOUNT');
+
+		expect((await post('/crowd/dome/enter', { count: 0 })).status).toBe(400);
+	});
+});
+
+describe('availability endpoints (memory storage)', () => {
+	beforeEach(async () => {
+		await rooms_fixture_reset();
+	});
+
+	it('lets staff close a room and refuses votes and entries until it reopens', async () => {
+		expect((await request('PUT', '/crowd/darkroom/availability', { state: 'closed' })).status).toBe(401);
+		expect((await request('PUT', '/crowd/darkroom/availability', { state: 'open', message: 'x' }, admin)).status).toBe(400);
+
+		const closed = await request('PUT', '/crowd/darkroom/availability', { state: 'closed', message: '荒天のため閉鎖' }, admin);
+		expect(closed.status).toBe(200);
+		expect((await closed.json()).availability).toEqual({ state: 'closed', message: '荒天のため閉鎖', reopen_at: null });
+
+		// 混雑状況がまだ無くても一覧に出す
+		const all = await (await SELF.fetch('http://example.com/crowd')).json();
+		expect(all.darkroom).toMatchObject({ status: null, updated_at: null, availability: { state: 'closed' } });
+
+		const vote = await request('PUT', '/crowd/darkroom', { status: 3 });
+		expect(vote.status).toBe(409);
+		expect((await vote.json()).error.code).toBe('ROOM_CLOSED');
+
+		await request('PUT', '/crowd/darkroom/availability', { state: 'open' }, admin);
+		expect((await request('PUT', '/crowd/darkroom', { status: 3 })).status).toBe(201);
+		expect((await (await SELF.fetch('http://example.com/crowd/darkroom')).json()).availability.state).toBe('open');
+	});
+
+	it('still records exits from a closed headcount room', async () => {
+		expect((await request('POST', '/crowd/dome/enter', { count: 5 })).status).toBe(200);
+		await request('PUT', '/crowd/dome/availability', { state: 'closed' }, admin);
+
+		expect((await request('POST', '/crowd/dome/enter', {})).status).toBe(409);
+		const exited = await request('POST', '/crowd/dome/exit', { count: 5 });
+		expect(exited.status).toBe(200);
+		expect(await exited.json()).toMatchObject({ occupancy: 0, availability: { state: 'closed' } });
+	});
+});
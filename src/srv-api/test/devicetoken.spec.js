@@ -0,0 +1,107 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src/index.mjs';
+import { device_token_sign } from '../src/cmn/devicetoken.mjs';
+import { admin, rooms_fixture_pick, rooms_fixture_reset } from './helpers.mjs';
+
+describe('device tokens', () => {
+	// テストの既定では端末トークンを使わないので、有効にしたenvで直接呼ぶ(レート制限は数えない)
+	const token_env = {
+		...env,
+		DEVICE_TOKEN_REQUIRED: 'true',
+		DEVICE_TOKEN_SECRET: 'test-device-secret',
+		RATE_LIMIT_CLIENT_MAX: '0',
+		RATE_LIMIT_ROOM_MAX: '0',
+	};
+	const call = async (method, path, body, headers = {}) => {
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(new Request(`http://example.com${path}`, {
+			method,
+			headers: { 'Content-Type': 'application/json', ...headers },
+			body: body === undefined ? undefined : JSON.stringify(body),
+		}), token_env, ctx);
+		await waitOnExecutionContext(ctx);
+		return response;
+	};
+	const issue = async (room_id) => await (await call('POST', `/rooms/${room_id}/tokens`, { label: `${room_id}の受付` }, admin)).json();
+	const vote = (room_id, token) => call('PUT', `/crowd/${room_id}`, { status: 3 }, token === undefined ? {} : { 'X-Device-Token': token });
+	const error_of = async (response) => [response.status, (await response.json()).error.code];
+
+	beforeEach(async () => {
+		await rooms_fixture_reset(rooms_fixture_pick(['darkroom', 's33']));
+	});
+
+	it('issues a token for one room and accepts it only for that room', async () => {
+		expect((await call('POST', '/rooms/darkroom/tokens', {})).status).toBe(401);
+		expect(await error_of(await call('POST', '/rooms/nowhere/tokens', {}, admin))).toEqual([404, 'ROOM_NOT_FOUND']);
+		expect(await error_of(await call('POST', '/rooms/darkroom/tokens', { ttl_seconds: 10 }, admin))).toEqual([400, 'INVALID_BODY']);
+
+		const issued = await issue('darkroom');
+		expect(issued).toMatchObject({ room_id: 'darkroom', label: 'darkroomの受付', revoked_at: null });
+		expect(issued.enter_path).toBe(`/enter/darkroom?token=${encodeURIComponent(issued.token)}`);
+		// 一覧にはトークン自体を含めない
+		const list = await (await call('GET', '/rooms/darkroom/tokens', undefined, admin)).json();
+		expect(list).toEqual([{ token_id: issued.token_id, room_id: 'darkroom', label: 'darkroomの受付', issued_at: issued.issued_at, expires_at: issued.expires_at, revoked_at: null }]);
+
+		expect(await error_of(await vote('darkroom'))).toEqual([401, 'DEVICE_TOKEN_REQUIRED']);
+		expect(await error_of(await vote('darkroom', 'not-a-token'))).toEqual([401, 'DEVICE_TOKEN_INVALID']);
+		const [payload] = issued.token.split('.');
+		expect(await error_of(await vote('darkroom', `${payload}.AAAA`))).toEqual([401, 'DEVICE_TOKEN_INVALID']);
+		expect(await error_of(await vote('s33', issued.token))).toEqual([403, 'DEVICE_TOKEN_ROOM_MISMATCH']);
+		expect((await vote('darkroom', issued.token)).status).toBe(201);
+		// 管理者の認証情報でも書き込める
+		expect((await call('PUT', '/crowd/s33', { status: 2 }, admin)).status).toBe(201);
+	});
+
+	it('rejects an expired token and a revoked one', async () => {
+		const expired = await device_token_sign(token_env, { token_id: 'old', room_id: 'darkroom', expires_at: Date.now() - 1000 });
+		expect(await error_of(await vote('darkroom', expired))).toEqual([401, 'DEVICE_TOKEN_EXPIRED']);
+
+		const issued = await issue('darkroom');
+		expect((await vote('darkroom', issued.token)).status).toBe(201);
+		expect((await call('DELETE', `/rooms/darkroom/tokens/${issued.token_id}`, undefined, admin)).status).toBe(204);
+		expect(await error_of(await vote('darkroom', issued.token))).toEqual([401, 'DEVICE_TOKEN_REVOKED']);
+		// 失効した記録は一覧に残す
+		const [record] = await (await call('GET', '/rooms/darkroom/tokens', undefined, admin)).json();
+		expect(record.revoked_at).toBeTypeOf('number');
+		expect(await error_of(await call('DELETE', '/rooms/darkroom/tokens/nowhere', undefined, admin))).toEqual([404, 'DEVICE_TOKEN_NOT_FOUND']);
+	});
+
+	it('checks comma-separated tokens room by room in a batch update', async () => {
+		const darkroom = await issue('darkroom');
+		const s33 = await issue('s33');
+		const batch = (token) => call('PUT', '/crowd', { rooms: { darkroom: 2, s33: 4 } }, token === undefined ? {} : { 'X-Device-Token': token });
+
+		expect(await error_of(await batch())).toEqual([401, 'DEVICE_TOKEN_REQUIRED']);
+		// 形式が不正なトークンがあればリクエスト全体を拒否する
+		expect(await error_of(await batch(`${darkroom.token}, broken`))).toEqual([401, 'DEVICE_TOKEN_INVALID']);
+
+		const partial = await batch(darkroom.token);
+		expect(partial.status).toBe(400);
+		const { error, results } = await partial.json();
+		expect(error.code).toBe('BATCH_REJECTED');
+		expect(results).toEqual({
+			darkroom: { result: 'skipped' },
+			s33: { result: 'rejected', error: { code: 'DEVICE_TOKEN_ROOM_MISMATCH', message: 'No device token for this room' } },
+		});
+
+		expect((await call('DELETE', `/rooms/s33/tokens/${s33.token_id}`, undefined, admin)).status).toBe(204);
+		const revoked = await (await batch(`${darkroom.token}, ${s33.token}`)).json();
+		expect(revoked.results.s33.error.code).toBe('DEVICE_TOKEN_REVOKED');
+
+		const fresh = await issue('s33');
+		const updated = await batch(` ${darkroom.token},${fresh.token} `);
+		expect(updated.status).toBe(200);
+		expect(Object.values((await updated.json()).results).map((result) => result.result)).toEqual(['updated', 'updated']);
+	});
+
+	it('drops the tokens of a deleted room so a recreated room does not accept them', async () => {
+		const issued = await issue('darkroom');
+		expect((await call('DELETE', '/rooms/darkroom', undefined, admin)).status).toBe(204);
+		const recreated = await call('PUT', '/rooms/darkroom', rooms_fixture_pick(['darkroom']).darkroom, admin);
+		expect(recreated.status).toBe(201);
+
+		expect(await (await call('GET', '/rooms/darkroom/tokens', undefined, admin)).json()).toEqual([]);
+		expect(await error_of(await vote('darkroom', issued.token))).toEqual([401, 'DEVICE_TOKEN_REVOKED']);
+	});
+});
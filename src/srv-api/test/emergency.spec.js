@@ -0,0 +1,38 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { admin, request } from './helpers.mjs';
+
+describe('emergency endpoints', () => {
+	const put = (body, headers = admin) => request('PUT', '/emergency', body, headers);
+	const error_of = async (response) => [response.status, (await response.json()).error.code];
+
+	beforeEach(async () => {
+		await env.db_mini.delete('emergency');
+	});
+
+	it('raises and clears the emergency broadcast as admin', async () => {
+		expect(await (await request('GET', '/emergency')).json()).toEqual({ active: false, message: null, updated_at: null });
+		expect((await put({ active: true, message: '避難してください' }, {})).status).toBe(401);
+
+		const raised = await put({ active: true, message: ' 避難してください ' });
+		expect(raised.status).toBe(200);
+		expect(await raised.json()).toMatchObject({ active: true, message: '避難してください' });
+
+		const current = await request('GET', '/emergency');
+		expect(await current.json()).toMatchObject({ active: true, message: '避難してください' });
+		const etag = current.headers.get('ETag');
+		expect((await request('GET', '/emergency', undefined, { 'If-None-Match': etag })).status).toBe(304);
+
+		expect((await put({ active: false })).status).toBe(200);
+		const cleared = await (await request('GET', '/emergency')).json();
+		expect(cleared).toMatchObject({ active: false, message: null });
+		expect(cleared.updated_at).toBeTypeOf('number');
+	});
+
+	it('rejects an invalid broadcast and keeps the current one', async () => {
+		for (const body of [{ active: true }, { active: 'yes', message: 'x' }, { active: false, message: 'x' }]) {
+			expect(await error_of(await put(body))).toEqual([400, 'INVALID_EMERGENCY']);
+		}
+		expect(await (await request('GET', '/emergency')).json()).toEqual({ active: false, message: null, updated_at: null });
+	});
+});
@@ -0,0 +1,42 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { rooms_fixture_pick, rooms_fixture_reset } from './helpers.mjs';
+
+describe('event namespacing', () => {
+	const admin = { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin' };
+	const rooms = rooms_fixture_pick(['darkroom']);
+
+	beforeEach(async () => {
+		await rooms_fixture_reset(rooms);
+		await env.db_mini.delete('event:sf26:rooms');
+	});
+
+	it('keeps rooms and crowd data of each event apart and aliases the default event', async () => {
+		expect(await (await SELF.fetch('http://example.com/events')).json()).toEqual({
+			items: [{ event_id: 'sf25', default: true }, { event_id: 'sf26', default: false }],
+		});
+		expect((await (await SELF.fetch('http://example.com/events/sf99/crowd')).json()).error.code).toBe('EVENT_NOT_FOUND');
+
+		const put = await SELF.fetch('http://example.com/events/sf26/rooms', {
+			method: 'PUT', headers: admin, body: JSON.stringify({ darkroom: { ...rooms.darkroom, name: '暗室(2026)' } }),
+		});
+		expect(put.status).toBeLessThan(300);
+		expect(await env.db_mini.get('event:sf26:rooms')).not.toBeNull();
+
+		for (const [path, status] of [['/events/sf26/crowd/darkroom', 2], ['/crowd/darkroom', 5]]) {
+			const vote = await SELF.fetch(`http://example.com${path}`, {
+				method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ status }),
+			});
+			expect(vote.status).toBe(201);
+		}
+
+		expect((await (await SELF.fetch('http://example.com/events/sf26/rooms')).json()).darkroom.name).toBe('暗室(2026)');
+		expect((await (await SELF.fetch('http://example.com/rooms')).json()).darkroom.name).toBe('暗室');
+		expect((await (await SELF.fetch('http://example.com/events/sf26/crowd')).json()).darkroom.status).toBe(2);
+		expect((await (await SELF.fetch('http://example.com/events/sf25/crowd')).json()).darkroom.status).toBe(5);
+		expect((await (await SELF.fetch('http://example.com/crowd')).json()).darkroom.status).toBe(5);
+
+		const history = await (await SELF.fetch('http://example.com/events/sf26/crowd/history')).json();
+		expect(history.items.map((item) => [item.room_id, item.status])).toEqual([['darkroom', 2]]);
+	});
+});
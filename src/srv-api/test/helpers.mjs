@@ -0,0 +1,36 @@
+import { env, SELF } from 'cloudflare:test';
+import { crowd_storage_memory_clear } from '../src/cmn/storage/memory.mjs';
+
+// テストで使う教室(domeは人数を数える教室)
+export const rooms_fixture = {
+	darkroom: { name: '暗室', desc: 'プラネタリウム', floor: '3', sort_priority: 5 },
+	s33: { name: 'S33', desc: '受付', floor: '3', sort_priority: 6, session_minutes: 15 },
+	dome: { name: 'ドーム', desc: '全天周映像', floor: 'R', sort_priority: 1, capacity: 20, crowd_mode: 'headcount' },
+};
+
+// 教室データの一部(room_idsを省略すると全て) overridesで教室ごとに項目を上書きする
+export function rooms_fixture_pick(room_ids = Object.keys(rooms_fixture), overrides = {}) {
+	return Object.fromEntries(room_ids.map((room_id) => [room_id, { ...rooms_fixture[room_id], ...overrides[room_id] }]));
+}
+
+// 混雑状況(メモリ)を消し、教室データを入れ直す
+export async function rooms_fixture_reset(rooms = rooms_fixture) {
+	crowd_storage_memory_clear();
+	await env.db_mini.put('rooms', JSON.stringify(rooms));
+}
+
+export const admin = { Authorization: 'Bearer test-admin' };
+
+// 履歴を全期間で読む条件
+export const all_time = { from: 0, to: Number.MAX_SAFE_INTEGER, limit: 100, cursor: null };
+
+export const hour = 60 * 60 * 1000;
+
+// JSONのリクエスト(bodyがundefinedなら本文無し)
+export function request(method, path, body, headers = {}) {
+	return SELF.fetch(`http://example.com${path}`, {
+		method,
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+}
@@ -0,0 +1,143 @@
+import { env, SELF, createScheduledController, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src/index.mjs';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CrowdStorageMemory } from '../src/cmn/storage/memory.mjs';
+import { local_date_string } from '../src/cmn/localtime.mjs';
+import { all_time, hour, request, rooms_fixture_reset } from './helpers.mjs';
+
+describe('opening hours and scheduled runs', () => {
+	// 2030-01-05 00:00(日本時間)
+	const day = Date.UTC(2030, 0, 4, 15);
+	const admin = { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin' };
+	const put_hours = (body, headers = admin) => SELF.fetch('http://example.com/hours', { method: 'PUT', headers, body: JSON.stringify(body) });
+	const days = [
+		{ date: '2030-01-06', open: '09:00', close: '15:00' },
+		{ date: '2030-01-05', open: '09:00', close: '17:00' },
+	];
+	const run = async (time) => {
+		const ctx = createExecutionContext();
+		await worker.scheduled(createScheduledController({ scheduledTime: time, cron: '*/5 * * * *' }), env, ctx);
+		await waitOnExecutionContext(ctx);
+	};
+	let storage;
+
+	beforeEach(async () => {
+		await rooms_fixture_reset();
+		storage = new CrowdStorageMemory();
+		for (const key of ['hours', 'hours_state', 'archive:2030-01-05', 'archive:2030-01-06']) {
+			await env.db_mini.delete(key);
+		}
+	});
+
+	it('validates and stores the opening hours as admin', async () => {
+		expect(await (await SELF.fetch('http://example.com/hours')).json()).toEqual({ days: [], rooms: {}, reset: 'unknown', updated_at: null });
+		expect((await put_hours({ days }, { 'Content-Type': 'application/json' })).status).toBe(401);
+
+		for (const body of [
+			{ days: [{ date: '2030-02-30', open: '09:00', close: '17:00' }] },
+			{ days: [{ date: '2030-01-05', open: '17:00', close: '09:00' }] },
+			{ days: [{ date: '2030-01-05', open: '24:00', close: '24:00' }] },
+			{ days: [days[1], days[1]] },
+			{ days, reset: 'full' },
+			{ days, rooms: { s33: { open: '10:00' } } },
+		]) {
+			expect((await (await put_hours(body)).json()).error.code).toBe('INVALID_HOURS');
+		}
+		expect((await (await put_hours({ days, rooms: { nowhere: { open: '10:00', close: '12:00' } } })).json()).error.code).toBe('ROOM_NOT_FOUND');
+
+		const put = await put_hours({ days, rooms: { s33: { open: '10:00', close: '12:00' } }, reset: 'empty' });
+		expect(put.status).toBe(200);
+		const hours = await (await SELF.fetch('http://example.com/hours')).json();
+		expect(hours).toMatchObject({ days: [days[1], days[0]], rooms: { s33: { open: '10:00', close: '12:00' } }, reset: 'empty' });
+		expect(hours.updated_at).toBeTypeOf('number');
+
+		// 最初の開催日より前なので公開時間外
+		const state = await SELF.fetch('http://example.com/hours/state');
+		expect(await state.json()).toEqual({ event_id: 'sf25', open: false, opens_at: day + 9 * hour, closes_at: day + 17 * hour });
+		expect((await SELF.fetch('http://example.com/hours/state', { headers: { 'If-None-Match': state.headers.get('ETag') } })).status).toBe(304);
+		expect(await (await SELF.fetch('http://example.com/events/sf26/hours/state')).json()).toMatchObject({ event_id: 'sf26', open: true });
+
+		expect((await put_hours({ days: [] })).status).toBe(200);
+		expect((await (await SELF.fetch('http://example.com/hours')).json()).updated_at).toBeNull();
+		expect(await (await SELF.fetch('http://example.com/hours/state')).json()).toEqual({ event_id: 'sf25', open: true, opens_at: null, closes_at: null });
+	});
+
+	it('reports on /crowd whether the festival is open', async () => {
+		const crowd = () => SELF.fetch('http://example.com/crowd');
+		expect((await crowd()).headers.get('X-Festival-Open')).toBe('true');
+
+		// 最初の開催日より前なので公開時間外
+		expect((await put_hours({ days })).status).toBe(200);
+		const closed = await crowd();
+		expect([closed.headers.get('X-Festival-Open'), closed.headers.get('X-Festival-Opens-At'), closed.headers.get('X-Festival-Closes-At')])
+			.toEqual(['false', String(day + 9 * hour), String(day + 17 * hour)]);
+		// ボディは教室IDをキーとしたまま
+		expect(Object.keys(await closed.json())).toEqual([]);
+		const revalidated = await SELF.fetch('http://example.com/crowd', { headers: { 'If-None-Match': closed.headers.get('ETag') } });
+		expect([revalidated.status, revalidated.headers.get('X-Festival-Open')]).toEqual([304, 'false']);
+
+		expect((await put_hours({ days: [{ date: local_date_string(env, Date.now()), open: '00:00', close: '24:00' }] })).status).toBe(200);
+		const open = await crowd();
+		expect(open.headers.get('X-Festival-Open')).toBe('true');
+		expect(open.headers.get('ETag')).not.toBe(closed.headers.get('ETag'));
+	});
+
+	it('resets at opening, archives at closing and closes rooms outside the hours', async () => {
+		await storage.update('darkroom', 5, day - 6 * hour, 'api');
+		await storage.occupancy_add('dome', 30, 40, day - 6 * hour, 'api');
+		expect((await put_hours({ days, rooms: { s33: { open: '10:00', close: '12:00' } }, reset: 'empty' })).status).toBe(200);
+
+		await run(day + 8 * hour);
+		expect(await storage.availability_get('darkroom')).toMatchObject({ state: 'closed', message: '09:00から公開します', reopen_at: day + 9 * hour });
+		expect(await storage.availability_get('s33')).toMatchObject({ state: 'closed', message: '10:00から公開します', reopen_at: day + 10 * hour });
+		const closed = await (await SELF.fetch('http://example.com/crowd')).json();
+		expect(closed.darkroom.availability.state).toBe('closed');
+
+		await run(day + 9 * hour + 5 * 60 * 1000);
+		expect(await storage.get_by_roomid('darkroom')).toMatchObject({ status: 1, updated_at: day + 9 * hour + 5 * 60 * 1000 });
+		expect(await storage.get_by_roomid('dome')).toMatchObject({ status: 1, occupancy: 0 });
+		// 公開開始の処理は1日1回
+		await storage.update('darkroom', 3, day + 9.5 * hour, 'api');
+		await run(day + 9.5 * hour + 60 * 1000);
+		expect((await storage.get_by_roomid('darkroom')).status).toBe(3);
+		const history = await storage.history_get_by_roomid('darkroom', all_time);
+		expect(history.items.map((item) => item.source)).toEqual(['api', 'reset', 'api']);
+
+		await run(day + 17 * hour + 5 * 60 * 1000);
+		expect(await (await SELF.fetch('http://example.com/archives')).json()).toEqual({ dates: ['2030-01-05'] });
+		const archive = await (await SELF.fetch('http://example.com/archives/2030-01-05')).json();
+		expect(archive).toMatchObject({ date: '2030-01-05', opens_at: day + 9 * hour, closes_at: day + 17 * hour });
+		expect(archive.crowd.darkroom).toMatchObject({ status: 3, availability: { state: 'open' } });
+		expect(archive.stats.rooms.darkroom.max_status).toBe(3);
+		expect(await storage.availability_get('darkroom')).toMatchObject({ message: '本日の公開は終了しました', reopen_at: day + 33 * hour });
+
+		await run(day + 40 * hour);
+		expect(await storage.availability_get('darkroom')).toMatchObject({ state: 'closed', reopen_at: null });
+		expect(await (await SELF.fetch('http://example.com/archives')).json()).toEqual({ dates: ['2030-01-05', '2030-01-06'] });
+		expect((await (await SELF.fetch('http://example.com/archives/2030-01-07')).json()).error.code).toBe('ARCHIVE_NOT_FOUND');
+		expect((await SELF.fetch('http://example.com/archives/2030-13-01')).status).toBe(400);
+	});
+
+	it('publishes the first vote after an empty reset as it is', async () => {
+		// 投票は現在時刻で記録されるので、今日を一日中公開にして今すぐ空に戻す
+		const now = Date.now();
+		expect((await put_hours({ days: [{ date: local_date_string(env, now), open: '00:00', close: '24:00' }], reset: 'empty' })).status).toBe(200);
+		await run(now);
+		expect(await storage.get_by_roomid('darkroom')).toMatchObject({ status: 1 });
+
+		expect((await request('PUT', '/crowd/darkroom', { status: 5 })).status).toBe(201);
+		// 空に戻した履歴は投票として数えない
+		expect(await (await SELF.fetch('http://example.com/crowd/darkroom')).json()).toMatchObject({ status: 5, vote_count: 1 });
+	});
+
+	it('clears the statuses by default and leaves rooms closed by staff alone', async () => {
+		await storage.update('darkroom', 5, day - 6 * hour, 'api');
+		await storage.availability_set('s33', { room_id: 's33', state: 'closed', message: '機材の故障', reopen_at: null, updated_at: day - 6 * hour });
+		expect((await put_hours({ days })).status).toBe(200);
+
+		await run(day + 9 * hour);
+		expect(await storage.get_all()).toEqual([]);
+		expect(await storage.availability_get('s33')).toMatchObject({ message: '機材の故障', reopen_at: null });
+		expect(await storage.availability_get('darkroom')).toBeNull();
+	});
+});
@@ -2,19 +2,22 @@ import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloud
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
+// ルート(/)には何も置いていないので、他の存在しないパスと同じく404を返す
+describe('worker routing', () => {
+	it('answers an unknown path with ROUTE_NOT_FOUND (unit style)', async () => {
 		const request = new Request('http://example.com');
 		// Create an empty context to pass to `worker.fetch()`.
 		const ctx = createExecutionContext();
 		const response = await worker.fetch(request, env, ctx);
 		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(response.status).toBe(404);
+		expect((await response.json()).error.code).toBe('ROUTE_NOT_FOUND');
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('answers an unknown path with ROUTE_NOT_FOUND (integration style)', async () => {
+		const response = await SELF.fetch('http://example.com/nowhere');
+		expect(response.status).toBe(404);
+		expect((await response.json()).error.code).toBe('ROUTE_NOT_FOUND');
 	});
 });
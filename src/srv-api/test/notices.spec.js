@@ -0,0 +1,45 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { admin, hour, request, rooms_fixture_pick } from './helpers.mjs';
+
+describe('notices endpoints', () => {
+	const notices = async (query = '') => (await (await request('GET', `/notices${query}`)).json()).items;
+	const error_of = async (response) => [response.status, (await response.json()).error.code];
+
+	beforeEach(async () => {
+		for (const key of (await env.db_mini.list({ prefix: 'notice:' })).keys) {
+			await env.db_mini.delete(key.name);
+		}
+		await env.db_mini.put('rooms', JSON.stringify(rooms_fixture_pick(['dome', 'darkroom'])));
+	});
+
+	it('creates notices as admin and filters them by room and validity window', async () => {
+		const body = { message: 'ドームは雨天中止', priority: 'high', floors: ['R'] };
+		expect((await request('POST', '/notices', body)).status).toBe(401);
+
+		const created = await request('POST', '/notices', body, admin);
+		expect(created.status).toBe(201);
+		const { notice_id } = await created.json();
+		await request('POST', '/notices', { message: 'ミニ講義は15時から' }, admin);
+		await request('POST', '/notices', { message: '閉場のお知らせ', starts_at: Date.now() + hour }, admin);
+
+		expect((await notices()).map((notice) => notice.message)).toEqual(['ドームは雨天中止', 'ミニ講義は15時から']);
+		expect((await notices('?room_id=darkroom')).map((notice) => notice.message)).toEqual(['ミニ講義は15時から']);
+		expect(await notices('?all=true')).toHaveLength(3);
+
+		expect((await request('DELETE', `/notices/${notice_id}`, undefined, admin)).status).toBe(204);
+		expect((await notices('?room_id=dome')).map((notice) => notice.message)).toEqual(['ミニ講義は15時から']);
+	});
+
+	it('rejects an invalid notice without storing it', async () => {
+		for (const body of [
+			{ message: '' },
+			{ message: 'x', priority: 'urgent' },
+			{ message: 'x', rooms: ['nowhere'] },
+			{ message: 'x', ends_at: Date.now() - hour },
+		]) {
+			expect(await error_of(await request('POST', '/notices', body, admin))).toEqual([400, 'INVALID_NOTICE']);
+		}
+		expect(await notices('?all=true')).toEqual([]);
+	});
+});
@@ -0,0 +1,87 @@
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { OPENAPI_DOCUMENT, openapi_operation_get, openapi_response_violation_find } from '../src/cmn/openapi.mjs';
+import { schema_violation_find } from '../src/cmn/schema.mjs';
+import { admin, request, rooms_fixture as rooms, rooms_fixture_reset } from './helpers.mjs';
+
+describe('OpenAPI description', () => {
+	beforeEach(async () => {
+		await rooms_fixture_reset();
+	});
+
+	it('serves the description used by the worker', async () => {
+		const response = await SELF.fetch('http://example.com/openapi.json');
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual(JSON.parse(JSON.stringify(OPENAPI_DOCUMENT)));
+
+		// 書かれている全てのルートが実在する
+		for (const [path, operations] of Object.entries(OPENAPI_DOCUMENT.paths)) {
+			for (const method of Object.keys(operations).filter((key) => key !== 'parameters')) {
+				const served = await request(method.toUpperCase(), path.replace('{room_id}', 'darkroom'), method === 'get' ? undefined : {});
+				const body = served.status === 404 ? await served.json() : null;
+				expect(body?.error.code, `${method} ${path}`).not.toBe('ROUTE_NOT_FOUND');
+			}
+		}
+	});
+
+	it('matches every response of the described routes, including errors', async () => {
+		await request('POST', '/crowd/dome/enter', { count: 3 });
+		await request('PUT', '/crowd/darkroom/availability', { state: 'paused', message: '入れ替え中' }, admin);
+
+		const cases = [
+			['get', '/rooms', () => request('GET', '/rooms')],
+			['put', '/rooms', () => request('PUT', '/rooms', rooms, admin)],
+			['put', '/rooms', () => request('PUT', '/rooms', { 'Bad Id': rooms.darkroom }, admin)],
+			['put', '/rooms', () => request('PUT', '/rooms', rooms)],
+			['put', '/crowd/:room_id', () => request('PUT', '/crowd/s33', { status: 4, source: 'staff' })],
+			['put', '/crowd/:room_id', () => request('PUT', '/crowd/s33', { status: 9 })],
+			['put', '/crowd/:room_id', () => request('PUT', '/crowd/dome', { status: 3 })],
+			['put', '/crowd', () => request('PUT', '/crowd', { rooms: { darkroom: 2 } })],
+			['put', '/crowd', () => request('PUT', '/crowd', { rooms: { darkroom: 2, nowhere: 1 } })],
+			['get', '/crowd', () => request('GET', '/crowd')],
+			['get', '/crowd', async () => request('GET', '/crowd', undefined, { 'If-None-Match': (await request('GET', '/crowd')).headers.get('ETag') })],
+			['get', '/crowd/:room_id', () => request('GET', '/crowd/s33')],
+			['get', '/crowd/:room_id', () => request('GET', '/crowd/dome')],
+			['get', '/crowd/:room_id', () => request('GET', '/crowd/nowhere')],
+		];
+		const statuses = [];
+		for (const [method, path, send] of cases) {
+			const response = await send();
+			statuses.push(response.status);
+			expect(await openapi_response_violation_find(openapi_operation_get(method, path), response), `${method} ${path} ${response.status}`).toBeNull();
+		}
+		expect(statuses).toEqual([200, 200, 400, 401, 201, 400, 409, 200, 400, 200, 304, 200, 200, 404]);
+	});
+
+	it('validates request bodies with the codes of the handlers', async () => {
+		const codes = [];
+		for (const [path, body] of [
+			['/crowd/darkroom', { status: '3' }],
+			['/crowd/darkroom', { status: 3, extra: true }],
+			['/crowd/darkroom', { source: 'staff' }],
+			['/crowd', { rooms: {} }],
+		]) {
+			const response = await request('PUT', path, body);
+			expect(response.status).toBe(400);
+			codes.push((await response.json()).error.code);
+		}
+		expect(codes).toEqual(['INVALID_STATUS', 'INVALID_BODY', 'INVALID_BODY', 'INVALID_BODY']);
+
+		const invalid_room = await request('PUT', '/rooms', { darkroom: { ...rooms.darkroom, floor: '' } }, admin);
+		expect((await invalid_room.json()).error.code).toBe('INVALID_ROOM');
+	});
+
+	it('detects a response that drifts from the description', () => {
+		const schema = { $ref: '#/components/schemas/CrowdItem' };
+		const item = {
+			status: 3, updated_at: 0, confidence: 1, vote_count: 1, stale: false, age_seconds: 0,
+			estimated_wait_minutes: null, occupancy: null, capacity: null,
+			availability: { state: 'open', message: null, reopen_at: null },
+		};
+		expect(schema_violation_find(OPENAPI_DOCUMENT, schema, item)).toBeNull();
+		expect(schema_violation_find(OPENAPI_DOCUMENT, schema, { ...item, extra: 1 })).not.toBeNull();
+		expect(schema_violation_find(OPENAPI_DOCUMENT, schema, { ...item, status: 6 })).not.toBeNull();
+		const { stale, ...missing } = item;
+		expect(schema_violation_find(OPENAPI_DOCUMENT, schema, missing)).not.toBeNull();
+	});
+});
@@ -0,0 +1,36 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { ratelimit_crowd_update_check, ratelimit_crowd_batch_check } from '../src/cmn/ratelimit.mjs';
+
+describe('rate limits', () => {
+	// ウィンドウの切り替わりで数え直さないよう、ウィンドウは1日にする
+	const limited = (overrides) => ({
+		...env,
+		RATE_LIMIT_CLIENT_MAX: '0',
+		RATE_LIMIT_ROOM_MAX: '0',
+		RATE_LIMIT_CLIENT_WINDOW_SECONDS: '86400',
+		RATE_LIMIT_ROOM_WINDOW_SECONDS: '86400',
+		...overrides,
+	});
+	const client = (ip) => new Request('http://example.com/crowd/darkroom', { method: 'PUT', headers: { 'CF-Connecting-IP': ip } });
+	const results = async (promises) => (await Promise.allSettled(promises)).map((result) => result.status === 'fulfilled' || result.reason.code);
+
+	it('counts a room across clients without losing concurrent updates', async () => {
+		const room_env = limited({ RATE_LIMIT_ROOM_MAX: '3' });
+		const outcomes = await results(Array.from({ length: 5 }, (_, i) => ratelimit_crowd_update_check(client(`192.0.2.${i}`), room_env, 'darkroom')));
+		expect(outcomes.filter((outcome) => outcome === true)).toHaveLength(3);
+		expect(outcomes.filter((outcome) => outcome === 'RATE_LIMITED')).toHaveLength(2);
+
+		// 他の教室・他の開催は別に数える
+		await ratelimit_crowd_update_check(client('192.0.2.9'), room_env, 'dome');
+		await ratelimit_crowd_batch_check(client('192.0.2.9'), { ...room_env, EVENT_ID: 'sf26' }, ['darkroom']);
+	});
+
+	it('counts each client on its own', async () => {
+		const client_env = limited({ RATE_LIMIT_CLIENT_MAX: '1' });
+		await ratelimit_crowd_update_check(client('198.51.100.1'), client_env, 's33');
+		await ratelimit_crowd_update_check(client('198.51.100.2'), client_env, 's33');
+		const error = await ratelimit_crowd_update_check(client('198.51.100.1'), client_env, 's33').catch((e) => e);
+		expect([error.code, error.retry_after > 0]).toEqual(['RATE_LIMITED', true]);
+	});
+});
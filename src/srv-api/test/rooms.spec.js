@@ -0,0 +1,62 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { admin, hour, request, rooms_fixture, rooms_fixture_pick, rooms_fixture_reset } from './helpers.mjs';
+
+describe('single room endpoints', () => {
+	const error_of = async (response) => [response.status, (await response.json()).error.code];
+	const rooms_get = async () => await (await SELF.fetch('http://example.com/rooms')).json();
+
+	beforeEach(async () => {
+		await rooms_fixture_reset(rooms_fixture_pick(['darkroom', 's33']));
+		await env.db_mini.delete('schedule:darkroom');
+	});
+
+	it('creates a room with PUT and replaces it on the next PUT', async () => {
+		expect((await request('PUT', '/rooms/dome', rooms_fixture.dome)).status).toBe(401);
+		expect(await error_of(await request('PUT', '/rooms/history', rooms_fixture.dome, admin))).toEqual([400, 'INVALID_ROOM_ID']);
+
+		const created = await request('PUT', '/rooms/dome', rooms_fixture.dome, admin);
+		expect(created.status).toBe(201);
+		expect(await created.json()).toEqual(rooms_fixture.dome);
+
+		// 置き換えなので指定しなかった項目は残らない
+		const replaced = await request('PUT', '/rooms/dome', { name: 'ドーム', desc: '', floor: 'R', sort_priority: 2 }, admin);
+		expect(replaced.status).toBe(200);
+		expect((await rooms_get()).dome).toEqual({ name: 'ドーム', desc: '', floor: 'R', sort_priority: 2 });
+	});
+
+	it('merges a PATCH into the stored room', async () => {
+		expect(await error_of(await request('PATCH', '/rooms/nowhere', { desc: 'x' }, admin))).toEqual([404, 'ROOM_NOT_FOUND']);
+		expect(await error_of(await request('PATCH', '/rooms/s33', { floor: '' }, admin))).toEqual([400, 'INVALID_ROOM']);
+		// マージ後の全体も検証する
+		expect(await error_of(await request('PATCH', '/rooms/s33', { crowd_mode: 'headcount' }, admin))).toEqual([400, 'INVALID_ROOM']);
+
+		const patched = await request('PATCH', '/rooms/s33', { desc: 'ミニ講義', capacity: 30, session_minutes: null }, admin);
+		expect(patched.status).toBe(200);
+		// 指定しなかった項目は残り、nullを指定した項目は消える
+		const expected = { name: 'S33', desc: 'ミニ講義', floor: '3', sort_priority: 6, capacity: 30 };
+		expect(await patched.json()).toEqual(expected);
+		expect(await rooms_get()).toEqual({ ...rooms_fixture_pick(['darkroom']), s33: expected });
+	});
+
+	it('deletes the crowd status, availability and schedule of a room but keeps its history', async () => {
+		expect(await error_of(await request('DELETE', '/rooms/nowhere', undefined, admin))).toEqual([404, 'ROOM_NOT_FOUND']);
+
+		const start_at = Date.now() + hour;
+		expect((await request('PUT', '/crowd/darkroom', { status: 4 })).status).toBe(201);
+		expect((await request('PUT', '/crowd/darkroom/availability', { state: 'closed' }, admin)).status).toBe(200);
+		expect((await request('PUT', '/rooms/darkroom/schedule', { sessions: [{ start_at, end_at: start_at + hour, title: '上映' }] }, admin)).status).toBe(200);
+
+		expect((await request('DELETE', '/rooms/darkroom', undefined, admin)).status).toBe(204);
+		expect(Object.keys(await rooms_get())).toEqual(['s33']);
+		expect(await error_of(await request('GET', '/crowd/darkroom'))).toEqual([404, 'ROOM_NOT_FOUND']);
+		expect(await error_of(await request('DELETE', '/rooms/darkroom', undefined, admin))).toEqual([404, 'ROOM_NOT_FOUND']);
+
+		// 同じIDで作り直すと、混雑状況・受付状況・予定は残っておらず、履歴だけが読める
+		expect((await request('PUT', '/rooms/darkroom', rooms_fixture.darkroom, admin)).status).toBe(201);
+		expect(await error_of(await request('GET', '/crowd/darkroom'))).toEqual([404, 'CROWD_NOT_FOUND']);
+		expect(await (await request('GET', '/rooms/darkroom/schedule')).json()).toEqual({ sessions: [] });
+		const history = await (await request('GET', '/crowd/darkroom/history')).json();
+		expect(history.items.map((item) => item.status)).toEqual([4]);
+	});
+});
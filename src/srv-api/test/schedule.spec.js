@@ -0,0 +1,53 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { local_date_string, local_day_range } from '../src/cmn/localtime.mjs';
+import { admin, hour, request, rooms_fixture_reset } from './helpers.mjs';
+
+describe('schedule endpoints', () => {
+	const put_schedule = (room_id, sessions) => request('PUT', `/rooms/${room_id}/schedule`, { sessions }, admin);
+	const error_of = async (response) => [response.status, (await response.json()).error.code];
+
+	beforeEach(async () => {
+		await rooms_fixture_reset();
+		for (const room_id of ['darkroom', 's33']) {
+			await env.db_mini.delete(`schedule:${room_id}`);
+		}
+	});
+
+	it('returns only the next session of today for each room', async () => {
+		const now = Date.now();
+		const today_end = local_day_range(env, local_date_string(env, now)).to;
+		// 日付が変わる直前でも今日のうちに始まるようにする
+		const soon = now + Math.min(60 * 1000, Math.floor((today_end - now) / 2));
+		expect((await put_schedule('darkroom', [
+			{ start_at: soon, end_at: soon + 1, title: '今日の上映' },
+			{ start_at: today_end + hour, end_at: today_end + 2 * hour, title: '明日の上映' },
+		])).status).toBe(200);
+		expect((await put_schedule('s33', [
+			{ start_at: today_end + hour, end_at: today_end + 2 * hour, title: '明日のミニ講義' },
+		])).status).toBe(200);
+
+		const next = await (await SELF.fetch('http://example.com/schedule/next')).json();
+		expect(next).toEqual({ darkroom: { start_at: soon, end_at: soon + 1, title: '今日の上映' } });
+	});
+
+	it('rejects an invalid schedule and keeps the stored one', async () => {
+		const start_at = Date.now() + hour;
+		const session = { start_at, end_at: start_at + hour, title: '上映' };
+		expect((await put_schedule('darkroom', [session])).status).toBe(200);
+
+		for (const sessions of [
+			'上映',
+			[{ ...session, end_at: start_at }],
+			[{ ...session, title: '' }],
+			[{ ...session, speaker: '講師' }],
+		]) {
+			expect(await error_of(await put_schedule('darkroom', sessions))).toEqual([400, 'INVALID_SCHEDULE']);
+		}
+		const overlapping = [session, { ...session, start_at: start_at + 1, title: '重なる上映' }];
+		expect(await error_of(await put_schedule('darkroom', overlapping))).toEqual([400, 'SCHEDULE_OVERLAP']);
+		expect(await error_of(await put_schedule('nowhere', [session]))).toEqual([404, 'ROOM_NOT_FOUND']);
+
+		expect(await (await request('GET', '/rooms/darkroom/schedule')).json()).toEqual({ sessions: [session] });
+	});
+});
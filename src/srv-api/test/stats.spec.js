@@ -0,0 +1,94 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CrowdStorageMemory } from '../src/cmn/storage/memory.mjs';
+import { stats_all_compute } from '../src/cmn/stats.mjs';
+import { admin, hour, request, rooms_fixture_pick, rooms_fixture_reset } from './helpers.mjs';
+
+describe('stats endpoints', () => {
+	// 2025-09-13 0:00(日本時間)
+	const day = Date.UTC(2025, 8, 12, 15);
+
+	beforeEach(async () => {
+		// darkroomは更新の間隔(最大1時間)より長く報告を新しいとみなし、最後の更新から2時間で打ち切る
+		await rooms_fixture_reset(rooms_fixture_pick(['darkroom', 's33'], { darkroom: { stale_after_seconds: 7200 } }));
+		// 投票の集計期間(600秒)より間隔を空けて、集計結果が投票そのままになるようにする
+		const storage = new CrowdStorageMemory();
+		for (const [at, status] of [[10, 2], [11, 5], [11.5, 4], [12, 1]]) {
+			await storage.update('darkroom', status, day + at * hour, 'api', { status, confidence: 1, vote_count: 1 });
+		}
+	});
+
+	it('summarises a day per room with time-weighted averages, peaks and busiest hours', async () => {
+		const response = await SELF.fetch('http://example.com/stats?date=2025-09-13');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('public, max-age=3600');
+		const stats = await response.json();
+		expect([stats.from, stats.to, stats.peak_status]).toEqual([day, day + 24 * hour, 4]);
+		expect(stats.rooms.darkroom).toMatchObject({
+			update_count: 4,
+			observed_seconds: 4 * 3600,
+			average_status: 2.13,
+			max_status: 5,
+			seconds_by_status: { 1: 7200, 2: 3600, 3: 0, 4: 1800, 5: 1800 },
+			peak_seconds: 3600,
+			peaks: [{ from: day + 11 * hour, to: day + 12 * hour, max_status: 5 }],
+		});
+		expect(stats.rooms.darkroom.busiest_hours.map((h) => [h.start, h.average_status])).toEqual([
+			[day + 11 * hour, 4.5],
+			[day + 10 * hour, 2],
+			[day + 12 * hour, 1],
+		]);
+		expect(stats.rooms.s33).toMatchObject({ update_count: 0, average_status: null, peaks: [] });
+		expect(stats.busiest_hours[0]).toMatchObject({ start: day + 11 * hour, average_status: 4.5, update_count: 2 });
+
+		const again = await SELF.fetch('http://example.com/stats?date=2025-09-13', { headers: { 'If-None-Match': response.headers.get('ETag') } });
+		expect(again.status).toBe(304);
+	});
+
+	it('breaks a room down by hour and checks the query', async () => {
+		const one = await (await SELF.fetch(`http://example.com/stats/darkroom?from=${day + 11 * hour}&to=${day + 13 * hour}&peak_status=5`)).json();
+		expect(one.room_id).toBe('darkroom');
+		expect(one.hours.map((h) => [h.start, h.average_status, h.update_count])).toEqual([
+			[day + 11 * hour, 4.5, 2],
+			[day + 12 * hour, 1, 1],
+		]);
+		expect(one.peaks).toEqual([{ from: day + 11 * hour, to: day + 11.5 * hour, max_status: 5 }]);
+
+		const codes = [];
+		for (const query of ['date=2025-09-13&from=0', 'date=2025-13-01', `from=${day}&to=${day - 1}`, `from=0&to=${8 * 24 * hour}`, 'peak_status=6']) {
+			const response = await SELF.fetch(`http://example.com/stats?${query}`);
+			codes.push([response.status, (await response.json()).error.code]);
+		}
+		expect(codes).toEqual(Array(5).fill([400, 'INVALID_QUERY']));
+		expect((await SELF.fetch('http://example.com/stats/nowhere')).status).toBe(404);
+	});
+
+	it('stops counting a status once it goes stale or the day closes', async () => {
+		const storage = new CrowdStorageMemory();
+		await storage.update('s33', 5, day + 9 * hour, 'api', { status: 5, confidence: 1, vote_count: 1 });
+		const s33 = async () => (await (await SELF.fetch('http://example.com/stats/s33?date=2025-09-13')).json());
+
+		// 朝の1件は丸1日ではなく、古くなる(既定で30分)までしか数えない
+		expect(await s33()).toMatchObject({
+			observed_seconds: 1800,
+			average_status: 5,
+			seconds_by_status: { 1: 0, 5: 1800 },
+			peak_seconds: 1800,
+			busiest_hours: [{ start: day + 9 * hour, average_status: 5 }],
+		});
+
+		// 公開終了で打ち切り、公開時間外の更新は数えない
+		expect((await request('PUT', '/hours', { days: [{ date: '2025-09-13', open: '08:00', close: '09:10' }] }, admin)).status).toBe(200);
+		await storage.update('s33', 4, day + 20 * hour, 'api', { status: 4, confidence: 1, vote_count: 1 });
+		expect(await s33()).toMatchObject({ update_count: 2, observed_seconds: 600, seconds_by_status: { 4: 0, 5: 600 }, peak_seconds: 600 });
+	});
+
+	it('refuses a period with more updates than it reads at once', async () => {
+		const rooms = rooms_fixture_pick(['darkroom', 's33']);
+		const query = { from: day, to: day + 24 * hour, peak_status: 4 };
+		const storage = new CrowdStorageMemory();
+		expect((await stats_all_compute({ ...env, STATS_HISTORY_MAX: '4' }, storage, rooms, query)).rooms.darkroom.update_count).toBe(4);
+		const error = await stats_all_compute({ ...env, STATS_HISTORY_MAX: '3' }, storage, rooms, query).catch((e) => e);
+		expect([error.status, error.code]).toEqual([400, 'STATS_TOO_MANY_UPDATES']);
+	});
+});
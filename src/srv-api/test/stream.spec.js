@@ -0,0 +1,61 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { admin, request, rooms_fixture_reset } from './helpers.mjs';
+
+describe('crowd stream', () => {
+	// /crowd/streamを開き、指定した種類のイベントを1つずつ読む(届かなければ失敗させる)
+	const open_stream = async () => {
+		const controller = new AbortController();
+		const response = await SELF.fetch('http://example.com/crowd/stream', { signal: controller.signal });
+		const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+		let buffer = '';
+		const next_event = async (name) => {
+			for (;;) {
+				const blocks = buffer.split('\n\n');
+				buffer = blocks.pop();
+				for (const [index, block] of blocks.entries()) {
+					const lines = block.split('\n');
+					if (lines.includes(`event: ${name}`)) {
+						buffer = [...blocks.slice(index + 1), buffer].join('\n\n');
+						return JSON.parse(lines.find((line) => line.startsWith('data: ')).slice('data: '.length));
+					}
+				}
+				let timer;
+				const { value, done } = await Promise.race([
+					reader.read(),
+					new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`No "${name}" event`)), 5000); }),
+				]).finally(() => clearTimeout(timer));
+				if (done) {
+					throw new Error('Stream closed');
+				}
+				buffer += value;
+			}
+		};
+		const close = async () => {
+			controller.abort();
+			await reader.cancel().catch(() => { });
+		};
+		return { response, next_event, close };
+	};
+
+	beforeEach(async () => {
+		await rooms_fixture_reset();
+		await env.db_mini.delete('emergency');
+	});
+
+	it('pushes a crowd update and an emergency broadcast to an open stream', async () => {
+		const stream = await open_stream();
+		try {
+			expect(stream.response.status).toBe(200);
+			expect(stream.response.headers.get('Content-Type')).toBe('text/event-stream');
+
+			expect((await request('PUT', '/crowd/darkroom', { status: 4 })).status).toBe(201);
+			expect(await stream.next_event('crowd')).toMatchObject({ room_id: 'darkroom', status: 4 });
+
+			expect((await request('PUT', '/emergency', { active: true, message: '避難してください' }, admin)).status).toBe(200);
+			expect(await stream.next_event('emergency')).toMatchObject({ active: true, message: '避難してください' });
+		} finally {
+			await stream.close();
+		}
+	});
+});
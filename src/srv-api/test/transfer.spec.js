@@ -0,0 +1,135 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CrowdStorageMemory, crowd_storage_memory_clear } from '../src/cmn/storage/memory.mjs';
+import { CrowdStorageKV } from '../src/cmn/storage/kv.mjs';
+import { TRANSFER_IMPORT_MAX } from '../src/cmn/transfer.mjs';
+import { admin, all_time, hour, rooms_fixture_pick, rooms_fixture_reset } from './helpers.mjs';
+
+describe('export and import', () => {
+	const day = Date.UTC(2025, 8, 12, 15);
+
+	beforeEach(async () => {
+		await rooms_fixture_reset(rooms_fixture_pick(['darkroom', 's33'], { s33: { name: 'S33, 受付' } }));
+		const storage = new CrowdStorageMemory();
+		await storage.update('darkroom', 2, day + 10 * hour, 'api');
+		await storage.update('s33', 4, day + 10.5 * hour, 'reception');
+	});
+
+	it('streams every update as CSV with room names as columns, and as JSON and NDJSON', async () => {
+		const csv = await SELF.fetch('http://example.com/export?format=csv');
+		expect(csv.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+		expect(csv.headers.get('Content-Disposition')).toMatch(/^attachment; filename="crowd-sf25-\d{4}-\d{2}-\d{2}\.csv"$/);
+		expect((await csv.text()).split('\r\n')).toEqual([
+			'\uFEFFdatetime,updated_at,room_id,status,source,暗室,"S33, 受付"',
+			`2025-09-13 10:00:00,${day + 10 * hour},darkroom,2,api,2,`,
+			`2025-09-13 10:30:00,${day + 10.5 * hour},s33,4,reception,,4`,
+			'',
+		]);
+
+		const json = await (await SELF.fetch(`http://example.com/export?format=json&from=${day + 10.25 * hour}`)).json();
+		expect(json.rooms.darkroom.name).toBe('暗室');
+		expect(json.items).toEqual([{ room_id: 's33', room_name: 'S33, 受付', status: 4, updated_at: day + 10.5 * hour, source: 'reception' }]);
+
+		const lines = (await (await SELF.fetch('http://example.com/export?format=ndjson')).text()).trim().split('\n').map((line) => JSON.parse(line));
+		expect(lines.map((line) => line.type)).toEqual(['rooms', 'update', 'update']);
+
+		expect((await SELF.fetch('http://example.com/export?format=xlsx')).status).toBe(400);
+	});
+
+	it('imports an export into history, shifting it in time and merging rooms', async () => {
+		const exported = await (await SELF.fetch('http://example.com/export?format=json')).text();
+		crowd_storage_memory_clear();
+		await env.db_mini.put('rooms', JSON.stringify({}));
+
+		const unauthorized = await SELF.fetch('http://example.com/import', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: exported });
+		expect(unauthorized.status).toBe(401);
+
+		// 教室データが無いので、教室データも取り込まないと受け付けない(何も書かれない)
+		const rejected = await SELF.fetch('http://example.com/import', { method: 'POST', headers: { ...admin, 'Content-Type': 'application/json' }, body: exported });
+		expect([rejected.status, (await rejected.json()).error.code]).toEqual([404, 'ROOM_NOT_FOUND']);
+
+		const response = await SELF.fetch(`http://example.com/import?rooms=merge&time_offset=${24 * hour}`, {
+			method: 'POST',
+			headers: { ...admin, 'Content-Type': 'application/json' },
+			body: exported,
+		});
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ imported: 2, room_count: 2, from: day + 34 * hour, to: day + 34.5 * hour });
+		expect(Object.keys(await (await SELF.fetch('http://example.com/rooms')).json())).toEqual(['darkroom', 's33']);
+
+		const history = await (await SELF.fetch('http://example.com/crowd/history')).json();
+		expect(history.items.map((item) => [item.room_id, item.status, item.updated_at, item.source])).toEqual([
+			['darkroom', 2, day + 34 * hour, 'api'],
+			['s33', 4, day + 34.5 * hour, 'reception'],
+		]);
+		// 現在の状態には反映しない
+		expect(await (await SELF.fetch('http://example.com/crowd')).json()).toEqual({});
+	});
+
+	it('imports a hand-made CSV by room names and local times, all or nothing', async () => {
+		const post = (body) => SELF.fetch('http://example.com/import', { method: 'POST', headers: { ...admin, 'Content-Type': 'text/csv' }, body });
+		crowd_storage_memory_clear();
+
+		const bad = await post('datetime,暗室,"S33, 受付"\r\n2025-09-13 11:00,3,\r\n2025-09-13 11:30,,6\r\n');
+		expect([bad.status, (await bad.json()).error.code]).toEqual([400, 'INVALID_IMPORT']);
+		expect((await (await SELF.fetch('http://example.com/crowd/history')).json()).items).toEqual([]);
+
+		const good = await post('datetime,暗室,"S33, 受付"\r\n2025-09-13 11:00,3,\r\n2025-09-13 11:30,5,1\r\n');
+		expect(await good.json()).toMatchObject({ imported: 3, room_count: 2 });
+		const history = await (await SELF.fetch('http://example.com/crowd/history')).json();
+		expect(history.items.map((item) => [item.room_id, item.status, item.updated_at, item.source])).toEqual([
+			['darkroom', 3, day + 11 * hour, 'import'],
+			['darkroom', 5, day + 11.5 * hour, 'import'],
+			['s33', 1, day + 11.5 * hour, 'import'],
+		]);
+
+		// 同じ教室・日時の更新もそのまま取り込む
+		const same_time = await SELF.fetch('http://example.com/import', {
+			method: 'POST',
+			headers: { ...admin, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ items: [{ room_id: 'darkroom', status: 2, updated_at: day + 12 * hour }, { room_id: 'darkroom', status: 4, updated_at: day + 12 * hour }] }),
+		});
+		expect(await same_time.json()).toMatchObject({ imported: 2, room_count: 1 });
+
+		// 投票の集計期間(600秒)に入る更新は集計に混ざるので取り込まない
+		const live = await SELF.fetch('http://example.com/import', {
+			method: 'POST',
+			headers: { ...admin, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ items: [{ room_id: 'darkroom', status: 5, updated_at: Date.now() - 60 * 1000 }] }),
+		});
+		expect([live.status, (await live.json()).error.code]).toEqual([400, 'INVALID_IMPORT']);
+		const shifted = await SELF.fetch(`http://example.com/import?time_offset=${Date.now() - day}`, {
+			method: 'POST',
+			headers: { ...admin, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ items: [{ room_id: 'darkroom', status: 5, updated_at: day }] }),
+		});
+		expect((await shifted.json()).error.code).toBe('INVALID_IMPORT');
+		expect((await (await SELF.fetch('http://example.com/crowd/history')).json()).items).toHaveLength(5);
+
+		const unknown = await post('datetime,図書室\r\n2025-09-13 11:00,3\r\n');
+		expect((await unknown.json()).error.code).toBe('ROOM_NOT_FOUND');
+		const media = await SELF.fetch('http://example.com/import', { method: 'POST', headers: { ...admin, 'Content-Type': 'text/plain' }, body: 'x' });
+		expect(media.status).toBe(415);
+	});
+
+	it('writes an import in one step and leaves no rows behind when the write fails partway', async () => {
+		// 1回の書き込みで済む件数を超える取り込みは断る
+		const items = Array.from({ length: TRANSFER_IMPORT_MAX + 1 }, (_, i) => ({ room_id: 'darkroom', status: 3, updated_at: day + i * 1000 }));
+		const too_many = await SELF.fetch('http://example.com/import', {
+			method: 'POST',
+			headers: { ...admin, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ items }),
+		});
+		expect([too_many.status, (await too_many.json()).error.code]).toEqual([400, 'INVALID_IMPORT']);
+
+		// KVは順に書くので、3件目で失敗したら書いた2件を消す
+		let puts = 0;
+		const failing = {
+			put: (...args) => (++puts === 3 ? Promise.reject(new Error('KV put failed')) : env.db_mini.put(...args)),
+			delete: (key) => env.db_mini.delete(key),
+		};
+		const error = await new CrowdStorageKV(failing).history_add_many(items.slice(0, 5).map((item) => ({ ...item, source: 'import' }))).catch((e) => e);
+		expect(error.code).toBe('STORAGE_UNAVAILABLE');
+		expect((await new CrowdStorageKV(env.db_mini).history_get_all(all_time)).items).toEqual([]);
+	});
+});
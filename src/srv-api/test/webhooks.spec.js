@@ -0,0 +1,81 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { rooms_fixture_reset } from './helpers.mjs';
+
+describe('webhook endpoints', () => {
+	const admin = { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin' };
+	const request = (method, path, body, headers = admin) =>
+		SELF.fetch(`http://example.com${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+	const received = async (method = 'GET') => await (await env.WEBHOOK_RECEIVER.fetch('http://receiver/received', { method })).json();
+
+	// 配信は更新のレスポンスの後に行われるので、配信記録に載るまで待つ
+	const deliveries_wait = async (webhook_id, count) => {
+		for (let i = 0; i < 100; i++) {
+			const { items } = await (await request('GET', `/webhooks/${webhook_id}/deliveries`)).json();
+			if (items.length >= count) {
+				return items;
+			}
+			await new Promise((resolve) => setTimeout(resolve, 20));
+		}
+		throw new Error('webhook deliveries did not arrive');
+	};
+
+	beforeEach(async () => {
+		await rooms_fixture_reset();
+		await received('DELETE');
+	});
+
+	it('sends signed notifications when a room becomes full or empty', async () => {
+		expect((await request('POST', '/webhooks', { url: 'http://receiver/hook', rules: [] })).status).toBe(400);
+		expect((await request('POST', '/webhooks', { url: 'http://receiver/hook', rules: [{ direction: 'rise', status: 5 }] }, { 'Content-Type': 'application/json' })).status).toBe(401);
+
+		const created = await request('POST', '/webhooks', {
+			url: 'http://receiver/hook',
+			label: 'bot',
+			rules: [{ room_id: 'dome', direction: 'rise', status: 5 }, { room_id: 'dome', direction: 'fall', status: 1 }],
+		});
+		expect(created.status).toBe(201);
+		const { webhook_id, secret } = await created.json();
+		const { items } = await (await request('GET', '/webhooks')).json();
+		expect(items).toHaveLength(1);
+		expect(items[0].secret).toBeUndefined();
+
+		await request('POST', '/crowd/dome/enter', { count: 10 }, { 'Content-Type': 'application/json' });
+		await request('POST', '/crowd/dome/enter', { count: 10 }, { 'Content-Type': 'application/json' });
+		await deliveries_wait(webhook_id, 1);
+		await request('POST', '/crowd/dome/exit', { count: 19 }, { 'Content-Type': 'application/json' });
+		const deliveries = await deliveries_wait(webhook_id, 2);
+		expect(deliveries.map((delivery) => [delivery.crowd_status, delivery.result])).toEqual([[1, 'delivered'], [5, 'delivered']]);
+
+		const notifications = await received();
+		expect(notifications).toHaveLength(2);
+		for (const notification of notifications) {
+			const timestamp = notification.headers['x-webhook-timestamp'];
+			const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+			const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${notification.body}`));
+			const hex = Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, '0')).join('');
+			expect(notification.headers['x-webhook-signature']).toBe(`sha256=${hex}`);
+		}
+		expect(notifications.map((notification) => JSON.parse(notification.body)))
+			.toMatchObject([
+				{ event: 'crowd.threshold', room_id: 'dome', previous_status: 3, rules: [{ direction: 'rise', status: 5 }], crowd: { status: 5, occupancy: 20 } },
+				{ event: 'crowd.threshold', room_id: 'dome', previous_status: 5, rules: [{ direction: 'fall', status: 1 }], crowd: { status: 1, occupancy: 1 } },
+			]);
+
+		expect((await request('DELETE', `/webhooks/${webhook_id}`)).status).toBe(204);
+		expect((await request('GET', `/webhooks/${webhook_id}/deliveries`)).status).toBe(404);
+	});
+
+	it('retries failed deliveries and records every attempt', async () => {
+		const created = await request('POST', '/webhooks', { url: 'http://receiver/fail', rules: [{ direction: 'rise', status: 4 }] });
+		const { webhook_id } = await created.json();
+
+		await request('PUT', '/crowd/darkroom', { status: 5 }, { 'Content-Type': 'application/json' });
+		const [delivery] = await deliveries_wait(webhook_id, 1);
+		expect(delivery).toMatchObject({ room_id: 'darkroom', crowd_status: 5, result: 'failed' });
+		expect(delivery.attempts.map((attempt) => attempt.response_status)).toEqual([500, 500, 500]);
+		expect(await received()).toHaveLength(3);
+
+		await request('DELETE', `/webhooks/${webhook_id}`);
+	});
+});
@@ -1,10 +1,43 @@
 import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
 
+// Webhookのテスト用の受信役(Node側で動く) 受け取った通知はGET /receivedで返し、DELETE /receivedで消す
+// パスが/failの通知には500を返す(再送の確認用)
+const webhook_received = [];
+async function webhook_receiver(request) {
+	const url = new URL(request.url);
+	if (url.pathname === '/received') {
+		if (request.method === 'DELETE') {
+			webhook_received.length = 0;
+		}
+		return Response.json(webhook_received);
+	}
+	webhook_received.push({ path: url.pathname, headers: Object.fromEntries(request.headers), body: await request.text() });
+	return new Response(null, { status: url.pathname === '/fail' ? 500 : 204 });
+}
+
 export default defineWorkersConfig({
 	test: {
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				miniflare: {
+					// テストではAWSの認証情報や端末トークン無しで動くようにする(係員の操作は管理者の認証情報で行い、端末トークンはdevicetoken.spec.jsで有効にして確かめる)
+					// 開催はsf25(既定)とsf26の2つ Webhookは全て受信役に送り、再送は待たずに行う
+					// 更新はass.example.comからのみ許す(CORS)
+					// レスポンスがOpenAPIの仕様(src/cmn/openapi.mjs)とずれていたら500にしてテストを失敗させる
+					bindings: {
+						STORAGE_BACKEND: 'memory',
+						DEVICE_TOKEN_REQUIRED: 'false',
+						ADMIN_TOKEN: 'test-admin',
+						EVENT_IDS: 'sf25,sf26',
+						WEBHOOK_FETCH_BINDING: 'WEBHOOK_RECEIVER',
+						WEBHOOK_RETRY_BASE_MS: '0',
+						OPENAPI_RESPONSE_VALIDATION: 'strict',
+						CORS_WRITE_ORIGINS: 'https://ass.example.com',
+					},
+					serviceBindings: { WEBHOOK_RECEIVER: webhook_receiver },
+					d1Databases: ['db_crowd'],
+				},
 			},
 		},
 	},
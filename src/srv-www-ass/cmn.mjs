@@ -1,31 +1,602 @@
-/** APIリクエストのラップとキャッシュ */
+/** APIが返したエラー
+ * 4xx系はリトライしても結果が変わらないため呼び出し側で判別できるようにする
+ */
+export class ApiError extends Error {
+    /** HTTPステータスコード
+     * @type {number}
+     */
+    status;
+
+    /** 機械判読用のエラーコード
+     * @type {string|null}
+     */
+    code;
+
+    /** 問い合わせ用のリクエストID
+     * @type {string|null}
+     */
+    requestId;
+
+    /** 再試行できるまでの秒数(Retry-Afterヘッダ)
+     * @type {number|null}
+     */
+    retryAfter;
+
+    /** 一括更新(BATCH_REJECTED)の教室ごとの結果
+     * @type {Map<string, {result: 'rejected'|'skipped', code: string|null, message: string|null}>|null}
+     */
+    results;
+
+    /**
+     * @param {number} status - HTTPステータスコード
+     * @param {string|null} code - エラーコード
+     * @param {string} message - ユーザ向けのメッセージ
+     * @param {string|null} [requestId] - リクエストID
+     * @param {number|null} [retryAfter] - 再試行できるまでの秒数
+     * @param {Map|null} [results] - 一括更新の教室ごとの結果
+     */
+    constructor(status, code, message, requestId = null, retryAfter = null, results = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.requestId = requestId;
+        this.retryAfter = retryAfter;
+        this.results = results;
+    }
+
+    /** クライアント側の問題によるエラーか(リトライ不要か)
+     * @returns {boolean}
+     */
+    isClientError() {
+        return 400 <= this.status && this.status < 500;
+    }
+
+    /** 送信回数の制限によるエラーか
+     * @returns {boolean}
+     */
+    isRateLimited() {
+        return this.status === 429;
+    }
+}
+
+/** エラーコードとユーザ向けメッセージの対応 */
+const API_ERROR_MESSAGES = {
+    UNSUPPORTED_MEDIA_TYPE: '送信形式が正しくありません',
+    INVALID_JSON: '送信内容が正しくありません',
+    INVALID_BODY: '送信内容が正しくありません',
+    INVALID_STATUS: '混雑状況の値が正しくありません',
+    INVALID_COUNT: '人数の値が正しくありません',
+    VALIDATION_FAILED: '送信内容が正しくありません',
+    ROOM_NOT_FOUND: '教室が見つかりません',
+    ROOM_IN_HEADCOUNT_MODE: 'この教室は入退室の人数で計測しています',
+    ROOM_NOT_HEADCOUNT: 'この教室は入退室の人数を計測していません',
+    ROOM_CLOSED: 'この教室は現在閉鎖中のため受け付けていません',
+    BATCH_REJECTED: '受け付けられない教室があったため、どの教室も送信していません',
+    DEVICE_TOKEN_REQUIRED: 'この端末は入力が許可されていません<br>QRコードから開き直してください',
+    DEVICE_TOKEN_INVALID: '入力用のQRコードが正しくありません',
+    DEVICE_TOKEN_EXPIRED: '入力用のQRコードの有効期限が切れています',
+    DEVICE_TOKEN_REVOKED: '入力用のQRコードは無効になっています',
+    DEVICE_TOKEN_ROOM_MISMATCH: '別の教室用のQRコードです',
+    RATE_LIMITED: '送信が集中しています',
+    ROOMS_NOT_FOUND: '教室データが登録されていません',
+    CROWD_NOT_FOUND: 'まだ混雑状況が登録されていません',
+    ROUTE_NOT_FOUND: 'APIが見つかりません',
+    NOT_FOUND: '見つかりません',
+    UNAUTHORIZED: '認証が必要です',
+    FORBIDDEN: '権限がありません',
+    STORAGE_UNAVAILABLE: 'サーバが混み合っています',
+    STORAGE_DATA_INVALID: 'サーバのデータに問題があります',
+    INTERNAL_ERROR: 'サーバでエラーが発生しました'
+};
+
+/** エラーレスポンスからApiErrorを生成
+ * @param {Response} response - エラーレスポンス
+ * @returns {Promise<ApiError>}
+ */
+async function apiErrorFromResponse(response) {
+    let code = null;
+    let requestId = response.headers.get('X-Request-Id');
+    let results = null;
+    try {
+        const data = await response.json();
+        code = data?.error?.code ?? null;
+        requestId = data?.error?.request_id ?? requestId;
+        if (data?.results) {
+            results = new Map(Object.entries(data.results).map(([roomId, result]) => [roomId, {
+                result: result.result,
+                code: result.error?.code ?? null,
+                message: result.error ? API_ERROR_MESSAGES[result.error.code] ?? result.error.message : null
+            }]));
+        }
+    } catch (_) {
+        // JSONでないエラーレスポンスはコード無しとして扱う
+    }
+    const message = API_ERROR_MESSAGES[code] ?? `HTTP error! status: ${response.status}`;
+    const retryAfter = Number.parseInt(response.headers.get('Retry-After'), 10);
+    return new ApiError(response.status, code, message, requestId, Number.isNaN(retryAfter) ? null : retryAfter, results);
+}
+
+/** APIの混雑状況データをクライアント用に変換(updated_at, reopen_atをDateオブジェクトに変換)
+ * 受付中でない教室はまだ報告が無くても返ってくる(statusとupdated_atがnull)
+ * @param {Object} data - APIの混雑状況データ
+ * @returns {{status: number|null, updated_at: Date|null, confidence: number|null, vote_count: number|null, stale: boolean, estimated_wait_minutes: number|null, occupancy: number|null, capacity: number|null, availability: {state: 'open'|'paused'|'closed', message: string|null, reopen_at: Date|null}}}
+ */
+function crowdDataFromJson(data) {
+    const availability = data.availability ?? {};
+    return {
+        status: data.status,
+        updated_at: data.updated_at !== null ? new Date(data.updated_at) : null,
+        confidence: data.confidence ?? null,
+        vote_count: data.vote_count ?? null,
+        stale: data.stale ?? false,
+        estimated_wait_minutes: data.estimated_wait_minutes ?? null,
+        occupancy: data.occupancy ?? null,
+        capacity: data.capacity ?? null,
+        availability: {
+            state: availability.state ?? 'open',
+            message: availability.message ?? null,
+            reopen_at: availability.reopen_at ? new Date(availability.reopen_at) : null
+        }
+    };
+}
+
+/** APIのお知らせデータをクライアント用に変換(日時をDateオブジェクトに変換)
+ * @param {Object} data - APIのお知らせデータ
+ * @returns {{id: string, message: string, priority: 'low'|'normal'|'high', starts_at: Date, ends_at: Date|null, rooms: string[], floors: string[]}}
+ */
+function noticeFromJson(data) {
+    return {
+        id: data.notice_id,
+        message: data.message,
+        priority: data.priority,
+        starts_at: new Date(data.starts_at),
+        ends_at: data.ends_at !== null ? new Date(data.ends_at) : null,
+        rooms: data.rooms,
+        floors: data.floors
+    };
+}
+
+/** APIの緊急放送の状態をクライアント用に変換(updated_atをDateオブジェクトに変換)
+ * @param {Object} data - APIの緊急放送の状態
+ * @returns {{active: boolean, message: string|null, updated_at: Date|null}}
+ */
+function emergencyFromJson(data) {
+    return {
+        active: data.active,
+        message: data.message ?? null,
+        updated_at: data.updated_at !== null ? new Date(data.updated_at) : null
+    };
+}
+
+/** APIの開催全体の公開状況をクライアント用に変換(日時をDateオブジェクトに変換)
+ * @param {Object} data - APIの公開状況(GET /hours/state)
+ * @returns {{open: boolean, opens_at: Date|null, closes_at: Date|null}}
+ */
+function hoursStateFromJson(data) {
+    return {
+        open: data.open,
+        opens_at: data.opens_at !== null ? new Date(data.opens_at) : null,
+        closes_at: data.closes_at !== null ? new Date(data.closes_at) : null
+    };
+}
+
+/** APIの統計をクライアント用に変換(時刻をDateオブジェクトに、教室ごとの統計をMapに変換)
+ * @param {Object} data - APIの統計(GET /stats)
+ * @returns {{from: Date, to: Date, peak_status: number, rooms: Map<string, Object>, busiest_hours: Array}}
+ */
+function statsFromJson(data) {
+    const hourFromJson = hour => ({ ...hour, start: new Date(hour.start), end: new Date(hour.end) });
+    return {
+        from: new Date(data.from),
+        to: new Date(data.to),
+        peak_status: data.peak_status,
+        rooms: new Map(Object.entries(data.rooms).map(([roomId, room]) => [roomId, {
+            ...room,
+            peaks: room.peaks.map(peak => ({ ...peak, from: new Date(peak.from), to: new Date(peak.to) })),
+            busiest_hours: room.busiest_hours.map(hourFromJson)
+        }])),
+        busiest_hours: data.busiest_hours.map(hourFromJson)
+    };
+}
+
+/** Server-Sent Eventsの接続(ApiClientの購読から使う)
+ * 混雑状況と緊急放送は同じ/crowd/streamで届くので、ApiClientごとに1本の接続を共有し、イベント名で各購読に振り分ける
+ * 最初の購読で接続し、全ての購読が解除されたら切断する
+ * 一時的な切断ならEventSourceが自動で再接続し、諦めた場合は間隔を延ばしながらこちらで再接続する
+ * 切断中のイベントは再送されないので、再接続したときは各購読のonReconnectで全体を取得し直させる
+ */
+class EventStreamConnection {
+    static #RECONNECT_DELAY_MIN = 5000; // 5秒
+    static #RECONNECT_DELAY_MAX = 300000; // 5分
+
+    #url;
+
+    /** 購読中の処理
+     * @type {Set<{listeners: Object<string, (data: Object) => void>, onReconnect: () => void}>}
+     */
+    #subscribers = new Set();
+
+    /** 今の接続で受け取っているイベント名 */
+    #eventNames = new Set();
+
+    #eventSource = null;
+    #hasConnected = false;
+    #reconnectTimeoutId = null;
+    #reconnectDelay = EventStreamConnection.#RECONNECT_DELAY_MIN;
+
+    /**
+     * @param {string} url - /crowd/streamのURL
+     */
+    constructor(url) {
+        this.#url = url;
+    }
+
+    /**
+     * 購読を追加(EventSourceが使えないブラウザでは何もしない 定期取得のみになる)
+     * @param {Object<string, (data: Object) => void>} listeners - イベント名ごとの処理(dataはJSONを解釈したもの)
+     * @param {() => void} onReconnect - 再接続したときに呼ばれる
+     * @returns {() => void} 購読を解除する関数
+     */
+    subscribe(listeners, onReconnect) {
+        if (typeof EventSource === 'undefined') {
+            return () => { };
+        }
+        const subscriber = { listeners, onReconnect };
+        this.#subscribers.add(subscriber);
+        if (this.#eventSource) {
+            this.#listen(this.#eventSource, Object.keys(listeners));
+        } else if (this.#reconnectTimeoutId === null) {
+            this.#connect();
+        }
+        return () => {
+            this.#subscribers.delete(subscriber);
+            if (this.#subscribers.size === 0) {
+                this.#close();
+            }
+        };
+    }
+
+    #close() {
+        this.#eventSource?.close();
+        this.#eventSource = null;
+        this.#eventNames.clear();
+        this.#hasConnected = false;
+        clearTimeout(this.#reconnectTimeoutId);
+        this.#reconnectTimeoutId = null;
+        this.#reconnectDelay = EventStreamConnection.#RECONNECT_DELAY_MIN;
+    }
+
+    #connect() {
+        this.#reconnectTimeoutId = null;
+        const eventSource = new EventSource(this.#url);
+        this.#eventSource = eventSource;
+        this.#eventNames.clear();
+
+        eventSource.addEventListener('open', () => {
+            this.#reconnectDelay = EventStreamConnection.#RECONNECT_DELAY_MIN;
+            if (this.#hasConnected) {
+                for (const subscriber of [...this.#subscribers]) {
+                    subscriber.onReconnect();
+                }
+            }
+            this.#hasConnected = true;
+        });
+
+        this.#listen(eventSource, [...this.#subscribers].flatMap((subscriber) => Object.keys(subscriber.listeners)));
+
+        eventSource.addEventListener('error', () => {
+            // 一時的な切断ならEventSourceが自動で再接続する
+            // エラーレスポンス等で諦めた(CLOSED)場合は間隔を延ばしながらこちらで再接続する
+            if (eventSource.readyState !== EventSource.CLOSED || this.#eventSource !== eventSource) {
+                return;
+            }
+            eventSource.close();
+            this.#eventSource = null;
+            this.#reconnectTimeoutId = setTimeout(() => this.#connect(), this.#reconnectDelay);
+            this.#reconnectDelay = Math.min(this.#reconnectDelay * 2, EventStreamConnection.#RECONNECT_DELAY_MAX);
+        });
+    }
+
+    /** まだ受け取っていないイベント名の処理をEventSourceに登録する(届いたら、その名前を購読している全てに渡す) */
+    #listen(eventSource, names) {
+        for (const name of names) {
+            if (this.#eventNames.has(name)) {
+                continue;
+            }
+            this.#eventNames.add(name);
+            eventSource.addEventListener(name, (event) => {
+                let data;
+                try {
+                    data = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn(`${name}の通知を解釈できませんでした:`, error);
+                    return;
+                }
+                for (const subscriber of [...this.#subscribers]) {
+                    subscriber.listeners[name]?.(data);
+                }
+            });
+        }
+    }
+}
+
+/** 全教室の混雑状況の購読(ApiClient.subscribeCrowdから使う)
+ * /crowd/streamのServer-Sent Eventsで変更をすぐに受け取る
+ * 加えて/crowdを定期的に取得し、接続できない間の変更や時間経過による変化(stale等)を取り込む
+ * (変更が無ければ304なのでほとんど負荷にならない)
+ */
+class CrowdSubscription {
+    static #POLLING_INTERVAL = 30000; // 30秒
+
+    #apiClient;
+    #callback;
+    #onError;
+    #stream;
+    #unsubscribeStream = null;
+
+    /** 最新の混雑状況 */
+    #crowdMap = new Map();
+
+    #pollingIntervalId = null;
+    #closed = false;
+
+    /**
+     * @param {ApiClient} apiClient - 全体の取得に使うAPIクライアント
+     * @param {EventStreamConnection} stream - /crowd/streamの接続(ApiClientで共有)
+     * @param {(crowdMap: Map) => void} callback - 混雑状況が変わるたびに呼ばれる
+     * @param {((error: Error) => void)|null} onError - 取得に失敗したときに呼ばれる
+     */
+    constructor(apiClient, stream, callback, onError) {
+        this.#apiClient = apiClient;
+        this.#stream = stream;
+        this.#callback = callback;
+        this.#onError = onError;
+    }
+
+    start() {
+        this.#refresh();
+        this.#pollingIntervalId = setInterval(() => {
+            this.#refresh();
+        }, CrowdSubscription.#POLLING_INTERVAL);
+        this.#unsubscribeStream = this.#stream.subscribe({
+            crowd: (data) => this.#merge(new Map([[data.room_id, crowdDataFromJson(data)]]))
+        }, () => this.#refresh());
+    }
+
+    close() {
+        this.#closed = true;
+        this.#unsubscribeStream?.();
+        clearInterval(this.#pollingIntervalId);
+    }
+
+    async #refresh() {
+        try {
+            this.#merge(await this.#apiClient.getCrowdStatus(), true);
+        } catch (error) {
+            this.#onError?.(error);
+        }
+    }
+
+    /** 受け取った混雑状況を反映してコールバックを呼ぶ
+     * 取得中に通知された新しい状態を古い状態で上書きしないよう、更新日時が新しい方を残す
+     * (受付状況だけの変更は更新日時が同じなので受け取った方を残す)
+     * 全体を取得した場合は含まれない教室を消す(開場時に混雑状況が消された教室など)
+     * @param {Map} crowdMap - 受け取った混雑状況
+     * @param {boolean} complete - 全教室分か
+     */
+    #merge(crowdMap, complete = false) {
+        if (this.#closed) {
+            return;
+        }
+        if (complete) {
+            for (const roomId of this.#crowdMap.keys()) {
+                if (!crowdMap.has(roomId)) {
+                    this.#crowdMap.delete(roomId);
+                }
+            }
+        }
+        for (const [roomId, crowd] of crowdMap) {
+            const current = this.#crowdMap.get(roomId);
+            if (!current || (current.updated_at ?? 0) <= (crowd.updated_at ?? 0)) {
+                this.#crowdMap.set(roomId, crowd);
+            }
+        }
+        this.#callback(new Map(this.#crowdMap));
+    }
+}
+
+/** 緊急放送の購読(ApiClient.subscribeEmergencyから使う)
+ * /crowd/streamのemergencyイベントで発令・解除をすぐに受け取り、/emergencyの定期的な取得で補う
+ */
+class EmergencySubscription {
+    static #POLLING_INTERVAL = 30000; // 30秒
+
+    #apiClient;
+    #callback;
+    #stream;
+    #unsubscribeStream = null;
+
+    /** 最後に受け取った状態 */
+    #emergency = null;
+
+    #pollingIntervalId = null;
+    #closed = false;
+
+    /**
+     * @param {ApiClient} apiClient - 状態の取得に使うAPIクライアント
+     * @param {EventStreamConnection} stream - /crowd/streamの接続(ApiClientで共有)
+     * @param {(emergency: {active: boolean, message: string|null, updated_at: Date|null}) => void} callback - 状態が変わるたびに呼ばれる
+     */
+    constructor(apiClient, stream, callback) {
+        this.#apiClient = apiClient;
+        this.#stream = stream;
+        this.#callback = callback;
+    }
+
+    start() {
+        this.#refresh();
+        this.#pollingIntervalId = setInterval(() => {
+            this.#refresh();
+        }, EmergencySubscription.#POLLING_INTERVAL);
+        this.#unsubscribeStream = this.#stream.subscribe({
+            emergency: (data) => this.#merge(emergencyFromJson(data))
+        }, () => this.#refresh());
+    }
+
+    close() {
+        this.#closed = true;
+        this.#unsubscribeStream?.();
+        clearInterval(this.#pollingIntervalId);
+    }
+
+    async #refresh() {
+        try {
+            this.#merge(await this.#apiClient.getEmergency());
+        } catch (error) {
+            // 確認できない間は今の表示を続ける
+            console.warn('緊急放送の確認に失敗しました:', error);
+        }
+    }
+
+    /** 受け取った状態が新しければコールバックを呼ぶ
+     * KVの反映待ちで取得した状態が通知より古いことがあるので、更新日時が新しいものだけを反映する
+     * @param {{active: boolean, message: string|null, updated_at: Date|null}} emergency - 受け取った状態
+     */
+    #merge(emergency) {
+        if (this.#closed) {
+            return;
+        }
+        const current = this.#emergency;
+        if (current && (emergency.updated_at?.getTime() ?? 0) <= (current.updated_at?.getTime() ?? 0)) {
+            return;
+        }
+        this.#emergency = emergency;
+        this.#callback(emergency);
+    }
+}
+
+/** APIリクエストのラップとキャッシュ
+ * /rooms, /crowd, /crowd/:room_idの形はAPIのGET /openapi.json(srv-api/src/cmn/openapi.mjs)に合わせる
+ */
 export class ApiClient {
     /** APIのベースURL
      * @type {string}
      */
     apiBaseUrl;
 
-    /** キャッシュ用のマップ */
+    /** 教室データのキャッシュ(Mapと検証子)
+     * @type {{map: Map, etag: string|null, lastModified: string|null}|null}
+     */
     #roomsCache = null;
 
+    /** 取得中の教室データ(同時に呼ばれても1回だけ取得する)
+     * @type {Promise<Map>|null}
+     */
+    #roomsRequest = null;
+
+    /** 全教室の混雑状況のキャッシュ(Mapと検証子)
+     * @type {{map: Map, etag: string|null, lastModified: string|null}|null}
+     */
+    #crowdCache = null;
+
+    /** 次の上映・講義のキャッシュ(Mapと検証子)
+     * @type {{map: Map, etag: string|null, lastModified: string|null}|null}
+     */
+    #nextSessionsCache = null;
+
+    /** 緊急放送の状態のキャッシュ(状態と検証子)
+     * @type {{emergency: Object, etag: string|null, lastModified: string|null}|null}
+     */
+    #emergencyCache = null;
+
+    /** 公開状況のキャッシュ(状態と検証子)
+     * @type {{state: Object, etag: string|null, lastModified: string|null}|null}
+     */
+    #hoursStateCache = null;
+
+    /** お知らせのキャッシュ(パスごとの配列と検証子)
+     * @type {Map<string, {items: Array, etag: string|null, lastModified: string|null}>}
+     */
+    #noticesCache = new Map();
+
+    /** /crowd/streamの接続(混雑状況と緊急放送の購読で共有する 最初の購読時に作る)
+     * @type {EventStreamConnection|null}
+     */
+    #eventStream = null;
+
+    /** 端末IDを保存するlocalStorageのキー */
+    static #DEVICE_ID_STORAGE_KEY = 'device_id';
+
+    /** 端末ID(送信回数の制限に使われる) */
+    #deviceId = null;
+
     constructor(apiBaseUrl) {
         this.apiBaseUrl = apiBaseUrl;
     }
 
+    /**
+     * 端末IDを取得(無ければ生成してlocalStorageに保存)
+     * @returns {string} 端末ID
+     */
+    #getDeviceId() {
+        if (this.#deviceId) {
+            return this.#deviceId;
+        }
+        try {
+            this.#deviceId = localStorage.getItem(ApiClient.#DEVICE_ID_STORAGE_KEY);
+            if (!this.#deviceId) {
+                this.#deviceId = crypto.randomUUID();
+                localStorage.setItem(ApiClient.#DEVICE_ID_STORAGE_KEY, this.#deviceId);
+            }
+        } catch (error) {
+            // localStorageが使えない場合はこのページを開いている間だけ同じIDを使う
+            console.warn('端末IDの保存に失敗しました:', error);
+            this.#deviceId ??= crypto.randomUUID();
+        }
+        return this.#deviceId;
+    }
+
+    /**
+     * 前回の検証子(ETag/Last-Modified)を付けてGETする
+     * 検証子を自分で付けるのでブラウザのキャッシュは使わない
+     * @param {string} path - APIのパス
+     * @param {{etag: string|null, lastModified: string|null}|null} cache - 前回の取得結果
+     * @returns {Promise<Response>} 変更が無ければステータス304のレスポンス
+     * @throws {ApiError} APIがエラーを返した場合
+     */
+    async #fetchConditional(path, cache) {
+        const headers = {};
+        if (cache?.etag) {
+            headers['If-None-Match'] = cache.etag;
+        }
+        if (cache?.lastModified) {
+            headers['If-Modified-Since'] = cache.lastModified;
+        }
+        const response = await fetch(`${this.apiBaseUrl}${path}`, { headers, cache: 'no-store' });
+        if (!response.ok && response.status !== 304) {
+            throw await apiErrorFromResponse(response);
+        }
+        return response;
+    }
+
     /**
      * 教室一覧を取得
+     * 毎回サーバに問い合わせるが、変更が無ければ(304)キャッシュしたMapをそのまま返す
      * @returns {Promise<Map>} 教室データのMap
      */
     async getRooms() {
-        // 永続キャッシュ - 一度取得したら再取得しない
-        if (this.#roomsCache) {
-            return this.#roomsCache;
-        }
+        this.#roomsRequest ??= this.#fetchRooms().finally(() => {
+            this.#roomsRequest = null;
+        });
+        return await this.#roomsRequest;
+    }
 
+    async #fetchRooms() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/rooms`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const response = await this.#fetchConditional('/rooms', this.#roomsCache);
+            if (response.status === 304) {
+                return this.#roomsCache.map;
             }
 
             const data = await response.json();
@@ -37,40 +608,58 @@ export class ApiClient {
             }
 
             // キャッシュに保存
-            this.#roomsCache = roomsMap;
+            this.#roomsCache = {
+                map: roomsMap,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
 
             return roomsMap;
         } catch (error) {
             console.error('教室データの取得に失敗:', error);
+            // 教室データはほとんど変わらないので、確認できなくても前回の内容で続ける
+            if (this.#roomsCache) {
+                return this.#roomsCache.map;
+            }
+            if (error instanceof ApiError) {
+                throw error;
+            }
             throw new Error('教室データの取得に失敗しました');
         }
     }
 
     /**
      * 全教室の混雑状況を取得
+     * 変更が無ければ(304)前回と同じMapを返す
      * @returns {Promise<Map>} 混雑状況データのMap
      */
     async getCrowdStatus() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/crowd`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const response = await this.#fetchConditional('/crowd', this.#crowdCache);
+            if (response.status === 304) {
+                return this.#crowdCache.map;
             }
 
             const data = await response.json();
 
-            // データをMapに変換（updated_atをDateオブジェクトに変換）
+            // データをMapに変換
             const crowdMap = new Map();
             for (const [roomId, crowdData] of Object.entries(data)) {
-                crowdMap.set(roomId, {
-                    status: crowdData.status,
-                    updated_at: new Date(crowdData.updated_at)
-                });
+                crowdMap.set(roomId, crowdDataFromJson(crowdData));
             }
 
+            this.#crowdCache = {
+                map: crowdMap,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+
             return crowdMap;
         } catch (error) {
             console.error('混雑状況データの取得に失敗:', error);
+            if (error instanceof ApiError) {
+                throw error;
+            }
             throw new Error('混雑状況データの取得に失敗しました');
         }
     }
@@ -78,29 +667,92 @@ export class ApiClient {
     /**
      * 特定教室の混雑状況を取得
      * @param {string} roomid 教室ID
-     * @returns {Promise<{status: number, updated_at: Date}>} 混雑状況データ
+     * @returns {Promise<{status: number|null, updated_at: Date|null, confidence: number|null, vote_count: number|null, estimated_wait_minutes: number|null, occupancy: number|null, capacity: number|null, availability: Object}>} 混雑状況データ
+     * @throws {ApiError} APIがエラーを返した場合(未登録の教室はcodeがROOM_NOT_FOUNDまたはCROWD_NOT_FOUND)
      */
     async getCrowdStatusRoom(roomid) {
         try {
             const response = await fetch(`${this.apiBaseUrl}/crowd/${encodeURIComponent(roomid)}`);
             if (!response.ok) {
-                if (response.status === 404) {
-                    throw new Error(`教室 ${roomid} が見つかりません`);
-                }
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw await apiErrorFromResponse(response);
+            }
+
+            return crowdDataFromJson(await response.json());
+        } catch (error) {
+            console.error(`教室 ${roomid} の混雑状況取得に失敗:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 混雑状況の更新履歴を取得
+     * @param {string|null} roomid 教室ID(nullの場合は全教室)
+     * @param {Object} [options] 取得条件
+     * @param {Date} [options.from] 開始時刻
+     * @param {Date} [options.to] 終了時刻
+     * @param {number} [options.limit] 1ページあたりの件数
+     * @param {string} [options.cursor] 前回の戻り値のnextCursor
+     * @returns {Promise<{items: Array<{roomid: string, status: number, updated_at: Date, source: string|null}>, nextCursor: string|null}>} 履歴データ
+     * @throws {ApiError} APIがエラーを返した場合
+     */
+    async getCrowdHistory(roomid, options = {}) {
+        const params = new URLSearchParams();
+        if (options.from) params.set('from', String(options.from.getTime()));
+        if (options.to) params.set('to', String(options.to.getTime()));
+        if (options.limit) params.set('limit', String(options.limit));
+        if (options.cursor) params.set('cursor', options.cursor);
+
+        const path = roomid ? `/crowd/${encodeURIComponent(roomid)}/history` : '/crowd/history';
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}${path}?${params}`);
+            if (!response.ok) {
+                throw await apiErrorFromResponse(response);
             }
 
             const data = await response.json();
 
-            // updated_atをDateオブジェクトに変換
-            const roomData = {
-                status: data.status,
-                updated_at: new Date(data.updated_at)
+            return {
+                items: data.items.map(item => ({
+                    roomid: item.room_id,
+                    status: item.status,
+                    updated_at: new Date(item.updated_at),
+                    source: item.source
+                })),
+                nextCursor: data.next_cursor
             };
+        } catch (error) {
+            console.error('混雑状況の履歴取得に失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 混雑状況の統計を取得(全教室)
+     * @param {Object} [options] 集計条件(省略時は今日)
+     * @param {string} [options.date] 日付("YYYY-MM-DD", from, toとは併用できない)
+     * @param {Date} [options.from] 開始時刻
+     * @param {Date} [options.to] 終了時刻
+     * @param {number} [options.peakStatus] 混雑しているとみなす混雑状況(省略時は4)
+     * @returns {Promise<{from: Date, to: Date, peak_status: number, rooms: Map<string, Object>, busiest_hours: Array<{start: Date, end: Date, average_status: number, update_count: number}>}>} 統計データ(roomsは教室IDをキーとしたMap)
+     * @throws {ApiError} APIがエラーを返した場合
+     */
+    async getStats(options = {}) {
+        const params = new URLSearchParams();
+        if (options.date) params.set('date', options.date);
+        if (options.from) params.set('from', String(options.from.getTime()));
+        if (options.to) params.set('to', String(options.to.getTime()));
+        if (options.peakStatus) params.set('peak_status', String(options.peakStatus));
 
-            return roomData;
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/stats?${params}`);
+            if (!response.ok) {
+                throw await apiErrorFromResponse(response);
+            }
+
+            return statsFromJson(await response.json());
         } catch (error) {
-            console.error(`教室 ${roomid} の混雑状況取得に失敗:`, error);
+            console.error('混雑状況の統計の取得に失敗:', error);
             throw error;
         }
     }
@@ -109,8 +761,12 @@ export class ApiClient {
      * 混雑状況を更新
      * @param {string} roomid 教室ID
      * @param {number} status 混雑状況（1-5）
+     * @param {Object} [options] オプション
+     * @param {string|null} [options.source] 更新元(履歴に記録される)
+     * @param {string|null} [options.token] 教室ごとの端末トークン
+     * @throws {ApiError} APIがエラーを返した場合(閉鎖中の教室はcodeがROOM_CLOSED)
      */
-    async updateCrowdStatus(roomid, status) {
+    async updateCrowdStatus(roomid, status, { source = null, token = null } = {}) {
         // バリデーション
         if (!Number.isInteger(status) || status < 1 || status > 5) {
             throw new Error('混雑状況は1-5の整数で指定してください');
@@ -121,15 +777,14 @@ export class ApiClient {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
+                    'X-Device-Id': this.#getDeviceId(),
+                    ...(token ? { 'X-Device-Token': token } : {})
                 },
-                body: JSON.stringify({ status })
+                body: JSON.stringify(source ? { status, source } : { status })
             });
 
             if (!response.ok) {
-                if (response.status === 404) {
-                    throw new Error(`教室 ${roomid} が見つかりません`);
-                }
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw await apiErrorFromResponse(response);
             }
 
         } catch (error) {
@@ -138,15 +793,291 @@ export class ApiClient {
         }
     }
 
+    /**
+     * 複数教室の混雑状況をまとめて更新
+     * 1教室でも受け付けられなければどの教室も更新されない
+     * @param {Map<string, number>} statuses 教室ID -> 混雑状況（1-5）
+     * @param {Object} [options] オプション
+     * @param {string|null} [options.source] 更新元(履歴に記録される)
+     * @param {string[]} [options.tokens] 各教室の端末トークン
+     * @returns {Promise<Map>} 教室IDをキーとした更新後の混雑状況データ
+     * @throws {ApiError} APIがエラーを返した場合(受け付けられない教室があればcodeがBATCH_REJECTEDでresultsに教室ごとの結果)
+     */
+    async updateCrowdStatusBatch(statuses, { source = null, tokens = [] } = {}) {
+        for (const status of statuses.values()) {
+            if (!Number.isInteger(status) || status < 1 || status > 5) {
+                throw new Error('混雑状況は1-5の整数で指定してください');
+            }
+        }
+
+        try {
+            const rooms = Object.fromEntries(statuses);
+            const response = await fetch(`${this.apiBaseUrl}/crowd`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Device-Id': this.#getDeviceId(),
+                    ...(tokens.length > 0 ? { 'X-Device-Token': tokens.join(',') } : {})
+                },
+                body: JSON.stringify(source ? { rooms, source } : { rooms })
+            });
+
+            if (!response.ok) {
+                throw await apiErrorFromResponse(response);
+            }
+
+            const data = await response.json();
+            const crowdMap = new Map();
+            for (const [roomId, result] of Object.entries(data.results)) {
+                crowdMap.set(roomId, crowdDataFromJson(result));
+            }
+            return crowdMap;
+        } catch (error) {
+            console.error('混雑状況の一括更新に失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 入退室を記録(人数計測モードの教室のみ)
+     * @param {string} roomid 教室ID
+     * @param {'enter'|'exit'} direction 入室か退室か
+     * @param {Object} [options] オプション
+     * @param {number} [options.count] 人数(1-100)
+     * @param {string|null} [options.source] 更新元(履歴に記録される)
+     * @param {string|null} [options.token] 教室ごとの端末トークン
+     * @returns {Promise<{status: number, updated_at: Date, occupancy: number, capacity: number}>} 記録後の混雑状況データ
+     * @throws {ApiError} APIがエラーを返した場合(人数計測モードでない教室はcodeがROOM_NOT_HEADCOUNT、閉鎖中の教室への入室はROOM_CLOSED)
+     */
+    async updateHeadcount(roomid, direction, { count = 1, source = null, token = null } = {}) {
+        if (direction !== 'enter' && direction !== 'exit') {
+            throw new Error('入室(enter)か退室(exit)を指定してください');
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/crowd/${encodeURIComponent(roomid)}/${direction}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Device-Id': this.#getDeviceId(),
+                    ...(token ? { 'X-Device-Token': token } : {})
+                },
+                body: JSON.stringify(source ? { count, source } : { count })
+            });
+
+            if (!response.ok) {
+                throw await apiErrorFromResponse(response);
+            }
+
+            return crowdDataFromJson(await response.json());
+        } catch (error) {
+            console.error(`教室 ${roomid} の入退室の記録に失敗:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 教室ごとの今日の次の上映・講義を取得(開始前のもののみ)
+     * 変更が無ければ(304)前回と同じMapを返す
+     * @returns {Promise<Map<string, {title: string, start_at: Date, end_at: Date}>>} 教室IDをキーとしたMap
+     * @throws {ApiError} APIがエラーを返した場合
+     */
+    async getNextSessions() {
+        try {
+            const response = await this.#fetchConditional('/schedule/next', this.#nextSessionsCache);
+            if (response.status === 304) {
+                return this.#nextSessionsCache.map;
+            }
+
+            const data = await response.json();
+
+            const sessionsMap = new Map();
+            for (const [roomId, session] of Object.entries(data)) {
+                sessionsMap.set(roomId, {
+                    title: session.title,
+                    start_at: new Date(session.start_at),
+                    end_at: new Date(session.end_at)
+                });
+            }
+
+            this.#nextSessionsCache = {
+                map: sessionsMap,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+
+            return sessionsMap;
+        } catch (error) {
+            console.error('上映予定の取得に失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 掲示中のお知らせを取得(優先度の高い順)
+     * 変更が無ければ(304)前回と同じ配列を返す
+     * @param {string|null} [roomid] 教室ID(指定すると全体向けとその教室向けのみ)
+     * @returns {Promise<Array<{id: string, message: string, priority: 'low'|'normal'|'high', starts_at: Date, ends_at: Date|null, rooms: string[], floors: string[]}>>} お知らせの配列
+     * @throws {ApiError} APIがエラーを返した場合
+     */
+    async getNotices(roomid = null) {
+        const path = roomid ? `/notices?room_id=${encodeURIComponent(roomid)}` : '/notices';
+        try {
+            const cache = this.#noticesCache.get(path) ?? null;
+            const response = await this.#fetchConditional(path, cache);
+            if (response.status === 304) {
+                return cache.items;
+            }
+
+            const data = await response.json();
+            const items = data.items.map(noticeFromJson);
+
+            this.#noticesCache.set(path, {
+                items: items,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            });
+
+            return items;
+        } catch (error) {
+            console.error('お知らせの取得に失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 緊急放送の状態を取得
+     * 変更が無ければ(304)前回と同じオブジェクトを返す
+     * @returns {Promise<{active: boolean, message: string|null, updated_at: Date|null}>} 緊急放送の状態
+     * @throws {ApiError} APIがエラーを返した場合
+     */
+    async getEmergency() {
+        try {
+            const response = await this.#fetchConditional('/emergency', this.#emergencyCache);
+            if (response.status === 304) {
+                return this.#emergencyCache.emergency;
+            }
+
+            const emergency = emergencyFromJson(await response.json());
+
+            this.#emergencyCache = {
+                emergency: emergency,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+
+            return emergency;
+        } catch (error) {
+            console.error('緊急放送の状態の取得に失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 開催全体が今公開時間内かを取得
+     * 変更が無ければ(304)前回と同じ内容を返す
+     * @returns {Promise<{open: boolean, opens_at: Date|null, closes_at: Date|null}>} 公開状況(公開時間が設定されていなければ常に公開中)
+     * @throws {ApiError} APIがエラーを返した場合
+     */
+    async getHoursState() {
+        try {
+            const response = await this.#fetchConditional('/hours/state', this.#hoursStateCache);
+            if (response.status === 304) {
+                return this.#hoursStateCache.state;
+            }
+
+            const state = hoursStateFromJson(await response.json());
+
+            this.#hoursStateCache = {
+                state: state,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+
+            return state;
+        } catch (error) {
+            console.error('公開状況の取得に失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 混雑状況の更新履歴の書き出し(ダウンロード用)のURL
+     * @param {'csv'|'json'|'ndjson'} format 形式
+     * @param {Object} [options] 書き出す期間(省略時は全て)
+     * @param {Date} [options.from] 開始時刻
+     * @param {Date} [options.to] 終了時刻
+     * @returns {string} URL
+     */
+    getExportUrl(format, options = {}) {
+        const params = new URLSearchParams({ format });
+        if (options.from) params.set('from', String(options.from.getTime()));
+        if (options.to) params.set('to', String(options.to.getTime()));
+        return `${this.apiBaseUrl}/export?${params}`;
+    }
+
+    /**
+     * 1日分の上映・講義の予定のiCalendar(.ics)のURL
+     * @param {string|null} [roomid] 教室ID(nullの場合は全教室)
+     * @returns {string} URL(日付は会場の今日)
+     */
+    getScheduleIcsUrl(roomid = null) {
+        const params = new URLSearchParams();
+        if (roomid) params.set('room_id', roomid);
+        const query = params.toString();
+        return `${this.apiBaseUrl}/schedule.ics${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * 混雑状況と緊急放送の購読で共有する/crowd/streamの接続を取得
+     * @returns {EventStreamConnection}
+     */
+    #getEventStream() {
+        this.#eventStream ??= new EventStreamConnection(`${this.apiBaseUrl}/crowd/stream`);
+        return this.#eventStream;
+    }
+
+    /**
+     * 全教室の混雑状況の変化を購読
+     * /crowd/streamで変更を受け取り、取りこぼしや時間経過による変化は定期的な取得で補う(切断時は自動で再接続)
+     * @param {(crowdMap: Map) => void} callback 混雑状況が変わるたびに全教室分のMapで呼ばれる
+     * @param {(error: Error) => void} [onError] 取得に失敗したときに呼ばれる
+     * @returns {() => void} 購読を解除する関数
+     */
+    subscribeCrowd(callback, onError = null) {
+        const subscription = new CrowdSubscription(this, this.#getEventStream(), callback, onError);
+        subscription.start();
+        return () => subscription.close();
+    }
+
+    /**
+     * 緊急放送の発令・解除を購読
+     * /crowd/streamで発令・解除を受け取り、定期的な取得で補う(切断時は自動で再接続)
+     * @param {(emergency: {active: boolean, message: string|null, updated_at: Date|null}) => void} callback 最初の取得時と状態が変わるたびに呼ばれる
+     * @returns {() => void} 購読を解除する関数
+     */
+    subscribeEmergency(callback) {
+        const subscription = new EmergencySubscription(this, this.#getEventStream(), callback);
+        subscription.start();
+        return () => subscription.close();
+    }
+
     /**
      * キャッシュをクリア
      */
     clearCache() {
         this.#roomsCache = null;
+        this.#crowdCache = null;
+        this.#nextSessionsCache = null;
+        this.#emergencyCache = null;
+        this.#hoursStateCache = null;
+        this.#noticesCache.clear();
     }
 }
 
-/** APIクライアントのスタブ */
+/** APIクライアントのスタブ
+ * 模擬データはGET /openapi.jsonの形を読み込んだ後(ApiClientの戻り値)の形で持つ
+ */
 export class ApiClientStub {
     /** APIのベースURL
      * @type {string}
@@ -162,18 +1093,22 @@ export class ApiClientStub {
             ['physics-lab', { name: '物理実験室', desc: '展示(附属中)', floor: "3", sort_priority: 3 }],
             ['s33', { name: 'S33', desc: '受付', floor: "3", sort_priority: 6 }],
             ['info-room3', { name: '情報教室3', desc: 'Mitaka/ミニ講義', floor: "2", sort_priority: 5 }],
-            ['dome', { name: 'ドーム', desc: '天体望遠鏡', floor: "R", sort_priority: 1 }]
+            ['dome', { name: 'ドーム', desc: '天体望遠鏡', floor: "R", sort_priority: 1, capacity: 40, crowd_mode: 'headcount' }]
         ]);
 
+        const open = { state: 'open', message: null, reopen_at: null };
         this.mockCrowdData = new Map([
-            ['darkroom', { status: 2, updated_at: new Date(Date.now() - 5 * 60 * 1000) }],
-            ['earth-lab', { status: 4, updated_at: new Date(Date.now() - 2 * 60 * 1000) }],
-            ['physics-lab', { status: 1, updated_at: new Date(Date.now() - 8 * 60 * 1000) }],
-            ['s33', { status: 3, updated_at: new Date(Date.now() - 1 * 60 * 1000) }],
-            ['info-room3', { status: 5, updated_at: new Date(Date.now() - 3 * 60 * 1000) }],
-            ['dome', { status: 2, updated_at: new Date(Date.now() - 4 * 60 * 1000) }]
+            ['darkroom', { status: 2, updated_at: new Date(Date.now() - 5 * 60 * 1000), confidence: 0.8, vote_count: 4, estimated_wait_minutes: 4, availability: open }],
+            ['earth-lab', { status: 4, updated_at: new Date(Date.now() - 2 * 60 * 1000), confidence: 0.8, vote_count: 4, estimated_wait_minutes: null, availability: { state: 'paused', message: '展示の入れ替え中です', reopen_at: new Date(Date.now() + 15 * 60 * 1000) } }],
+            ['physics-lab', { status: 1, updated_at: new Date(Date.now() - 8 * 60 * 1000), confidence: 0.8, vote_count: 4, estimated_wait_minutes: 0, availability: open }],
+            ['s33', { status: 3, updated_at: new Date(Date.now() - 1 * 60 * 1000), confidence: 0.8, vote_count: 4, estimated_wait_minutes: 10, availability: open }],
+            ['info-room3', { status: 5, updated_at: new Date(Date.now() - 3 * 60 * 1000), confidence: 0.8, vote_count: 4, estimated_wait_minutes: 40, availability: open }],
+            ['dome', { status: 2, updated_at: new Date(Date.now() - 4 * 60 * 1000), confidence: null, vote_count: null, estimated_wait_minutes: null, occupancy: 10, capacity: 40, availability: { state: 'closed', message: '雨天のため観望会は中止します', reopen_at: null } }]
         ]);
 
+        // 発令中の表示を確かめるときはactiveをtrueにしてupdated_atを入れる
+        this.mockEmergency = { active: false, message: null, updated_at: null };
+
         this.lastMockUpdate = new Date();
     }
 
@@ -190,36 +1125,114 @@ export class ApiClientStub {
         await new Promise(resolve => setTimeout(resolve, 1000)); // APIの動作を模擬
         // 0.5の確率でどれか1つの部屋のステータスを書き換える
         if (Math.random() < 0.5) {
-            const roomIds = Array.from(this.mockCrowdData.keys());
+            // 人数計測モードの教室は入退室でのみ変わる
+            const roomIds = Array.from(this.mockCrowdData.keys())
+                .filter(roomId => this.mockRooms.get(roomId)?.crowd_mode !== 'headcount');
             if (roomIds.length > 0) {
                 const idx = Math.floor(Math.random() * roomIds.length);
                 const roomId = roomIds[idx];
                 // 1〜5のランダムなステータス
                 const newStatus = Math.floor(Math.random() * 5) + 1;
+                const availability = this.mockCrowdData.get(roomId).availability;
                 this.mockCrowdData.set(roomId, {
                     status: newStatus,
-                    updated_at: new Date()
+                    updated_at: new Date(),
+                    confidence: Math.round(Math.random() * 100) / 100,
+                    vote_count: Math.floor(Math.random() * 10) + 1,
+                    estimated_wait_minutes: availability.state === 'open' ? Math.max(0, newStatus - 2) * 10 : null,
+                    availability
                 });
             }
         }
         return this.mockCrowdData;
     }
 
+    subscribeCrowd(callback, onError = null) {
+        // スタブでは定期取得のみ
+        const refresh = async () => {
+            try {
+                callback(new Map(await this.getCrowdStatus()));
+            } catch (error) {
+                onError?.(error);
+            }
+        };
+        refresh();
+        const intervalId = setInterval(refresh, 5000);
+        return () => clearInterval(intervalId);
+    }
+
     async getCrowdStatusRoom(roomid) {
         await new Promise(resolve => setTimeout(resolve, 1000)); // APIの動作を模擬
 
+        if (!this.mockRooms.has(roomid)) {
+            throw new ApiError(404, 'ROOM_NOT_FOUND', API_ERROR_MESSAGES.ROOM_NOT_FOUND);
+        }
         const data = this.mockCrowdData.get(roomid);
         if (!data) {
-            throw new Error(`教室 ${roomid} が見つかりません`);
+            throw new ApiError(404, 'CROWD_NOT_FOUND', API_ERROR_MESSAGES.CROWD_NOT_FOUND);
+        }
+
+        return { ...data };
+    }
+
+    async getCrowdHistory(roomid, options = {}) {
+        await new Promise(resolve => setTimeout(resolve, 1000)); // APIの動作を模擬
+
+        if (roomid && !this.mockRooms.has(roomid)) {
+            throw new ApiError(404, 'ROOM_NOT_FOUND', API_ERROR_MESSAGES.ROOM_NOT_FOUND);
+        }
+
+        // 現在の状態のみを履歴として返す
+        const items = [];
+        for (const [id, data] of this.mockCrowdData) {
+            if (roomid && id !== roomid) continue;
+            if (options.from && data.updated_at < options.from) continue;
+            if (options.to && options.to < data.updated_at) continue;
+            items.push({ roomid: id, status: data.status, updated_at: data.updated_at, source: 'stub' });
         }
+        items.sort((a, b) => a.updated_at - b.updated_at);
 
+        return { items: items.slice(0, options.limit ?? items.length), nextCursor: null };
+    }
+
+    async getStats(options = {}) {
+        await new Promise(resolve => setTimeout(resolve, 500)); // APIの動作を模擬
+
+        // 今の混雑状況が今日の0時から続いていたものとして返す
+        const to = new Date(Math.floor(Date.now() / 60000) * 60000);
+        const from = new Date(to);
+        from.setHours(0, 0, 0, 0);
+        const peakStatus = options.peakStatus ?? 4;
+        const seconds = Math.round((to - from) / 1000);
+        const hourStart = new Date(to);
+        hourStart.setMinutes(0);
+        const hour = { start: hourStart, end: new Date(hourStart.getTime() + 60 * 60 * 1000) };
+
+        const rooms = new Map();
+        for (const [roomId, data] of this.mockCrowdData) {
+            rooms.set(roomId, {
+                update_count: 1,
+                observed_seconds: seconds,
+                average_status: data.status,
+                max_status: data.status,
+                seconds_by_status: Object.fromEntries([1, 2, 3, 4, 5].map(status => [String(status), status === data.status ? seconds : 0])),
+                peak_seconds: data.status >= peakStatus ? seconds : 0,
+                peaks: data.status >= peakStatus ? [{ from, to, max_status: data.status }] : [],
+                busiest_hours: [{ ...hour, average_status: data.status, update_count: 1 }]
+            });
+        }
+        const statuses = Array.from(this.mockCrowdData.values()).map(data => data.status);
+        const average = statuses.length > 0 ? Math.round(statuses.reduce((sum, status) => sum + status, 0) / statuses.length * 100) / 100 : null;
         return {
-            status: data.status,
-            updated_at: data.updated_at
+            from,
+            to,
+            peak_status: peakStatus,
+            rooms,
+            busiest_hours: average !== null ? [{ ...hour, average_status: average, update_count: statuses.length }] : []
         };
     }
 
-    async updateCrowdStatus(roomid, status) {
+    async updateCrowdStatus(roomid, status, { source = null, token = null } = {}) {
         if (status < 1 || 5 < status) {
             throw new Error('混雑状況は1-5の範囲で指定してください');
         }
@@ -227,16 +1240,159 @@ export class ApiClientStub {
         await new Promise(resolve => setTimeout(resolve, 1500)); // APIの動作を模擬
 
         if (!this.mockCrowdData.has(roomid)) {
-            throw new Error(`教室 ${roomid} が見つかりません`);
+            throw new ApiError(404, 'ROOM_NOT_FOUND', API_ERROR_MESSAGES.ROOM_NOT_FOUND);
+        }
+        if (this.mockRooms.get(roomid)?.crowd_mode === 'headcount') {
+            throw new ApiError(409, 'ROOM_IN_HEADCOUNT_MODE', API_ERROR_MESSAGES.ROOM_IN_HEADCOUNT_MODE);
+        }
+        const availability = this.mockCrowdData.get(roomid).availability;
+        if (availability.state === 'closed') {
+            throw new ApiError(409, 'ROOM_CLOSED', API_ERROR_MESSAGES.ROOM_CLOSED);
         }
 
         this.mockCrowdData.set(roomid, {
             status: status,
-            updated_at: new Date()
+            updated_at: new Date(),
+            confidence: 0.33,
+            vote_count: 1,
+            estimated_wait_minutes: availability.state === 'open' ? Math.max(0, status - 2) * 10 : null,
+            availability
         });
 
         return;
     }
+
+    async updateCrowdStatusBatch(statuses, { source = null, tokens = [] } = {}) {
+        await new Promise(resolve => setTimeout(resolve, 1500)); // APIの動作を模擬
+
+        // 全教室を確認してから更新する
+        const results = new Map();
+        for (const [roomid, status] of statuses) {
+            const code = !this.mockRooms.has(roomid) ? 'ROOM_NOT_FOUND'
+                : this.mockRooms.get(roomid).crowd_mode === 'headcount' ? 'ROOM_IN_HEADCOUNT_MODE'
+                    : this.mockCrowdData.get(roomid)?.availability.state === 'closed' ? 'ROOM_CLOSED'
+                        : null;
+            results.set(roomid, code
+                ? { result: 'rejected', code, message: API_ERROR_MESSAGES[code] }
+                : { result: 'skipped', code: null, message: null });
+        }
+        if (Array.from(results.values()).some(result => result.result === 'rejected')) {
+            throw new ApiError(400, 'BATCH_REJECTED', API_ERROR_MESSAGES.BATCH_REJECTED, null, null, results);
+        }
+
+        const crowdMap = new Map();
+        for (const [roomid, status] of statuses) {
+            const availability = this.mockCrowdData.get(roomid)?.availability ?? { state: 'open', message: null, reopen_at: null };
+            const data = {
+                status: status,
+                updated_at: new Date(),
+                confidence: 0.33,
+                vote_count: 1,
+                estimated_wait_minutes: availability.state === 'open' ? Math.max(0, status - 2) * 10 : null,
+                availability
+            };
+            this.mockCrowdData.set(roomid, data);
+            crowdMap.set(roomid, { ...data });
+        }
+        return crowdMap;
+    }
+
+    async getNextSessions() {
+        await new Promise(resolve => setTimeout(resolve, 500)); // APIの動作を模擬
+
+        // 30分ごとの回を想定して、次の区切りの時刻を返す
+        const slot = 30 * 60 * 1000;
+        const start = Math.ceil((Date.now() + 1) / slot) * slot;
+        return new Map([
+            ['darkroom', { title: '秋の星座案内', start_at: new Date(start), end_at: new Date(start + 20 * 60 * 1000) }],
+            ['info-room3', { title: 'Mitakaで宇宙旅行', start_at: new Date(start + slot), end_at: new Date(start + slot + 15 * 60 * 1000) }]
+        ]);
+    }
+
+    getScheduleIcsUrl(roomid = null) {
+        return '#';
+    }
+
+    getExportUrl(format, options = {}) {
+        return '#';
+    }
+
+    async getNotices(roomid = null) {
+        await new Promise(resolve => setTimeout(resolve, 300)); // APIの動作を模擬
+
+        const notices = [
+            { id: 'stub-1', message: 'ドームの観望会は雨天のため中止します', priority: 'high', starts_at: new Date(Date.now() - 60 * 60 * 1000), ends_at: null, rooms: ['dome'], floors: [] },
+            { id: 'stub-2', message: 'ミニ講義は15時から情報教室3で行います', priority: 'normal', starts_at: new Date(Date.now() - 30 * 60 * 1000), ends_at: null, rooms: [], floors: [] },
+            { id: 'stub-3', message: '3階の展示は16時で終了します', priority: 'low', starts_at: new Date(Date.now() - 10 * 60 * 1000), ends_at: null, rooms: [], floors: ['3'] }
+        ];
+        if (!roomid) {
+            return notices;
+        }
+        const room = this.mockRooms.get(roomid);
+        return notices.filter(notice =>
+            (notice.rooms.length === 0 && notice.floors.length === 0)
+            || notice.rooms.includes(roomid)
+            || notice.floors.includes(room?.floor)
+        );
+    }
+
+    async getEmergency() {
+        await new Promise(resolve => setTimeout(resolve, 300)); // APIの動作を模擬
+        return { ...this.mockEmergency };
+    }
+
+    async getHoursState() {
+        await new Promise(resolve => setTimeout(resolve, 300)); // APIの動作を模擬
+        // 公開時間が設定されていない開催と同じ(常に公開中)
+        return { open: true, opens_at: null, closes_at: null };
+    }
+
+    subscribeEmergency(callback) {
+        // スタブでは定期取得のみ(状態が変わったときだけ呼ぶ)
+        let updatedAt = null;
+        const refresh = async () => {
+            const emergency = await this.getEmergency();
+            if ((emergency.updated_at?.getTime() ?? 0) !== updatedAt) {
+                updatedAt = emergency.updated_at?.getTime() ?? 0;
+                callback(emergency);
+            }
+        };
+        refresh();
+        const intervalId = setInterval(refresh, 5000);
+        return () => clearInterval(intervalId);
+    }
+
+    async updateHeadcount(roomid, direction, { count = 1, source = null, token = null } = {}) {
+        await new Promise(resolve => setTimeout(resolve, 300)); // APIの動作を模擬
+
+        const room = this.mockRooms.get(roomid);
+        if (!room) {
+            throw new ApiError(404, 'ROOM_NOT_FOUND', API_ERROR_MESSAGES.ROOM_NOT_FOUND);
+        }
+        if (room.crowd_mode !== 'headcount') {
+            throw new ApiError(409, 'ROOM_NOT_HEADCOUNT', API_ERROR_MESSAGES.ROOM_NOT_HEADCOUNT);
+        }
+
+        const availability = this.mockCrowdData.get(roomid)?.availability ?? { state: 'open', message: null, reopen_at: null };
+        if (direction === 'enter' && availability.state === 'closed') {
+            throw new ApiError(409, 'ROOM_CLOSED', API_ERROR_MESSAGES.ROOM_CLOSED);
+        }
+        const previous = this.mockCrowdData.get(roomid)?.occupancy ?? 0;
+        const occupancy = Math.max(0, previous + (direction === 'enter' ? count : -count));
+        const data = {
+            status: Math.min(5, 1 + Math.floor(occupancy * 4 / room.capacity)),
+            updated_at: new Date(),
+            confidence: null,
+            vote_count: null,
+            estimated_wait_minutes: null,
+            occupancy: occupancy,
+            capacity: room.capacity,
+            availability
+        };
+        this.mockCrowdData.set(roomid, data);
+
+        return { ...data };
+    }
 }
 
 export function statusNumToTextShort(statusNum) {
@@ -271,4 +1427,112 @@ export function statusNumToTextLong(statusNum) {
         default:
             return '不明な状態です';
     }
-}
\ No newline at end of file
+}
+
+/** 待ち時間の目安の表示
+ * @param {number|null} minutes - 待ち時間の目安(分) 不明ならnull
+ * @returns {string} - 「待ち約N分」など(不明なら空文字列)
+ */
+export function waitMinutesToText(minutes) {
+    if (typeof minutes !== 'number') {
+        return '';
+    }
+    return minutes === 0 ? '待ちなし' : `待ち約${minutes}分`;
+}
+
+/** 受付状況の表示
+ * @param {'open'|'paused'|'closed'} state - 受付状況
+ * @returns {string} - 「閉鎖中」など(受付中なら空文字列)
+ */
+export function availabilityStateToText(state) {
+    switch (state) {
+        case 'paused':
+            return '一時休止中';
+        case 'closed':
+            return '閉鎖中';
+        default:
+            return '';
+    }
+}
+
+/** 開催全体の公開状況の表示
+ * @param {{open: boolean, opens_at: Date|null, closes_at: Date|null}} state - 公開状況
+ * @returns {string} - 「公開時間外(次回 9/14 09:00から)」など(公開時間が設定されていなければ空文字列)
+ */
+export function hoursStateToText(state) {
+    const time = date => date.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+    if (state.open) {
+        return state.closes_at ? `公開中(${time(state.closes_at)}まで)` : '';
+    }
+    if (!state.opens_at) {
+        return '公開は終了しました';
+    }
+    return `公開時間外(次回 ${state.opens_at.getMonth() + 1}/${state.opens_at.getDate()} ${time(state.opens_at)}から)`;
+}
+
+/** 端末トークンを保存するlocalStorageのキーの接頭辞(入力ページと一括入力ページで共有する) */
+const DEVICE_TOKEN_STORAGE_KEY_PREFIX = 'device_token:';
+
+/** 保存した端末トークンを取得
+ * @param {string} roomId - 教室ID
+ * @returns {string|null} - 端末トークン(無いか読み込めなければnull)
+ */
+export function loadDeviceToken(roomId) {
+    try {
+        return localStorage.getItem(DEVICE_TOKEN_STORAGE_KEY_PREFIX + roomId);
+    } catch (error) {
+        console.warn('端末トークンの読み込みに失敗しました:', error);
+        return null;
+    }
+}
+
+/** 端末トークンを保存
+ * @param {string} roomId - 教室ID
+ * @param {string} token - 端末トークン
+ */
+export function saveDeviceToken(roomId, token) {
+    try {
+        localStorage.setItem(DEVICE_TOKEN_STORAGE_KEY_PREFIX + roomId, token);
+    } catch (error) {
+        console.warn('端末トークンの保存に失敗しました:', error);
+    }
+}
+
+/** 端末トークンのペイロードから教室IDを読む(署名はサーバで確認する)
+ * @param {string} token - 端末トークン
+ * @returns {string|null} - 教室ID(形式が不正ならnull)
+ */
+export function deviceTokenRoomId(token) {
+    try {
+        const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(payload + '='.repeat((4 - payload.length % 4) % 4)), c => c.charCodeAt(0));
+        const roomId = JSON.parse(new TextDecoder().decode(bytes)).room;
+        return typeof roomId === 'string' ? roomId : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/** 受付状況の説明と再開予定の表示
+ * @param {{message: string|null, reopen_at: Date|null}} availability - 受付状況
+ * @returns {string} - 「説明 (H:MM再開予定)」など(どちらも無ければ空文字列)
+ */
+export function availabilityNoteToText(availability) {
+    const parts = [];
+    if (availability.message) {
+        parts.push(availability.message);
+    }
+    if (availability.reopen_at) {
+        const time = `${availability.reopen_at.getHours()}:${String(availability.reopen_at.getMinutes()).padStart(2, '0')}`;
+        parts.push(`(${time}再開予定)`);
+    }
+    return parts.join(' ');
+}
+
+/** innerHTMLに埋め込む文字列のエスケープ(係員が入力した説明などに使う)
+ * @param {string} text - 文字列
+ * @returns {string} - エスケープした文字列
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
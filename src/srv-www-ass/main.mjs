@@ -5,6 +5,8 @@ import { themeRenderer } from './theme/main.mjs'
 // デプロイ時に文字列置換
 const ORIGIN_ASS_BASE_URL = "{{ASS_ORIGIN}}";
 const ORIGIN_API_BASE_URL = "{{API_ORIGIN}}";
+// 表示する開催(空ならAPIの既定の開催)
+const DEFAULT_EVENT_ID = "{{EVENT_ID}}";
 
 async function run() {
     // アプリケーション初期化
@@ -17,15 +19,68 @@ async function run() {
             themeRendererOnResize: themeRenderer,// 同じものでよい
             routeConfigurer: routeConfigurer
         });
-        await spaCore.start();
+        const { navigator } = await spaCore.start();
+        watchEmergency(navigator);
     });
 }
 
+/** sessionStorageに残す開催IDのキー */
+const EVENT_STORAGE_KEY = 'event_id';
+/** 開催IDとして受け付ける文字列(APIと同じ) */
+const EVENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/** 表示する開催を決める
+ * URLの?event=を優先し、ページを移動したり開き直したりしても変わらないようタブごとに残す
+ * 指定が無ければデプロイ時の設定、それも無ければAPIの既定の開催
+ * @returns {string} - 開催ID(APIの既定の開催なら空文字列)
+ */
+function selectEventId() {
+    const eventFromUrl = new URL(window.location.href).searchParams.get('event');
+    if (eventFromUrl !== null && EVENT_ID_PATTERN.test(eventFromUrl)) {
+        try {
+            sessionStorage.setItem(EVENT_STORAGE_KEY, eventFromUrl);
+        } catch (error) {
+            console.warn('開催IDの保存に失敗しました:', error);
+        }
+        return eventFromUrl;
+    }
+    try {
+        const stored = sessionStorage.getItem(EVENT_STORAGE_KEY);
+        if (stored && EVENT_ID_PATTERN.test(stored)) {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('開催IDの読み込みに失敗しました:', error);
+    }
+    return EVENT_ID_PATTERN.test(DEFAULT_EVENT_ID) ? DEFAULT_EVENT_ID : '';
+}
+
+const eventId = selectEventId();
+
 const appClient =
     ORIGIN_API_BASE_URL
-        ? new ApiClient(ORIGIN_API_BASE_URL)
+        ? new ApiClient(eventId ? `${ORIGIN_API_BASE_URL}/events/${eventId}` : ORIGIN_API_BASE_URL)
         : new ApiClientStub(ORIGIN_API_BASE_URL);
 
+/** 発令中の緊急放送(特殊ルートemergencyで表示する, 解除中はnull) */
+let currentEmergency = null;
+
+/** 緊急放送を監視し、発令中は全ての画面を緊急放送の表示に固定する
+ * 解除されたらその時点のURLの画面に戻る
+ * @param {Navigator} navigator - ナビゲータ
+ */
+function watchEmergency(navigator) {
+    appClient.subscribeEmergency(async (emergency) => {
+        if (emergency.active) {
+            currentEmergency = emergency;
+            await navigator.holdSpecial('emergency');
+        } else if (currentEmergency) {
+            currentEmergency = null;
+            await navigator.releaseSpecial();
+        }
+    });
+}
+
 async function routeConfigurer(router) {
     router
         .registerHandlerFactory(
@@ -44,6 +99,14 @@ async function routeConfigurer(router) {
                     return await DashboardHandlerCreator(entities, appClient, context);
                 })
         )
+        .registerHandlerFactory(
+            'dashboard/stats',
+            new HandlerFactoryInterfaceImpl(
+                async (entities, context) => {
+                    const { StatsHandlerCreator } = await import('./page/stats/main.mjs');
+                    return await StatsHandlerCreator(entities, appClient, context);
+                })
+        )
         .registerHandlerFactory(
             'enter/:roomid',
             new HandlerFactoryInterfaceImpl(
@@ -52,6 +115,14 @@ async function routeConfigurer(router) {
                     return await EnterHandlerCreator(entities, appClient, context);
                 })
         )
+        .registerHandlerFactory(
+            'reception',
+            new HandlerFactoryInterfaceImpl(
+                async (entities, context) => {
+                    const { ReceptionHandlerCreator } = await import('./page/reception/main.mjs');
+                    return await ReceptionHandlerCreator(entities, appClient);
+                })
+        )
         .registerSpecialRoute(
             'error',
             new HandlerFactoryInterfaceImpl(
@@ -67,6 +138,14 @@ async function routeConfigurer(router) {
                     const { NotFoundHandlerCreator } = await import('./page/notfound/main.mjs');
                     return await NotFoundHandlerCreator(entities);
                 })
+        )
+        .registerSpecialRoute(
+            'emergency',
+            new HandlerFactoryInterfaceImpl(
+                async (entities, context) => {
+                    const { EmergencyHandlerCreator } = await import('./page/emergency/main.mjs');
+                    return await EmergencyHandlerCreator(entities, currentEmergency);
+                })
         );
 }
 
@@ -1,4 +1,4 @@
-import { statusNumToTextLong, statusNumToTextShort } from "../../cmn.mjs";
+import { statusNumToTextLong, statusNumToTextShort, waitMinutesToText, availabilityStateToText, availabilityNoteToText, hoursStateToText, escapeHtml } from "../../cmn.mjs";
 import { TitleComponent } from "../../comp/title/main.mjs";
 import { HandlerInterface } from "../../spalib.mjs"
 
@@ -7,8 +7,27 @@ export async function DashboardHandlerCreator(entities, apiClient, context) {
 }
 
 class DashboardHandler extends HandlerInterface {
-    static #REFRESH_INTERVAL = 30000; // 30秒
-    #refreshIntervalId = null;
+    /** これ未満の信頼度は目立たないように表示する */
+    static #LOW_CONFIDENCE = 0.5;
+
+    static #TICK_INTERVAL = 15000; // 15秒
+
+    /** お知らせのティッカーが1周する時間(秒) */
+    static #TICKER_SECONDS_MIN = 15;
+    static #TICKER_SECONDS_PER_CHAR = 0.3;
+    #tickIntervalId = null;
+
+    /** 混雑状況の購読を解除する関数 */
+    #unsubscribeCrowd = null;
+
+    /** 最後に受け取った混雑状況 */
+    #crowdInfo = null;
+
+    /** 最後に取得できた次の上映・講義 */
+    #nextSessions = new Map();
+
+    /** 最後に表示したお知らせ(変化が無ければ流れている表示をやり直さない) */
+    #noticesKey = null;
 
     #entities;
     #apiClient;
@@ -22,9 +41,13 @@ class DashboardHandler extends HandlerInterface {
     }
 
     async cleanupFull() {
-        if (this.#refreshIntervalId) {
-            clearInterval(this.#refreshIntervalId);
-            this.#refreshIntervalId = null;
+        if (this.#unsubscribeCrowd) {
+            this.#unsubscribeCrowd();
+            this.#unsubscribeCrowd = null;
+        }
+        if (this.#tickIntervalId) {
+            clearInterval(this.#tickIntervalId);
+            this.#tickIntervalId = null;
         }
     }
 
@@ -68,13 +91,26 @@ class DashboardHandler extends HandlerInterface {
             }
         );
 
-        this.#refreshIntervalId = setInterval(() => {
-            this.#fetchAndApplyData();
-        }, DashboardHandler.#REFRESH_INTERVAL);
-        await this.#fetchAndApplyData();
+        // 画面の向きの変更で再描画された場合に前の購読が残らないようにする
+        await this.cleanupFull();
+        this.#noticesKey = null;
+        // 変更があるたびに通知される(接続できない間は定期取得になる)
+        this.#unsubscribeCrowd = this.#apiClient.subscribeCrowd(
+            (crowd_info) => {
+                this.#crowdInfo = crowd_info;
+                this.#applyData(crowd_info);
+            },
+            (error) => console.error(`Error fetching dashboard data: ${error}`)
+        );
+        // 混雑状況に変化が無くても経過時間の表示と教室データの変更は反映する(教室データは変更が無ければ304で済む)
+        this.#tickIntervalId = setInterval(() => {
+            if (this.#crowdInfo) {
+                this.#applyData(this.#crowdInfo);
+            }
+        }, DashboardHandler.#TICK_INTERVAL);
     }
 
-    async #fetchAndApplyData() {
+    async #applyData(crowd_info) {
         // 最終更新時刻表示
         this
             .#entities
@@ -84,13 +120,10 @@ class DashboardHandler extends HandlerInterface {
             .textContent
             = new Date().toLocaleTimeString();
 
-        let rooms_info, crowd_info;
+        let rooms_info;
         for (let i = 0; i < 3; i++) {
             try {
-                [rooms_info, crowd_info] = await Promise.all([
-                    this.#apiClient.getRooms(),
-                    this.#apiClient.getCrowdStatus()
-                ]);
+                rooms_info = await this.#apiClient.getRooms();
                 break; // 成功したらループを抜ける
             } catch (error) {
                 console.error(`Error fetching dashboard data (attempt ${i + 1}/3): ${error}`);
@@ -101,6 +134,27 @@ class DashboardHandler extends HandlerInterface {
             }
         }
 
+        // 上映予定は補助的な表示なので、取得できなければ前回の内容を使う
+        try {
+            this.#nextSessions = await this.#apiClient.getNextSessions();
+        } catch (error) {
+            console.error(`Error fetching next sessions: ${error}`);
+        }
+
+        // 公開状況(公開時間外なら目立たせる)も取得できなければ前回の内容のまま
+        try {
+            this.#renderHoursState(await this.#apiClient.getHoursState());
+        } catch (error) {
+            console.error(`Error fetching hours state: ${error}`);
+        }
+
+        // お知らせも補助的な表示なので、取得できなければ前回の内容のまま
+        try {
+            this.#renderNotices(await this.#apiClient.getNotices(), rooms_info);
+        } catch (error) {
+            console.error(`Error fetching notices: ${error}`);
+        }
+
         // sort_priorityで昇順ソート
         const rooms = Array.from(rooms_info.entries())
             .sort((a, b) => {
@@ -133,24 +187,37 @@ class DashboardHandler extends HandlerInterface {
         for (const [roomId, room] of rooms) {
             const crowd = crowd_info.get(roomId);
             // 混雑状況テキスト
+            // 古すぎて不明になった(statusがnull)場合も'?'
             let statusText = '?';
-            if (crowd && typeof crowd.status === 'number') {
+            // 受付中でなければ混雑状況の代わりに受付状況を表示する
+            const availabilityText = availabilityStateToText(crowd?.availability.state);
+            if (availabilityText) {
+                statusText = availabilityText;
+            } else if (crowd && typeof crowd.status === 'number') {
                 // デバイス判定
                 statusText = this.#entities.deviceDetector.isMobile()
                     ? statusNumToTextShort(crowd.status)
                     : statusNumToTextLong(crowd.status);
             }
+            const confidence = availabilityText ? '' : this.#confidenceHtml(crowd);
+            const wait = this.#waitHtml(crowd);
             const roomName = `${room.name} (${room.floor}F)`;
-            const desc = room.desc || '-';
-            const updated = crowd && crowd.updated_at ? crowd.updated_at.toLocaleTimeString() : '-';
+            const desc = `${room.desc || '-'}${this.#availabilityNoteHtml(crowd)}`;
+            const nextSession = this.#nextSessionHtml(this.#nextSessions.get(roomId));
+            const updated = crowd && crowd.updated_at ? this.#relativeAgeText(crowd.updated_at) : '-';
 
             newElements.push({
                 roomid: roomId,
                 status: statusText,
+                wait: wait,
+                confidence: confidence,
                 roomName: roomName,
                 desc: desc,
+                nextSession: nextSession,
                 updated: updated,
-                statusClass: `crowd-status-${crowd ? crowd.status : 0}`
+                statusClass: availabilityText
+                    ? `availability-${crowd.availability.state}`
+                    : `crowd-status-${crowd?.status ?? 0}${crowd?.stale ? ' stale' : ''}`
             });
         }
 
@@ -166,9 +233,9 @@ class DashboardHandler extends HandlerInterface {
                 const tr = document.createElement('tr');
                 tr.dataset.roomid = newElement.roomid;
                 tr.innerHTML = `
-                    <td>${newElement.status}</td>
+                    <td>${newElement.status}${newElement.wait}${newElement.confidence}</td>
                     <td>${newElement.roomName}</td>
-                    <td>${newElement.desc}</td>
+                    <td>${newElement.desc}${newElement.nextSession}</td>
                     <td>${newElement.updated}</td>
                 `;
                 tr.className = newElement.statusClass;
@@ -184,9 +251,9 @@ class DashboardHandler extends HandlerInterface {
                 // 既存の要素を更新
                 const tr = tableBody.children[procRowIndex];
                 tr.innerHTML = `
-                    <td>${newElement.status}</td>
+                    <td>${newElement.status}${newElement.wait}${newElement.confidence}</td>
                     <td>${newElement.roomName}</td>
-                    <td>${newElement.desc}</td>
+                    <td>${newElement.desc}${newElement.nextSession}</td>
                     <td>${newElement.updated}</td>
                 `;
                 tr.className = newElement.statusClass;
@@ -197,6 +264,136 @@ class DashboardHandler extends HandlerInterface {
         }
     }
 
+    /** 開催全体の公開状況の表示(公開時間が設定されていなければ表示しない)
+     * @param {{open: boolean, opens_at: Date|null, closes_at: Date|null}} state - 公開状況
+     */
+    #renderHoursState(state) {
+        const area = this.#entities.pageContainerRef.dom.querySelector('#hoursState');
+        const text = hoursStateToText(state);
+        area.textContent = text;
+        area.style.display = text ? 'block' : 'none';
+        area.classList.toggle('hours_closed', !state.open);
+    }
+
+    /** お知らせの表示
+     * 優先度の高いものは固定の帯に、それ以外は横に流れるティッカーに表示する
+     * @param {Array<{id: string, message: string, priority: string, rooms: string[], floors: string[]}>} notices - 掲示中のお知らせ
+     * @param {Map} rooms_info - 教室データ(対象の教室名の表示に使う)
+     */
+    #renderNotices(notices, rooms_info) {
+        const key = JSON.stringify(notices.map(notice => [notice.id, notice.message, notice.priority]));
+        if (key === this.#noticesKey) {
+            return;
+        }
+        this.#noticesKey = key;
+
+        const dom = this.#entities.pageContainerRef.dom;
+        const noticeHtml = notice =>
+            `<span class="notice notice_${notice.priority}">${escapeHtml(this.#noticeTargetText(notice, rooms_info) + notice.message)}</span>`;
+        const fixed = notices.filter(notice => notice.priority === 'high');
+        const scrolling = notices.filter(notice => notice.priority !== 'high');
+
+        dom.querySelector('#noticeArea').style.display = notices.length > 0 ? 'block' : 'none';
+        dom.querySelector('#noticeBanner').innerHTML = fixed.map(noticeHtml).join('');
+        dom.querySelector('#noticeTicker').style.display = scrolling.length > 0 ? 'block' : 'none';
+
+        const track = dom.querySelector('#noticeTickerTrack');
+        track.innerHTML = scrolling.map(noticeHtml).join('');
+        // 文字数によらず同じくらいの速さで流れるようにする
+        const length = scrolling.reduce((sum, notice) => sum + notice.message.length, 0);
+        track.style.animationDuration = `${Math.max(DashboardHandler.#TICKER_SECONDS_MIN, length * DashboardHandler.#TICKER_SECONDS_PER_CHAR)}s`;
+    }
+
+    /** お知らせの対象の表示
+     * @param {{rooms: string[], floors: string[]}} notice - お知らせ
+     * @param {Map} rooms_info - 教室データ
+     * @returns {string} - 「[ドーム・3F] 」など(全体向けなら空文字列)
+     */
+    #noticeTargetText(notice, rooms_info) {
+        const targets = [
+            ...notice.rooms.map(roomId => rooms_info.get(roomId)?.name ?? roomId),
+            ...notice.floors.map(floor => `${floor}F`)
+        ];
+        return targets.length > 0 ? `[${targets.join('・')}] ` : '';
+    }
+
+    /** 報告からの経過時間の表示
+     * @param {Date} updatedAt - 更新日時
+     * @returns {string} - 「N分前」など
+     */
+    #relativeAgeText(updatedAt) {
+        const minutes = Math.max(0, Math.floor((Date.now() - updatedAt.getTime()) / 60000));
+        if (minutes < 1) {
+            return 'たった今';
+        }
+        if (minutes < 60) {
+            return `${minutes}分前`;
+        }
+        return `${Math.floor(minutes / 60)}時間前`;
+    }
+
+    /** 受付状況の説明と再開予定の表示
+     * @param {{availability: {state: string, message: string|null, reopen_at: Date|null}}|undefined} crowd - 混雑状況
+     * @returns {string} - HTML(受付中か説明が無ければ空文字列)
+     */
+    #availabilityNoteHtml(crowd) {
+        if (!crowd || crowd.availability.state === 'open') {
+            return '';
+        }
+        const text = availabilityNoteToText(crowd.availability);
+        return text ? `<span class="availability_note">${escapeHtml(text)}</span>` : '';
+    }
+
+    /** 次の上映・講義の表示
+     * @param {{title: string, start_at: Date}|undefined} session - 次のセッション
+     * @returns {string} - HTML(予定が無いか開始済みなら空文字列)
+     */
+    #nextSessionHtml(session) {
+        if (!session) {
+            return '';
+        }
+        const minutes = Math.ceil((session.start_at.getTime() - Date.now()) / 60000);
+        if (minutes <= 0) {
+            return '';
+        }
+        const time = `${session.start_at.getHours()}:${String(session.start_at.getMinutes()).padStart(2, '0')}`;
+        return `<span class="next_session">次回上映 ${time} (あと${minutes}分)</span>`;
+    }
+
+    /** 待ち時間の目安の表示
+     * 古すぎて混雑状況が不明な場合は表示しない
+     * @param {{status: number|null, estimated_wait_minutes: number|null}|undefined} crowd - 混雑状況
+     * @returns {string} - HTML(目安が無ければ空文字列)
+     */
+    #waitHtml(crowd) {
+        if (!crowd || typeof crowd.status !== 'number') {
+            return '';
+        }
+        const text = waitMinutesToText(crowd.estimated_wait_minutes);
+        return text ? `<span class="wait">${text}</span>` : '';
+    }
+
+    /** 集計に使われた投票数と信頼度(人数計測モードの教室は在室人数)の表示
+     * @param {{confidence: number|null, vote_count: number|null, occupancy: number|null, capacity: number|null}|undefined} crowd - 混雑状況
+     * @returns {string} - HTML(集計結果が無ければ空文字列)
+     */
+    #confidenceHtml(crowd) {
+        // 人数計測モードの教室は投票の代わりに在室人数を表示する
+        if (crowd && crowd.occupancy !== null && crowd.capacity !== null) {
+            return `<span class="confidence">在室${crowd.occupancy}/${crowd.capacity}人</span>`;
+        }
+        if (!crowd || crowd.vote_count === null || crowd.confidence === null) {
+            return '';
+        }
+        const className = crowd.confidence < DashboardHandler.#LOW_CONFIDENCE
+            ? 'confidence low_confidence'
+            : 'confidence';
+        const text = this.#entities.deviceDetector.isMobile()
+            ? `${crowd.vote_count}票`
+            : `${crowd.vote_count}票・確度${Math.round(crowd.confidence * 100)}%`;
+        return `<span class="${className}">${text}</span>`;
+    }
+
     async canPartialTransferToNextPath(_) {
         return false;
     }
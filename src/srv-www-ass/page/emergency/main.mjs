@@ -0,0 +1,156 @@
+import { HandlerInterface } from "../../spalib.mjs"
+import { escapeHtml } from '../../cmn.mjs';
+
+/**
+ * @param {Object} entities - ハンドラ生成に必要なエンティティ
+ * @param {{active: boolean, message: string|null, updated_at: Date|null}} emergency - 発令中の緊急放送
+ */
+export async function EmergencyHandlerCreator(entities, emergency) {
+    return new EmergencyHandler(entities, emergency);
+}
+
+/** 緊急放送の全画面表示(特殊ルート)
+ * 発令中はNavigatorが固定表示し、解除されると元の画面に戻る
+ */
+class EmergencyHandler extends HandlerInterface {
+    #entities;
+    #emergency;
+
+    constructor(entities, emergency) {
+        super();
+        this.#entities = entities;
+        this.#emergency = emergency;
+    }
+
+    async cleanupFull() {
+        // 特にクリーンアップすることはない
+    }
+
+    async getTitle() {
+        return "緊急放送";
+    }
+
+    async getHtmlResourcePath() {
+        return null;
+    }
+
+    async renderingFull() {
+        const updatedAt = this.#emergency?.updated_at;
+        const time = updatedAt
+            ? `${updatedAt.getHours()}:${String(updatedAt.getMinutes()).padStart(2, '0')} 発表`
+            : '';
+
+        // HTML/CSSをmjs内に直接書き込む
+        const html = `
+            <div id="emergency_container">
+                <div class="emergency_content">
+                    <div class="emergency_icon">⚠️</div>
+                    <div class="emergency_title">緊急のお知らせ</div>
+                    <div class="emergency_message">${escapeHtml(this.#emergency?.message ?? '')}</div>
+                    <div class="emergency_time">${time}</div>
+                    <div class="emergency_guide">係員の指示に従ってください</div>
+                </div>
+            </div>
+        `;
+
+        const css = `
+            <style>
+                #emergency_container {
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    display: flex;
+                    justify-content: center;
+                    align-items: center;
+                    background: linear-gradient(135deg, #b71c1c 0%, #7f0000 100%);
+                    z-index: 9999;
+                }
+
+                .emergency_content {
+                    text-align: center;
+                    padding: 4vh 4vw;
+                    background-color: #000000a0;
+                    border: 0.6vh solid #ffeb3b;
+                    border-radius: 2vh;
+                    max-width: 85vw;
+                }
+
+                .emergency_icon {
+                    font-size: 10vh;
+                    margin-bottom: 2vh;
+                }
+
+                .emergency_title {
+                    font-size: 6vh;
+                    font-weight: bold;
+                    color: #ffeb3b;
+                    margin-bottom: 3vh;
+                }
+
+                .emergency_message {
+                    font-size: 4.5vh;
+                    font-weight: bold;
+                    color: #ffffff;
+                    white-space: pre-wrap;
+                    overflow-wrap: anywhere;
+                    margin-bottom: 3vh;
+                }
+
+                .emergency_time {
+                    font-size: 2.5vh;
+                    color: #ffcdd2;
+                    margin-bottom: 1vh;
+                }
+
+                .emergency_guide {
+                    font-size: 3vh;
+                    color: #ffeb3b;
+                }
+
+                @media (max-width: 768px) {
+                    .emergency_content {
+                        padding: 3vh 4vw;
+                        max-width: 92vw;
+                    }
+
+                    .emergency_icon {
+                        font-size: 7vh;
+                    }
+
+                    .emergency_title {
+                        font-size: 4vh;
+                    }
+
+                    .emergency_message {
+                        font-size: 3vh;
+                    }
+
+                    .emergency_guide {
+                        font-size: 2.2vh;
+                    }
+                }
+            </style>
+        `;
+
+        // CSSとHTMLを挿入
+        this.#entities.pageContainerRef.dom.innerHTML = css + html;
+    }
+
+    async canPartialTransferToNextPath(_) {
+        return false;
+    }
+
+    async canPartialReceiveFromPrevPath() {
+        return false;
+    }
+
+    async canInpageTransferTo(_) {
+        return false;
+    }
+
+    async onDeviceOrientationChange() {
+        // 緊急放送では特に何もしない
+    }
+}
@@ -1,3 +1,4 @@
+import { ApiError, statusNumToTextLong, availabilityStateToText, availabilityNoteToText, escapeHtml, loadDeviceToken, saveDeviceToken } from "../../cmn.mjs";
 import { TitleComponent } from "../../comp/title/main.mjs";
 import { HandlerInterface } from "../../spalib.mjs"
 
@@ -6,11 +7,32 @@ export async function EnterHandlerCreator(entities, apiClient, context) {
 }
 
 class EnterHandler extends HandlerInterface {
+    /** 人数計測のエラー表示を消すまでの時間(ms) */
+    static #COUNTER_MESSAGE_DURATION = 5000;
+    /** お知らせを取得し直す間隔(ms) */
+    static #NOTICE_REFRESH_INTERVAL = 60000;
+    /** お知らせが複数ある場合に切り替える間隔(ms) */
+    static #NOTICE_ROTATE_INTERVAL = 8000;
+
     #entities;
     #apiClient;
 
     #context;
     #roomId;
+    #deviceToken = null;
+
+    /** 人数計測: 送信した順の番号と、表示に反映した最後の番号(遅れて届いた古い結果で上書きしないため) */
+    #counterRequestSeq = 0;
+    #counterAppliedSeq = 0;
+    #counterPending = 0;
+    #counterMessageTimeoutId = null;
+    #counterClickHandler = null;
+
+    /** 表示中のお知らせと切り替えのタイマー */
+    #notices = [];
+    #noticeIndex = 0;
+    #noticeRefreshIntervalId = null;
+    #noticeRotateIntervalId = null;
 
     #titleComponent;
 
@@ -23,6 +45,7 @@ class EnterHandler extends HandlerInterface {
 
     async cleanupFull() {
         this.#removeEventListeners();
+        this.#stopNotices();
     }
 
     #removeEventListeners() {
@@ -30,6 +53,28 @@ class EnterHandler extends HandlerInterface {
         Array.from(btns).forEach(btn => {
             btn.removeEventListener('click', this.#statusUpdateHandler);
         });
+        if (this.#counterClickHandler) {
+            const counterBtns = this.#entities.pageContainerRef.dom.getElementsByClassName('counter_btn');
+            Array.from(counterBtns).forEach(btn => {
+                btn.removeEventListener('click', this.#counterClickHandler);
+            });
+            this.#counterClickHandler = null;
+        }
+        if (this.#counterMessageTimeoutId !== null) {
+            clearTimeout(this.#counterMessageTimeoutId);
+            this.#counterMessageTimeoutId = null;
+        }
+    }
+
+    #stopNotices() {
+        if (this.#noticeRefreshIntervalId !== null) {
+            clearInterval(this.#noticeRefreshIntervalId);
+            this.#noticeRefreshIntervalId = null;
+        }
+        if (this.#noticeRotateIntervalId !== null) {
+            clearInterval(this.#noticeRotateIntervalId);
+            this.#noticeRotateIntervalId = null;
+        }
     }
 
     async getTitle() {
@@ -98,9 +143,230 @@ class EnterHandler extends HandlerInterface {
         this.#entities.pageContainerRef.dom.querySelector('.main_content .room_info .room_name #roomName').textContent
             = rooms.get(this.#roomId).name;
 
+        this.#deviceToken = this.#loadDeviceToken();
+
+        // 画面の向きの変更で再描画された場合に前のタイマーが残らないようにする
+        this.#stopNotices();
+        this.#setupNotices();
+
+        // 受付状況(人数計測モードの教室は在室人数も)を読み込む
+        let crowd = null;
+        let crowdLoadFailed = false;
+        try {
+            crowd = await this.#apiClient.getCrowdStatusRoom(this.#roomId);
+        } catch (error) {
+            // まだ一度も報告されていなければ受付中(人数計測モードは0人)
+            if (!(error instanceof ApiError && error.code === 'CROWD_NOT_FOUND')) {
+                console.error('混雑状況の取得に失敗しました:', error);
+                crowdLoadFailed = true;
+            }
+        }
+        const room = rooms.get(this.#roomId);
+        const closed = crowd?.availability.state === 'closed';
+        this.#renderAvailability(crowd?.availability ?? null, room.crowd_mode === 'headcount');
+
+        // 人数計測モードの教室は段階の選択の代わりに入退室のカウンタを表示する
+        if (room.crowd_mode === 'headcount') {
+            this.#setupCounter(room, crowd, crowdLoadFailed, closed);
+            return;
+        }
+
+        // 閉鎖中の教室は入力を受け付けない(理由は受付状況の説明で示す)
+        if (closed) {
+            this.#entities.pageContainerRef.dom.querySelector('.main_content .buttons_area .select_area').style.display = 'none';
+            return;
+        }
+
         this.#setupEventListeners();
     }
 
+    /** この教室向けと全体向けのお知らせの表示を始める
+     * 端末は開いたままにされるので定期的に取得し直し、複数あれば順に切り替える
+     */
+    #setupNotices() {
+        this.#notices = [];
+        this.#noticeIndex = 0;
+        const refresh = async () => {
+            try {
+                this.#notices = await this.#apiClient.getNotices(this.#roomId);
+            } catch (error) {
+                // 補助的な表示なので、取得できなければ前回の内容のまま
+                console.error('お知らせの取得に失敗しました:', error);
+            }
+            this.#renderNotice();
+        };
+        refresh();
+        this.#noticeRefreshIntervalId = setInterval(refresh, EnterHandler.#NOTICE_REFRESH_INTERVAL);
+        this.#noticeRotateIntervalId = setInterval(() => {
+            this.#noticeIndex++;
+            this.#renderNotice();
+        }, EnterHandler.#NOTICE_ROTATE_INTERVAL);
+    }
+
+    /** お知らせを1件表示(無ければ隠す) */
+    #renderNotice() {
+        const field = this.#entities.pageContainerRef.dom.querySelector('#noticeCompact');
+        if (!field) {
+            return;
+        }
+        if (this.#notices.length === 0) {
+            field.style.display = 'none';
+            return;
+        }
+        const notice = this.#notices[this.#noticeIndex % this.#notices.length];
+        const count = this.#notices.length > 1 ? ` (${this.#noticeIndex % this.#notices.length + 1}/${this.#notices.length})` : '';
+        field.className = `notice_compact notice_${notice.priority}`;
+        field.textContent = `📢 ${notice.message}${count}`;
+        field.style.display = 'block';
+    }
+
+    /** 受付状況の説明の表示(受付中なら表示しない)
+     * @param {{state: string, message: string|null, reopen_at: Date|null}|null} availability - 受付状況
+     * @param {boolean} headcount - 人数計測モードの教室か
+     */
+    #renderAvailability(availability, headcount) {
+        const notice = this.#entities.pageContainerRef.dom.querySelector('.main_content .room_info #availabilityNotice');
+        const stateText = availabilityStateToText(availability?.state);
+        if (!stateText) {
+            notice.style.display = 'none';
+            return;
+        }
+        const lines = [`この教室は${stateText}です`];
+        const note = availabilityNoteToText(availability);
+        if (note) {
+            lines.push(escapeHtml(note));
+        }
+        if (availability.state === 'closed') {
+            lines.push(headcount ? '退室のみ記録できます' : '混雑状況の入力は受け付けていません');
+        }
+        notice.innerHTML = lines.join('<br>');
+        notice.style.display = 'block';
+    }
+
+    /** 人数計測のカウンタの表示
+     * @param {Object} room - 教室データ
+     * @param {Object|null} crowd - 読み込んだ混雑状況(まだ記録が無ければnull)
+     * @param {boolean} loadFailed - 混雑状況の読み込みに失敗したか
+     * @param {boolean} closed - 閉鎖中か(入室ボタンを隠す)
+     */
+    #setupCounter(room, crowd, loadFailed, closed) {
+        const buttonsArea = this.#entities.pageContainerRef.dom.querySelector('.main_content .buttons_area');
+        buttonsArea.querySelector('.select_area').style.display = 'none';
+        buttonsArea.querySelector('.counter_area').style.display = 'block';
+        if (closed) {
+            buttonsArea.querySelector('.counter_btn_enter').style.display = 'none';
+        }
+
+        this.#counterClickHandler = async (event) => {
+            await this.#counterUpdateHandler(event.currentTarget.getAttribute('data-direction'));
+        };
+        Array.from(buttonsArea.getElementsByClassName('counter_btn')).forEach(btn => {
+            btn.addEventListener('click', this.#counterClickHandler);
+        });
+
+        if (loadFailed) {
+            this.#showCounterMessage('在室人数を取得できませんでした', '#ff867c');
+        }
+        this.#renderCounter(crowd?.occupancy ?? 0, crowd?.capacity ?? room.capacity, crowd?.status ?? null);
+    }
+
+    /** カウンタの表示を更新
+     * @param {number} occupancy - 在室人数
+     * @param {number} capacity - 定員
+     * @param {number|null} status - 混雑状況
+     */
+    #renderCounter(occupancy, capacity, status) {
+        const counterArea = this.#entities.pageContainerRef.dom.querySelector('.main_content .buttons_area .counter_area');
+        counterArea.querySelector('#occupancy').textContent = String(occupancy);
+        counterArea.querySelector('#capacity').textContent = String(capacity);
+        counterArea.querySelector('#counterStatus').textContent = status !== null ? statusNumToTextLong(status) : '';
+    }
+
+    /** カウンタの下にメッセージを表示(一定時間で消す)
+     * @param {string} html - メッセージ
+     * @param {string} color - 文字色
+     */
+    #showCounterMessage(html, color) {
+        const messageField = this.#entities.pageContainerRef.dom.querySelector('.main_content .buttons_area .counter_area #counterMessage');
+        messageField.style.color = color;
+        messageField.innerHTML = html;
+
+        if (this.#counterMessageTimeoutId !== null) {
+            clearTimeout(this.#counterMessageTimeoutId);
+        }
+        this.#counterMessageTimeoutId = setTimeout(() => {
+            messageField.innerHTML = this.#counterPending > 0 ? '送信中...' : '';
+            this.#counterMessageTimeoutId = null;
+        }, EnterHandler.#COUNTER_MESSAGE_DURATION);
+    }
+
+    /** 入退室ボタンの処理
+     * 係員が続けて押せるよう、送信中もボタンは隠さない
+     * @param {'enter'|'exit'} direction - 入室か退室か
+     */
+    async #counterUpdateHandler(direction) {
+        const seq = ++this.#counterRequestSeq;
+        const messageField = this.#entities.pageContainerRef.dom.querySelector('.main_content .buttons_area .counter_area #counterMessage');
+        this.#counterPending++;
+        if (this.#counterMessageTimeoutId === null) {
+            messageField.style.color = '#4fc3f7';
+            messageField.innerHTML = '送信中...';
+        }
+
+        try {
+            const crowd = await this.#apiClient.updateHeadcount(this.#roomId, direction, {
+                source: 'counter',
+                token: this.#deviceToken
+            });
+            if (seq > this.#counterAppliedSeq) {
+                this.#counterAppliedSeq = seq;
+                this.#renderCounter(crowd.occupancy, crowd.capacity, crowd.status);
+            }
+        } catch (error) {
+            console.error('入退室の記録に失敗しました:', error);
+            // 押し間違いと区別できるよう、失敗した操作を示す
+            const operation = direction === 'enter' ? '入室' : '退室';
+            if (error instanceof ApiError && error.isRateLimited()) {
+                this.#showCounterMessage(
+                    `送信が集中しています(${operation}は記録されていません)<br>${error.retryAfter ?? 60}秒ほど待ってから再度お試しください`,
+                    '#ffb74d'
+                );
+            } else {
+                this.#showCounterMessage(
+                    error instanceof ApiError && error.isClientError()
+                        ? `${operation}を記録できませんでした<br>${error.message}`
+                        : `${operation}を記録できませんでした<br>再度お試しください`,
+                    '#ff867c'
+                );
+            }
+        } finally {
+            this.#counterPending--;
+            if (this.#counterPending === 0 && this.#counterMessageTimeoutId === null) {
+                messageField.innerHTML = '';
+            }
+        }
+    }
+
+    /** 端末トークンを読み込む
+     * QRコードのURL(?token=...)に付いていればlocalStorageに保存してURLから消す
+     * 付いていなければ以前に保存したものを使う
+     * @returns {string|null} - 端末トークン
+     */
+    #loadDeviceToken() {
+        const url = new URL(window.location.href);
+        const tokenFromUrl = url.searchParams.get('token');
+
+        if (tokenFromUrl) {
+            saveDeviceToken(this.#roomId, tokenFromUrl);
+            // 画面共有や写真でトークンが漏れないようにURLから消す
+            url.searchParams.delete('token');
+            history.replaceState(null, '', url.pathname + url.search + url.hash);
+            return tokenFromUrl;
+        }
+
+        return loadDeviceToken(this.#roomId);
+    }
+
     #setupEventListeners() {
         const btns = this.#entities.pageContainerRef.dom.getElementsByClassName('status_btn');
         Array.from(btns).forEach(btn => {
@@ -129,16 +395,38 @@ class EnterHandler extends HandlerInterface {
 
         for (let i = 0; i < 3; i++) {
             try {
-                await this.#apiClient.updateCrowdStatus(this.#roomId, status);
+                await this.#apiClient.updateCrowdStatus(this.#roomId, status, {
+                    source: 'enter',
+                    token: this.#deviceToken
+                });
                 break;
             } catch (error) {
                 console.error('混雑状況の更新に失敗しました:', error);
-                if (i === 2) {
-                    messageField.style.color = '#ff867c';
+                // 送信回数の制限はリトライすると悪化するので、待つように案内する
+                if (error instanceof ApiError && error.isRateLimited()) {
+                    const waitSeconds = error.retryAfter ?? 60;
+                    messageField.style.color = '#ffb74d';
                     messageField.innerHTML =
                         !isMobile
-                            ? '送信に失敗しました<br>再度お試しください'
-                            : '送信に<br>失敗しました<br>再度<br>お試しください';
+                            ? `送信が集中しています<br>${waitSeconds}秒ほど待ってから再度お試しください`
+                            : `送信が<br>集中しています<br>${waitSeconds}秒ほど<br>待ってから<br>お試しください`;
+
+                    setTimeout(() => {
+                        statusButtons.style.display = 'block';
+                        messageOverlay.style.display = 'none';
+                    }, Math.max(waitSeconds * 1000, !isMobile ? 5000 : 3000));
+                    return;
+                }
+                // 入力内容が原因のエラーはリトライしても変わらないので即座に表示
+                const isClientError = error instanceof ApiError && error.isClientError();
+                if (i === 2 || isClientError) {
+                    messageField.style.color = '#ff867c';
+                    messageField.innerHTML =
+                        isClientError
+                            ? `送信に失敗しました<br>${error.message}`
+                            : !isMobile
+                                ? '送信に失敗しました<br>再度お試しください'
+                                : '送信に<br>失敗しました<br>再度<br>お試しください';
 
                     setTimeout(() => {
                         statusButtons.style.display = 'block';
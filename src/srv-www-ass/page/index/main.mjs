@@ -1,3 +1,4 @@
+import { waitMinutesToText, availabilityStateToText } from "../../cmn.mjs";
 import { TitleComponent } from "../../comp/title/main.mjs";
 import { HandlerInterface } from "../../spalib.mjs"
 
@@ -81,6 +82,9 @@ class IndexHandler extends HandlerInterface {
             mobile: 'ホーム'
         });
 
+        // 上映予定はAPIから直接ダウンロードさせる
+        this.#entities.pageContainerRef.dom.querySelector('#scheduleIcsLink').href = this.#apiClient.getScheduleIcsUrl();
+
         // 教室リストを取得してレンダリング
         await this.#loadAndRenderRooms();
 
@@ -100,10 +104,21 @@ class IndexHandler extends HandlerInterface {
             console.error('教室データの取得に失敗:', error);
             throw new Error('教室データの取得に失敗しました');
         }
-        this.#renderRoomButtons(roomsData);
+        // 待ち時間の目安と受付状況は補助的な表示なので、取得に失敗しても教室ボタンは表示する
+        let crowdMap = new Map();
+        try {
+            crowdMap = await this.#apiClient.getCrowdStatus();
+        } catch (error) {
+            console.warn('混雑状況の取得に失敗:', error);
+        }
+        this.#renderRoomButtons(roomsData, crowdMap);
     }
 
-    #renderRoomButtons(roomsData) {
+    /** 教室ボタンの表示
+     * @param {Object} roomsData - 教室データ
+     * @param {Map<string, {status: number|null, estimated_wait_minutes: number|null, availability: {state: string}}>} crowdMap - 混雑状況
+     */
+    #renderRoomButtons(roomsData, crowdMap) {
         const roomGridElement = this.#entities.pageContainerRef.dom.querySelector('.main_content .navigation_area .enter_section .room_grid');
         if (!roomGridElement) return;
 
@@ -120,11 +135,19 @@ class IndexHandler extends HandlerInterface {
         // 教室ボタンを生成
         roomGridElement.innerHTML = rooms.map(roomId => {
             const room = roomsData[roomId];
+            const crowd = crowdMap.get(roomId);
+            const waitText = typeof crowd?.status === 'number' ? waitMinutesToText(crowd.estimated_wait_minutes) : '';
+            // 受付中でなければ待ち時間の代わりに受付状況を表示する(待ち時間の目安も返ってこない)
+            const availabilityText = availabilityStateToText(crowd?.availability.state);
+            const closedClass = crowd?.availability.state === 'closed' ? ' room_closed' : '';
             return `
-                <button class="room_btn" data-roomid="${roomId}">
+                <button class="room_btn${closedClass}" data-roomid="${roomId}">
                     <span class="room_icon">🏫</span>
                     <span class="room_text">${room.name}</span>
                     <span class="room_desc">${room.desc}</span>
+                    ${availabilityText
+                        ? `<span class="room_availability">${availabilityText}</span>`
+                        : waitText ? `<span class="room_wait">${waitText}</span>` : ''}
                 </button>
             `;
         }).join('');
@@ -0,0 +1,322 @@
+import { ApiError, statusNumToTextShort, availabilityStateToText, escapeHtml, loadDeviceToken, saveDeviceToken, deviceTokenRoomId } from "../../cmn.mjs";
+import { TitleComponent } from "../../comp/title/main.mjs";
+import { HandlerInterface } from "../../spalib.mjs"
+
+export async function ReceptionHandlerCreator(entities, apiClient) {
+    return new ReceptionHandler(entities, apiClient);
+}
+
+/** 係員が複数の教室の混雑状況をまとめて入力するページ
+ * 見回った教室ごとに段階を選び、1回の送信でまとめて更新する
+ * 1教室でも受け付けられなければどの教室も更新されないので、教室ごとの結果を表示して選び直してもらう
+ */
+class ReceptionHandler extends HandlerInterface {
+    /** 段階ボタンのアイコン(入力ページと同じ) */
+    static #STATUS_ICONS = ['😊', '🙂', '😐', '😓', '😵'];
+
+    #entities;
+    #apiClient;
+
+    /** 表示している教室(教室ID -> 教室データ) */
+    #rooms = new Map();
+    /** 選択中の段階(教室ID -> 混雑状況) */
+    #selected = new Map();
+    #sending = false;
+    #clickHandler = null;
+
+    #titleComponent;
+
+    constructor(entities, apiClient) {
+        super();
+        this.#entities = entities;
+        this.#apiClient = apiClient;
+    }
+
+    async cleanupFull() {
+        this.#removeEventListeners();
+    }
+
+    #removeEventListeners() {
+        if (this.#clickHandler) {
+            this.#entities.pageContainerRef.dom.querySelector('.main_content')?.removeEventListener('click', this.#clickHandler);
+            this.#clickHandler = null;
+        }
+    }
+
+    async getTitle() {
+        return "まとめて入力";
+    }
+
+    async getHtmlResourcePath() {
+        return null;
+        // あとで機種ごとに読み込む
+    }
+
+    async renderingFull() {
+        // 画面の向きの変更で再描画された場合に前のリスナーが残らないようにする
+        this.#removeEventListeners();
+
+        for (let i = 0; i < 3; i++) {
+            try {
+                await this.#entities.resourceLoader.loadPageWithDevice(
+                    this.#entities.pageContainerRef.dom,
+                    'page/reception',
+                    'page/reception'
+                );
+                break; // 成功したらループを抜ける
+            } catch (error) {
+                console.error(`Error loading reception page (attempt ${i + 1}/3): ${error}`);
+                if (i === 2) {
+                    // 3回失敗したらエラーを投げる
+                    throw new Error(`Failed to load reception page after 3 attempts: ${error}`);
+                }
+            }
+        }
+
+        this.#titleComponent = new TitleComponent(
+            this.#entities.resourceLoader,
+            this.#entities.deviceDetector
+        );
+        await this.#titleComponent.render(
+            this.#entities.pageContainerRef.dom.querySelector('.title_area'),
+            {
+                desktop: '📋 混雑状況まとめて入力&nbsp;&nbsp;&nbsp&nbsp;',
+                mobile: '混雑状況<br>📋 まとめて入力'
+            }
+        );
+
+        let rooms = null;
+        for (let i = 0; i < 3; i++) {
+            // 3回までリトライ
+            try {
+                rooms = await this.#apiClient.getRooms();
+                break; // 成功したらループを抜ける
+            } catch (error) {
+                console.error('教室情報の取得に失敗しました:', error);
+                if (i === 2) {
+                    // 3回目の失敗ならエラー画面へ遷移
+                    await this.#entities.navigator.navigateSpecial('error');
+                    return;
+                }
+            }
+        }
+
+        this.#saveDeviceTokensFromUrl();
+
+        // 人数計測モードの教室は入退室のたびに記録するので対象外
+        // sort_priorityで昇順ソート
+        this.#rooms = new Map(Array.from(rooms.entries())
+            .filter(([_, room]) => room.crowd_mode !== 'headcount')
+            .sort((a, b) => (a[1].sort_priority ?? 0) - (b[1].sort_priority ?? 0)));
+
+        let crowd = new Map();
+        try {
+            crowd = await this.#apiClient.getCrowdStatus();
+        } catch (error) {
+            // 今の状況が分からなくても入力はできる
+            console.error('混雑状況の取得に失敗しました:', error);
+        }
+        this.#renderRooms(crowd);
+        this.#setupEventListeners();
+    }
+
+    /** QRコードのURL(?token=a,b,...)に付いた端末トークンを教室ごとにlocalStorageに保存してURLから消す
+     * 入力ページと同じ場所に保存するので、どちらのページからでも使える
+     */
+    #saveDeviceTokensFromUrl() {
+        const url = new URL(window.location.href);
+        const tokensFromUrl = url.searchParams.get('token');
+        if (!tokensFromUrl) {
+            return;
+        }
+        for (const token of tokensFromUrl.split(',')) {
+            const roomId = deviceTokenRoomId(token);
+            if (roomId) {
+                saveDeviceToken(roomId, token);
+            }
+        }
+        // 画面共有や写真でトークンが漏れないようにURLから消す
+        url.searchParams.delete('token');
+        history.replaceState(null, '', url.pathname + url.search + url.hash);
+    }
+
+    /** 教室の一覧の表示
+     * @param {Map} crowd - 教室IDをキーとした混雑状況データ
+     */
+    #renderRooms(crowd) {
+        const list = this.#entities.pageContainerRef.dom.querySelector('#roomList');
+        list.innerHTML = Array.from(this.#rooms.entries()).map(([roomId, room]) => {
+            const closed = crowd.get(roomId)?.availability.state === 'closed';
+            const buttons = ReceptionHandler.#STATUS_ICONS.map((icon, i) => `
+                <button class="status_btn status_btn_${i + 1}${this.#selected.get(roomId) === i + 1 ? ' selected' : ''}"
+                    data-status="${i + 1}"${closed ? ' disabled' : ''}>${icon} ${statusNumToTextShort(i + 1)}</button>`).join('');
+            return `
+                <div class="room_row" data-roomid="${escapeHtml(roomId)}">
+                    <div class="room_label">
+                        <div class="room_name">${escapeHtml(room.name)}</div>
+                        <div class="room_current">${this.#currentText(crowd.get(roomId))}</div>
+                    </div>
+                    <div class="room_buttons">${buttons}</div>
+                    <div class="room_result"></div>
+                </div>`;
+        }).join('');
+
+        // 閉鎖中の教室は選べないので選択から外す
+        for (const roomId of this.#selected.keys()) {
+            if (crowd.get(roomId)?.availability.state === 'closed') {
+                this.#selected.delete(roomId);
+            }
+        }
+        this.#renderSubmitButton();
+    }
+
+    /** 今の混雑状況の表示
+     * @param {Object|undefined} crowd - 混雑状況データ(まだ報告されていなければundefined)
+     * @returns {string} - 「現在: 中 (5分前)」など
+     */
+    #currentText(crowd) {
+        if (!crowd) {
+            return '現在: 未報告';
+        }
+        const stateText = availabilityStateToText(crowd.availability.state);
+        const age = crowd.updated_at ? ` (${Math.floor((Date.now() - crowd.updated_at.getTime()) / 60000)}分前)` : '';
+        return `現在: ${statusNumToTextShort(crowd.status)}${age}${stateText ? ` / ${stateText}` : ''}`;
+    }
+
+    #renderSubmitButton() {
+        const button = this.#entities.pageContainerRef.dom.querySelector('#submitButton');
+        button.disabled = this.#sending || this.#selected.size === 0;
+        button.textContent = this.#selected.size > 0
+            ? `選択した${this.#selected.size}教室を送信`
+            : '選択した教室を送信';
+    }
+
+    #setupEventListeners() {
+        // 教室の一覧は送信のたびに描き直すので、まとめて受け取る
+        this.#clickHandler = async (event) => {
+            const button = event.target.closest('button');
+            if (!button || button.disabled) {
+                return;
+            }
+            if (button.id === 'submitButton') {
+                await this.#submitHandler();
+                return;
+            }
+            const row = button.closest('.room_row');
+            if (row && button.classList.contains('status_btn')) {
+                this.#selectHandler(row, Number(button.getAttribute('data-status')));
+            }
+        };
+        this.#entities.pageContainerRef.dom.querySelector('.main_content').addEventListener('click', this.#clickHandler);
+    }
+
+    /** 段階の選択(同じ段階をもう一度押すと選択を外す)
+     * @param {HTMLElement} row - 教室の行
+     * @param {number} status - 混雑状況
+     */
+    #selectHandler(row, status) {
+        const roomId = row.getAttribute('data-roomid');
+        if (this.#selected.get(roomId) === status) {
+            this.#selected.delete(roomId);
+        } else {
+            this.#selected.set(roomId, status);
+        }
+        Array.from(row.getElementsByClassName('status_btn')).forEach(btn => {
+            btn.classList.toggle('selected', Number(btn.getAttribute('data-status')) === this.#selected.get(roomId));
+        });
+        row.querySelector('.room_result').textContent = '';
+        this.#renderSubmitButton();
+    }
+
+    async #submitHandler() {
+        const messageField = this.#entities.pageContainerRef.dom.querySelector('#submitMessage');
+        const statuses = new Map(this.#selected);
+        const tokens = Array.from(statuses.keys()).map(roomId => loadDeviceToken(roomId)).filter(token => token);
+
+        this.#sending = true;
+        this.#renderSubmitButton();
+        messageField.style.color = '#4fc3f7';
+        messageField.textContent = '送信中...';
+
+        let results = null;
+        try {
+            const updated = await this.#apiClient.updateCrowdStatusBatch(statuses, {
+                source: 'reception',
+                tokens
+            });
+            results = new Map(Array.from(updated.keys()).map(roomId => [roomId, { result: 'updated', message: null }]));
+            messageField.textContent = `${updated.size}教室の送信が完了しました`;
+            this.#selected.clear();
+        } catch (error) {
+            console.error('混雑状況の一括更新に失敗しました:', error);
+            messageField.style.color = '#ff867c';
+            if (error instanceof ApiError && error.results) {
+                // どの教室も更新されていないので、選択はそのまま残して直してもらう
+                results = error.results;
+                messageField.textContent = error.message;
+            } else if (error instanceof ApiError && error.isRateLimited()) {
+                messageField.style.color = '#ffb74d';
+                messageField.textContent = `送信が集中しています。${error.retryAfter ?? 60}秒ほど待ってから再度お試しください`;
+            } else {
+                messageField.textContent = error instanceof ApiError && error.isClientError()
+                    ? `送信に失敗しました: ${error.message}`
+                    : '送信に失敗しました。再度お試しください';
+            }
+        }
+
+        // 今の状況を読み込み直してから、教室ごとの結果を重ねて表示する
+        let crowd = new Map();
+        try {
+            crowd = await this.#apiClient.getCrowdStatus();
+        } catch (error) {
+            console.error('混雑状況の取得に失敗しました:', error);
+        }
+        this.#sending = false;
+        this.#renderRooms(crowd);
+        if (results) {
+            this.#renderResults(results);
+        }
+    }
+
+    /** 教室ごとの送信結果の表示
+     * @param {Map<string, {result: string, message: string|null}>} results - 教室IDをキーとした結果
+     */
+    #renderResults(results) {
+        for (const row of this.#entities.pageContainerRef.dom.getElementsByClassName('room_row')) {
+            const result = results.get(row.getAttribute('data-roomid'));
+            const field = row.querySelector('.room_result');
+            switch (result?.result) {
+                case 'updated':
+                    field.style.color = '#81c784';
+                    field.textContent = '✔ 送信しました';
+                    break;
+                case 'rejected':
+                    field.style.color = '#ff867c';
+                    field.textContent = `✖ ${result.message}`;
+                    break;
+                case 'skipped':
+                    field.style.color = '#ffb74d';
+                    field.textContent = '未送信';
+                    break;
+                default:
+                    field.textContent = '';
+            }
+        }
+    }
+
+    async canPartialTransferToNextPath(_) {
+        return false;
+    }
+
+    async canPartialReceiveFromPrevPath() {
+        return false;
+    }
+
+    async canInpageTransferTo(_) {
+        return false;
+    }
+
+    async onDeviceOrientationChange() {
+        await this.renderingFull();
+    }
+}
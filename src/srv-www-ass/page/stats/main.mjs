@@ -0,0 +1,222 @@
+import { statusNumToTextShort, escapeHtml } from "../../cmn.mjs";
+import { TitleComponent } from "../../comp/title/main.mjs";
+import { HandlerInterface } from "../../spalib.mjs"
+
+export async function StatsHandlerCreator(entities, apiClient, context) {
+    return new StatsHandler(entities, apiClient);
+}
+
+/** ダッシュボードの統計ページ
+ * 選んだ日の教室ごとの平均・最大の混雑状況、段階ごとの時間、混雑していた時間帯を表示する
+ * 同じ期間の更新履歴はCSV・JSONでダウンロードできる
+ */
+class StatsHandler extends HandlerInterface {
+    #entities;
+    #apiClient;
+
+    #changeHandler = null;
+
+    #titleComponent;
+
+    constructor(entities, apiClient) {
+        super();
+        this.#entities = entities;
+        this.#apiClient = apiClient;
+    }
+
+    async cleanupFull() {
+        this.#removeEventListeners();
+    }
+
+    #removeEventListeners() {
+        if (this.#changeHandler) {
+            this.#entities.pageContainerRef.dom.querySelector('#statsDate')?.removeEventListener('change', this.#changeHandler);
+            this.#changeHandler = null;
+        }
+    }
+
+    async getTitle() {
+        return "統計";
+    }
+
+    async getHtmlResourcePath() {
+        return null;
+        // あとで機種ごとに読み込む
+    }
+
+    async renderingFull() {
+        // 画面の向きの変更で再描画された場合に前のリスナーが残らないようにする
+        this.#removeEventListeners();
+
+        for (let i = 0; i < 3; i++) {
+            try {
+                await this.#entities.resourceLoader.loadPageWithDevice(
+                    this.#entities.pageContainerRef.dom,
+                    'page/stats',
+                    'page/stats'
+                );
+                break; // 成功したらループを抜ける
+            } catch (error) {
+                console.error(`Error loading stats page (attempt ${i + 1}/3): ${error}`);
+                if (i === 2) {
+                    // 3回失敗したらエラーを投げる
+                    throw new Error(`Failed to load stats page after 3 attempts: ${error}`);
+                }
+            }
+        }
+
+        this.#titleComponent = new TitleComponent(
+            this.#entities.resourceLoader,
+            this.#entities.deviceDetector
+        );
+        await this.#titleComponent.render(
+            this.#entities.pageContainerRef.dom.querySelector('.title_area'),
+            {
+                desktop: '📈 混雑状況の統計&nbsp;&nbsp;&nbsp;',
+                mobile: '混雑状況<br>📈 統計'
+            }
+        );
+
+        const dateInput = this.#entities.pageContainerRef.dom.querySelector('#statsDate');
+        dateInput.value = StatsHandler.#dateString(new Date());
+        this.#changeHandler = async () => {
+            await this.#load(dateInput.value);
+        };
+        dateInput.addEventListener('change', this.#changeHandler);
+
+        await this.#load(dateInput.value);
+    }
+
+    /** 端末の現地時刻での日付
+     * @param {Date} date - 時刻
+     * @returns {string} - "YYYY-MM-DD"
+     */
+    static #dateString(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /** 選んだ日の統計を読み込んで表示する
+     * @param {string} date - 日付("YYYY-MM-DD")
+     */
+    async #load(date) {
+        const dom = this.#entities.pageContainerRef.dom;
+        const message = dom.querySelector('#statsMessage');
+        message.textContent = '読み込み中...';
+
+        let rooms = null;
+        let stats = null;
+        try {
+            rooms = await this.#apiClient.getRooms();
+            stats = await this.#apiClient.getStats(date ? { date } : {});
+        } catch (error) {
+            console.error('統計の取得に失敗しました:', error);
+            message.textContent = '統計を取得できませんでした。日付を選び直してください';
+            dom.querySelector('#busiestHours').innerHTML = '';
+            dom.querySelector('#statsTableBody').innerHTML = '';
+            return;
+        }
+
+        const period = `${stats.from.toLocaleString()} 〜 ${stats.to.toLocaleTimeString()}`;
+        message.textContent = `集計期間: ${period}`;
+        // 報告書用に同じ期間の全ての更新を書き出せるようにする
+        const range = { from: stats.from, to: stats.to };
+        dom.querySelector('#exportCsvLink').href = this.#apiClient.getExportUrl('csv', range);
+        dom.querySelector('#exportJsonLink').href = this.#apiClient.getExportUrl('json', range);
+        this.#renderBusiestHours(stats.busiest_hours);
+        this.#renderRooms(rooms, stats);
+    }
+
+    /** 全教室を合わせて混雑していた時間帯の表示
+     * @param {Array<{start: Date, end: Date, average_status: number, update_count: number}>} hours - 混雑していた順の時間帯
+     */
+    #renderBusiestHours(hours) {
+        const area = this.#entities.pageContainerRef.dom.querySelector('#busiestHours');
+        if (hours.length === 0) {
+            area.innerHTML = '<span class="no_data">まだ記録がありません</span>';
+            return;
+        }
+        area.innerHTML = hours.map((hour, i) => `
+            <span class="busiest_hour">${i + 1}. ${this.#hourText(hour)} (平均 ${hour.average_status.toFixed(1)})</span>`).join('');
+    }
+
+    /** 教室ごとの統計の表示
+     * @param {Map} rooms - 教室データ
+     * @param {{rooms: Map<string, Object>, peak_status: number}} stats - 統計データ
+     */
+    #renderRooms(rooms, stats) {
+        const sorted = Array.from(rooms.entries())
+            .sort((a, b) => (a[1].sort_priority ?? 0) - (b[1].sort_priority ?? 0));
+        const tableBody = this.#entities.pageContainerRef.dom.querySelector('#statsTableBody');
+        tableBody.innerHTML = sorted.map(([roomId, room]) => {
+            const roomStats = stats.rooms.get(roomId);
+            if (!roomStats || roomStats.average_status === null) {
+                return `
+                    <tr>
+                        <td>${escapeHtml(room.name)}</td>
+                        <td colspan="4" class="no_data">記録なし</td>
+                    </tr>`;
+            }
+            const busiest = roomStats.busiest_hours.map(hour => this.#hourText(hour)).join('<br>');
+            return `
+                <tr class="crowd-status-${roomStats.max_status}">
+                    <td>${escapeHtml(room.name)}</td>
+                    <td>${roomStats.average_status.toFixed(1)}<span class="sub">最大 ${statusNumToTextShort(roomStats.max_status)} / ${roomStats.update_count}回</span></td>
+                    <td>${this.#statusBarHtml(roomStats)}</td>
+                    <td>${this.#durationText(roomStats.peak_seconds)}<span class="sub">${roomStats.peaks.length}回</span></td>
+                    <td>${busiest || '-'}</td>
+                </tr>`;
+        }).join('');
+    }
+
+    /** 段階ごとの時間の割合の帯
+     * @param {{seconds_by_status: Object<string, number>, observed_seconds: number}} roomStats - 教室の統計
+     * @returns {string} - 帯のHTML(幅は時間の割合)
+     */
+    #statusBarHtml(roomStats) {
+        return `<div class="status_bar">${Object.entries(roomStats.seconds_by_status)
+            .filter(([_, seconds]) => seconds > 0)
+            .map(([status, seconds]) => {
+                const percent = seconds / roomStats.observed_seconds * 100;
+                return `<span class="status_bar_part status_bar_${status}" style="width: ${percent}%"
+                    title="${statusNumToTextShort(Number(status))}: ${this.#durationText(seconds)}"></span>`;
+            }).join('')}</div>`;
+    }
+
+    /** 時間帯の表示
+     * @param {{start: Date, end: Date}} hour - 時間帯
+     * @returns {string} - 「13:00〜14:00」など
+     */
+    #hourText(hour) {
+        const time = date => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `${time(hour.start)}〜${time(hour.end)}`;
+    }
+
+    /** 長さの表示
+     * @param {number} seconds - 秒数
+     * @returns {string} - 「1時間5分」など
+     */
+    #durationText(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) {
+            return `${minutes}分`;
+        }
+        return `${Math.floor(minutes / 60)}時間${minutes % 60 > 0 ? `${minutes % 60}分` : ''}`;
+    }
+
+    async canPartialTransferToNextPath(_) {
+        return false;
+    }
+
+    async canPartialReceiveFromPrevPath() {
+        return false;
+    }
+
+    async canInpageTransferTo(_) {
+        return false;
+    }
+
+    async onDeviceOrientationChange() {
+        await this.renderingFull();
+    }
+}
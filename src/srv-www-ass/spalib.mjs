@@ -1011,7 +1011,11 @@ export class Navigator {
         /** @type {PrevPageInfo|null} */
         prevInfo: null,
         /** @type {HandlerInterface|SpecialHandlerInterface|null} */
-        prevHandler: null
+        prevHandler: null,
+        /** 固定表示中の特殊ページ名(解除するまでパス遷移の代わりに表示する)
+         * @type {string|null}
+         */
+        heldSpecial: null
     };
 
     /** イベント管理
@@ -1086,11 +1090,37 @@ export class Navigator {
         await this.#performSpecialTransitionWithErrorHandling(target);
     }
 
+    /** 特殊ページを固定表示する
+     * 解除するまではパスが変わっても(URLは更新される)この特殊ページを表示し続ける
+     * 固定表示中に呼ぶと特殊ページを描画し直す
+     * @param {string} target - 固定表示する特殊ページ名
+     * @returns {Promise<void>} - 遷移完了時
+     */
+    async holdSpecial(target) {
+        this.#state.heldSpecial = target;
+        await this.#performSpecialTransitionWithErrorHandling(target);
+    }
+
+    /** 特殊ページの固定表示を解除し、現在のパスのページに戻る
+     * @returns {Promise<void>} - 遷移完了時
+     */
+    async releaseSpecial() {
+        if (this.#state.heldSpecial === null) {
+            return;
+        }
+        this.#state.heldSpecial = null;
+        await this.#performTransitionWithErrorHandling(window.location.pathname);
+    }
+
     /** エラーハンドリング付きでパス遷移を行う
      * @param {string} nextPath - 遷移先のパス
      * @returns {Promise<void>} - 遷移完了時
      */
     async #performTransitionWithErrorHandling(nextPath) {
+        if (this.#state.heldSpecial !== null) {
+            await this.#performSpecialTransitionWithErrorHandling(this.#state.heldSpecial);
+            return;
+        }
         try {
             await this.#performTransition(nextPath);
         } catch (error) {